@@ -4,6 +4,8 @@ module.exports = {
     deriv: {
       appId: process.env.DERIV_APP_ID || '1089', // Default test app ID
       token: process.env.DERIV_TOKEN || '', // User token for live trading
+      websocketUrl: process.env.DERIV_WS_URL || 'wss://ws.derivws.com/websockets/v3',
+      maxCandlesPerRequest: 5000 // ticks_history page size limit
     },
     websocketUrl: 'wss://ws.binaryws.com/websockets/v3',
     apiUrl: 'https://api.deriv.com',
@@ -26,9 +28,55 @@ module.exports = {
     // Risk management
     risk: {
       maxRiskPerTrade: 0.01, // 1% risk per trade
-      maxDailyLoss: 0.05,    // 5% max daily loss
+      maxDailyLoss: 0.05,    // 5% max daily drawdown, from the day's best realized P&L
       minRiskReward: 1.5,    // Minimum risk/reward ratio
-      positionSizing: 'fixed_fractional' // or 'fixed_amount'
+      // fixed_amount, fixed_fractional, volatility, kelly or confidence (services/position-sizer.js)
+      positionSizing: 'fixed_fractional',
+      sizing: {
+        fixedAmount: 100, // fixed_amount: account currency lost at the stop
+        // volatility: lose maxRiskPerTrade of the balance on a move of multiplier x ATR(period)
+        volatility: { period: 14, multiplier: 2 },
+        // kelly: risk fraction x the Kelly share of the balance, once minTrades have a recorded
+        // result (fixed_fractional until then), never more than maxRisk
+        kelly: { fraction: 0.25, minTrades: 30, maxRisk: 0.02 },
+        // confidence: scale maxRiskPerTrade from minScale at minConfidence to maxScale at 1
+        confidence: { minConfidence: 0.6, minScale: 0.5, maxScale: 1.5 },
+        // Quantities round down to a multiple of contractSize; below minQuantity nothing is
+        // traded. Keyed by market (services/markets.js) or symbol, over default.
+        instruments: {
+          default: { contractSize: 0.01, minQuantity: 0.01 },
+          forex: { contractSize: 1000, minQuantity: 1000 }, // micro lots
+          crypto: { contractSize: 0.0001, minQuantity: 0.0001 },
+          synthetics: { contractSize: 0.01, minQuantity: 0.01 }
+        }
+      },
+      // The trading day, and with it the daily limits, starts at this local time in timeZone
+      // (an IANA name such as 'America/New_York')
+      session: {
+        reset: '00:00',
+        timeZone: process.env.RISK_TIMEZONE || 'UTC'
+      },
+      // Portfolio limits, as shares of the account balance. A trade's exposure is what it
+      // loses at its stop; open trades and pending orders both count. maxOpenTrades,
+      // maxPositionSize (the capital one trade ties up: its notional, or its stake on brokers
+      // that trade stakes) and a second daily loss cap come from config/crt-scanner.js.
+      portfolio: {
+        maxOpenRisk: 0.05, // every trade together
+        maxLeverage: 10, // one trade's notional (size x entry) as a multiple of the balance
+        // Per market (services/markets.js); markets not listed only count towards maxOpenRisk
+        assetClasses: {
+          forex: 0.03,
+          crypto: 0.02,
+          synthetics: 0.04
+        },
+        // A trade plus the trades correlated with it, each weighted by its coefficient and
+        // signed by direction, so opposite trades on correlated symbols offset
+        maxCorrelatedRisk: 0.025,
+        correlations: [
+          { symbols: ['R_75', 'R_100'], coefficient: 0.8 },
+          { symbols: ['EUR/USD', 'GBP/USD'], coefficient: 0.85 }
+        ]
+      }
     },
     
     // Strategy configurations
@@ -58,6 +106,156 @@ module.exports = {
     }
   },
   
+  // Market data providers
+  marketData: {
+    // Provider used for any symbol without a more specific route
+    defaultProvider: process.env.USE_REAL_MARKET_DATA === 'true' ? 'deriv' : 'synthetic',
+    // Market or symbol -> provider name, e.g. { synthetics: 'deriv', 'EUR/USD': 'file' }.
+    // MARKET_DATA_ROUTES uses the same shape as a list: "synthetics=deriv,EUR/USD=file"
+    routes: Object.fromEntries(
+      (process.env.MARKET_DATA_ROUTES || '')
+        .split(',')
+        .filter(Boolean)
+        .map(route => route.split('=').map(part => part.trim()))
+    ),
+    file: {
+      directory: process.env.MARKET_DATA_DIR || '' // CSV/JSON/Parquet candle files
+    },
+    // Daily candle open (UTC) per market; 4h and weekly buckets follow it too.
+    // Forex, metals and index CFDs roll over at 17:00 New York.
+    sessions: {
+      forex: '22:00',
+      commodities: '22:00',
+      indices: '22:00',
+      default: '00:00'
+    },
+    // Timeframes a missing timeframe may be resampled from, when the provider serves them
+    baseTimeframes: ['1m', '5m', '15m', '30m', '1h']
+  },
+
+  // Signal lifecycle
+  signals: {
+    // A pending signal whose entry is not reached within this many candles of its
+    // timeframe expires (used when the detector does not set expiresAt itself)
+    expiryCandles: 12,
+    // Candles replayed per signal on startup to catch up on price moves while offline
+    maxCatchUpCandles: 1440,
+    // Outcome replay feeding performance_logs
+    evaluation: {
+      interval: 5 * 60 * 1000, // how often to look for signals to settle
+      batchSize: 25,
+      // Passes a signal may fail (no price history) before it is settled as no_data
+      maxAttempts: 5,
+      // 1m candles replayed after a signal; a trade still open by then is settled at the last close
+      maxCandles: 1440
+    }
+  },
+
+  // How many live trades may be open at once and what a new signal does to them
+  // (services/position-policy.js). detectors overrides any of these per detector name.
+  positions: {
+    maxPerSymbol: 1, // open trades and pending orders on one symbol
+    maxPerDetector: 5, // across all symbols
+    oppositeSignal: 'ignore', // 'reverse', 'close' or 'ignore' the trades a signal points against
+    // Adding to a winning trade in the same direction
+    pyramiding: {
+      enabled: false,
+      minDistanceR: 1, // price has moved this many R past the latest entry
+      requireBreakeven: true, // every earlier entry's stop is at entry or better
+      sizeScale: 0.5 // the nth add is sizeScale^n x a normal entry
+    },
+    detectors: {
+      // SMC's continuation model adds up to three entries
+      smc: { maxPerSymbol: 3, pyramiding: { enabled: true } }
+    }
+  },
+
+  // Trade management plans (services/trade-manager.js), run on open positions live and in
+  // backtests. detectors overrides default per detector name, and a signal's own `management`
+  // overrides both. A rule set to null (or no targets) is off.
+  management: {
+    default: {
+      breakeven: null, // e.g. { atR: 1, offsetR: 0.1 }
+      trailing: null, // e.g. { multiplier: 2, activateR: 1, period: 14 }
+      targets: [], // e.g. [{ atR: 1, fraction: 0.5 }, { atR: 2, fraction: 0.5 }]
+      maxDuration: null // ms after entry
+    },
+    detectors: {}
+  },
+
+  // Backtest fill simulation. Entries use trading.order.type ('market' fills at the next
+  // candle's open, 'limit' waits for the signal's entry price for trading.order.expiration)
+  // and stops slip by trading.order.slippage.
+  backtest: {
+    spread: 0.0002, // bid/ask spread as a fraction of price; candles are mid prices
+    commission: 0, // per side, as a fraction of the position's notional
+    // Stop loss and take profit both touched within one candle: 'stop' assumes the stop
+    // filled first, 'target' the take profit, 'open' whichever is nearer the candle's open
+    tieBreak: 'stop',
+    maxLeverage: 10, // a position's notional is capped at this multiple of the capital
+    // Trade list resampling (services/monte-carlo.js)
+    monteCarlo: {
+      iterations: 1000,
+      confidence: 0.95, // width of the reported intervals
+      ruinLevel: 0.5 // equity at or below this share of the starting capital counts as ruin
+    },
+    // Runs started through POST /api/backtests
+    runs: {
+      baseTimeframe: '1m', // candles loaded per symbol; fills and every other timeframe come from them
+      maxCandles: 200000 // base candles per symbol a run may load (about 140 days of 1m)
+    }
+  },
+
+  // Paper broker (services/paper-broker.js), used while features.paperTrading is on. Prices
+  // are mid prices: market and stop orders fill at the bid/ask plus trading.order.slippage,
+  // limit orders and take profits at their price.
+  paper: {
+    initialBalance: 10000,
+    spread: 0.0002, // bid/ask spread as a fraction of price
+    commission: 0 // per side, as a fraction of the fill's notional
+  },
+
+  // Live execution through Deriv multiplier contracts (services/deriv-broker.js), used when
+  // features.paperTrading is off. Needs api.deriv.token.
+  live: {
+    multiplier: 100, // contract notional = stake x multiplier
+    currency: 'USD',
+    // Only demo (virtual) accounts are traded unless this is set
+    allowRealAccount: process.env.DERIV_ALLOW_REAL_ACCOUNT === 'true',
+    requireStopLoss: true, // refuse orders without a stop loss
+    minStake: 1,
+    maxStake: 100, // per contract, in account currency
+    maxOpenContracts: 5
+  },
+
+  // Synthetic market generator - same seed, same candles
+  syntheticData: {
+    seed: process.env.SYNTHETIC_SEED || 'grassroot',
+    regimes: {
+      meanReversion: 0.01, // daily pull back towards the base price, keeps prices bounded
+      trend: {
+        weight: 0.4, // share of days that trend
+        drift: 0.8 // daily drift in units of daily volatility
+      },
+      range: {
+        weight: 0.6,
+        reversion: 0.2 // extra daily pull towards the base price on range days
+      },
+      volatilitySpikes: {
+        probability: 0.05, // chance an hour runs hot
+        multiplier: 3
+      },
+      jumps: {
+        size: 0.01, // average jump as a fraction of price (CRASH/BOOM, jump indices)
+        crashBoomVolatility: 0.005, // daily volatility between CRASH/BOOM jumps
+        jumpIndexProbability: 0.05 // per-minute jump chance for jump indices
+      }
+    },
+    // Per-symbol profile overrides, e.g. { 'EUR/USD': { regime: 'trend', trendDirection: 1 } }.
+    // Keys: basePrice, dailyVolatility, baseVolume, regime ('mixed' | 'trend' | 'range'), jumps
+    overrides: {}
+  },
+
   // Logging configuration
   logging: {
     level: 'debug', // error, warn, info, debug
@@ -1,19 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 
 class Database {
-  constructor() {
+  constructor(options = {}) {
     this.db = null;
+    this.filename = options.filename || path.join(__dirname, 'trading_data.db');
+    // Writes run one at a time so none lands inside another caller's transaction; the
+    // statements of the transaction running now are marked by this store and skip the queue
+    this.writeQueue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
+  }
+
+  isReady() {
+    return Boolean(this.db);
   }
 
   async initialize() {
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(path.join(__dirname, 'trading_data.db'), (err) => {
+      const db = new sqlite3.Database(this.filename, (err) => {
         if (err) {
           console.error('Error opening database:', err);
           reject(err);
         } else {
           console.log('Connected to SQLite database');
+          this.db = db;
           this.createTables().then(resolve).catch(reject);
         }
       });
@@ -98,15 +109,203 @@ class Database {
         pips_gained REAL,
         accuracy_score REAL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS detector_cursors (
+        detector TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        last_candle_timestamp INTEGER NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (detector, symbol, timeframe)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS backtest_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        strategy TEXT NOT NULL,
+        symbols TEXT NOT NULL,
+        timeframes TEXT,
+        start_time INTEGER NOT NULL,
+        end_time INTEGER NOT NULL,
+        initial_capital REAL NOT NULL,
+        risk_per_trade REAL NOT NULL,
+        options TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        progress REAL DEFAULT 0,
+        error TEXT,
+        started_at INTEGER,
+        completed_at INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS backtest_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        final_capital REAL,
+        total_return REAL,
+        cancelled_orders INTEGER,
+        metrics TEXT,
+        equity_curve TEXT,
+        UNIQUE(run_id, symbol, timeframe)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS backtest_trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER NOT NULL,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        detector TEXT,
+        direction TEXT,
+        entry_type TEXT,
+        planned_entry REAL,
+        entry_price REAL,
+        exit_price REAL,
+        exit_reason TEXT,
+        pnl REAL,
+        commission REAL,
+        confidence REAL,
+        risk_reward REAL,
+        signal_time INTEGER,
+        entry_time INTEGER,
+        exit_time INTEGER
+      )`,
+
+      // Paper broker state; times are ms since epoch, metadata is JSON
+      `CREATE TABLE IF NOT EXISTS paper_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        type TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        price REAL,
+        stop_loss REAL,
+        take_profit REAL,
+        status TEXT NOT NULL,
+        reason TEXT,
+        fill_price REAL,
+        position_id INTEGER,
+        metadata TEXT,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        updated_at INTEGER
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS paper_positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER,
+        symbol TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        entry_price REAL NOT NULL,
+        stop_loss REAL,
+        take_profit REAL,
+        status TEXT NOT NULL,
+        close_price REAL,
+        close_reason TEXT,
+        pnl REAL,
+        commission REAL DEFAULT 0,
+        metadata TEXT,
+        opened_at INTEGER NOT NULL,
+        closed_at INTEGER,
+        updated_at INTEGER
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS risk_state (
+        scope TEXT PRIMARY KEY,
+        session_start INTEGER NOT NULL,
+        start_balance REAL,
+        daily_pnl REAL DEFAULT 0,
+        peak_pnl REAL DEFAULT 0,
+        trades INTEGER DEFAULT 0,
+        updated_at INTEGER NOT NULL
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS paper_fills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER,
+        position_id INTEGER,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        quantity REAL NOT NULL,
+        price REAL NOT NULL,
+        commission REAL DEFAULT 0,
+        kind TEXT NOT NULL,
+        timestamp INTEGER NOT NULL
       )`
     ];
 
     for (const table of tables) {
       await this.runQuery(table);
     }
+
+    await this.migrate();
+  }
+
+  // Columns added after the first release; CREATE TABLE IF NOT EXISTS leaves existing tables alone
+  async migrate() {
+    const signalColumns = {
+      signal_key: 'TEXT', // detector|symbol|timeframe|setup timestamp
+      detector: 'TEXT',
+      strategy: 'TEXT',
+      setup_timestamp: 'INTEGER',
+      status: 'TEXT', // pending, triggered, hit_tp, hit_sl, expired, invalidated
+      triggered_at: 'INTEGER',
+      closed_at: 'INTEGER',
+      close_price: 'REAL',
+      updated_at: 'DATETIME'
+    };
+    await this.addMissingColumns('trading_signals', signalColumns);
+    await this.runQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_trading_signals_key ON trading_signals(signal_key)');
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_trading_signals_status ON trading_signals(status)');
+
+    const performanceColumns = {
+      detector: 'TEXT',
+      strategy: 'TEXT',
+      direction: 'TEXT',
+      entry_price: 'REAL',
+      exit_price: 'REAL',
+      r_multiple: 'REAL', // result in units of initial risk (entry to stop)
+      mae: 'REAL', // maximum adverse excursion, in R
+      mfe: 'REAL', // maximum favourable excursion, in R
+      resolution_ms: 'INTEGER', // signal issued -> outcome known
+      triggered_at: 'INTEGER',
+      resolved_at: 'INTEGER'
+    };
+    await this.addMissingColumns('performance_logs', performanceColumns);
+    await this.runQuery('CREATE UNIQUE INDEX IF NOT EXISTS idx_performance_logs_signal ON performance_logs(signal_id)');
+
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_backtest_trades_run ON backtest_trades(run_id, symbol, timeframe)');
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_paper_orders_status ON paper_orders(status)');
+    await this.runQuery('CREATE INDEX IF NOT EXISTS idx_paper_positions_status ON paper_positions(status)');
+    await this.addMissingColumns('paper_positions', {
+      initial_quantity: 'REAL', // quantity before partial closes
+      partial_pnl: 'REAL DEFAULT 0' // gross P&L of partial closes, part of pnl once closed
+    });
+    await this.addMissingColumns('backtest_results', {
+      settings: 'TEXT', // JSON, Backtester.describe()
+      equity_timestamps: 'TEXT' // JSON, one per equity_curve point
+    });
+  }
+
+  async addMissingColumns(table, columns) {
+    const existing = new Set((await this.getQuery(`PRAGMA table_info(${table})`)).map(column => column.name));
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        await this.runQuery(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      }
+    }
   }
 
   runQuery(sql, params = []) {
+    if (this.inTransaction()) {
+      return this.execute(sql, params);
+    }
+    return this.enqueueWrite(() => this.execute(sql, params));
+  }
+
+  execute(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) {
@@ -118,6 +317,12 @@ class Database {
     });
   }
 
+  enqueueWrite(write) {
+    const run = this.writeQueue.then(write);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
   getQuery(sql, params = []) {
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
@@ -130,6 +335,34 @@ class Database {
     });
   }
 
+  // SQLite allows one transaction per connection, so transactions wait in the write queue
+  // with every other write. A transaction started inside another one joins it.
+  transaction(work) {
+    if (this.inTransaction()) {
+      return work();
+    }
+    // Work the transaction started but did not wait for queues like any other write once it ends
+    const scope = { open: true };
+    return this.enqueueWrite(() => this.transactionScope.run(scope, async () => {
+      await this.execute('BEGIN TRANSACTION');
+      try {
+        const result = await work();
+        await this.execute('COMMIT');
+        return result;
+      } catch (error) {
+        await this.execute('ROLLBACK');
+        throw error;
+      } finally {
+        scope.open = false;
+      }
+    }));
+  }
+
+  inTransaction() {
+    const scope = this.transactionScope.getStore();
+    return Boolean(scope && scope.open);
+  }
+
   async storeSymbols(symbols) {
     const stmt = `INSERT OR IGNORE INTO symbols (symbol, display_name, market) VALUES (?, ?, ?)`;
     
@@ -138,33 +371,45 @@ class Database {
     }
   }
 
+  // Upsert candles; the latest candle may still be forming, so a re-fetch
+  // overwrites the stored values instead of being ignored.
   async storeMarketData(symbol, timeframe, data) {
-    const stmt = `INSERT OR IGNORE INTO market_data 
+    const stmt = `INSERT INTO market_data 
       (symbol, timeframe, timestamp, open, high, low, close, volume) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-    
-    for (const candle of data) {
-      await this.runQuery(stmt, [
-        symbol,
-        timeframe,
-        candle.epoch,
-        candle.open,
-        candle.high,
-        candle.low,
-        candle.close,
-        candle.volume
-      ]);
-    }
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol, timeframe, timestamp) DO UPDATE SET
+        open = excluded.open, high = excluded.high, low = excluded.low,
+        close = excluded.close, volume = excluded.volume`;
+
+    await this.transaction(async () => {
+      for (const candle of data) {
+        await this.runQuery(stmt, [
+          symbol,
+          timeframe,
+          candle.timestamp !== undefined ? candle.timestamp : candle.epoch * 1000,
+          candle.open,
+          candle.high,
+          candle.low,
+          candle.close,
+          candle.volume
+        ]);
+      }
+    });
   }
 
+  // Signals are identified by signal_key; one that is already stored is skipped.
+  // Resolves to the signals that were new, with their row id.
   async storeSignals(signals) {
     const stmt = `INSERT INTO trading_signals 
       (symbol, timeframe, signal_type, direction, entry_price, stop_loss, take_profit, 
-       confidence_score, risk_reward_ratio, market_condition, choch_pattern, expires_at) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+       confidence_score, risk_reward_ratio, market_condition, choch_pattern, expires_at,
+       signal_key, detector, strategy, setup_timestamp, status, updated_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(signal_key) DO NOTHING`;
     
+    const stored = [];
     for (const signal of signals) {
-      await this.runQuery(stmt, [
+      const result = await this.runQuery(stmt, [
         signal.symbol,
         signal.timeframe,
         signal.type,
@@ -176,9 +421,36 @@ class Database {
         signal.riskReward,
         signal.marketCondition,
         JSON.stringify(signal.chochPattern),
-        signal.expiresAt
+        signal.expiresAt,
+        signal.signalKey,
+        signal.detector,
+        signal.strategy,
+        signal.setupTimestamp,
+        signal.status || 'pending'
       ]);
+      if (result.changes > 0) {
+        stored.push({ ...signal, id: result.id });
+      }
     }
+    return stored;
+  }
+
+  async updateSignalStatus(id, status, fields = {}) {
+    await this.runQuery(
+      `UPDATE trading_signals SET status = ?, triggered_at = COALESCE(?, triggered_at),
+         closed_at = COALESCE(?, closed_at), close_price = COALESCE(?, close_price),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, fields.triggeredAt ?? null, fields.closedAt ?? null, fields.closePrice ?? null, id]
+    );
+  }
+
+  async getActiveSignals() {
+    return await this.getQuery(
+      `SELECT * FROM trading_signals
+       WHERE signal_key IS NOT NULL AND status IN ('pending', 'triggered')
+       ORDER BY setup_timestamp ASC`
+    );
   }
 
   async storeCHOCHAnalysis(analysis) {
@@ -213,6 +485,15 @@ class Database {
     );
   }
 
+  async getMarketDataRange(symbol, timeframe, start, end) {
+    return await this.getQuery(
+      `SELECT timestamp, open, high, low, close, volume FROM market_data
+       WHERE symbol = ? AND timeframe = ? AND timestamp >= ? AND timestamp <= ?
+       ORDER BY timestamp ASC`,
+      [symbol, timeframe, start, end]
+    );
+  }
+
   async getLatestSignals(symbol, timeframe, limit = 50) {
     return await this.getQuery(
       'SELECT * FROM trading_signals WHERE symbol = ? AND timeframe = ? ORDER BY created_at DESC LIMIT ?',
@@ -220,6 +501,388 @@ class Database {
     );
   }
 
+  // Signals whose outcome can be settled: closed by the tracker or older than the horizon.
+  // Signals without a stop or target have no risk to measure R against and are left out.
+  async getUnevaluatedSignals(horizonStart, limit = 50) {
+    return await this.getQuery(
+      `SELECT s.* FROM trading_signals s
+       LEFT JOIN performance_logs p ON p.signal_id = s.id
+       WHERE p.id IS NULL AND s.signal_key IS NOT NULL AND s.entry_price IS NOT NULL
+         AND s.stop_loss IS NOT NULL AND s.take_profit IS NOT NULL
+         AND (s.closed_at IS NOT NULL OR s.setup_timestamp <= ?)
+       ORDER BY s.setup_timestamp ASC LIMIT ?`,
+      [horizonStart, limit]
+    );
+  }
+
+  async storePerformanceLog(log) {
+    await this.runQuery(
+      `INSERT INTO performance_logs
+        (symbol, timeframe, signal_id, outcome, pips_gained, accuracy_score, detector, strategy, direction,
+         entry_price, exit_price, r_multiple, mae, mfe, resolution_ms, triggered_at, resolved_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(signal_id) DO NOTHING`,
+      [
+        log.symbol,
+        log.timeframe,
+        log.signalId,
+        log.outcome,
+        log.pipsGained,
+        log.accuracyScore,
+        log.detector,
+        log.strategy,
+        log.direction,
+        log.entryPrice,
+        log.exitPrice,
+        log.rMultiple,
+        log.mae,
+        log.mfe,
+        log.resolutionMs,
+        log.triggeredAt,
+        log.resolvedAt
+      ]
+    );
+  }
+
+  // Outcome statistics, per detector, symbol and timeframe unless groupBy says otherwise
+  // ([] for one overall row). Trades are signals whose entry was reached; expired and
+  // invalidated signals are counted but carry no result. R is the result over the initial risk.
+  async getPerformanceSummary(filters = {}, groupBy = ['detector', 'symbol', 'timeframe']) {
+    const { where, params } = this.performanceFilters(filters);
+    const columns = groupBy.map(column => `${column}, `).join('');
+    const grouping = groupBy.length ? `GROUP BY ${groupBy.join(', ')} ORDER BY ${groupBy.join(', ')}` : '';
+
+    return await this.getQuery(
+      `SELECT ${columns}
+         COUNT(*) AS signals,
+         COALESCE(SUM(r_multiple IS NOT NULL), 0) AS trades,
+         COALESCE(SUM(r_multiple > 0), 0) AS wins,
+         COALESCE(SUM(r_multiple <= 0), 0) AS losses,
+         COALESCE(SUM(outcome = 'expired'), 0) AS expired,
+         COALESCE(SUM(outcome = 'invalidated'), 0) AS invalidated,
+         CAST(SUM(r_multiple > 0) AS REAL) / NULLIF(SUM(r_multiple IS NOT NULL), 0) AS win_rate,
+         AVG(CASE WHEN r_multiple > 0 THEN r_multiple END) AS avg_win_r,
+         AVG(CASE WHEN r_multiple <= 0 THEN r_multiple END) AS avg_loss_r,
+         TOTAL(CASE WHEN r_multiple > 0 THEN r_multiple END) /
+           NULLIF(-TOTAL(CASE WHEN r_multiple < 0 THEN r_multiple END), 0) AS profit_factor,
+         AVG(r_multiple) AS avg_r,
+         TOTAL(r_multiple) AS total_r,
+         AVG(mae) AS avg_mae,
+         AVG(mfe) AS avg_mfe,
+         AVG(resolution_ms) AS avg_resolution_ms
+       FROM performance_logs
+       ${where}
+       ${grouping}`,
+      params
+    );
+  }
+
+  async getPerformanceOutcomes(filters = {}) {
+    const { where, params } = this.performanceFilters(filters);
+    return await this.getQuery(
+      `SELECT outcome, COUNT(*) AS count FROM performance_logs ${where} GROUP BY outcome ORDER BY count DESC`,
+      params
+    );
+  }
+
+  // filters: detector, strategy, symbol, timeframe, from/to (ms, on the resolution time)
+  performanceFilters(filters) {
+    const conditions = [];
+    const params = [];
+    for (const column of ['detector', 'strategy', 'symbol', 'timeframe']) {
+      if (filters[column]) {
+        conditions.push(`${column} = ?`);
+        params.push(filters[column]);
+      }
+    }
+    if (filters.from) {
+      conditions.push('resolved_at >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('resolved_at <= ?');
+      params.push(filters.to);
+    }
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  async getDetectorCursors() {
+    return await this.getQuery('SELECT detector, symbol, timeframe, last_candle_timestamp FROM detector_cursors');
+  }
+
+  async setDetectorCursor(detector, symbol, timeframe, timestamp) {
+    await this.runQuery(
+      `INSERT INTO detector_cursors (detector, symbol, timeframe, last_candle_timestamp) VALUES (?, ?, ?, ?)
+       ON CONFLICT(detector, symbol, timeframe) DO UPDATE SET
+         last_candle_timestamp = excluded.last_candle_timestamp, updated_at = CURRENT_TIMESTAMP`,
+      [detector, symbol, timeframe, timestamp]
+    );
+  }
+
+  // Backtest runs: symbols, timeframes and options are stored as JSON
+  async createBacktestRun(run) {
+    const result = await this.runQuery(
+      `INSERT INTO backtest_runs
+        (strategy, symbols, timeframes, start_time, end_time, initial_capital, risk_per_trade, options, status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'queued')`,
+      [
+        run.strategy,
+        JSON.stringify(run.symbols),
+        run.timeframes ? JSON.stringify(run.timeframes) : null,
+        run.from,
+        run.to,
+        run.initialCapital,
+        run.riskPerTrade,
+        JSON.stringify(run.options || {})
+      ]
+    );
+    return result.id;
+  }
+
+  async updateBacktestRun(id, status, fields = {}) {
+    await this.runQuery(
+      `UPDATE backtest_runs SET status = ?, progress = COALESCE(?, progress), error = COALESCE(?, error),
+         started_at = COALESCE(?, started_at), completed_at = COALESCE(?, completed_at)
+       WHERE id = ?`,
+      [status, fields.progress ?? null, fields.error ?? null, fields.startedAt ?? null, fields.completedAt ?? null, id]
+    );
+  }
+
+  // Runs cut short by a restart can not resume
+  async failInterruptedBacktests() {
+    const result = await this.runQuery(
+      `UPDATE backtest_runs SET status = 'failed', error = 'Interrupted by a server restart', completed_at = ?
+       WHERE status IN ('queued', 'running')`,
+      [Date.now()]
+    );
+    return result.changes;
+  }
+
+  // One symbol/timeframe of a run, with its trades
+  async storeBacktestResult(runId, result) {
+    const tradeStmt = `INSERT INTO backtest_trades
+      (run_id, symbol, timeframe, detector, direction, entry_type, planned_entry, entry_price, exit_price,
+       exit_reason, pnl, commission, confidence, risk_reward, signal_time, entry_time, exit_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+    await this.transaction(async () => {
+      await this.runQuery(
+        `INSERT INTO backtest_results
+          (run_id, symbol, timeframe, final_capital, total_return, cancelled_orders, metrics, equity_curve,
+           settings, equity_timestamps)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          runId,
+          result.symbol,
+          result.timeframe,
+          result.finalCapital,
+          result.totalReturn,
+          result.cancelledOrders,
+          JSON.stringify(result.metrics),
+          JSON.stringify(result.equityCurve),
+          JSON.stringify(result.settings || {}),
+          JSON.stringify(result.equityTimestamps || [])
+        ]
+      );
+      for (const trade of result.trades) {
+        await this.runQuery(tradeStmt, [
+          runId,
+          result.symbol,
+          result.timeframe,
+          trade.detector,
+          trade.direction,
+          trade.entryType,
+          trade.plannedEntry,
+          trade.entry,
+          trade.exit,
+          trade.exitReason,
+          trade.pnl,
+          trade.commission,
+          trade.confidence,
+          trade.riskReward,
+          trade.signalTime,
+          trade.entryTime,
+          trade.exitTime
+        ]);
+      }
+    });
+  }
+
+  async getBacktestRuns(limit = 50) {
+    return await this.getQuery('SELECT * FROM backtest_runs ORDER BY id DESC LIMIT ?', [limit]);
+  }
+
+  async getBacktestRun(id) {
+    const [run] = await this.getQuery('SELECT * FROM backtest_runs WHERE id = ?', [id]);
+    return run || null;
+  }
+
+  // Equity curves are left out unless asked for; they hold one point per replayed candle
+  async getBacktestResults(runIds, options = {}) {
+    if (runIds.length === 0) {
+      return [];
+    }
+    const columns = options.equityCurve
+      ? '*'
+      : 'id, run_id, symbol, timeframe, final_capital, total_return, cancelled_orders, metrics, settings';
+    return await this.getQuery(
+      `SELECT ${columns} FROM backtest_results WHERE run_id IN (${runIds.map(() => '?').join(', ')}) ORDER BY id ASC`,
+      runIds
+    );
+  }
+
+  async getBacktestTrades(runId) {
+    return await this.getQuery('SELECT * FROM backtest_trades WHERE run_id = ? ORDER BY symbol, timeframe, entry_time, id', [runId]);
+  }
+
+  // Paper broker: orders, positions and fills
+  async createPaperOrder(order) {
+    const result = await this.runQuery(
+      `INSERT INTO paper_orders
+        (symbol, side, type, quantity, price, stop_loss, take_profit, status, metadata, created_at, expires_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        order.symbol,
+        order.side,
+        order.type,
+        order.quantity,
+        order.price ?? null,
+        order.stopLoss ?? null,
+        order.takeProfit ?? null,
+        order.status,
+        JSON.stringify(order.metadata || {}),
+        order.createdAt,
+        order.expiresAt ?? null,
+        order.createdAt
+      ]
+    );
+    return result.id;
+  }
+
+  async updatePaperOrder(id, status, fields = {}) {
+    await this.runQuery(
+      `UPDATE paper_orders SET status = ?, reason = COALESCE(?, reason), fill_price = COALESCE(?, fill_price),
+         position_id = COALESCE(?, position_id), updated_at = ?
+       WHERE id = ?`,
+      [status, fields.reason ?? null, fields.fillPrice ?? null, fields.positionId ?? null, fields.updatedAt ?? Date.now(), id]
+    );
+  }
+
+  async createPaperPosition(position) {
+    const result = await this.runQuery(
+      `INSERT INTO paper_positions
+        (order_id, symbol, direction, quantity, initial_quantity, entry_price, stop_loss, take_profit, status,
+         commission, metadata, opened_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?, ?, ?)`,
+      [
+        position.orderId ?? null,
+        position.symbol,
+        position.direction,
+        position.quantity,
+        position.quantity,
+        position.entryPrice,
+        position.stopLoss ?? null,
+        position.takeProfit ?? null,
+        position.commission || 0,
+        JSON.stringify(position.metadata || {}),
+        position.openedAt,
+        position.openedAt
+      ]
+    );
+    return result.id;
+  }
+
+  async closePaperPosition(id, fields) {
+    await this.runQuery(
+      `UPDATE paper_positions SET status = 'closed', close_price = ?, close_reason = ?, pnl = ?, commission = ?,
+         closed_at = ?, updated_at = ?
+       WHERE id = ?`,
+      [fields.closePrice, fields.closeReason, fields.pnl, fields.commission, fields.closedAt, fields.closedAt, id]
+    );
+  }
+
+  // Changes to an open position: moved stops, partial closes, management state
+  async updatePaperPosition(id, fields) {
+    await this.runQuery(
+      `UPDATE paper_positions SET quantity = COALESCE(?, quantity), stop_loss = COALESCE(?, stop_loss),
+         take_profit = COALESCE(?, take_profit), partial_pnl = COALESCE(?, partial_pnl),
+         commission = COALESCE(?, commission), metadata = COALESCE(?, metadata), updated_at = ?
+       WHERE id = ?`,
+      [
+        fields.quantity ?? null,
+        fields.stopLoss ?? null,
+        fields.takeProfit ?? null,
+        fields.partialPnl ?? null,
+        fields.commission ?? null,
+        fields.metadata ? JSON.stringify(fields.metadata) : null,
+        fields.updatedAt ?? Date.now(),
+        id
+      ]
+    );
+  }
+
+  // Records that a position was checked against prices up to `timestamp`
+  async touchPaperPosition(id, timestamp) {
+    await this.runQuery('UPDATE paper_positions SET updated_at = ? WHERE id = ?', [timestamp, id]);
+  }
+
+  async storePaperFill(fill) {
+    const result = await this.runQuery(
+      `INSERT INTO paper_fills (order_id, position_id, symbol, side, quantity, price, commission, kind, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fill.orderId ?? null,
+        fill.positionId ?? null,
+        fill.symbol,
+        fill.side,
+        fill.quantity,
+        fill.price,
+        fill.commission || 0,
+        fill.kind,
+        fill.timestamp
+      ]
+    );
+    return result.id;
+  }
+
+  async getPaperOrders(filters = {}) {
+    const where = filters.status ? 'WHERE status = ?' : '';
+    const params = filters.status ? [filters.status] : [];
+    return await this.getQuery(`SELECT * FROM paper_orders ${where} ORDER BY id DESC LIMIT ?`, [...params, filters.limit || 100]);
+  }
+
+  async getPaperPositions(filters = {}) {
+    const where = filters.status ? 'WHERE status = ?' : '';
+    const params = filters.status ? [filters.status] : [];
+    return await this.getQuery(`SELECT * FROM paper_positions ${where} ORDER BY id DESC LIMIT ?`, [...params, filters.limit || 100]);
+  }
+
+  async getPaperFills(limit = 100) {
+    return await this.getQuery('SELECT * FROM paper_fills ORDER BY id DESC LIMIT ?', [limit]);
+  }
+
+  async getPaperRealizedPnl() {
+    const [row] = await this.getQuery(`SELECT TOTAL(pnl) AS pnl FROM paper_positions WHERE status = 'closed'`);
+    return row.pnl;
+  }
+
+  // Daily risk counters of one account (scope: the broker's name)
+  async getRiskState(scope) {
+    const [row] = await this.getQuery('SELECT * FROM risk_state WHERE scope = ?', [scope]);
+    return row || null;
+  }
+
+  async saveRiskState(scope, state) {
+    await this.runQuery(
+      `INSERT INTO risk_state (scope, session_start, start_balance, daily_pnl, peak_pnl, trades, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(scope) DO UPDATE SET session_start = excluded.session_start, start_balance = excluded.start_balance,
+         daily_pnl = excluded.daily_pnl, peak_pnl = excluded.peak_pnl, trades = excluded.trades,
+         updated_at = excluded.updated_at`,
+      [scope, state.sessionStart, state.startBalance ?? null, state.dailyPnL, state.peakPnL, state.trades, state.updatedAt ?? Date.now()]
+    );
+  }
+
   async getCHOCHAnalysis(symbol, timeframe, limit = 20) {
     return await this.getQuery(
       'SELECT * FROM choch_analysis WHERE symbol = ? AND timeframe = ? ORDER BY created_at DESC LIMIT ?',
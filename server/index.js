@@ -6,14 +6,21 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const axios = require('axios');
-const cron = require('node-cron');
+const config = require('./config');
 const Database = require('./database');
 const CHOCHDetector = require('./services/choch-detector');
 const SignalGenerator = require('./services/signal-generator');
 const MarketDataService = require('./services/market-data');
 const RiskManager = require('./services/risk-manager');
+const PositionSizer = require('./services/position-sizer');
 const WebSocketService = require('./services/websocket-service');
 const PureCRTDetector = require('./services/pure-crt-detector');
+const CandleStream = require('./services/candle-stream');
+const DetectionPipeline = require('./services/detection-pipeline');
+const SignalTracker = require('./services/signal-tracker');
+const SignalEvaluator = require('./services/signal-evaluator');
+const BacktestRunner = require('./services/backtest-runner');
+const { listAdapters } = require('./services/strategy-adapters');
 const { z } = require('zod');
 
 const app = express();
@@ -26,13 +33,19 @@ const port = Number(process.env.PORT) || 8082;
 const db = new Database();
 const chochDetector = new CHOCHDetector();
 const signalGenerator = new SignalGenerator();
-const marketDataService = new MarketDataService();
-const riskManager = new RiskManager();
+const marketDataService = new MarketDataService({ database: db });
+// Reads the daily risk state the live trader saves for its broker account
+const riskManager = new RiskManager({ database: db, scope: config.features.paperTrading ? 'paper' : 'deriv' });
 const wsService = new WebSocketService();
+const candleStream = new CandleStream({ marketDataService, wsService });
 const pureCrtDetector = new PureCRTDetector({
   driverTimeframe: '5m',
   entryTimeframe: '1m'
 });
+const detectionPipeline = new DetectionPipeline({ marketDataService, candleStream, database: db });
+const signalTracker = new SignalTracker({ marketDataService, candleStream, database: db });
+const signalEvaluator = new SignalEvaluator({ marketDataService, database: db });
+const backtestRunner = new BacktestRunner({ marketDataService, database: db });
 
 // Deriv API Configuration
 const DERIV_TOKEN = process.env.DERIV_TOKEN || '';
@@ -78,6 +91,8 @@ const symbolSchema = z.string().min(1);
 wss.on('connection', (ws) => {
   console.log('New WebSocket client connected');
   
+  ws.subscriptions = new Set();
+
   ws.on('message', (message) => {
     try {
       const data = JSON.parse(message);
@@ -85,18 +100,26 @@ wss.on('connection', (ws) => {
       
       // Handle different message types
       if (data.type === 'subscribe') {
-        // Handle subscription logic
-        ws.subscriptions = ws.subscriptions || new Set();
-        const subKey = `${data.symbol}|${data.timeframe}`;
+        const timeframe = timeframeSchema.parse(data.timeframe || '1m');
+        const symbol = marketDataService.normalizeSymbol(symbolSchema.parse(data.symbol));
+        const subKey = `${symbol}|${timeframe}`;
+        if (ws.subscriptions.has(subKey)) return;
         ws.subscriptions.add(subKey);
+        candleStream.subscribe(symbol, [timeframe])
+          .then(() => {
+            const candle = candleStream.getCurrentCandle(symbol, timeframe);
+            if (candle && ws.readyState === WebSocket.OPEN) {
+              ws.send(JSON.stringify({ type: 'candle_update', symbol, timeframe, candle }));
+            }
+          })
+          .catch(error => console.error(`Error streaming ${subKey}:`, error.message));
         console.log(`Client subscribed to ${subKey}`);
       } else if (data.type === 'unsubscribe') {
-        // Handle unsubscription logic
-        if (ws.subscriptions) {
-          const subKey = `${data.symbol}|${data.timeframe}`;
-          ws.subscriptions.delete(subKey);
-          console.log(`Client unsubscribed from ${subKey}`);
+        const subKey = `${marketDataService.normalizeSymbol(data.symbol)}|${data.timeframe || '1m'}`;
+        if (ws.subscriptions.delete(subKey)) {
+          releaseStream(subKey);
         }
+        console.log(`Client unsubscribed from ${subKey}`);
       }
     } catch (error) {
       console.error('Error processing WebSocket message:', error);
@@ -105,10 +128,10 @@ wss.on('connection', (ws) => {
 
   ws.on('close', () => {
     console.log('Client disconnected');
-    // Clean up any resources
-    if (ws.subscriptions) {
-      ws.subscriptions.clear();
-    }
+    // Release this client's streams
+    const subKeys = Array.from(ws.subscriptions);
+    ws.subscriptions.clear();
+    subKeys.forEach(releaseStream);
   });
 
   // Send initial connection message
@@ -128,6 +151,34 @@ function broadcast(data) {
   });
 }
 
+// Send data to the clients subscribed to `${symbol}|${timeframe}`
+function broadcastToSubscribers(subKey, data) {
+  const payload = JSON.stringify(data);
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN && client.subscriptions && client.subscriptions.has(subKey)) {
+      client.send(payload);
+    }
+  });
+}
+
+// Release one client's hold on a symbol/timeframe stream; the stream stops
+// once no client (or the detection pipeline) still needs it
+function releaseStream(subKey) {
+  const [symbol, timeframe] = subKey.split('|');
+  candleStream.unsubscribe(symbol, [timeframe]).catch(error => {
+    console.error(`Error stopping stream ${subKey}:`, error.message);
+  });
+}
+
+// Live candles from the tick stream
+candleStream.on('candleUpdate', ({ symbol, timeframe, candle }) => {
+  broadcastToSubscribers(`${symbol}|${timeframe}`, { type: 'candle_update', symbol, timeframe, candle });
+});
+
+candleStream.on('candleClosed', ({ symbol, timeframe, candle }) => {
+  broadcastToSubscribers(`${symbol}|${timeframe}`, { type: 'candle_closed', symbol, timeframe, candle });
+});
+
 // API Routes
 app.get('/api/symbols', async (req, res) => {
   try {
@@ -166,6 +217,8 @@ app.get('/api/signals/:symbol/:timeframe', async (req, res) => {
     }
     
     const signals = await getTradingSignals(symbol, timeframe, strategy);
+    // Stored and tracked once per setup; a repeated request only returns them
+    await signalTracker.register(signals, { detector: 'signal_generator', symbol, timeframe, strategy });
     res.json(signals);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -197,6 +250,170 @@ app.get('/api/risk-analysis/:symbol', async (req, res) => {
   }
 });
 
+// Daily risk counters of the live trader's account, rolled over if its session has ended
+app.get('/api/risk/state', async (req, res) => {
+  try {
+    res.json(await riskManager.readState());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dates as epoch milliseconds or anything Date.parse accepts (e.g. 2024-05-01)
+const dateSchema = z.preprocess(
+  value => (/^\d+$/.test(value) ? Number(value) : Date.parse(value)),
+  z.number().finite()
+);
+const performanceQuerySchema = z.object({
+  detector: z.string().min(1).optional(),
+  strategy: z.string().min(1).optional(),
+  symbol: symbolSchema.optional(),
+  timeframe: timeframeSchema.optional(),
+  from: dateSchema.optional(),
+  to: dateSchema.optional()
+});
+
+// Track record of evaluated signals (see services/signal-evaluator.js)
+app.get('/api/performance', async (req, res) => {
+  const parsed = performanceQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join(', ') });
+  }
+
+  try {
+    const filters = { ...parsed.data };
+    if (filters.symbol) {
+      filters.symbol = marketDataService.normalizeSymbol(filters.symbol);
+    }
+
+    const [[overall], groups, outcomes] = await Promise.all([
+      db.getPerformanceSummary(filters, []),
+      db.getPerformanceSummary(filters),
+      db.getPerformanceOutcomes(filters)
+    ]);
+    const withExpectancy = stats => ({
+      ...stats,
+      // Average R per trade, from the win rate and the average win and loss
+      expectancy: stats.trades > 0
+        ? stats.win_rate * (stats.avg_win_r || 0) + (1 - stats.win_rate) * (stats.avg_loss_r || 0)
+        : null
+    });
+
+    res.json({
+      filters,
+      overall: withExpectancy(overall),
+      groups: groups.map(withExpectancy),
+      outcomes: Object.fromEntries(outcomes.map(({ outcome, count }) => [outcome, count]))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const backtestRequestSchema = z.object({
+  strategy: z.string().refine(name => listAdapters().includes(name), {
+    message: `Must be one of: ${listAdapters().join(', ')}`
+  }),
+  symbols: z.array(symbolSchema).min(1),
+  timeframes: z.array(timeframeSchema).min(1).optional(), // the strategy's own timeframe by default
+  from: dateSchema,
+  to: dateSchema.optional(),
+  initialCapital: z.number().positive().default(10000),
+  riskPerTrade: z.number().positive().max(0.1).default(0.01),
+  entryType: z.enum(['market', 'limit']).optional(),
+  spread: z.number().min(0).optional(),
+  slippage: z.number().min(0).optional(),
+  commission: z.number().min(0).optional(),
+  tieBreak: z.enum(['stop', 'target', 'open']).optional(),
+  maxLeverage: z.number().positive().optional(),
+  // Overrides config.management.default, see services/trade-manager.js
+  management: z.object({
+    breakeven: z.object({ atR: z.number().positive(), offsetR: z.number().optional() }).nullable().optional(),
+    trailing: z.object({
+      multiplier: z.number().positive(),
+      activateR: z.number().min(0).optional(),
+      period: z.number().int().positive().optional()
+    }).nullable().optional(),
+    targets: z.array(z.object({ atR: z.number().positive(), fraction: z.number().positive().max(1) })).optional(),
+    maxDuration: z.number().int().positive().nullable().optional()
+  }).optional(),
+  // Sizing model and settings overriding config.trading.risk, see services/position-sizer.js
+  positionSizing: z.enum(PositionSizer.models()).optional(),
+  sizing: z.object({
+    fixedAmount: z.number().positive().optional(),
+    volatility: z.object({ period: z.number().int().positive().optional(), multiplier: z.number().positive().optional() }).optional(),
+    kelly: z.object({
+      fraction: z.number().positive().max(1).optional(),
+      minTrades: z.number().int().min(0).optional(),
+      maxRisk: z.number().positive().max(0.1).optional()
+    }).optional(),
+    confidence: z.object({
+      minConfidence: z.number().min(0).max(0.99).optional(),
+      minScale: z.number().min(0).optional(),
+      maxScale: z.number().positive().optional()
+    }).optional()
+  }).optional()
+}).refine(({ from, to = Date.now() }) => from < to, { message: 'from must be before to', path: ['from'] });
+
+// Backtests run in the background and report progress over the WebSocket (see services/backtest-runner.js)
+app.post('/api/backtests', async (req, res) => {
+  const parsed = backtestRequestSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join(', ') });
+  }
+
+  try {
+    const run = await backtestRunner.submit({ ...parsed.data, to: parsed.data.to || Date.now() });
+    res.status(202).json(run);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/backtests', async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    res.json(await backtestRunner.listRuns(limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/backtests/:id', async (req, res) => {
+  try {
+    const run = await backtestRunner.getRun(Number(req.params.id));
+    if (!run) {
+      return res.status(404).json({ error: 'Backtest run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const REPORT_CONTENT_TYPES = { html: 'text/html', json: 'application/json', csv: 'text/csv' };
+
+// ?format=html|json|csv; symbol and timeframe pick one result of a multi-symbol run
+app.get('/api/backtests/:id/report', async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!REPORT_CONTENT_TYPES[format]) {
+      return res.status(400).json({ error: `Unknown format ${format}. Must be one of: ${Object.keys(REPORT_CONTENT_TYPES).join(', ')}` });
+    }
+    const symbol = req.query.symbol ? marketDataService.normalizeSymbol(req.query.symbol) : undefined;
+    const report = await backtestRunner.getReport(Number(req.params.id), format, { symbol, timeframe: req.query.timeframe });
+    if (report === null) {
+      return res.status(404).json({ error: 'Backtest result not found' });
+    }
+    if (format !== 'html') {
+      res.attachment(`backtest-${req.params.id}.${format}`);
+    }
+    res.type(REPORT_CONTENT_TYPES[format]).send(report);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Pure CRT endpoint
 app.get('/api/pure-crt', async (req, res) => {
   try {
@@ -331,6 +548,8 @@ app.get('/api/debug/market-data', async (req, res) => {
 app.post('/api/analysis/start', async (req, res) => {
   try {
     analysisEnabled = true;
+    const symbols = await marketDataService.getActiveSymbols();
+    await detectionPipeline.start(symbols.map(s => s.symbol));
     return res.json({ status: 'started' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -340,6 +559,7 @@ app.post('/api/analysis/start', async (req, res) => {
 app.post('/api/analysis/stop', async (req, res) => {
   try {
     analysisEnabled = false;
+    await detectionPipeline.stop();
     return res.json({ status: 'stopped' });
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -350,11 +570,13 @@ app.get('/api/analysis/status', (req, res) => {
   res.json({ enabled: analysisEnabled });
 });
 
-// Get trading signals with CHOCH detection
-async function getTradingSignals(symbol, timeframe, strategy = 'daytrading') {
+// Get trading signals with CHOCH detection. dataSource defaults to the live market data;
+// the detection pipeline passes a view that ends at the candle that just closed.
+// Signals without their own setupTimestamp are keyed to the last candle they saw.
+async function getTradingSignals(symbol, timeframe, strategy = 'daytrading', dataSource = marketDataService) {
   try {
     // Get market data
-    const marketData = await marketDataService.getMarketData(symbol, timeframe);
+    const marketData = await dataSource.getMarketData(symbol, timeframe);
     
     // Detect CHOCH patterns
     const chochAnalysis = await chochDetector.analyze(symbol, timeframe, marketData);
@@ -366,21 +588,19 @@ async function getTradingSignals(symbol, timeframe, strategy = 'daytrading') {
       marketData,
       chochAnalysis,
       riskManager,
-      strategy // Pass the strategy to the signal generator
+      strategy, // Pass the strategy to the signal generator
+      marketDataService: dataSource
     });
 
     // Ensure required fields for storage
+    const lastCandle = marketData[marketData.length - 1];
     signals = (signals || []).map(s => ({
       symbol,
       timeframe,
+      setupTimestamp: lastCandle && lastCandle.timestamp,
       ...s
     }));
 
-    // Store signals in database
-    if (signals && signals.length) {
-      await db.storeSignals(signals);
-    }
-
     return signals;
   } catch (error) {
     console.error('Error generating signals:', error);
@@ -388,77 +608,71 @@ async function getTradingSignals(symbol, timeframe, strategy = 'daytrading') {
   }
 }
 
-// Background job for continuous analysis (controlled by analysisEnabled)
-const scheduledTask = cron.schedule('*/5 * * * *', async () => {
-  if (!analysisEnabled) return;
-  console.log('Running scheduled market analysis...');
-  try {
-    const symbols = await marketDataService.getActiveSymbols();
-    
-    for (const symbol of symbols) {
-      const timeframes = ['1m', '5m', '15m', '1h', '4h'];
-      
-      for (const timeframe of timeframes) {
-        const signals = await getTradingSignals(symbol, timeframe);
-        
-        if (signals.length > 0) {
-          broadcast({
-            type: 'new_signals',
-            symbol,
-            timeframe,
-            signals
-          });
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Scheduled analysis error:', error);
+// Detection runs when a candle closes on a detector's timeframe (see detection-pipeline.js)
+detectionPipeline.register('signal_generator', {
+  timeframes: ['1m', '5m', '15m', '1h', '4h'],
+  detect: async ({ symbol, timeframe, candle, marketData }) => {
+    const signals = await getTradingSignals(symbol, timeframe, 'daytrading', marketData);
+    return signalTracker.register(signals, { detector: 'signal_generator', symbol, timeframe, candle, strategy: 'daytrading' });
   }
-}, { scheduled: true });
+});
 
-// Pure CRT scheduled scanner (runs every 2 minutes)
-const pureCrtScheduledTask = cron.schedule('*/2 * * * *', async () => {
-  if (!analysisEnabled) return;
-  
-  try {
-    const symbols = await marketDataService.getActiveSymbols();
-    const allSignals = [];
-    
-    for (const symbol of symbols) {
-      try {
-        const signals = await pureCrtDetector.detect(symbol, marketDataService);
-        if (signals.length > 0) {
-          allSignals.push({ symbol, signals });
-          // Store signals in database if needed
-          await db.storeSignals(signals);
-        }
-      } catch (error) {
-        console.error(`Error processing ${symbol}:`, error);
-      }
-    }
-    
-    // Broadcast via WebSocket
-    if (allSignals.length > 0) {
-      broadcast({
-        type: 'pure_crt_signals',
-        data: allSignals,
-        timestamp: new Date()
-      });
-    }
-  } catch (error) {
-    console.error('Error in Pure CRT scanner:', error);
+detectionPipeline.register('pure_crt', {
+  timeframes: [pureCrtDetector.driverTimeframe],
+  detect: async ({ symbol, timeframe, candle, marketData }) => {
+    const signals = await pureCrtDetector.detect(symbol, marketData);
+    return signalTracker.register(signals, { detector: 'pure_crt', symbol, timeframe, candle });
+  }
+});
+
+detectionPipeline.on('signals', ({ detector, symbol, timeframe, signals }) => {
+  if (detector === 'pure_crt') {
+    broadcast({
+      type: 'pure_crt_signals',
+      data: [{ symbol, signals }],
+      timestamp: new Date()
+    });
+  } else {
+    broadcast({
+      type: 'new_signals',
+      symbol,
+      timeframe,
+      signals
+    });
   }
-}, { scheduled: true });
+});
 
-// Start with tasks running but disabled by flag
-scheduledTask.start();
-pureCrtScheduledTask.start();
+// Every lifecycle change of a stored signal: pending, triggered, hit_tp, hit_sl, expired, invalidated
+signalTracker.on('signalUpdate', ({ signal, previousStatus, status }) => {
+  broadcast({
+    type: 'signal_update',
+    signal,
+    previousStatus,
+    status,
+    timestamp: new Date()
+  });
+});
+
+backtestRunner.on('progress', ({ id, progress, symbol, timeframe }) => {
+  broadcast({ type: 'backtest_progress', id, progress, symbol, timeframe, timestamp: new Date() });
+});
+
+backtestRunner.on('completed', ({ run }) => {
+  broadcast({ type: 'backtest_completed', run, timestamp: new Date() });
+});
+
+backtestRunner.on('failed', ({ run, error }) => {
+  broadcast({ type: 'backtest_failed', run, error, timestamp: new Date() });
+});
 
 // Initialize services on startup
 async function initializeServices() {
   try {
     await db.initialize();
     await marketDataService.initialize(DERIV_TOKEN, DERIV_APP_ID);
+    await signalTracker.start();
+    signalEvaluator.start();
+    await backtestRunner.start();
     console.log('Services initialized successfully');
   } catch (error) {
     console.error('Service initialization error:', error);
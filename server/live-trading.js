@@ -1,17 +1,50 @@
 const WebSocket = require('ws');
 const config = require('./config');
+const Database = require('./database');
 const SignalGenerator = require('./services/signal-generator');
 const MarketDataService = require('./services/market-data');
 const RiskManager = require('./services/risk-manager');
+const WebSocketService = require('./services/websocket-service');
+const CandleStream = require('./services/candle-stream');
+const PaperBroker = require('./services/paper-broker');
+const DerivBroker = require('./services/deriv-broker');
+const TradeManager = require('./services/trade-manager');
+const PositionPolicy = require('./services/position-policy');
+const { timeframeToMs } = require('./services/timeframes');
 const { log } = require('./utils/logger');
 
 class LiveTrading {
   constructor() {
     this.signalGenerator = new SignalGenerator();
     this.marketDataService = new MarketDataService();
-    this.riskManager = new RiskManager();
-    this.activeSubscriptions = new Map();
-    this.activeTrades = new Map();
+    this.wsService = new WebSocketService();
+    this.candleStream = new CandleStream({
+      marketDataService: this.marketDataService,
+      wsService: this.wsService
+    });
+    this.database = new Database();
+    // Orders go to the paper broker while features.paperTrading is on, to Deriv otherwise
+    this.broker = config.features.paperTrading
+      ? new PaperBroker({
+        database: this.database,
+        marketDataService: this.marketDataService,
+        candleStream: this.candleStream
+      })
+      : new DerivBroker({ marketDataService: this.marketDataService });
+    // Daily limits are kept per broker account and survive restarts. Deriv contracts are
+    // bought by stake, so sizes below its minimum stake are not traded.
+    this.riskManager = new RiskManager({
+      database: this.database,
+      scope: this.broker.name,
+      stake: this.broker.minStake ? { minStake: this.broker.minStake, multiplier: this.broker.multiplier } : null
+    });
+    // Breakeven, trailing stops, scale-outs and time exits, as in backtests
+    this.tradeManager = new TradeManager({ riskManager: this.riskManager });
+    // Position caps, opposite signals and pyramiding (config.positions)
+    this.positionPolicy = new PositionPolicy();
+    this.activeTrades = new Map(); // trade id -> pending order or open position
+    this.signalQueue = Promise.resolve(); // candle closes are checked for signals one at a time
+    this.nextTradeId = 1;
     this.initialize();
   }
 
@@ -21,12 +54,19 @@ class LiveTrading {
       this.symbols = config.trading.symbols || [];
       this.timeframes = config.trading.timeframes || ['15m'];
       this.strategy = config.trading.strategy || 'daytrading';
+
+      await this.database.initialize();
+      const risk = await this.riskManager.loadState();
+      this.riskManager.scheduleReset();
+      log('info', `Risk session since ${new Date(risk.sessionStart).toISOString()}: P&L ${risk.dailyPnL.toFixed(2)} over ${risk.todayTrades} trades`);
       
       // Set account balance if provided
       if (config.trading.accountBalance) {
         this.riskManager.setAccountBalance(config.trading.accountBalance);
       }
 
+      await this.startBroker();
+
       log('info', `Starting live trading with ${this.symbols.length} symbols and ${this.timeframes.length} timeframes`);
       
       // Start WebSocket connections
@@ -41,6 +81,168 @@ class LiveTrading {
     }
   }
 
+  // Restore the broker's open orders and positions as active trades and follow their updates
+  async startBroker() {
+    this.broker.on('order', ({ order, status }) => {
+      const trade = this.findTrade('orderId', order.id);
+      if (['cancelled', 'expired', 'rejected'].includes(status) && trade) {
+        log('info', `Order for ${order.symbol} ${status}${order.reason ? ` (${order.reason})` : ''}`);
+        this.activeTrades.delete(trade.id);
+      }
+    });
+    this.broker.on('position', ({ position, status }) => {
+      if (status === 'open') {
+        // A filled order of ours, or a position opened before it was tracked
+        const pending = position.orderId != null && this.findTrade('orderId', position.orderId);
+        if (pending) {
+          Object.assign(pending, { status: 'open', positionId: position.id, entry: position.entryPrice, openTime: new Date(position.openedAt) });
+          this.startManagement(pending, position);
+        } else if (!this.findTrade('positionId', position.id)) {
+          this.startManagement(this.addTrade(this.tradeFromPosition(position)), position);
+        }
+        return;
+      }
+
+      const trade = this.findTrade('positionId', position.id);
+      if (!trade) return;
+      if (status === 'updated') {
+        Object.assign(trade, { stopLoss: position.stopLoss, takeProfit: position.takeProfit, size: position.quantity });
+      } else if (status === 'closed') {
+        this.riskManager.updateTradeResult(position.pnl);
+        log('info', `Closed ${position.direction} trade for ${position.symbol} at ${position.closePrice} (${position.closeReason})`);
+        log('info', `- P&L: ${position.pnl > 0 ? '+' : ''}${position.pnl.toFixed(2)}`);
+        this.activeTrades.delete(trade.id);
+      }
+    });
+
+    await this.broker.start();
+
+    for (const order of this.broker.getOpenOrders()) {
+      if (!this.findTrade('orderId', order.id)) {
+        this.addTrade(this.tradeFromOrder(order));
+      }
+    }
+    for (const position of this.broker.getOpenPositions()) {
+      if (!this.findTrade('positionId', position.id)) {
+        this.startManagement(this.addTrade(this.tradeFromPosition(position)), position);
+      }
+    }
+    this.candleStream.on('tick', ({ symbol, price, timestamp }) => {
+      this.tradesFor(symbol).forEach(trade => this.manageTrade(trade, price, timestamp));
+    });
+    this.candleStream.on('candleClosed', ({ symbol, timeframe }) => {
+      this.tradesFor(symbol)
+        .filter(trade => trade.management && trade.timeframe === timeframe)
+        .forEach(trade => this.refreshVolatility(trade));
+    });
+    this.riskManager.setAccountBalance(this.broker.getAccount().balance);
+    log('info', `${this.broker.name} broker: restored ${this.activeTrades.size} active trades, balance ${this.broker.getAccount().balance.toFixed(2)}`);
+  }
+
+  addTrade(trade) {
+    trade.id = this.nextTradeId++;
+    this.activeTrades.set(trade.id, trade);
+    return trade;
+  }
+
+  // The active trade whose key (orderId, positionId) is id
+  findTrade(key, id) {
+    return Array.from(this.activeTrades.values()).find(trade => trade[key] === id) || null;
+  }
+
+  tradesFor(symbol) {
+    return Array.from(this.activeTrades.values()).filter(trade => trade.symbol === symbol);
+  }
+
+  tradeFromOrder(order) {
+    return {
+      symbol: order.symbol,
+      direction: order.side,
+      entry: order.price,
+      stopLoss: order.stopLoss,
+      initialStop: order.stopLoss,
+      takeProfit: order.takeProfit,
+      size: order.quantity,
+      confidence: (order.metadata || {}).confidence,
+      detector: (order.metadata || {}).detector,
+      timeframe: (order.metadata || {}).timeframe || this.timeframes[0],
+      orderId: order.orderId ?? order.id,
+      status: 'pending'
+    };
+  }
+
+  tradeFromPosition(position) {
+    const state = (position.metadata || {}).managementState;
+    return {
+      ...this.tradeFromOrder({ ...position, side: position.direction, price: position.entryPrice }),
+      initialStop: state ? state.initialStop : position.stopLoss,
+      status: 'open',
+      positionId: position.id,
+      openTime: new Date(position.openedAt)
+    };
+  }
+
+  // Picks up the management state the position was left with, or starts the signal's plan
+  startManagement(trade, position) {
+    const metadata = position.metadata || {};
+    if (metadata.managementState) {
+      trade.management = metadata.managementState;
+    } else {
+      const plan = this.tradeManager.resolvePlan({ detector: metadata.detector, management: metadata.management });
+      if (!plan) return;
+      trade.management = this.tradeManager.start({
+        direction: position.direction,
+        entryPrice: position.entryPrice,
+        stopLoss: position.stopLoss,
+        quantity: position.initialQuantity ?? position.quantity,
+        openedAt: position.openedAt
+      }, plan);
+    }
+    trade.managing = Promise.resolve();
+    this.refreshVolatility(trade);
+  }
+
+  // ATR for trailing stops from the trade's timeframe
+  async refreshVolatility(trade) {
+    if (!trade.management.plan.trailing) return;
+    try {
+      const period = trade.management.plan.trailing.period || 14;
+      const candles = await this.marketDataService.getMarketData(trade.symbol, trade.timeframe, period + 1);
+      this.tradeManager.updateVolatility(trade.management, candles);
+    } catch (error) {
+      log('error', `Could not update the ATR of the ${trade.symbol} trade: ${error.message}`);
+    }
+  }
+
+  // Runs the trade's management plan on a tick, one tick at a time per trade. Ticks are mids;
+  // the broker fills the resulting orders on its own bid and ask.
+  manageTrade(trade, price, timestamp) {
+    if (!trade.management || trade.status !== 'open') return;
+    const { symbol } = trade;
+
+    trade.managing = trade.managing.then(async () => {
+      if (this.activeTrades.get(trade.id) !== trade) return;
+      const actions = this.tradeManager.update(trade.management, { high: price, low: price, close: price, timestamp });
+      if (actions.length === 0) return;
+
+      const changes = { metadata: { managementState: trade.management } };
+      for (const action of actions) {
+        log('info', `Managing ${trade.direction} ${symbol} trade: ${action.type} (${action.reason})`);
+        if (action.type === 'modify') {
+          changes.stopLoss = action.stopLoss;
+        } else if (action.type === 'partial') {
+          await this.broker.closePosition(trade.positionId, action.reason, { quantity: action.quantity });
+        } else if (action.type === 'close') {
+          await this.broker.closePosition(trade.positionId, action.reason);
+          return;
+        }
+      }
+      await this.broker.modifyPosition(trade.positionId, changes);
+    }).catch(error => {
+      log('error', `Error managing the ${symbol} trade: ${error.message}`);
+    });
+  }
+
   async setupWebSocketConnections() {
     for (const symbol of this.symbols) {
       try {
@@ -74,40 +276,26 @@ class LiveTrading {
   }
 
   async subscribeToSymbol(symbol) {
-    // In a real implementation, this would establish a WebSocket connection
-    // For now, we'll simulate WebSocket updates with setInterval
-    const interval = setInterval(async () => {
-      try {
-        const latestPrice = this.marketDataService.getLatestPrice(symbol);
-        this.processTick(symbol, latestPrice);
-      } catch (error) {
-        log('error', `Error processing tick for ${symbol}: ${error.message}`);
-      }
-    }, 1000); // Simulate tick every second
-
-    this.activeSubscriptions.set(symbol, { interval });
+    await this.candleStream.subscribe(symbol, this.timeframes);
     log('info', `Subscribed to ${symbol} updates`);
   }
 
-  async startSignalMonitoring() {
-    // Check for signals periodically
-    setInterval(async () => {
-      for (const symbol of this.symbols) {
-        for (const timeframe of this.timeframes) {
-          try {
-            await this.checkForSignals(symbol, timeframe);
-          } catch (error) {
-            log('error', `Error checking signals for ${symbol} ${timeframe}: ${error.message}`);
-          }
-        }
-      }
-    }, 30000); // Check every 30 seconds
+  startSignalMonitoring() {
+    // Check for signals each time a candle closes instead of polling. Closes are handled one
+    // after another, so each signal is weighed against the trades the previous ones opened.
+    this.candleStream.on('candleClosed', ({ symbol, timeframe, candle }) => {
+      this.signalQueue = this.signalQueue
+        .then(() => this.checkForSignals(symbol, timeframe, candle))
+        .catch(error => log('error', `Error checking signals for ${symbol} ${timeframe}: ${error.message}`));
+    });
   }
 
-  async checkForSignals(symbol, timeframe) {
+  async checkForSignals(symbol, timeframe, candle) {
     try {
-      // Get market data for the symbol and timeframe
-      const marketData = await this.marketDataService.getMarketData(symbol, timeframe, 200);
+      // History frozen at the candle's close, like DetectionPipeline: it cannot include the
+      // candle that just opened, and a provider failure throws instead of serving synthetic candles
+      const marketDataService = this.marketDataService.at(candle.timestamp + timeframeToMs(timeframe) - 1);
+      const marketData = await marketDataService.getMarketData(symbol, timeframe, 200);
       
       if (!marketData || marketData.length === 0) {
         log('warn', `No market data available for ${symbol} ${timeframe}`);
@@ -119,13 +307,14 @@ class LiveTrading {
         symbol,
         timeframe,
         marketData,
+        marketDataService,
         riskManager: this.riskManager,
         strategy: this.strategy
       });
 
       // Process signals
       for (const signal of signals) {
-        await this.processSignal(signal);
+        await this.processSignal({ symbol, ...signal, timeframe: signal.timeframe || timeframe });
       }
       
     } catch (error) {
@@ -135,24 +324,55 @@ class LiveTrading {
 
   async processSignal(signal) {
     try {
-      const { symbol, direction, entry, stopLoss, takeProfit, confidence, detector } = signal;
-      
-      // Check if we already have an active trade for this symbol
-      if (this.activeTrades.has(symbol)) {
-        log('info', `Skipping signal for ${symbol} - active trade exists`);
+      const { direction, stopLoss, takeProfit, confidence, detector, timeframe, management } = signal;
+      // Detectors name the entry entryPrice or entry
+      const entry = signal.entryPrice ?? signal.entry;
+      // Trades carry the normalized symbol the candle stream and broker report
+      const symbol = this.marketDataService.normalizeSymbol(signal.symbol);
+      // From the symbol's own provider: a cached synthetic price would be no price at all
+      const currentPrice = await this.marketDataService.fetchLatestPrice(symbol);
+      if (!Number.isFinite(currentPrice)) {
+        log('warn', `No current price for ${symbol}, skipping ${detector} ${direction} signal`);
         return;
       }
 
-      // Validate the trade with risk manager
-      const currentPrice = this.marketDataService.getLatestPrice(symbol);
-      if (!this.riskManager.validateTrade(signal, currentPrice)) {
-        log('info', `Trade validation failed for ${symbol} at ${currentPrice}`);
+      // What the trades already open allow this signal to do
+      const decision = this.positionPolicy.evaluate({ symbol, direction, detector }, Array.from(this.activeTrades.values()), currentPrice);
+      if (decision.action === 'skip') {
+        log('info', `Skipping ${detector} ${direction} signal for ${symbol} (${decision.reason})`);
+        return;
+      }
+
+      // Calculate position size; pyramid adds are scaled down
+      let positionSize = 0;
+      if (decision.action === 'open') {
+        const sizing = await this.sizingInputs({ symbol, confidence, detector, timeframe });
+        positionSize = this.riskManager.calculatePositionSize(entry, stopLoss, null, { ...sizing, scale: decision.sizeScale });
+        if (positionSize <= 0) {
+          log('info', `Skipping ${detector} ${direction} signal for ${symbol} (no size from the ${this.riskManager.sizer.model} model)`);
+          return;
+        }
+      }
+
+      // Validate the trade with risk manager, against the trades it would join (a reversal
+      // closes the ones it points against first)
+      if (decision.action === 'open') {
+        const openTrades = Array.from(this.activeTrades.values()).filter(trade => !decision.close.includes(trade));
+        const { approved, rejections } = this.riskManager.evaluateTrade({ ...signal, symbol, entry, size: positionSize }, currentPrice, openTrades);
+        if (!approved) {
+          log('info', `Trade rejected for ${detector} ${direction} ${symbol} at ${currentPrice}: ${rejections.map(rejection => rejection.code).join(', ')}`);
+          rejections.forEach(rejection => log('info', `- ${rejection.code}: ${rejection.message}`));
+          return;
+        }
+      }
+
+      for (const trade of decision.close) {
+        await this.exitTrade(trade, 'opposite_signal');
+      }
+      if (decision.action === 'close') {
         return;
       }
 
-      // Calculate position size
-      const positionSize = this.riskManager.calculatePositionSize(entry, stopLoss);
-      
       // Execute the trade
       await this.executeTrade({
         symbol,
@@ -163,6 +383,8 @@ class LiveTrading {
         size: positionSize,
         confidence,
         detector,
+        timeframe,
+        management,
         timestamp: new Date().toISOString()
       });
       
@@ -171,106 +393,66 @@ class LiveTrading {
     }
   }
 
+  // What the sizing model works from: the signal, plus the ATR of its timeframe and the
+  // detector's recorded performance when the model asks for them
+  async sizingInputs({ symbol, confidence, detector, timeframe }) {
+    const { sizer } = this.riskManager;
+    const inputs = { symbol, confidence };
+    if (sizer.needs('atr')) {
+      const period = sizer.settings.volatility.period;
+      const candles = await this.marketDataService.getMarketData(symbol, timeframe || this.timeframes[0], period + 1);
+      inputs.atr = TradeManager.averageTrueRange(candles || [], period);
+    }
+    if (sizer.needs('performance')) {
+      inputs.performance = await this.riskManager.getPerformance(detector);
+    }
+    return inputs;
+  }
+
   async executeTrade(trade) {
     const { symbol, direction, entry, stopLoss, takeProfit, size, confidence } = trade;
     
     try {
-      // In a real implementation, this would execute the trade through your broker's API
       log('info', `Executing ${direction} trade for ${symbol}:`);
       log('info', `- Entry: ${entry}`);
       log('info', `- Stop Loss: ${stopLoss}`);
       log('info', `- Take Profit: ${takeProfit}`);
       log('info', `- Size: ${size}`);
       log('info', `- Confidence: ${(confidence * 100).toFixed(1)}%`);
-      
-      // Store the active trade
-      this.activeTrades.set(symbol, {
-        ...trade,
-        status: 'open',
-        openTime: new Date(),
-        currentPrice: entry
+
+      const order = await this.broker.placeOrder({
+        symbol,
+        side: direction,
+        type: config.trading.order.type,
+        quantity: size,
+        price: entry,
+        stopLoss,
+        takeProfit,
+        expiresAt: config.trading.order.type === 'market' ? null : Date.now() + config.trading.order.expiration * 1000,
+        // The detector and the signal's own management rules pick the trade's plan
+        metadata: { detector: trade.detector, confidence, timeframe: trade.timeframe, management: trade.management }
       });
-      
-      // Start monitoring the trade
-      this.monitorTrade(symbol);
-      
+      // A filled order has already reported its position, which became an active trade
+      if (order.status === 'open' && !this.findTrade('orderId', order.id)) {
+        this.addTrade(this.tradeFromOrder(order));
+      }
     } catch (error) {
       log('error', `Failed to execute trade for ${symbol}: ${error.message}`);
     }
   }
 
-  monitorTrade(symbol) {
-    const checkInterval = setInterval(() => {
-      const trade = this.activeTrades.get(symbol);
-      if (!trade) {
-        clearInterval(checkInterval);
-        return;
-      }
-
-      try {
-        const currentPrice = this.marketDataService.getLatestPrice(symbol);
-        const { direction, stopLoss, takeProfit } = trade;
-        
-        // Update current price
-        trade.currentPrice = currentPrice;
-        trade.lastUpdate = new Date();
-        
-        // Check if take profit or stop loss was hit
-        if ((direction === 'BUY' && currentPrice >= takeProfit) || 
-            (direction === 'SELL' && currentPrice <= takeProfit)) {
-          this.closeTrade(symbol, 'take_profit', currentPrice);
-        } else if ((direction === 'BUY' && currentPrice <= stopLoss) || 
-                  (direction === 'SELL' && currentPrice >= stopLoss)) {
-          this.closeTrade(symbol, 'stop_loss', currentPrice);
-        }
-        
-      } catch (error) {
-        log('error', `Error monitoring trade for ${symbol}: ${error.message}`);
-      }
-    }, 5000); // Check every 5 seconds
-  }
-
-  closeTrade(symbol, reason, closePrice) {
-    const trade = this.activeTrades.get(symbol);
-    if (!trade) return;
-
+  // Cancels a pending order or closes an open position; the broker's events drop the trade
+  async exitTrade(trade, reason) {
     try {
-      const pnl = this.calculatePnl(trade, closePrice);
-      
-      // Update trade status
-      trade.status = 'closed';
-      trade.closePrice = closePrice;
-      trade.closeTime = new Date();
-      trade.closeReason = reason;
-      trade.pnl = pnl;
-      
-      // Update risk manager
-      this.riskManager.updateTradeResult(pnl);
-      
-      log('info', `Closed ${trade.direction} trade for ${symbol} at ${closePrice} (${reason})`);
-      log('info', `- P&L: ${pnl > 0 ? '+' : ''}${pnl.toFixed(2)}`);
-      
-      // Remove from active trades
-      this.activeTrades.delete(symbol);
-      
+      if (trade.status === 'pending') {
+        await this.broker.cancelOrder(trade.orderId, reason);
+      } else {
+        await this.broker.closePosition(trade.positionId, reason);
+      }
     } catch (error) {
-      log('error', `Error closing trade for ${symbol}: ${error.message}`);
+      log('error', `Failed to exit the ${trade.symbol} trade ${trade.id}: ${error.message}`);
     }
   }
-
-  calculatePnl(trade, closePrice) {
-    const { direction, entry, size } = trade;
-    const priceDiff = direction === 'BUY' 
-      ? closePrice - entry 
-      : entry - closePrice;
-    
-    return priceDiff * size;
-  }
-
-  processTick(symbol, price) {
-    // Update any indicators or track price movements
-    // This would be called for each price update from the WebSocket
-  }
 }
 
 // Start the trading system
@@ -279,19 +461,18 @@ const liveTrading = new LiveTrading();
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   log('info', 'Shutting down trading system...');
-  
-  // Close all active trades
-  for (const [symbol] of liveTrading.activeTrades) {
-    const currentPrice = liveTrading.marketDataService.getLatestPrice(symbol);
-    liveTrading.closeTrade(symbol, 'shutdown', currentPrice);
-  }
-  
-  // Clear all intervals
-  for (const [symbol, { interval }] of liveTrading.activeSubscriptions) {
-    clearInterval(interval);
-    log('info', `Unsubscribed from ${symbol}`);
-  }
-  
+
+  // Orders and positions stay open and are restored on the next start
+  await liveTrading.broker.stop();
+  log('info', `Left ${liveTrading.activeTrades.size} ${liveTrading.broker.name} trades open`);
+
+  // Stop the tick streams
+  await liveTrading.candleStream.stop();
+  await liveTrading.wsService.disconnect();
+  log('info', 'Unsubscribed from all symbols');
+  await liveTrading.riskManager.stop();
+  await liveTrading.database.close();
+
   process.exit(0);
 });
 
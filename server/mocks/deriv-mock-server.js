@@ -0,0 +1,498 @@
+// Local stand-in for the Deriv websocket API, used to exercise the Deriv
+// integration offline. Prices are a deterministic function of the epoch so
+// paginated history requests always line up with each other.
+// Multiplier contracts (proposal, buy, proposal_open_contract, contract_update,
+// sell, portfolio) are simulated too: open contracts are marked to priceAt(now)
+// on every request and update, and closed by their limit orders or a stop out.
+
+const http = require('http');
+const WebSocket = require('ws');
+
+const MAX_COUNT = 5000;
+const MULTIPLIER_TYPES = ['MULTUP', 'MULTDOWN'];
+const COMMISSION_RATE = 0.00005; // of the contract's notional, charged at open
+
+class DerivMockServer {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.basePrice = options.basePrice || 1000;
+    this.tickInterval = options.tickInterval || 1000;
+    this.validTokens = new Set(options.tokens || ['mock-token']);
+    this.realTokens = new Set(options.realTokens || []); // authorize as a real money account
+    this.balance = options.balance ?? 10000;
+    this.now = options.now || (() => Math.floor(Date.now() / 1000));
+    this.server = null;
+    this.wss = null;
+    this.requests = [];
+    this.subscriptions = new Map();
+    this.nextSubscriptionId = 1;
+    this.proposals = new Map(); // proposal id -> parameters
+    this.contracts = new Map(); // contract id -> contract
+    this.nextContractId = 1000;
+  }
+
+  async start() {
+    this.server = http.createServer();
+    this.wss = new WebSocket.Server({ server: this.server });
+    this.wss.on('connection', (ws) => {
+      ws.on('message', (data) => this.handleMessage(ws, data));
+      ws.on('close', () => this.forgetAll(ws));
+    });
+
+    await new Promise(resolve => this.server.listen(this.port, '127.0.0.1', resolve));
+    this.port = this.server.address().port;
+    return this.getUrl();
+  }
+
+  getUrl() {
+    return `ws://127.0.0.1:${this.port}/websockets/v3`;
+  }
+
+  async stop() {
+    for (const ws of this.wss?.clients || []) {
+      this.forgetAll(ws);
+      ws.terminate();
+    }
+    if (this.wss) this.wss.close();
+    if (this.server) await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.wss = null;
+  }
+
+  priceAt(epoch) {
+    // Overlapping waves give the series swings at several scales
+    return this.basePrice
+      + 15 * Math.sin(epoch / 3600)
+      + 4 * Math.sin(epoch / 420)
+      + 0.5 * Math.sin(epoch / 37);
+  }
+
+  candleAt(openEpoch, granularity) {
+    const open = this.priceAt(openEpoch);
+    const close = this.priceAt(openEpoch + granularity);
+    const mid = this.priceAt(openEpoch + granularity / 2);
+    const spread = 0.1 * Math.sqrt(granularity / 60);
+    return {
+      epoch: openEpoch,
+      open: open.toFixed(2),
+      high: (Math.max(open, close, mid) + spread).toFixed(2),
+      low: (Math.min(open, close, mid) - spread).toFixed(2),
+      close: close.toFixed(2)
+    };
+  }
+
+  send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  sendError(ws, request, msgType, code, message) {
+    this.send(ws, { echo_req: request, error: { code, message }, msg_type: msgType, req_id: request.req_id });
+  }
+
+  handleMessage(ws, data) {
+    let request;
+    try {
+      request = JSON.parse(data);
+    } catch {
+      return this.send(ws, { error: { code: 'InputValidationFailed', message: 'Invalid JSON' }, msg_type: 'error' });
+    }
+    this.requests.push(request);
+
+    this.settleContracts();
+
+    if (request.authorize !== undefined) return this.handleAuthorize(ws, request);
+    if (request.ping !== undefined) return this.send(ws, { echo_req: request, msg_type: 'ping', ping: 'pong', req_id: request.req_id });
+    if (request.ticks_history !== undefined) return this.handleTicksHistory(ws, request);
+    if (request.ticks !== undefined) return this.handleTicks(ws, request);
+    if (request.active_symbols !== undefined) return this.handleActiveSymbols(ws, request);
+    if (request.proposal !== undefined) return this.handleProposal(ws, request);
+    if (request.buy !== undefined) return this.handleBuy(ws, request);
+    if (request.proposal_open_contract !== undefined) return this.handleOpenContract(ws, request);
+    if (request.sell !== undefined) return this.handleSell(ws, request);
+    if (request.contract_update !== undefined) return this.handleContractUpdate(ws, request);
+    if (request.portfolio !== undefined) return this.handlePortfolio(ws, request);
+    if (request.forget !== undefined) return this.handleForget(ws, request);
+    if (request.forget_all !== undefined) {
+      this.forgetAll(ws);
+      return this.send(ws, { echo_req: request, forget_all: [], msg_type: 'forget_all', req_id: request.req_id });
+    }
+
+    this.sendError(ws, request, 'error', 'UnrecognisedRequest', 'Unrecognised request');
+  }
+
+  handleAuthorize(ws, request) {
+    const real = this.realTokens.has(request.authorize);
+    if (!this.validTokens.has(request.authorize) && !real) {
+      return this.sendError(ws, request, 'authorize', 'InvalidToken', 'The token is invalid.');
+    }
+    ws.authorized = true;
+    this.send(ws, {
+      echo_req: request,
+      authorize: {
+        loginid: real ? 'CR0000001' : 'VRTC0000001',
+        currency: 'USD',
+        balance: this.balance,
+        is_virtual: real ? 0 : 1,
+        email: 'mock@example.com'
+      },
+      msg_type: 'authorize',
+      req_id: request.req_id
+    });
+  }
+
+  handleTicksHistory(ws, request) {
+    const count = Number(request.count || 5000);
+    if (count > MAX_COUNT) {
+      return this.sendError(ws, request, 'ticks_history', 'InputValidationFailed', `count must be at most ${MAX_COUNT}`);
+    }
+
+    const now = this.now();
+    const end = request.end === 'latest' || !request.end ? now : Math.min(Number(request.end), now);
+    const start = request.start ? Number(request.start) : 0;
+
+    if (request.style === 'candles') {
+      const granularity = Number(request.granularity || 60);
+      const lastOpen = Math.floor(end / granularity) * granularity;
+      const candles = [];
+      for (let epoch = lastOpen; candles.length < count && epoch >= start; epoch -= granularity) {
+        candles.unshift(this.candleAt(epoch, granularity));
+      }
+      return this.send(ws, {
+        echo_req: request,
+        candles,
+        msg_type: 'candles',
+        pip_size: 2,
+        req_id: request.req_id
+      });
+    }
+
+    const times = [];
+    const prices = [];
+    for (let epoch = end; times.length < count && epoch >= start; epoch--) {
+      times.unshift(epoch);
+      prices.unshift(Number(this.priceAt(epoch).toFixed(2)));
+    }
+    this.send(ws, {
+      echo_req: request,
+      history: { prices, times },
+      msg_type: 'history',
+      pip_size: 2,
+      req_id: request.req_id
+    });
+  }
+
+  handleTicks(ws, request) {
+    const symbol = request.ticks;
+    const id = `mock-sub-${this.nextSubscriptionId++}`;
+    const sendTick = () => {
+      const epoch = this.now();
+      const quote = Number(this.priceAt(epoch).toFixed(2));
+      this.send(ws, {
+        echo_req: request,
+        msg_type: 'tick',
+        subscription: { id },
+        tick: { symbol, epoch, quote, bid: quote, ask: quote, id, pip_size: 2 },
+        req_id: request.req_id
+      });
+    };
+
+    sendTick();
+    if (request.subscribe) {
+      const timer = setInterval(sendTick, this.tickInterval);
+      this.subscriptions.set(id, { ws, timer });
+    }
+  }
+
+  handleActiveSymbols(ws, request) {
+    this.send(ws, {
+      echo_req: request,
+      active_symbols: [
+        { symbol: 'R_75', display_name: 'Volatility 75 Index', market: 'synthetic_index', submarket: 'random_index', pip: 0.0001 },
+        { symbol: 'R_100', display_name: 'Volatility 100 Index', market: 'synthetic_index', submarket: 'random_index', pip: 0.01 },
+        { symbol: 'frxEURUSD', display_name: 'EUR/USD', market: 'forex', submarket: 'major_pairs', pip: 0.00001 }
+      ],
+      msg_type: 'active_symbols',
+      req_id: request.req_id
+    });
+  }
+
+  requireAuthorization(ws, request, msgType) {
+    if (ws.authorized) return true;
+    this.sendError(ws, request, msgType, 'AuthorizationRequired', 'Please log in.');
+    return false;
+  }
+
+  handleProposal(ws, request) {
+    const { amount, contract_type: contractType, symbol, multiplier, limit_order: limitOrder = {} } = request;
+    if (!MULTIPLIER_TYPES.includes(contractType)) {
+      return this.sendError(ws, request, 'proposal', 'InputValidationFailed', `Unsupported contract type ${contractType}`);
+    }
+    if (!(amount >= 1)) {
+      return this.sendError(ws, request, 'proposal', 'ContractCreationFailure', 'Minimum stake is 1.00.');
+    }
+    if (limitOrder.stop_loss !== undefined && limitOrder.stop_loss > amount) {
+      return this.sendError(ws, request, 'proposal', 'ContractCreationFailure', 'Invalid stop loss. Stop loss cannot be more than stake.');
+    }
+
+    const id = `mock-proposal-${this.nextSubscriptionId++}`;
+    const spot = Number(this.priceAt(this.now()).toFixed(2));
+    const commission = Number((amount * multiplier * COMMISSION_RATE).toFixed(2));
+    this.proposals.set(id, { amount, contractType, symbol, multiplier, limitOrder, commission });
+    this.send(ws, {
+      echo_req: request,
+      proposal: {
+        id,
+        ask_price: amount,
+        spot,
+        spot_time: this.now(),
+        commission,
+        multiplier,
+        limit_order: this.limitOrderInfo(limitOrder),
+        longcode: `${contractType === 'MULTUP' ? 'Win' : 'Lose'} payout if ${symbol} rises, x${multiplier}.`
+      },
+      msg_type: 'proposal',
+      req_id: request.req_id
+    });
+  }
+
+  limitOrderInfo(limitOrder) {
+    const info = {};
+    for (const key of ['stop_loss', 'take_profit']) {
+      if (limitOrder[key] !== undefined && limitOrder[key] !== null) {
+        info[key] = { order_amount: key === 'stop_loss' ? -limitOrder[key] : limitOrder[key], display_name: key };
+      }
+    }
+    return info;
+  }
+
+  handleBuy(ws, request) {
+    if (!this.requireAuthorization(ws, request, 'buy')) return;
+    const proposal = this.proposals.get(request.buy);
+    if (!proposal) {
+      return this.sendError(ws, request, 'buy', 'InvalidContractProposal', 'Unknown contract proposal.');
+    }
+    if (Number(request.price) < proposal.amount) {
+      return this.sendError(ws, request, 'buy', 'PriceMoved', 'The price has moved above your maximum price.');
+    }
+    if (proposal.amount > this.balance) {
+      return this.sendError(ws, request, 'buy', 'InsufficientBalance', 'Your account balance is insufficient for this trade.');
+    }
+    this.proposals.delete(request.buy);
+
+    const epoch = this.now();
+    const contract = {
+      contract_id: this.nextContractId++,
+      contract_type: proposal.contractType,
+      underlying: proposal.symbol,
+      multiplier: proposal.multiplier,
+      buy_price: proposal.amount,
+      commission: proposal.commission,
+      limit_order: proposal.limitOrder,
+      entry_spot: Number(this.priceAt(epoch).toFixed(2)),
+      date_start: epoch,
+      status: 'open',
+      is_sold: 0
+    };
+    this.contracts.set(contract.contract_id, contract);
+    this.balance -= proposal.amount;
+
+    this.send(ws, {
+      echo_req: request,
+      buy: {
+        contract_id: contract.contract_id,
+        buy_price: proposal.amount,
+        balance_after: this.balance,
+        start_time: epoch,
+        transaction_id: contract.contract_id * 10,
+        longcode: `Multiplier x${proposal.multiplier} on ${proposal.symbol}`
+      },
+      msg_type: 'buy',
+      req_id: request.req_id
+    });
+  }
+
+  // Profit of an open contract at a spot: stake x multiplier x price change, less commission
+  contractProfit(contract, spot) {
+    const direction = contract.contract_type === 'MULTUP' ? 1 : -1;
+    const change = (spot - contract.entry_spot) / contract.entry_spot;
+    return contract.buy_price * contract.multiplier * change * direction - contract.commission;
+  }
+
+  closeContract(contract, spot, epoch) {
+    const profit = Math.max(this.contractProfit(contract, spot), -contract.buy_price);
+    contract.is_sold = 1;
+    contract.status = profit > 0 ? 'won' : 'lost';
+    contract.exit_tick = spot;
+    contract.sell_time = epoch;
+    contract.sell_price = Number((contract.buy_price + profit).toFixed(2));
+    contract.profit = Number(profit.toFixed(2));
+    this.balance += contract.sell_price;
+  }
+
+  // Close contracts whose stop loss, take profit or stake has been reached
+  settleContracts() {
+    const epoch = this.now();
+    const spot = Number(this.priceAt(epoch).toFixed(2));
+    for (const contract of this.contracts.values()) {
+      if (contract.is_sold) continue;
+      const profit = this.contractProfit(contract, spot);
+      const { stop_loss: stopLoss, take_profit: takeProfit } = contract.limit_order;
+      if ((takeProfit !== undefined && profit >= takeProfit)
+        || (stopLoss !== undefined && profit <= -stopLoss)
+        || profit <= -contract.buy_price) {
+        this.closeContract(contract, spot, epoch);
+      }
+    }
+  }
+
+  openContractInfo(contract) {
+    const spot = Number(this.priceAt(this.now()).toFixed(2));
+    const profit = contract.is_sold ? contract.profit : Number(this.contractProfit(contract, spot).toFixed(2));
+    return {
+      contract_id: contract.contract_id,
+      contract_type: contract.contract_type,
+      underlying: contract.underlying,
+      multiplier: contract.multiplier,
+      buy_price: contract.buy_price,
+      bid_price: Number(Math.max(contract.buy_price + profit, 0).toFixed(2)),
+      commission: contract.commission,
+      current_spot: spot,
+      current_spot_time: this.now(),
+      entry_spot: contract.entry_spot,
+      date_start: contract.date_start,
+      limit_order: this.limitOrderInfo(contract.limit_order),
+      profit,
+      status: contract.status,
+      is_sold: contract.is_sold,
+      exit_tick: contract.exit_tick,
+      sell_time: contract.sell_time,
+      sell_price: contract.sell_price
+    };
+  }
+
+  handleOpenContract(ws, request) {
+    if (!this.requireAuthorization(ws, request, 'proposal_open_contract')) return;
+    const contract = this.contracts.get(Number(request.contract_id));
+    if (!contract) {
+      return this.sendError(ws, request, 'proposal_open_contract', 'InvalidContractId', 'Contract not found.');
+    }
+
+    const id = `mock-sub-${this.nextSubscriptionId++}`;
+    const sendUpdate = () => {
+      this.settleContracts();
+      this.send(ws, {
+        echo_req: request,
+        msg_type: 'proposal_open_contract',
+        proposal_open_contract: { ...this.openContractInfo(contract), id },
+        subscription: request.subscribe ? { id } : undefined,
+        req_id: request.req_id
+      });
+      // The stream ends once the contract is sold
+      if (contract.is_sold && this.subscriptions.has(id)) {
+        clearInterval(this.subscriptions.get(id).timer);
+        this.subscriptions.delete(id);
+      }
+    };
+
+    if (request.subscribe && !contract.is_sold) {
+      const timer = setInterval(sendUpdate, this.tickInterval);
+      this.subscriptions.set(id, { ws, timer });
+    }
+    sendUpdate();
+  }
+
+  handleSell(ws, request) {
+    if (!this.requireAuthorization(ws, request, 'sell')) return;
+    const contract = this.contracts.get(Number(request.sell));
+    if (!contract) {
+      return this.sendError(ws, request, 'sell', 'InvalidSellContractProposal', 'Contract not found.');
+    }
+    if (contract.is_sold) {
+      return this.sendError(ws, request, 'sell', 'InvalidSellContractProposal', 'This contract has been sold.');
+    }
+    const epoch = this.now();
+    this.closeContract(contract, Number(this.priceAt(epoch).toFixed(2)), epoch);
+    this.send(ws, {
+      echo_req: request,
+      sell: {
+        contract_id: contract.contract_id,
+        sold_for: contract.sell_price,
+        balance_after: this.balance,
+        transaction_id: contract.contract_id * 10 + 1
+      },
+      msg_type: 'sell',
+      req_id: request.req_id
+    });
+  }
+
+  // New limit order amounts for an open contract; null removes one
+  handleContractUpdate(ws, request) {
+    if (!this.requireAuthorization(ws, request, 'contract_update')) return;
+    const contract = this.contracts.get(Number(request.contract_id));
+    if (!contract || contract.is_sold) {
+      return this.sendError(ws, request, 'contract_update', 'ContractNotFound', 'This contract is not open.');
+    }
+    const limitOrder = request.limit_order || {};
+    if (limitOrder.stop_loss !== undefined && limitOrder.stop_loss !== null
+      && !(limitOrder.stop_loss > 0 && limitOrder.stop_loss <= contract.buy_price)) {
+      return this.sendError(ws, request, 'contract_update', 'InvalidStopLoss', 'Invalid stop loss. Stop loss must be a loss no larger than the stake.');
+    }
+    const updated = { ...contract.limit_order };
+    for (const key of ['stop_loss', 'take_profit']) {
+      if (limitOrder[key] === null) delete updated[key];
+      else if (limitOrder[key] !== undefined) updated[key] = limitOrder[key];
+    }
+    contract.limit_order = updated;
+    this.send(ws, {
+      echo_req: request,
+      contract_update: this.limitOrderInfo(updated),
+      msg_type: 'contract_update',
+      req_id: request.req_id
+    });
+  }
+
+  handlePortfolio(ws, request) {
+    if (!this.requireAuthorization(ws, request, 'portfolio')) return;
+    const contracts = Array.from(this.contracts.values())
+      .filter(contract => !contract.is_sold)
+      .map(contract => ({
+        contract_id: contract.contract_id,
+        contract_type: contract.contract_type,
+        symbol: contract.underlying,
+        buy_price: contract.buy_price,
+        purchase_time: contract.date_start
+      }));
+    this.send(ws, { echo_req: request, portfolio: { contracts }, msg_type: 'portfolio', req_id: request.req_id });
+  }
+
+  handleForget(ws, request) {
+    const subscription = this.subscriptions.get(request.forget);
+    if (subscription) {
+      clearInterval(subscription.timer);
+      this.subscriptions.delete(request.forget);
+    }
+    this.send(ws, { echo_req: request, forget: subscription ? 1 : 0, msg_type: 'forget', req_id: request.req_id });
+  }
+
+  forgetAll(ws) {
+    for (const [id, subscription] of this.subscriptions) {
+      if (subscription.ws === ws) {
+        clearInterval(subscription.timer);
+        this.subscriptions.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = DerivMockServer;
+
+// Allow running standalone: `node mocks/deriv-mock-server.js [port]`
+if (require.main === module) {
+  const mock = new DerivMockServer({ port: Number(process.argv[2]) || 8765 });
+  mock.start().then(url => {
+    console.log(`Deriv mock server listening on ${url}`);
+    console.log(`Point the backend at it with DERIV_WS_URL=${url}`);
+  });
+}
@@ -0,0 +1,289 @@
+// Backtest reports
+// Renders one Backtester result, labeled with the strategy and settings it ran with
+// (results.settings, see Backtester.describe), as
+//   html  a self-contained page: summary, equity curve and drawdown charts (inline SVG),
+//         monthly returns heatmap, Monte Carlo summary and the trade table
+//   json  the same data, machine-readable
+//   csv   the trade list
+
+const FORMATS = ['html', 'json', 'csv'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CHART_POINTS = 1000; // equity points drawn; longer curves are thinned
+
+const CSV_COLUMNS = [
+  'trade', 'symbol', 'detector', 'direction', 'entryType', 'signalTime', 'entryTime', 'exitTime',
+  'plannedEntry', 'entry', 'exit', 'exitReason', 'pnl', 'commission', 'duration', 'confidence', 'riskReward'
+];
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  }[char]));
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function isoTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : '';
+}
+
+function formatNumber(value, digits = 2) {
+  return typeof value === 'number' && Number.isFinite(value) ? value.toFixed(digits) : 'n/a';
+}
+
+class BacktestReport {
+  constructor(results) {
+    this.results = results;
+    this.settings = results.settings || {};
+  }
+
+  render(format) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown report format ${format}, expected ${FORMATS.join(', ')}`);
+    }
+    if (format === 'json') return JSON.stringify(this.toJSON(), null, 2);
+    if (format === 'csv') return this.toCSV();
+    return this.toHTML();
+  }
+
+  title() {
+    const { strategy = 'Backtest', timeframe } = this.settings;
+    return [strategy, this.results.symbol, timeframe].filter(Boolean).join(' ');
+  }
+
+  // Equity with its timestamp and drawdown from the running peak (percent)
+  equityPoints() {
+    const { equityCurve = [], equityTimestamps = [] } = this.results;
+    let peak = -Infinity;
+    return equityCurve.map((equity, index) => {
+      peak = Math.max(peak, equity);
+      return {
+        timestamp: equityTimestamps[index] ?? null,
+        equity,
+        drawdown: peak > 0 ? ((peak - equity) / peak) * 100 : 0
+      };
+    });
+  }
+
+  // Return per calendar month (UTC): each month's last equity over the one before it
+  monthlyReturns() {
+    const months = new Map(); // 'YYYY-MM' -> { start, end }
+    let previous = null;
+    for (const point of this.equityPoints()) {
+      if (point.timestamp === null) continue;
+      const date = new Date(point.timestamp);
+      const key = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+      if (!months.has(key)) {
+        months.set(key, { start: previous ?? point.equity, end: point.equity });
+      }
+      months.get(key).end = point.equity;
+      previous = point.equity;
+    }
+    return Array.from(months.entries()).map(([month, { start, end }]) => ({
+      month,
+      return: start > 0 ? ((end - start) / start) * 100 : 0
+    }));
+  }
+
+  toJSON() {
+    const { symbol, finalCapital, totalReturn, cancelledOrders, metrics, monteCarlo, trades } = this.results;
+    return {
+      title: this.title(),
+      generatedAt: new Date().toISOString(),
+      symbol: symbol || null,
+      settings: this.settings,
+      summary: { finalCapital, totalReturn, cancelledOrders, ...metrics },
+      monteCarlo: monteCarlo || null,
+      monthlyReturns: this.monthlyReturns(),
+      equity: this.equityPoints(),
+      trades
+    };
+  }
+
+  toCSV() {
+    const rows = this.results.trades.map((trade, index) => CSV_COLUMNS.map(column => {
+      if (column === 'trade') return index + 1;
+      if (column === 'symbol') return trade.symbol || this.results.symbol;
+      if (column.endsWith('Time')) return isoTime(trade[column]);
+      return trade[column];
+    }));
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+  }
+
+  // Every nth point, keeping the last
+  chartPoints() {
+    const points = this.equityPoints();
+    if (points.length <= CHART_POINTS) return points;
+    const step = Math.ceil(points.length / CHART_POINTS);
+    return points.filter((_, index) => index % step === 0 || index === points.length - 1);
+  }
+
+  // Line (or filled area) SVG of one series
+  svgChart(values, { color, fill = false, invert = false, label }) {
+    const width = 800;
+    const height = 200;
+    const padding = 30;
+    if (values.length < 2) {
+      return '<p class="muted">Not enough data to chart</p>';
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const x = index => padding + (index / (values.length - 1)) * (width - 2 * padding);
+    const y = value => {
+      const share = (value - min) / span;
+      return invert ? padding + share * (height - 2 * padding) : height - padding - share * (height - 2 * padding);
+    };
+    const line = values.map((value, index) => `${x(index).toFixed(1)},${y(value).toFixed(1)}`).join(' ');
+    const baseline = invert ? padding : height - padding;
+    const shape = fill
+      ? `<polygon points="${x(0).toFixed(1)},${baseline} ${line} ${x(values.length - 1).toFixed(1)},${baseline}" fill="${color}" fill-opacity="0.3" stroke="${color}" />`
+      : `<polyline points="${line}" fill="none" stroke="${color}" stroke-width="1.5" />`;
+
+    return `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+  <text x="${padding}" y="${invert ? height - 8 : 16}" class="axis">${escapeHtml(label)}: ${formatNumber(invert ? max : min)} to ${formatNumber(invert ? min : max)}</text>
+  ${shape}
+</svg>`;
+  }
+
+  heatmap() {
+    const monthly = this.monthlyReturns();
+    if (monthly.length === 0) {
+      return '<p class="muted">No monthly data</p>';
+    }
+    const byYear = new Map();
+    monthly.forEach(({ month, return: value }) => {
+      const [year, monthNumber] = month.split('-');
+      if (!byYear.has(year)) byYear.set(year, new Array(12).fill(null));
+      byYear.get(year)[Number(monthNumber) - 1] = value;
+    });
+    const scale = Math.max(...monthly.map(({ return: value }) => Math.abs(value)), 0.01);
+    const cell = value => {
+      if (value === null) return '<td></td>';
+      const alpha = Math.min(Math.abs(value) / scale, 1) * 0.8 + 0.1;
+      const color = value >= 0 ? `rgba(22, 163, 74, ${alpha.toFixed(2)})` : `rgba(220, 38, 38, ${alpha.toFixed(2)})`;
+      return `<td style="background:${color}">${formatNumber(value)}%</td>`;
+    };
+
+    return `<table class="heatmap">
+  <thead><tr><th>Year</th>${MONTHS.map(month => `<th>${month}</th>`).join('')}</tr></thead>
+  <tbody>
+${Array.from(byYear.entries()).map(([year, values]) => `    <tr><th>${year}</th>${values.map(cell).join('')}</tr>`).join('\n')}
+  </tbody>
+</table>`;
+  }
+
+  monteCarloSection() {
+    const monteCarlo = this.results.monteCarlo;
+    if (!monteCarlo) return '';
+    const interval = ({ lower, upper }) => `${formatNumber(lower)}% to ${formatNumber(upper)}%`;
+    const rows = [
+      ['Return (median, interval)', `${formatNumber(monteCarlo.finalReturn.median)}%, ${interval(monteCarlo.finalReturn)}`],
+      ['Max drawdown (median, 95th percentile)', `${formatNumber(monteCarlo.maxDrawdown.median)}%, ${formatNumber(monteCarlo.maxDrawdown.p95)}%`],
+      ['Win rate interval', interval(monteCarlo.winRate)],
+      ['Expectancy interval (% of equity per trade)', interval(monteCarlo.expectancy)],
+      ['Probability of no edge', `${formatNumber(monteCarlo.noEdgeProbability * 100)}%`],
+      ['Probability of a loss', `${formatNumber(monteCarlo.lossProbability * 100)}%`],
+      ['Risk of ruin', `${formatNumber(monteCarlo.riskOfRuin * 100)}%`]
+    ];
+    return `<h2>Monte Carlo (${monteCarlo.iterations} ${escapeHtml(monteCarlo.method)} paths, ${Math.round(monteCarlo.confidence * 100)}% intervals)</h2>
+<table class="summary">
+${rows.map(([name, value]) => `  <tr><th>${name}</th><td>${value}</td></tr>`).join('\n')}
+</table>`;
+  }
+
+  toHTML() {
+    const { finalCapital, totalReturn, cancelledOrders, metrics, trades } = this.results;
+    const settings = this.settings;
+    const points = this.chartPoints();
+    const parameters = Object.entries(settings.parameters || {}).map(([name, value]) => `${name}=${value}`).join(', ') || 'defaults';
+
+    const settingRows = [
+      ['Strategy', settings.strategy],
+      ['Symbol', this.results.symbol],
+      ['Timeframe', settings.timeframe],
+      ['Parameters', parameters],
+      ['Period', `${isoTime(points.length ? points[0].timestamp : null)} to ${isoTime(points.length ? points[points.length - 1].timestamp : null)}`],
+      ['Initial capital', formatNumber(settings.initialCapital)],
+      ['Risk per trade', `${formatNumber((settings.riskPerTrade || 0) * 100)}%`],
+      ['Position sizing', `${settings.positionSizing || 'fixed_fractional'}${settings.sizing ? ` ${JSON.stringify(settings.sizing)}` : ''}${settings.maxLeverage ? `, notional up to ${settings.maxLeverage}x capital` : ''}`],
+      ['Fills', `${settings.entryType} entries, spread ${settings.spread}, slippage ${settings.slippage}, commission ${settings.commission}, tie-break ${settings.tieBreak}`],
+      ['Trade management', settings.management ? JSON.stringify(settings.management) : 'config defaults']
+    ];
+    const summaryRows = [
+      ['Final capital', formatNumber(finalCapital)],
+      ['Total return', `${formatNumber(totalReturn)}%`],
+      ['Trades', metrics.totalTrades],
+      ['Win rate', `${metrics.winRate}%`],
+      ['Average win / loss', `${formatNumber(metrics.averageWin)} / ${formatNumber(metrics.averageLoss)}`],
+      ['Profit factor', metrics.profitFactor],
+      ['Max drawdown', `${metrics.maxDrawdown}%`],
+      ['Sharpe ratio', metrics.sharpeRatio],
+      ['Cancelled orders', cancelledOrders ?? 0]
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title())} backtest</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem; color: #111827; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2rem; font-size: 1.1rem; }
+  table { border-collapse: collapse; font-size: 0.85rem; }
+  th, td { padding: 0.3rem 0.6rem; border-bottom: 1px solid #e5e7eb; text-align: right; }
+  th { text-align: left; color: #4b5563; font-weight: 600; }
+  .summary td { text-align: left; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 2rem; }
+  .heatmap td { min-width: 3.5rem; text-align: center; }
+  .muted, .axis { color: #6b7280; fill: #6b7280; font-size: 12px; }
+  .win { color: #16a34a; }
+  .loss { color: #dc2626; }
+  svg { width: 100%; max-width: 800px; height: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(this.title())}</h1>
+<p class="muted">Generated ${new Date().toISOString()}</p>
+
+<div class="grid">
+<table class="summary">
+${settingRows.map(([name, value]) => `  <tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+<table class="summary">
+${summaryRows.map(([name, value]) => `  <tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+</div>
+
+<h2>Equity</h2>
+${this.svgChart(points.map(point => point.equity), { color: '#2563eb', label: 'Equity' })}
+
+<h2>Drawdown</h2>
+${this.svgChart(points.map(point => point.drawdown), { color: '#dc2626', fill: true, invert: true, label: 'Drawdown %' })}
+
+<h2>Monthly returns (%)</h2>
+${this.heatmap()}
+
+${this.monteCarloSection()}
+
+<h2>Trades (${trades.length})</h2>
+<table>
+  <thead><tr><th>#</th><th>Direction</th><th>Entry time</th><th>Entry</th><th>Exit time</th><th>Exit</th><th>Reason</th><th>PnL</th><th>Commission</th><th>Minutes</th></tr></thead>
+  <tbody>
+${trades.map((trade, index) => `    <tr><td>${index + 1}</td><td>${escapeHtml(trade.direction)}</td><td>${isoTime(trade.entryTime)}</td><td>${formatNumber(trade.entry, 5)}</td><td>${isoTime(trade.exitTime)}</td><td>${formatNumber(trade.exit, 5)}</td><td>${escapeHtml(trade.exitReason)}</td><td class="${trade.pnl > 0 ? 'win' : 'loss'}">${formatNumber(trade.pnl)}</td><td>${formatNumber(trade.commission)}</td><td>${formatNumber(trade.duration, 1)}</td></tr>`).join('\n')}
+  </tbody>
+</table>
+</body>
+</html>
+`;
+  }
+}
+
+BacktestReport.FORMATS = FORMATS;
+
+module.exports = BacktestReport;
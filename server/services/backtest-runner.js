@@ -0,0 +1,226 @@
+// Backtest runs
+// Runs submitted over the API are stored in backtest_runs and replayed one at a time in the
+// background: every symbol, for every requested timeframe (or the strategy's own), against a
+// HistoricalFeed loaded from the market data service. Each symbol/timeframe's metrics, equity
+// curve and trades are stored as it finishes. A provider error or a period without candles
+// fails the run; nothing is replayed on stand-in data.
+// Events:
+//   progress   { id, progress, symbol, timeframe }  progress: 0..1 over the whole run
+//   completed  { run }
+//   failed     { run, error }
+
+const EventEmitter = require('events');
+const config = require('../config');
+const BacktestReport = require('./backtest-report');
+const Backtester = require('./backtester');
+const HistoricalFeed = require('./historical-feed');
+const MonteCarlo = require('./monte-carlo');
+const { timeframeToMs } = require('./timeframes');
+
+// Backtester options a run can set: fill simulation and the trade management plan
+const FILL_OPTIONS = ['entryType', 'spread', 'slippage', 'commission', 'tieBreak', 'management', 'positionSizing', 'sizing', 'maxLeverage'];
+
+class BacktestRunner extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = config.backtest.runs;
+    this.database = options.database;
+    this.marketDataService = options.marketDataService;
+    this.baseTimeframe = options.baseTimeframe || settings.baseTimeframe;
+    this.maxCandles = options.maxCandles || settings.maxCandles;
+    this.debug = options.debug || false;
+
+    this.queue = Promise.resolve(); // runs are CPU bound, so they go one after another
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[BacktestRunner]', ...args);
+    }
+  }
+
+  async start() {
+    const interrupted = await this.database.failInterruptedBacktests();
+    if (interrupted > 0) {
+      this.log(`Marked ${interrupted} interrupted runs as failed`);
+    }
+  }
+
+  // params: strategy, symbols, timeframes (optional), from, to (ms), initialCapital,
+  // riskPerTrade and the Backtester fill, management and sizing options. Resolves to the
+  // queued run.
+  async submit(params) {
+    const candles = Math.ceil((params.to - params.from) / timeframeToMs(this.baseTimeframe));
+    if (candles > this.maxCandles) {
+      throw new Error(`Date range needs ${candles} ${this.baseTimeframe} candles per symbol, the limit is ${this.maxCandles}`);
+    }
+    // Fails fast on an unknown strategy or fill option
+    new Backtester(params.strategy, this.backtesterOptions(params));
+
+    const options = Object.fromEntries(FILL_OPTIONS.filter(key => params[key] !== undefined).map(key => [key, params[key]]));
+    const id = await this.database.createBacktestRun({ ...params, options });
+    const run = this.queue.then(() => this.execute(id, params));
+    this.queue = run.catch(() => {});
+    return formatRun(await this.database.getBacktestRun(id));
+  }
+
+  backtesterOptions(params, timeframe) {
+    const options = {
+      initialCapital: params.initialCapital,
+      riskPerTrade: params.riskPerTrade,
+      debug: false
+    };
+    FILL_OPTIONS.forEach(key => {
+      if (params[key] !== undefined) options[key] = params[key];
+    });
+    if (timeframe) options.timeframe = timeframe;
+    return options;
+  }
+
+  async execute(id, params) {
+    const jobs = params.symbols.flatMap(symbol => (params.timeframes || [null]).map(timeframe => ({ symbol, timeframe })));
+    await this.database.updateBacktestRun(id, 'running', { startedAt: Date.now(), progress: 0 });
+    this.log(`Run ${id}: ${params.strategy} over ${jobs.length} symbol/timeframe pairs`);
+
+    try {
+      for (let index = 0; index < jobs.length; index++) {
+        const { symbol, timeframe } = jobs[index];
+        let reported = -1;
+        const backtester = new Backtester(params.strategy, {
+          ...this.backtesterOptions(params, timeframe),
+          onProgress: share => {
+            const progress = (index + share) / jobs.length;
+            // Whole percents only; a long replay reports a hundred times per pair
+            if (Math.floor(progress * 100) > reported) {
+              reported = Math.floor(progress * 100);
+              this.reportProgress(id, progress, symbol, backtester.adapter.timeframe);
+            }
+          }
+        });
+
+        const { lookback, timeframe: stepTimeframe } = backtester.adapter;
+        const feed = await HistoricalFeed.load(this.marketDataService, symbol, {
+          baseTimeframe: this.baseTimeframe,
+          start: params.from,
+          end: params.to,
+          warmup: (lookback + 1) * timeframeToMs(stepTimeframe) // detector history before the start
+        });
+        const result = await backtester.backtest(feed, feed.symbol);
+        await this.database.storeBacktestResult(id, { symbol: feed.symbol, timeframe: stepTimeframe, ...result });
+      }
+
+      await this.database.updateBacktestRun(id, 'completed', { progress: 1, completedAt: Date.now() });
+      const run = await this.database.getBacktestRun(id);
+      this.log(`Run ${id} completed`);
+      this.emit('completed', { run });
+    } catch (error) {
+      await this.database.updateBacktestRun(id, 'failed', { error: error.message, completedAt: Date.now() });
+      const run = await this.database.getBacktestRun(id);
+      console.error(`Backtest run ${id} failed:`, error.message);
+      this.emit('failed', { run, error: error.message });
+    }
+  }
+
+  reportProgress(id, progress, symbol, timeframe) {
+    this.emit('progress', { id, progress, symbol, timeframe });
+    this.database.updateBacktestRun(id, 'running', { progress }).catch(error => {
+      console.error(`Error saving progress of backtest run ${id}:`, error.message);
+    });
+  }
+
+  // A run with its per symbol/timeframe results and trades, JSON columns parsed
+  async getRun(id) {
+    const run = await this.database.getBacktestRun(id);
+    if (!run) {
+      return null;
+    }
+    const [results, trades] = await Promise.all([
+      this.database.getBacktestResults([id], { equityCurve: true }),
+      this.database.getBacktestTrades(id)
+    ]);
+    return { ...formatRun(run), results: results.map(formatResult), trades };
+  }
+
+  // A report of one symbol/timeframe of a run (the first unless given), see backtest-report.js,
+  // with a Monte Carlo analysis of its trades (config.backtest.monteCarlo)
+  async getReport(id, format, { symbol, timeframe } = {}) {
+    const run = await this.getRun(id);
+    if (!run) {
+      return null;
+    }
+    const result = run.results.find(candidate =>
+      (!symbol || candidate.symbol === symbol) && (!timeframe || candidate.timeframe === timeframe));
+    if (!result) {
+      return null;
+    }
+
+    const trades = run.trades
+      .filter(trade => trade.symbol === result.symbol && trade.timeframe === result.timeframe)
+      .map(tradeFromRow);
+    const initialCapital = result.settings.initialCapital || run.initial_capital;
+    return new BacktestReport({
+      symbol: result.symbol,
+      settings: { ...result.settings, strategy: result.settings.strategy || run.strategy, timeframe: result.timeframe },
+      finalCapital: result.final_capital,
+      totalReturn: result.total_return,
+      cancelledOrders: result.cancelled_orders,
+      metrics: result.metrics,
+      equityCurve: result.equity_curve,
+      equityTimestamps: result.equity_timestamps || [],
+      monteCarlo: new MonteCarlo().analyze(trades, initialCapital),
+      trades
+    }).render(format);
+  }
+
+  // Recent runs with their metrics, for comparing runs side by side
+  async listRuns(limit = 50) {
+    const runs = await this.database.getBacktestRuns(limit);
+    const results = await this.database.getBacktestResults(runs.map(run => run.id));
+    return runs.map(run => ({
+      ...formatRun(run),
+      results: results.filter(result => result.run_id === run.id).map(formatResult)
+    }));
+  }
+}
+
+function formatRun(run) {
+  return {
+    ...run,
+    symbols: JSON.parse(run.symbols),
+    timeframes: run.timeframes ? JSON.parse(run.timeframes) : null,
+    options: run.options ? JSON.parse(run.options) : {}
+  };
+}
+
+function formatResult(result) {
+  return {
+    ...result,
+    metrics: result.metrics ? JSON.parse(result.metrics) : null,
+    settings: result.settings ? JSON.parse(result.settings) : {},
+    ...(result.equity_curve !== undefined && { equity_curve: JSON.parse(result.equity_curve) }),
+    ...(result.equity_timestamps !== undefined && { equity_timestamps: JSON.parse(result.equity_timestamps || '[]') })
+  };
+}
+
+// A stored trade in the shape Backtester returns
+function tradeFromRow(row) {
+  return {
+    detector: row.detector,
+    direction: row.direction,
+    entryType: row.entry_type,
+    plannedEntry: row.planned_entry,
+    entry: row.entry_price,
+    exit: row.exit_price,
+    exitReason: row.exit_reason,
+    pnl: row.pnl,
+    commission: row.commission,
+    signalTime: row.signal_time,
+    entryTime: row.entry_time,
+    exitTime: row.exit_time,
+    duration: (row.exit_time - row.entry_time) / (1000 * 60),
+    confidence: row.confidence,
+    riskReward: row.risk_reward
+  };
+}
+
+module.exports = BacktestRunner;
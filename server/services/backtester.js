@@ -1,9 +1,75 @@
-// Backtesting module for PureCRT strategy
+// Backtesting module
+// Replays candles through any detector. strategy is a registered adapter name ('pure_crt',
+// 'crt', 'bos', 'pure_scalping', 'smc', 'choch', or a SignalGenerator profile: 'scalping',
+// 'daytrading', 'swingtrading'), an adapter, or a detector with detect(symbol, marketDataService).
+// See strategy-adapters.js; options.timeframe and options.lookback override the adapter's.
+// Every timeframe is served from a HistoricalFeed frozen at the step's close, so detectors never
+// see candles that had not closed yet. Entries and exits fill on candle highs and lows with
+// spread, slippage and commission (config.backtest). Open positions are worked by the
+// signal's trade management plan (trade-manager.js), as they are in live trading, and sized by
+// the same model (position-sizer.js), with kelly working from the run's own closed trades.
+const config = require('../config');
+const BacktestReport = require('./backtest-report');
+const HistoricalFeed = require('./historical-feed');
+const MonteCarlo = require('./monte-carlo');
+const PositionSizer = require('./position-sizer');
+const { resolveAdapter } = require('./strategy-adapters');
+const TradeManager = require('./trade-manager');
+const { timeframeToMs } = require('./timeframes');
+
+// A replay runs on the API server's event loop; it hands the loop back after this many ms
+const YIELD_BUDGET = 20;
+
+// Resolves at once until budget ms have passed since the last yield, then after pending I/O
+function createYielder(budget = YIELD_BUDGET) {
+  let since = Date.now();
+  return async () => {
+    if (Date.now() - since < budget) return;
+    await new Promise(resolve => setImmediate(resolve));
+    since = Date.now();
+  };
+}
+
 class Backtester {
   constructor(strategy, options = {}) {
     this.strategy = strategy;
+    this.adapter = resolveAdapter(strategy, options);
+    // Detector parameters this run overrides, for labeling results
+    this.parameters = Object.fromEntries(Object.keys(this.adapter.parameters || {})
+      .filter(name => options[name] !== undefined)
+      .map(name => [name, options[name]]));
+    this.dataTimeframe = options.dataTimeframe || null;
     this.initialCapital = options.initialCapital || 10000;
     this.riskPerTrade = options.riskPerTrade || 0.01; // 1% risk per trade
+    // Sizing model and settings overriding config.trading.risk
+    this.positionSizing = options.positionSizing || config.trading.risk.positionSizing;
+    this.sizing = options.sizing || null;
+    this.sizer = new PositionSizer({ model: this.positionSizing, settings: this.sizing || {} });
+    this.maxLeverage = options.maxLeverage ?? config.backtest.maxLeverage;
+    // Fill simulation, see config.backtest
+    this.entryType = options.entryType || config.trading.order.type;
+    this.spread = options.spread ?? config.backtest.spread;
+    this.slippage = options.slippage ?? config.trading.order.slippage;
+    this.commission = options.commission ?? config.backtest.commission;
+    this.tieBreak = options.tieBreak || config.backtest.tieBreak;
+    this.orderExpiration = (options.orderExpiration ?? config.trading.order.expiration) * 1000; // seconds
+    if (!['market', 'limit'].includes(this.entryType)) {
+      throw new Error(`Unknown entry type ${this.entryType}, expected market or limit`);
+    }
+    if (!['stop', 'target', 'open'].includes(this.tieBreak)) {
+      throw new Error(`Unknown tie-break rule ${this.tieBreak}, expected stop, target or open`);
+    }
+    // Plan rules that override config.management.default for every signal of this run
+    this.management = options.management || null;
+    this.tradeManager = new TradeManager({
+      plans: {
+        ...config.management,
+        default: { ...config.management.default, ...(this.management || {}) }
+      }
+    });
+    this.onProgress = options.onProgress || null; // called with the share of steps replayed
+    // true or MonteCarlo options: add a robustness analysis of the trade list to the results
+    this.monteCarlo = options.monteCarlo || null;
     this.debug = options.debug !== false;
   }
 
@@ -13,92 +79,111 @@ class Backtester {
     }
   }
 
+  // marketData: a HistoricalFeed, or candles oldest first. Plain candles are read as
+  // options.dataTimeframe (default: the adapter's timeframe); pass 1m candles to serve
+  // detectors that read several timeframes, e.g. PureCRT's 5m driver and 1m entries.
+  // Orders fill and exit on the feed's base candles between steps, so a 1m feed gives 5m
+  // strategies minute-by-minute fills.
   async backtest(marketData, symbol = 'unknown') {
-    this.log(`Starting backtest for ${symbol} with ${marketData.length} data points`);
+    const { name, timeframe, lookback } = this.adapter;
+    const feed = marketData instanceof HistoricalFeed
+      ? marketData
+      : HistoricalFeed.fromCandles(marketData, this.dataTimeframe || timeframe, { symbol: symbol === 'unknown' ? null : symbol });
+    const series = feed.getSeries(timeframe);
+    const interval = timeframeToMs(timeframe);
+    this.log(`Starting ${name} backtest for ${symbol} ${timeframe} with ${series.length} data points`);
     
     let capital = this.initialCapital;
+    let order = null; // signal waiting for its entry
     let position = null;
+    let lastCandle = null;
+    let cancelledOrders = 0;
     const trades = [];
     const equityCurve = [capital];
-    
-    // Create a mock market data service for backtesting
-    const mockMarketDataService = {
-      getMarketData: async (sym, timeframe, limit) => {
-        // Return the appropriate slice of market data for the current position
-        const currentIndex = equityCurve.length - 1;
-        const startIndex = Math.max(0, currentIndex - limit);
-        return marketData.slice(startIndex, currentIndex + 1);
+
+    // Candles before the feed's start are history only
+    const first = series.findIndex(candle => candle.timestamp >= feed.start);
+    const startIndex = Math.max(lookback - 1, first, 1);
+    const equityTimestamps = [series[startIndex] ? series[startIndex].timestamp : feed.start];
+    const steps = first === -1 ? 0 : series.length - startIndex;
+    const progressEvery = Math.max(1, Math.floor(steps / 100));
+    const pause = createYielder();
+    let previousStep = null;
+    for (let i = startIndex; first !== -1 && i < series.length; i++) {
+      const now = series[i].timestamp + interval;
+
+      // Report progress and let other work run between the steps of a long replay
+      if (this.onProgress && (i - startIndex) % progressEvery === 0) {
+        this.onProgress((i - startIndex) / steps);
       }
-    };
+      await pause();
 
-    for (let i = 30; i < marketData.length; i++) {
-      const currentData = marketData.slice(i-30, i); // Lookback window
-      const currentPrice = marketData[i].close;
-      
-      // Update mock service to return current lookback window
-      mockMarketDataService.getMarketData = async () => currentData;
+      // Price action since the last step works the open order and position before the
+      // detector sees this candle
+      const path = previousStep === null ? [] : feed.getPath(previousStep, now);
+      previousStep = now;
+      for (const candle of path) {
+        lastCandle = candle;
+
+        if (order) {
+          const fill = this.fillEntry(order, candle);
+          if (fill.status === 'filled') {
+            position = fill.position;
+            order = null;
+            this.log(`Entered ${position.direction} ${position.type} at ${position.entryPrice.toFixed(5)}`);
+          } else if (fill.status === 'cancelled') {
+            cancelledOrders++;
+            this.log(`Cancelled ${order.type} ${order.direction} order: ${fill.reason}`);
+            order = null;
+          }
+        }
+
+        if (position) {
+          const trade = this.managePosition(position, candle);
+          if (trade) {
+            capital += trade.pnl;
+            trades.push(trade);
+            this.log(`Exited ${trade.direction} trade (${trade.exitReason}): PnL ${trade.pnl.toFixed(2)}, Capital: ${capital.toFixed(2)}`);
+            position = null;
+          }
+        }
+      }
+
+      const candles = series.slice(i - Math.min(i, lookback - 1), i + 1); // Lookback window ending at this candle
+      if (position) {
+        this.updateVolatility(position, series, i);
+      }
+
+      // Step at the candle's close: every timeframe the detector asks for ends there
+      const marketDataView = feed.at(now);
       
       try {
         // Generate signal using the strategy
-        const signals = await this.strategy.detect(symbol, mockMarketDataService);
+        const signals = await this.adapter.detect({ symbol, timeframe, candles, marketData: marketDataView });
         const signal = signals.length > 0 ? signals[0] : null;
         
-        // Check if we should enter a trade
-        if (signal && !position) {
-          position = this.enterTrade(signal, capital, currentPrice);
-          this.log(`Entered ${signal.direction} trade at ${currentPrice.toFixed(5)}`);
-        }
-        
-        // Check exit conditions if we have an open position
-        if (position) {
-          const exitResult = this.checkExitConditions(position, currentPrice, marketData[i]);
-          
-          if (exitResult.shouldExit) {
-            const pnl = this.calculatePnl(position, currentPrice);
-            capital += pnl;
-            
-            trades.push({
-              entry: position.entryPrice,
-              exit: currentPrice,
-              pnl,
-              direction: position.direction,
-              entryTime: position.entryTime,
-              exitTime: marketData[i].timestamp || Date.now(),
-              duration: (marketData[i].timestamp - position.entryTime) / (1000 * 60), // minutes
-              confidence: position.confidence,
-              riskReward: position.riskReward
-            });
-            
-            this.log(`Exited ${position.direction} trade: PnL ${pnl.toFixed(2)}, Capital: ${capital.toFixed(2)}`);
-            position = null;
+        // Orders work from the next candle on
+        if (signal && !position && !order) {
+          order = this.placeOrder(signal, capital, now, { symbol, candles, trades });
+          if (order) {
+            this.log(`Placed ${order.type} ${order.direction} order at ${order.entryPrice.toFixed(5)}`);
           }
         }
-        
-        equityCurve.push(capital);
-        
       } catch (error) {
         this.log(`Error during backtest iteration ${i}:`, error.message);
       }
+
+      equityCurve.push(capital);
+      equityTimestamps.push(now);
     }
 
-    // Close any open position at the end
-    if (position) {
-      const finalPrice = marketData[marketData.length - 1].close;
-      const pnl = this.calculatePnl(position, finalPrice);
-      capital += pnl;
-      
-      trades.push({
-        entry: position.entryPrice,
-        exit: finalPrice,
-        pnl,
-        direction: position.direction,
-        entryTime: position.entryTime,
-        exitTime: marketData[marketData.length - 1].timestamp || Date.now(),
-        duration: (marketData[marketData.length - 1].timestamp - position.entryTime) / (1000 * 60),
-        confidence: position.confidence,
-        riskReward: position.riskReward
-      });
-      
+    // Close any open position at the last close
+    if (position && lastCandle) {
+      const half = this.halfSpread(lastCandle.close);
+      const exitPrice = position.direction === 'BUY' ? lastCandle.close - half : lastCandle.close + half;
+      const trade = this.closeTrade(position, exitPrice, lastCandle.timestamp, 'end_of_data');
+      capital += trade.pnl;
+      trades.push(trade);
       equityCurve[equityCurve.length - 1] = capital;
     }
 
@@ -106,64 +191,297 @@ class Backtester {
     this.log(`Backtest completed. Final capital: ${capital.toFixed(2)}`);
     
     return {
+      symbol,
+      settings: this.describe(),
       finalCapital: capital,
       totalReturn: ((capital - this.initialCapital) / this.initialCapital) * 100,
       trades,
+      cancelledOrders,
       equityCurve,
-      metrics: results
+      equityTimestamps, // close time of each equity point's candle; the first is the start
+      metrics: results,
+      monteCarlo: this.monteCarlo ? this.runMonteCarlo(trades, this.monteCarlo) : null
+    };
+  }
+
+  // What this run simulated, for labeling results and reports
+  describe() {
+    return {
+      strategy: this.adapter.name,
+      timeframe: this.adapter.timeframe,
+      lookback: this.adapter.lookback,
+      parameters: this.parameters,
+      initialCapital: this.initialCapital,
+      riskPerTrade: this.riskPerTrade,
+      positionSizing: this.positionSizing,
+      sizing: this.sizing,
+      maxLeverage: this.maxLeverage,
+      entryType: this.entryType,
+      spread: this.spread,
+      slippage: this.slippage,
+      commission: this.commission,
+      tieBreak: this.tieBreak,
+      management: this.management
     };
   }
 
-  enterTrade(signal, currentCapital, currentPrice) {
-    const positionSize = this.calculatePositionSize(
-      currentCapital,
-      this.riskPerTrade,
-      signal.entryPrice,
-      signal.stopLoss
-    );
+  runMonteCarlo(trades, options = {}) {
+    return new MonteCarlo(options === true ? {} : options).analyze(trades, this.initialCapital);
+  }
+
+  // Signals without a usable stop and target cannot be sized and are skipped, as are those
+  // the sizing model gives no quantity at the planned entry, and every signal once the
+  // capital is gone.
+  // context: { symbol, candles (the detector's window), trades (closed so far) }
+  placeOrder(signal, currentCapital, timestamp, context = {}) {
+    const { entryPrice, stopLoss, takeProfit } = signal;
+    if (!entryPrice || !stopLoss || !takeProfit || entryPrice === stopLoss) {
+      this.log(`Skipping ${signal.detector} signal without entry, stop loss or take profit`);
+      return null;
+    }
+    if (!(currentCapital > 0)) {
+      this.log(`Skipping ${signal.detector} signal, no capital left`);
+      return null;
+    }
+
+    // The model's inputs as of the signal
+    const sizing = { symbol: context.symbol, confidence: signal.confidence, balance: currentCapital };
+    if (this.sizer.needs('atr')) {
+      sizing.atr = TradeManager.averageTrueRange(context.candles || [], this.sizer.settings.volatility.period);
+    }
+    if (this.sizer.needs('performance')) {
+      sizing.performance = PositionSizer.summarizePerformance((context.trades || []).map(trade => trade.rMultiple));
+    }
+    const size = this.positionSize(sizing, entryPrice, stopLoss);
+    if (size <= 0) {
+      this.log(`Skipping ${signal.detector} signal the ${this.positionSizing} model gives no size`);
+      return null;
+    }
 
     return {
+      type: this.entryType,
       direction: signal.direction,
-      entryPrice: signal.entryPrice,
-      stopLoss: signal.stopLoss,
-      takeProfit: signal.takeProfit,
-      size: positionSize,
-      entryTime: Date.now(),
+      entryPrice,
+      stopLoss,
+      takeProfit,
+      size,
+      sizing,
+      signalTime: timestamp,
+      expiresAt: timestamp + this.orderExpiration,
       confidence: signal.confidence,
-      riskReward: signal.riskReward
+      riskReward: signal.riskReward,
+      detector: signal.detector,
+      management: this.tradeManager.resolvePlan(signal)
     };
   }
 
-  calculatePositionSize(capital, riskPercent, entryPrice, stopLoss) {
-    const riskAmount = capital * riskPercent;
-    const riskPerUnit = Math.abs(entryPrice - stopLoss);
-    return riskAmount / riskPerUnit;
+  // Candles are mid prices: buys fill on the ask and sells on the bid
+  halfSpread(price) {
+    return price * this.spread / 2;
   }
 
-  checkExitConditions(position, currentPrice, currentCandle) {
-    const result = { shouldExit: false, reason: '' };
-    
-    if (position.direction === 'BUY') {
-      // Long position exit conditions
-      if (currentPrice >= position.takeProfit) {
-        result.shouldExit = true;
-        result.reason = 'Take profit hit';
-      } else if (currentPrice <= position.stopLoss) {
-        result.shouldExit = true;
-        result.reason = 'Stop loss hit';
+  // Works a pending order against one candle. Market orders fill at its open plus slippage;
+  // limit orders fill once the ask (buys) or bid (sells) reaches the entry, at the open if
+  // the candle gapped through it. Orders are cancelled when price already ran past the
+  // stop or target, or when a limit expires.
+  fillEntry(order, candle) {
+    const isBuy = order.direction === 'BUY';
+    const half = this.halfSpread(candle.open);
+    let price = null;
+
+    if (order.type === 'market') {
+      const slippage = candle.open * this.slippage;
+      price = isBuy ? candle.open + half + slippage : candle.open - half - slippage;
+      const beyond = isBuy
+        ? price <= order.stopLoss || price >= order.takeProfit
+        : price >= order.stopLoss || price <= order.takeProfit;
+      if (beyond) {
+        return { status: 'cancelled', reason: 'invalidated' };
       }
-    } else {
-      // Short position exit conditions
-      if (currentPrice <= position.takeProfit) {
-        result.shouldExit = true;
-        result.reason = 'Take profit hit';
-      } else if (currentPrice >= position.stopLoss) {
-        result.shouldExit = true;
-        result.reason = 'Stop loss hit';
+    } else if (candle.timestamp >= order.expiresAt) {
+      return { status: 'cancelled', reason: 'expired' };
+    } else if (isBuy && candle.low + half <= order.entryPrice) {
+      price = Math.min(order.entryPrice, candle.open + half);
+    } else if (!isBuy && candle.high - half >= order.entryPrice) {
+      price = Math.max(order.entryPrice, candle.open - half);
+    } else if (isBuy ? candle.high - half >= order.takeProfit : candle.low + half <= order.takeProfit) {
+      return { status: 'cancelled', reason: 'invalidated' }; // Target reached without a fill
+    }
+
+    if (price === null) {
+      return { status: 'pending' };
+    }
+
+    // Sized on whichever of the planned entry and the fill is farther from the stop: a fill
+    // next to the stop does not grow the position and one past the planned entry shrinks it,
+    // so the stop costs no more than the planned risk plus slippage
+    const riskPerUnit = Math.max(Math.abs(price - order.stopLoss), Math.abs(order.entryPrice - order.stopLoss));
+    const size = riskPerUnit > Math.abs(order.entryPrice - order.stopLoss)
+      ? this.positionSize(order.sizing, price, order.stopLoss)
+      : order.size;
+    if (size <= 0) {
+      return { status: 'cancelled', reason: 'no_size' };
+    }
+    const management = order.management && this.tradeManager.start({
+      direction: order.direction,
+      entryPrice: price,
+      stopLoss: order.stopLoss,
+      quantity: size,
+      openedAt: candle.timestamp
+    }, order.management);
+    return {
+      status: 'filled',
+      position: {
+        ...order,
+        entryPrice: price,
+        plannedEntry: order.entryPrice,
+        size,
+        initialRisk: riskPerUnit * size,
+        entryTime: candle.timestamp,
+        entryCommission: price * size * this.commission,
+        management,
+        partialExits: [],
+        partialPnl: 0,
+        partialCommission: 0
       }
+    };
+  }
+
+  // The model's quantity, capped at a notional of maxLeverage x the balance
+  positionSize(sizing, entryPrice, stopLoss) {
+    const { balance, ...trade } = sizing;
+    const size = this.sizer.size({ ...trade, entry: entryPrice, stopLoss }, { balance, riskPerTrade: this.riskPerTrade });
+    const cap = (this.maxLeverage * balance) / entryPrice;
+    return size > cap ? this.sizer.round(sizing.symbol, cap, entryPrice) : size;
+  }
+
+  // Stop and target touches anywhere in the candle, on the bid for longs and the ask for
+  // shorts. Stops are market orders and slip; targets are limits and fill at their price
+  // unless the candle opened through them.
+  checkExitConditions(position, candle) {
+    const isBuy = position.direction === 'BUY';
+    const side = isBuy ? -this.halfSpread(candle.open) : this.halfSpread(candle.open);
+    const open = candle.open + side;
+    const stopHit = isBuy ? candle.low + side <= position.stopLoss : candle.high + side >= position.stopLoss;
+    const targetHit = isBuy ? candle.high + side >= position.takeProfit : candle.low + side <= position.takeProfit;
+
+    if (!stopHit && !targetHit) {
+      return { shouldExit: false, reason: '' };
     }
-    
-    return result;
+
+    if (stopHit && (!targetHit || this.stopFillsFirst(position, open))) {
+      const slippage = position.stopLoss * this.slippage;
+      return {
+        shouldExit: true,
+        reason: 'stop_loss',
+        price: isBuy ? Math.min(position.stopLoss, open) - slippage : Math.max(position.stopLoss, open) + slippage
+      };
+    }
+
+    return {
+      shouldExit: true,
+      reason: 'take_profit',
+      price: isBuy ? Math.max(position.takeProfit, open) : Math.min(position.takeProfit, open)
+    };
+  }
+
+  // Works an open position against one candle: its stop and target first, then its management
+  // plan on the same candle's bid (longs) or ask (shorts). Returns the trade once the position
+  // is closed, null while it stays open.
+  managePosition(position, candle) {
+    const exitResult = this.checkExitConditions(position, candle);
+    if (exitResult.shouldExit) {
+      return this.closeTrade(position, exitResult.price, candle.timestamp, exitResult.reason);
+    }
+    if (!position.management) {
+      return null;
+    }
+
+    const isBuy = position.direction === 'BUY';
+    const side = isBuy ? -this.halfSpread(candle.open) : this.halfSpread(candle.open);
+    const open = candle.open + side;
+    const actions = this.tradeManager.update(position.management, {
+      high: candle.high + side,
+      low: candle.low + side,
+      close: candle.close + side,
+      timestamp: candle.timestamp
+    });
+
+    // Targets are limits, filled at their level unless the candle opened through it; time
+    // exits go at the candle's close
+    const fillPrice = action => {
+      if (action.price === null) return candle.close + side;
+      return isBuy ? Math.max(action.price, open) : Math.min(action.price, open);
+    };
+    for (const action of actions) {
+      if (action.type === 'modify') {
+        position.stopLoss = action.stopLoss;
+        this.log(`Moved ${position.direction} stop to ${action.stopLoss.toFixed(5)} (${action.reason})`);
+      } else if (action.type === 'partial') {
+        const price = fillPrice(action);
+        const commission = price * action.quantity * this.commission;
+        const pnl = this.calculatePnl({ ...position, size: action.quantity }, price);
+        position.size -= action.quantity;
+        position.partialPnl += pnl;
+        position.partialCommission += commission;
+        position.partialExits.push({ price, quantity: action.quantity, time: candle.timestamp, reason: action.reason, pnl: pnl - commission });
+        this.log(`Scaled out ${action.quantity.toFixed(4)} at ${price.toFixed(5)} (${action.reason})`);
+      } else if (action.type === 'close') {
+        return this.closeTrade(position, fillPrice(action), candle.timestamp, action.reason);
+      }
+    }
+    return null;
+  }
+
+  // ATR for trailing stops, from the strategy timeframe's candles up to the one at index
+  updateVolatility(position, series, index) {
+    if (!position.management || !position.management.plan.trailing) return;
+    const period = position.management.plan.trailing.period || 14;
+    this.tradeManager.updateVolatility(position.management, series.slice(Math.max(0, index - period), index + 1));
+  }
+
+  // Open P&L of a position at price, including what its scale-outs already took
+  unrealizedPnl(position, price) {
+    return this.calculatePnl(position, price) + (position.partialPnl || 0) - (position.partialCommission || 0);
+  }
+
+  // Both levels were touched within one candle
+  stopFillsFirst(position, open) {
+    const isBuy = position.direction === 'BUY';
+    // Opening through either level settles it
+    if (isBuy ? open <= position.stopLoss : open >= position.stopLoss) return true;
+    if (isBuy ? open >= position.takeProfit : open <= position.takeProfit) return false;
+
+    if (this.tieBreak === 'target') return false;
+    if (this.tieBreak === 'open') {
+      return Math.abs(open - position.stopLoss) <= Math.abs(position.takeProfit - open);
+    }
+    return true;
+  }
+
+  // P&L and commission include the position's scale-outs; exit is the final fill's price
+  closeTrade(position, exitPrice, timestamp, reason) {
+    const commission = position.entryCommission + exitPrice * position.size * this.commission + (position.partialCommission || 0);
+    const pnl = this.calculatePnl(position, exitPrice) + (position.partialPnl || 0) - commission;
+    return {
+      entry: position.entryPrice,
+      plannedEntry: position.plannedEntry,
+      exit: exitPrice,
+      pnl,
+      rMultiple: position.initialRisk > 0 ? pnl / position.initialRisk : null,
+      commission,
+      direction: position.direction,
+      entryType: position.type,
+      signalTime: position.signalTime,
+      entryTime: position.entryTime,
+      exitTime: timestamp,
+      duration: (timestamp - position.entryTime) / (1000 * 60), // minutes
+      exitReason: reason,
+      confidence: position.confidence,
+      riskReward: position.riskReward,
+      detector: position.detector,
+      partialExits: position.partialExits || []
+    };
   }
 
   calculatePnl(position, exitPrice) {
@@ -234,14 +552,25 @@ class Backtester {
     };
   }
 
-  generateReport(results) {
+  // options.format: 'text' (default), or 'html', 'json', 'csv' (see backtest-report.js).
+  // options.monteCarlo (true or MonteCarlo options) analyzes results that were run without it
+  generateReport(results, options = {}) {
     const { metrics, finalCapital, totalReturn } = results;
+    const monteCarlo = results.monteCarlo || (options.monteCarlo ? this.runMonteCarlo(results.trades, options.monteCarlo) : null);
+    const format = options.format || 'text';
+    if (format !== 'text') {
+      return new BacktestReport({ settings: this.describe(), ...results, monteCarlo }).render(format);
+    }
+    const parameters = Object.entries(this.parameters).map(([name, value]) => `${name}=${value}`).join(', ');
     
     return `
-=== PureCRT Strategy Backtest Report ===
+=== ${this.adapter.name} Strategy Backtest Report ===
+${results.symbol ? `Symbol: ${results.symbol} ${this.adapter.timeframe}\n` : ''}Parameters: ${parameters || 'defaults'}
 Initial Capital: $${this.initialCapital.toFixed(2)}
 Final Capital: $${finalCapital.toFixed(2)}
 Total Return: ${totalReturn.toFixed(2)}%
+Fills: ${this.entryType} entries, spread ${this.spread}, slippage ${this.slippage}, commission ${this.commission}, tie-break ${this.tieBreak}
+Cancelled Orders: ${results.cancelledOrders}
 
 Performance Metrics:
 - Total Trades: ${metrics.totalTrades}
@@ -253,20 +582,39 @@ Performance Metrics:
 - Profit Factor: ${metrics.profitFactor}
 - Max Drawdown: ${metrics.maxDrawdown}%
 - Sharpe Ratio: ${metrics.sharpeRatio}
-
+${monteCarlo ? this.formatMonteCarlo(monteCarlo) : ''}
 Trade Analysis:
 ${results.trades.map((trade, index) => `
 Trade ${index + 1}:
   Direction: ${trade.direction}
-  Entry: ${trade.entry.toFixed(5)}
-  Exit: ${trade.exit.toFixed(5)}
-  PnL: $${trade.pnl.toFixed(2)}
+  Entry: ${trade.entry.toFixed(5)} (${trade.entryType}, ${new Date(trade.entryTime).toISOString()})
+  Exit: ${trade.exit.toFixed(5)} (${trade.exitReason}, ${new Date(trade.exitTime).toISOString()})
+  PnL: $${trade.pnl.toFixed(2)} after $${trade.commission.toFixed(2)} commission
   Confidence: ${trade.confidence}
   Risk/Reward: ${trade.riskReward}
   Duration: ${trade.duration.toFixed(1)} minutes
 `).join('')}
     `;
   }
+
+  formatMonteCarlo(monteCarlo) {
+    const pct = value => (value === null ? 'n/a' : `${value.toFixed(2)}%`);
+    const range = ({ lower, upper }) => `${pct(lower)} to ${pct(upper)}`;
+    const confidence = `${Math.round(monteCarlo.confidence * 100)}%`;
+
+    return `
+Monte Carlo (${monteCarlo.iterations} ${monteCarlo.method} paths of ${monteCarlo.trades} trades):
+- Return: median ${pct(monteCarlo.finalReturn.median)}, ${confidence} interval ${range(monteCarlo.finalReturn)}
+- Max Drawdown: median ${pct(monteCarlo.maxDrawdown.median)}, 95th percentile ${pct(monteCarlo.maxDrawdown.p95)} (backtest ${pct(monteCarlo.observed.maxDrawdown)}, deeper on ${pct(monteCarlo.deeperDrawdownProbability * 100)} of paths)
+- Win Rate: ${pct(monteCarlo.observed.winRate)}, ${confidence} interval ${range(monteCarlo.winRate)}
+- Expectancy: ${pct(monteCarlo.observed.expectancy)} of equity per trade, ${confidence} interval ${range(monteCarlo.expectancy)}
+- Probability of no edge: ${pct(monteCarlo.noEdgeProbability * 100)}
+- Probability of a loss: ${pct(monteCarlo.lossProbability * 100)}
+- Risk of Ruin (equity at ${pct(monteCarlo.ruinLevel * 100)} of capital): ${pct(monteCarlo.riskOfRuin * 100)}
+`;
+  }
 }
 
+Backtester.createYielder = createYielder;
+
 module.exports = Backtester;
@@ -0,0 +1,97 @@
+// Builds higher-timeframe candles from lower-timeframe candles or raw ticks.
+// Buckets are aligned to the market's session open (config.marketData.sessions), so a
+// forex daily candle runs 22:00-22:00 UTC while crypto and synthetics roll at midnight.
+
+const config = require('../config');
+const { getMarketForSymbol } = require('./markets');
+const { timeframeToMs } = require('./timeframes');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// 1970-01-01 was a Thursday; weekly buckets start on Monday
+const WEEK_ORIGIN = 4 * DAY;
+
+// Session open as an offset from UTC midnight, e.g. '22:00' -> -2h (the previous evening)
+function getSessionOffset(symbol) {
+  const sessions = config.marketData.sessions;
+  const open = sessions[getMarketForSymbol(symbol)] || sessions.default || '00:00';
+  const [hours, minutes] = open.split(':').map(Number);
+  const offset = (hours * 60 + (minutes || 0)) * 60 * 1000;
+  return offset > DAY / 2 ? offset - DAY : offset;
+}
+
+function getBucketStart(timestamp, timeframe, sessionOffset = 0) {
+  const interval = timeframeToMs(timeframe);
+  const origin = (timeframe.endsWith('w') ? WEEK_ORIGIN : 0) + sessionOffset;
+  return Math.floor((timestamp - origin) / interval) * interval + origin;
+}
+
+// Candles must be sorted oldest first. The last bucket may be incomplete.
+function resample(candles, timeframe, options = {}) {
+  const sessionOffset = options.sessionOffset || 0;
+  const result = [];
+  let current = null;
+
+  for (const candle of candles) {
+    const bucket = getBucketStart(candle.timestamp, timeframe, sessionOffset);
+    if (!current || current.timestamp !== bucket) {
+      current = {
+        timestamp: bucket,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0
+      };
+      result.push(current);
+    } else {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume || 0;
+    }
+  }
+
+  return result;
+}
+
+// Ticks are { timestamp, price, volume? }; without a volume each tick counts as one
+function ticksToCandles(ticks, timeframe, options = {}) {
+  return resample(
+    ticks.map(tick => ({
+      timestamp: tick.timestamp,
+      open: tick.price,
+      high: tick.price,
+      low: tick.price,
+      close: tick.price,
+      volume: tick.volume === undefined ? 1 : tick.volume
+    })),
+    timeframe,
+    options
+  );
+}
+
+// Largest timeframe the provider serves that builds `timeframe` cleanly: it must divide
+// the target interval and keep the session offset on its own bucket boundaries.
+function findBaseTimeframe(provider, symbol, timeframe, candidates = config.marketData.baseTimeframes) {
+  const interval = timeframeToMs(timeframe);
+  const sessionOffset = getSessionOffset(symbol);
+
+  return candidates
+    .filter(candidate => {
+      const candidateMs = timeframeToMs(candidate);
+      return candidateMs < interval &&
+        interval % candidateMs === 0 &&
+        sessionOffset % candidateMs === 0 &&
+        provider.supportsTimeframe(candidate, symbol);
+    })
+    .sort((a, b) => timeframeToMs(b) - timeframeToMs(a))[0] || null;
+}
+
+module.exports = {
+  getSessionOffset,
+  getBucketStart,
+  resample,
+  ticksToCandles,
+  findBaseTimeframe
+};
@@ -0,0 +1,103 @@
+// Read-through / write-through candle store backed by the market_data table.
+// Serves what SQLite already holds, fetches only the missing tail from the
+// provider and backfills holes inside the requested window.
+
+const { timeframeToMs } = require('./timeframes');
+
+class CandleStore {
+  constructor(database, options = {}) {
+    this.db = database;
+    this.maxGapRanges = options.maxGapRanges || 10; // backfill requests per call
+    // Ranges the provider had no candles for (market closed, before its history starts, ...),
+    // per symbol and timeframe; remembered so every read does not ask for them again. The
+    // window moves with time, so a gap counts as known when a range covers it.
+    this.emptyRanges = new Map(); // 'symbol|timeframe' -> [{ start, end }]
+  }
+
+  async getCandles(provider, symbol, timeframe, limit, options = {}) {
+    const interval = timeframeToMs(timeframe);
+    const end = options.end || Date.now();
+    const lastOpen = Math.floor(end / interval) * interval;
+    const windowStart = lastOpen - (limit - 1) * interval;
+
+    const stored = await this.db.getMarketDataRange(symbol, timeframe, windowStart, lastOpen);
+    const fetched = [];
+
+    if (stored.length === 0) {
+      fetched.push(...await provider.getHistory(symbol, timeframe, limit, { end }));
+    } else {
+      // The latest stored candle may have been captured while still forming,
+      // so the tail fetch starts from it rather than after it.
+      const latestStored = stored[stored.length - 1].timestamp;
+      const tailCount = Math.round((lastOpen - latestStored) / interval) + 1;
+      fetched.push(...await provider.getHistory(symbol, timeframe, tailCount, { start: latestStored, end }));
+
+      const key = `${symbol}|${timeframe}`;
+      const gaps = this.findGaps(stored, windowStart, interval).filter(gap => !this.isKnownEmpty(key, gap));
+      for (const gap of gaps.slice(0, this.maxGapRanges)) {
+        const candles = await provider.getHistory(symbol, timeframe, gap.count, { start: gap.start, end: gap.end });
+        // Whatever comes before the first candle returned has no data either
+        const firstCandle = candles.length > 0 ? candles[0].timestamp : gap.end + interval;
+        if (firstCandle > gap.start) {
+          this.addEmptyRange(key, { start: gap.start, end: firstCandle - interval }, interval);
+        }
+        fetched.push(...candles);
+      }
+    }
+
+    if (fetched.length > 0) {
+      await this.db.storeMarketData(symbol, timeframe, fetched);
+    }
+
+    return this.merge(stored, fetched)
+      .filter(c => c.timestamp >= windowStart && c.timestamp <= lastOpen)
+      .slice(-limit);
+  }
+
+  isKnownEmpty(key, gap) {
+    return (this.emptyRanges.get(key) || []).some(range => range.start <= gap.start && range.end >= gap.end);
+  }
+
+  // Adds a range, merging it with the ranges it overlaps or touches
+  addEmptyRange(key, range, interval) {
+    let merged = { ...range };
+    const kept = [];
+    for (const existing of this.emptyRanges.get(key) || []) {
+      if (existing.start <= merged.end + interval && existing.end + interval >= merged.start) {
+        merged = { start: Math.min(existing.start, merged.start), end: Math.max(existing.end, merged.end) };
+      } else {
+        kept.push(existing);
+      }
+    }
+    this.emptyRanges.set(key, [...kept, merged]);
+  }
+
+  // Missing runs of candles between windowStart and the latest stored candle
+  findGaps(candles, windowStart, interval) {
+    const gaps = [];
+    let expected = windowStart;
+
+    for (const candle of candles) {
+      if (candle.timestamp - expected >= interval) {
+        const gapEnd = candle.timestamp - interval;
+        gaps.push({
+          start: expected,
+          end: gapEnd,
+          count: Math.round((gapEnd - expected) / interval) + 1
+        });
+      }
+      expected = Math.max(expected, candle.timestamp + interval);
+    }
+
+    return gaps;
+  }
+
+  merge(stored, fetched) {
+    const byTimestamp = new Map();
+    stored.forEach(candle => byTimestamp.set(candle.timestamp, candle));
+    fetched.forEach(candle => byTimestamp.set(candle.timestamp, candle));
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+  }
+}
+
+module.exports = CandleStore;
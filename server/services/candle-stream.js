@@ -0,0 +1,223 @@
+// Live candle builder
+// Subscribes to ticks (Deriv symbols through WebSocketService, everything else through
+// the provider's own subscribe) and keeps an in-progress candle per symbol/timeframe.
+// Events:
+//   tick          { symbol, price, timestamp }
+//   candleUpdate  { symbol, timeframe, candle }  - the in-progress candle changed
+//   candleClosed  { symbol, timeframe, candle }  - a candle's period ended
+
+const EventEmitter = require('events');
+const { getBucketStart, getSessionOffset } = require('./candle-resampler');
+const { timeframeToMs } = require('./timeframes');
+
+class CandleStream extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.marketDataService = options.marketDataService;
+    this.wsService = options.wsService || null;
+    this.timeframes = options.timeframes || ['1m'];
+    this.flushInterval = options.flushInterval || 1000;
+    this.debug = options.debug || false;
+    this.now = options.now || Date.now;
+
+    this.streams = new Map(); // symbol -> { timeframes: Map(timeframe -> candle), closed, refs, stop, sessionOffset }
+    this.flushTimer = null;
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[CandleStream]', ...args);
+    }
+  }
+
+  // Adds timeframes to a symbol's stream, starting the tick source on first use.
+  // Subscriptions are counted, so every subscribe needs a matching unsubscribe.
+  async subscribe(symbol, timeframes = this.timeframes) {
+    const normalizedSymbol = this.marketDataService.normalizeSymbol(symbol);
+    let stream = this.streams.get(normalizedSymbol);
+
+    if (!stream) {
+      stream = {
+        timeframes: new Map(),
+        closed: new Map(), // timeframe -> start of the last candle closed
+        refs: new Map(), // timeframe -> subscriber count
+        sessionOffset: getSessionOffset(normalizedSymbol),
+        stop: null
+      };
+      // Concurrent subscribers wait on the same source start
+      stream.ready = this.startSource(normalizedSymbol).then(stop => { stream.stop = stop; });
+      this.streams.set(normalizedSymbol, stream);
+      this.log(`Streaming ${normalizedSymbol}`);
+    }
+
+    try {
+      await stream.ready;
+    } catch (error) {
+      this.streams.delete(normalizedSymbol);
+      throw error;
+    }
+
+    for (const timeframe of timeframes) {
+      stream.refs.set(timeframe, (stream.refs.get(timeframe) || 0) + 1);
+      if (!stream.timeframes.has(timeframe)) {
+        stream.timeframes.set(timeframe, await this.seedCandle(normalizedSymbol, timeframe));
+      }
+    }
+
+    this.startFlushTimer();
+    return normalizedSymbol;
+  }
+
+  // Releases timeframes from a symbol's stream (all of them when none are given);
+  // the tick source stops once no timeframe has subscribers left
+  async unsubscribe(symbol, timeframes = null) {
+    const normalizedSymbol = this.marketDataService.normalizeSymbol(symbol);
+    const stream = this.streams.get(normalizedSymbol);
+    if (!stream) return;
+
+    if (timeframes) {
+      for (const timeframe of timeframes) {
+        const refs = (stream.refs.get(timeframe) || 0) - 1;
+        if (refs > 0) {
+          stream.refs.set(timeframe, refs);
+        } else {
+          stream.refs.delete(timeframe);
+          stream.timeframes.delete(timeframe);
+          stream.closed.delete(timeframe);
+        }
+      }
+    } else {
+      stream.refs.clear();
+      stream.timeframes.clear();
+      stream.closed.clear();
+    }
+
+    if (stream.timeframes.size === 0) {
+      this.streams.delete(normalizedSymbol);
+      await stream.ready.catch(() => {});
+      if (stream.stop) await stream.stop();
+      this.log(`Stopped streaming ${normalizedSymbol}`);
+    }
+
+    if (this.streams.size === 0) {
+      this.stopFlushTimer();
+    }
+  }
+
+  async startSource(symbol) {
+    const provider = this.marketDataService.getProvider(symbol);
+
+    if (provider.name === 'deriv' && this.wsService) {
+      const derivSymbol = provider.toDerivSymbol(symbol);
+      const listener = (tick) => this.handleTick(symbol, tick.quote, tick.epoch * 1000);
+      this.wsService.on(`tick:${derivSymbol}`, listener);
+      await this.wsService.connect();
+      await this.wsService.subscribeToTicks(derivSymbol);
+      return async () => {
+        this.wsService.off(`tick:${derivSymbol}`, listener);
+        await this.wsService.unsubscribeFromTicks(derivSymbol);
+      };
+    }
+
+    return provider.subscribe(symbol, (tick) => this.handleTick(symbol, tick.price, tick.timestamp));
+  }
+
+  // Start from the provider's current candle so the first streamed candle is complete
+  async seedCandle(symbol, timeframe) {
+    try {
+      const history = await this.marketDataService.getMarketData(symbol, timeframe, 1);
+      const last = history[history.length - 1];
+      const stream = this.streams.get(symbol);
+      if (last && stream && last.timestamp === getBucketStart(this.now(), timeframe, stream.sessionOffset)) {
+        return { ...last };
+      }
+    } catch (error) {
+      this.log(`Could not seed ${symbol} ${timeframe}: ${error.message}`);
+    }
+    return null;
+  }
+
+  handleTick(symbol, price, timestamp, volume = 1) {
+    const stream = this.streams.get(symbol);
+    if (!stream || !Number.isFinite(price)) return;
+
+    this.marketDataService.setLatestPrice(symbol, price);
+    this.emit('tick', { symbol, price, timestamp });
+
+    for (const [timeframe, current] of stream.timeframes) {
+      const bucket = getBucketStart(timestamp, timeframe, stream.sessionOffset);
+      let candle = current;
+
+      if (candle && bucket > candle.timestamp) {
+        this.closeCandle(symbol, timeframe, candle);
+        candle = null;
+      }
+      // Late tick for a closed candle, also once flush() closed it and none is in progress
+      if (candle && bucket < candle.timestamp) continue;
+      if (!candle && bucket <= stream.closed.get(timeframe)) continue;
+
+      if (!candle) {
+        candle = { timestamp: bucket, open: price, high: price, low: price, close: price, volume: 0 };
+        stream.timeframes.set(timeframe, candle);
+      }
+      candle.high = Math.max(candle.high, price);
+      candle.low = Math.min(candle.low, price);
+      candle.close = price;
+      candle.volume += volume;
+
+      this.emit('candleUpdate', { symbol, timeframe, candle: { ...candle } });
+    }
+  }
+
+  closeCandle(symbol, timeframe, candle) {
+    const stream = this.streams.get(symbol);
+    if (stream && stream.timeframes.get(timeframe) === candle) {
+      stream.timeframes.set(timeframe, null);
+    }
+    if (stream) {
+      stream.closed.set(timeframe, candle.timestamp);
+    }
+
+    // Cached history no longer includes the latest closed candle
+    this.marketDataService.invalidate(symbol, timeframe);
+    this.log(`Closed ${symbol} ${timeframe} candle at ${new Date(candle.timestamp).toISOString()}`);
+    this.emit('candleClosed', { symbol, timeframe, candle: { ...candle } });
+  }
+
+  // Close candles whose period has ended even when no new tick arrived (quiet markets)
+  flush() {
+    const now = this.now();
+    for (const [symbol, stream] of this.streams) {
+      for (const [timeframe, candle] of stream.timeframes) {
+        if (candle && now >= candle.timestamp + timeframeToMs(timeframe)) {
+          this.closeCandle(symbol, timeframe, candle);
+        }
+      }
+    }
+  }
+
+  getCurrentCandle(symbol, timeframe) {
+    const stream = this.streams.get(this.marketDataService.normalizeSymbol(symbol));
+    const candle = stream && stream.timeframes.get(timeframe);
+    return candle ? { ...candle } : null;
+  }
+
+  startFlushTimer() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  stopFlushTimer() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+  }
+
+  async stop() {
+    const symbols = Array.from(this.streams.keys());
+    await Promise.all(symbols.map(symbol => this.unsubscribe(symbol)));
+    this.stopFlushTimer();
+  }
+}
+
+module.exports = CandleStream;
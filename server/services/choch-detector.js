@@ -1,9 +1,10 @@
 const axios = require('axios');
 
 class CHOCHDetector {
-  constructor() {
+  constructor(options = {}) {
     this.patterns = [];
     this.threshold = 0.7;
+    this.swingWindow = options.swingWindow || 5; // Candles each side a swing point must exceed
   }
 
   async analyze(symbol, timeframe, marketData = null) {
@@ -51,8 +52,9 @@ class CHOCHDetector {
     const closes = data.map(d => d.close);
 
     // Identify swing highs and lows
-    const swingHighs = this.findSwingPoints(highs, 'high');
-    const swingLows = this.findSwingPoints(lows, 'low');
+    const timestamps = data.map(d => d.timestamp);
+    const swingHighs = this.findSwingPoints(highs, 'high', timestamps);
+    const swingLows = this.findSwingPoints(lows, 'low', timestamps);
 
     // Determine market structure using swings only
     const trend = this.determineTrendFromSwings(swingHighs, swingLows);
@@ -72,9 +74,9 @@ class CHOCHDetector {
     return structure;
   }
 
-  findSwingPoints(prices, type) {
+  findSwingPoints(prices, type, timestamps = []) {
     const swingPoints = [];
-    const window = 5;
+    const window = this.swingWindow;
 
     for (let i = window; i < prices.length - window; i++) {
       const current = prices[i];
@@ -89,7 +91,7 @@ class CHOCHDetector {
         swingPoints.push({
           index: i,
           price: current,
-          timestamp: Date.now() - (prices.length - i) * 60000
+          timestamp: timestamps[i] !== undefined ? timestamps[i] : Date.now() - (prices.length - i) * 60000
         });
       }
     }
@@ -185,6 +187,7 @@ class CHOCHDetector {
       if (lastHigh.price > prevHigh.price) {
         changeOfCharacter.bullish = true;
         changeOfCharacter.level = lastHigh.price;
+        changeOfCharacter.timestamp = lastHigh.timestamp;
       }
     }
 
@@ -194,6 +197,7 @@ class CHOCHDetector {
       if (lastLow.price < prevLow.price) {
         changeOfCharacter.bearish = true;
         changeOfCharacter.level = lastLow.price;
+        changeOfCharacter.timestamp = lastLow.timestamp;
       }
     }
 
@@ -51,7 +51,8 @@ class CRTDetector extends EventEmitter {
         timeframe: this.entryTimeframe,
         chochPattern: 'crt_liquidity_sweep',
         riskReward: Math.abs(takeProfit - entryPrice) / Math.max(1e-9, Math.abs(entryPrice - stopLoss)),
-        marketCondition: 'crt'
+        marketCondition: 'crt',
+        setupTimestamp: setup.timestamp
       }];
     } catch (e) {
       console.error('CRT detection error:', e);
@@ -85,7 +86,8 @@ class CRTDetector extends EventEmitter {
           crh, crl,
           sweepHigh: c2.high,
           sweepLow: c2.low,
-          entryHint: c3.open
+          entryHint: c3.open,
+          timestamp: c3.timestamp
         });
       } else if (sweptDown) {
         out.push({
@@ -93,7 +95,8 @@ class CRTDetector extends EventEmitter {
           crh, crl,
           sweepHigh: c2.high,
           sweepLow: c2.low,
-          entryHint: c3.open
+          entryHint: c3.open,
+          timestamp: c3.timestamp
         });
       }
     }
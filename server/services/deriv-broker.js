@@ -0,0 +1,476 @@
+// Deriv broker
+// Trades Deriv multiplier contracts behind the same interface as PaperBroker. placeOrder opens a
+// contract (MULTUP for a buy, MULTDOWN for a sell) with proposal + buy. Every open contract is
+// followed through a proposal_open_contract subscription, and closePosition sells it.
+// Deriv opens multipliers at market only, so limit and stop orders are refused. Quantities are
+// units of the underlying: the stake is quantity x spot / multiplier, and the stop loss and take
+// profit prices become the contract's limit_order amounts, the loss or profit at which Deriv
+// closes it. Open contracts live on Deriv: start() picks them up again from the portfolio call.
+// modifyPosition moves those limit orders with contract_update. Deriv only takes a stop loss
+// that is still a loss, so a stop moved to breakeven or beyond is watched here instead and the
+// contract sold once the spot reaches it. Contracts cannot be sold in part.
+// Safety checks (config.live):
+//   - a real money account is refused unless allowRealAccount is set
+//   - every order needs a stop loss while requireStopLoss is on
+//   - stakes must fall within minStake..maxStake
+//   - at most maxOpenContracts contracts are open at once
+// Events:
+//   order     { order, previousStatus, status }  open -> filled | rejected
+//   position  { position, status }               open | updated | closed
+//   fill      { fill }
+
+const EventEmitter = require('events');
+const config = require('../config');
+const DerivConnection = require('./deriv-connection');
+const DerivProvider = require('./providers/deriv-provider');
+
+const SIDES = ['BUY', 'SELL'];
+const CONTRACT_TYPES = { BUY: 'MULTUP', SELL: 'MULTDOWN' };
+const HISTORY_LIMIT = 500; // finished orders and positions kept in memory
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class DerivBroker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'deriv';
+    const settings = { ...config.live, ...options };
+    this.token = options.token ?? config.api.deriv.token;
+    this.connection = options.connection || new DerivConnection({
+      appId: options.appId,
+      token: this.token,
+      url: options.url
+    });
+    this.provider = new DerivProvider({ connection: this.connection });
+    this.marketDataService = options.marketDataService || null;
+    this.multiplier = settings.multiplier;
+    this.currency = settings.currency;
+    this.allowRealAccount = settings.allowRealAccount;
+    this.requireStopLoss = settings.requireStopLoss;
+    this.minStake = settings.minStake;
+    this.maxStake = settings.maxStake;
+    this.maxOpenContracts = settings.maxOpenContracts;
+    this.reconnectDelay = options.reconnectDelay || 5000;
+    this.debug = options.debug || false;
+
+    this.account = null; // authorize response
+    this.balance = null;
+    this.positions = new Map(); // contract id -> open position
+    this.history = { orders: [], positions: [] }; // finished, newest first
+    this.closing = new Map(); // contract id -> reason of a sell we asked for
+    this.nextOrderId = 1;
+    this.realizedPnl = 0;
+    this.stopped = true;
+    this.onContract = (message) => this.handleContract(message.proposal_open_contract);
+    this.onDisconnected = () => {
+      if (!this.stopped) {
+        console.error('Deriv broker lost its connection, reconnecting');
+        setTimeout(() => this.reconnect(), this.reconnectDelay);
+      }
+    };
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[DerivBroker]', ...args);
+    }
+  }
+
+  normalizeSymbol(symbol) {
+    return this.marketDataService ? this.marketDataService.normalizeSymbol(symbol) : symbol;
+  }
+
+  // Authorizes, runs the account checks and follows the contracts already open
+  async start() {
+    if (!this.token) {
+      throw new Error('Deriv broker needs an API token (DERIV_TOKEN)');
+    }
+    this.connection.on('proposal_open_contract', this.onContract);
+    this.connection.on('disconnected', this.onDisconnected);
+    this.stopped = false;
+
+    try {
+      await this.connection.connect();
+      this.account = this.connection.authorization || await this.connection.authorize(this.token);
+      if (!this.account.is_virtual && !this.allowRealAccount) {
+        throw new Error(`Refusing to trade real money account ${this.account.loginid}; set DERIV_ALLOW_REAL_ACCOUNT=true to allow it`);
+      }
+      if (this.account.currency && this.account.currency !== this.currency) {
+        throw new Error(`Deriv account ${this.account.loginid} is in ${this.account.currency}, expected ${this.currency}`);
+      }
+      this.balance = Number(this.account.balance);
+      await this.followOpenContracts();
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+    this.log(`Trading ${this.account.is_virtual ? 'demo' : 'REAL'} account ${this.account.loginid}, ${this.positions.size} open contracts`);
+  }
+
+  // Stops following contracts; they stay open on Deriv and are picked up by the next start()
+  async stop() {
+    this.stopped = true;
+    this.connection.off('proposal_open_contract', this.onContract);
+    this.connection.off('disconnected', this.onDisconnected);
+    if (this.connection.isOpen()) {
+      await this.connection.send({ forget_all: 'proposal_open_contract' }).catch(() => {});
+    }
+    await this.connection.disconnect();
+  }
+
+  async reconnect() {
+    if (this.stopped) return;
+    try {
+      await this.connection.connect();
+      await this.followOpenContracts();
+      this.log('Reconnected');
+    } catch (error) {
+      console.error('Deriv broker could not reconnect:', error.message);
+      setTimeout(() => this.reconnect(), this.reconnectDelay);
+    }
+  }
+
+  async followOpenContracts() {
+    const response = await this.connection.send({ portfolio: 1 });
+    const contracts = (response.portfolio?.contracts || [])
+      .filter(contract => Object.values(CONTRACT_TYPES).includes(contract.contract_type));
+    for (const contract of contracts) {
+      await this.follow(contract.contract_id);
+    }
+  }
+
+  // The subscription's first update opens (or refreshes) the position, later ones go to handleContract
+  async follow(contractId) {
+    const response = await this.connection.send({ proposal_open_contract: 1, contract_id: contractId, subscribe: 1 });
+    return response.proposal_open_contract;
+  }
+
+  // request: { symbol, side, type ('market'), quantity, stopLoss, takeProfit, metadata }.
+  // Resolves to the order: filled with its positionId (the contract id), or rejected with a reason.
+  async placeOrder(request) {
+    const { side, type = 'market', quantity, stopLoss = null, takeProfit = null } = request;
+    if (!SIDES.includes(side)) {
+      throw new Error(`Unknown order side ${side}, expected ${SIDES.join(' or ')}`);
+    }
+    if (type !== 'market') {
+      throw new Error(`Deriv multipliers open at market only, not with a ${type} order`);
+    }
+    if (!(quantity > 0)) {
+      throw new Error(`Order quantity must be positive, got ${quantity}`);
+    }
+    if (this.requireStopLoss && !(stopLoss > 0)) {
+      throw new Error('Live orders need a stop loss (live.requireStopLoss)');
+    }
+    if (this.stopped) {
+      throw new Error('Deriv broker is not started');
+    }
+
+    const order = {
+      id: this.nextOrderId++,
+      symbol: this.normalizeSymbol(request.symbol),
+      side,
+      type,
+      quantity,
+      price: null,
+      stopLoss,
+      takeProfit,
+      status: 'open',
+      metadata: request.metadata || {},
+      createdAt: Date.now(),
+      expiresAt: null
+    };
+    this.emit('order', { order: { ...order }, previousStatus: null, status: 'open' });
+
+    if (this.positions.size >= this.maxOpenContracts) {
+      return this.finishOrder(order, 'rejected', { reason: 'max_open_contracts' });
+    }
+
+    try {
+      const derivSymbol = this.provider.toDerivSymbol(order.symbol);
+      const spot = await this.provider.getLatestPrice(derivSymbol);
+      if (!Number.isFinite(spot)) {
+        return this.finishOrder(order, 'rejected', { reason: 'no_price' });
+      }
+
+      const stake = roundAmount((quantity * spot) / this.multiplier);
+      if (stake < this.minStake || stake > this.maxStake) {
+        return this.finishOrder(order, 'rejected', { reason: `stake ${stake} outside ${this.minStake}-${this.maxStake}` });
+      }
+
+      // Limit order amounts: the loss or profit of the whole position at the stop and target
+      const limitOrder = {};
+      if (stopLoss !== null) limitOrder.stop_loss = roundAmount(Math.abs(spot - stopLoss) * quantity);
+      if (takeProfit !== null) limitOrder.take_profit = roundAmount(Math.abs(takeProfit - spot) * quantity);
+      if (limitOrder.stop_loss > stake) {
+        return this.finishOrder(order, 'rejected', { reason: `stop loss of ${limitOrder.stop_loss} exceeds the ${stake} stake` });
+      }
+
+      const { proposal } = await this.connection.send({
+        proposal: 1,
+        amount: stake,
+        basis: 'stake',
+        contract_type: CONTRACT_TYPES[side],
+        currency: this.currency,
+        symbol: derivSymbol,
+        multiplier: this.multiplier,
+        limit_order: limitOrder
+      });
+      // Buying at the quoted price and no higher
+      const { buy } = await this.connection.send({ buy: proposal.id, price: proposal.ask_price });
+      this.balance = Number(buy.balance_after);
+
+      const position = {
+        id: buy.contract_id,
+        orderId: order.id,
+        symbol: order.symbol,
+        direction: side,
+        quantity,
+        entryPrice: proposal.spot,
+        stopLoss,
+        takeProfit,
+        status: 'open',
+        stake: Number(buy.buy_price),
+        multiplier: this.multiplier,
+        commission: Number(proposal.commission) || 0,
+        profit: 0,
+        metadata: order.metadata,
+        openedAt: buy.start_time * 1000
+      };
+      this.positions.set(position.id, position);
+
+      Object.assign(order, { status: 'filled', fillPrice: position.entryPrice, positionId: position.id });
+      this.remember('orders', order);
+      this.log(`Order ${order.id} bought contract ${position.id}: ${side} ${order.symbol}, stake ${position.stake}`);
+      this.emit('order', { order: { ...order }, previousStatus: 'open', status: 'filled' });
+      this.emit('fill', { fill: this.fillFor(position, 'entry', position.entryPrice, position.openedAt) });
+      this.emit('position', { position: { ...position }, status: 'open' });
+
+      // Entry spot as Deriv booked it
+      await this.follow(position.id);
+      return { ...order };
+    } catch (error) {
+      return this.finishOrder(order, 'rejected', { reason: error.message });
+    }
+  }
+
+  // Contracts open straight away; there is never a pending order to cancel
+  async cancelOrder() {
+    return null;
+  }
+
+  async closePosition(id, reason = 'manual', options = {}) {
+    const position = this.positions.get(Number(id));
+    if (!position) return null;
+    if (options.quantity !== undefined && options.quantity < position.quantity) {
+      throw new Error('Deriv contracts cannot be closed in part');
+    }
+    this.closing.set(position.id, reason);
+    try {
+      await this.connection.send({ sell: position.id, price: 0 });
+    } catch (error) {
+      this.closing.delete(position.id);
+      throw error;
+    }
+    // The sold contract's final state
+    const contract = await this.follow(position.id);
+    this.handleContract(contract);
+    return this.history.positions.find(closed => closed.id === position.id) || null;
+  }
+
+  // changes: { stopLoss, takeProfit, metadata }; metadata is kept in memory only
+  async modifyPosition(id, changes = {}) {
+    const position = this.positions.get(Number(id));
+    if (!position) return null;
+    const sign = position.direction === 'BUY' ? 1 : -1;
+    const limitOrder = {};
+    if (changes.stopLoss !== undefined) {
+      const loss = roundAmount(sign * (position.entryPrice - changes.stopLoss) * position.quantity);
+      if (loss > 0) {
+        limitOrder.stop_loss = loss;
+      }
+    }
+    if (changes.takeProfit !== undefined) {
+      limitOrder.take_profit = changes.takeProfit === null
+        ? null
+        : roundAmount(sign * (changes.takeProfit - position.entryPrice) * position.quantity);
+    }
+    if (Object.keys(limitOrder).length > 0) {
+      await this.connection.send({ contract_update: 1, contract_id: position.id, limit_order: limitOrder });
+    }
+
+    if (changes.stopLoss !== undefined) {
+      position.stopLoss = changes.stopLoss;
+      // Deriv holds the stop while it is a loss; past that it is watched on contract updates
+      position.localStop = limitOrder.stop_loss === undefined;
+    }
+    if (changes.takeProfit !== undefined) position.takeProfit = changes.takeProfit;
+    if (changes.metadata) position.metadata = { ...position.metadata, ...changes.metadata };
+    this.log(`Contract ${position.id} stop ${position.stopLoss}${position.localStop ? ' (watched locally)' : ''}, target ${position.takeProfit}`);
+    this.emit('position', { position: { ...position }, status: 'updated' });
+    return { ...position };
+  }
+
+  finishOrder(order, status, fields = {}) {
+    Object.assign(order, { status, ...fields });
+    this.remember('orders', order);
+    this.log(`Order ${order.id} ${status}${fields.reason ? ` (${fields.reason})` : ''}`);
+    this.emit('order', { order: { ...order }, previousStatus: 'open', status });
+    return { ...order };
+  }
+
+  remember(kind, item) {
+    this.history[kind].unshift({ ...item });
+    this.history[kind].length = Math.min(this.history[kind].length, HISTORY_LIMIT);
+  }
+
+  fillFor(position, kind, price, timestamp) {
+    const exit = kind === 'exit';
+    return {
+      orderId: position.orderId,
+      positionId: position.id,
+      symbol: position.symbol,
+      side: exit === (position.direction === 'BUY') ? 'SELL' : 'BUY',
+      quantity: position.quantity,
+      price,
+      commission: exit ? 0 : position.commission,
+      kind,
+      timestamp
+    };
+  }
+
+  // A proposal_open_contract update: restores unknown open contracts, marks open ones and
+  // closes the ones Deriv reports sold
+  handleContract(contract) {
+    if (!contract || !contract.contract_id) return;
+    const id = Number(contract.contract_id);
+    let position = this.positions.get(id);
+
+    if (!position) {
+      if (contract.is_sold || !Object.values(CONTRACT_TYPES).includes(contract.contract_type)) return;
+      position = this.positionFromContract(contract);
+      this.positions.set(id, position);
+      this.log(`Following open contract ${id} on ${position.symbol}`);
+      this.emit('position', { position: { ...position }, status: 'open' });
+    }
+
+    if (contract.entry_spot !== undefined) position.entryPrice = Number(contract.entry_spot);
+    if (contract.current_spot !== undefined) position.currentPrice = Number(contract.current_spot);
+    position.profit = Number(contract.profit) || 0;
+
+    if (contract.is_sold) {
+      this.closeFromContract(position, contract);
+      return;
+    }
+
+    const stopReached = position.direction === 'BUY'
+      ? position.currentPrice <= position.stopLoss
+      : position.currentPrice >= position.stopLoss;
+    if (position.localStop && stopReached && !this.closing.has(id)) {
+      this.closePosition(id, 'stop_loss').catch(error => {
+        console.error(`Deriv broker could not sell contract ${id} at its stop:`, error.message);
+      });
+    }
+  }
+
+  closeFromContract(position, contract) {
+    const pnl = Number(contract.profit);
+    const closePrice = Number(contract.exit_tick ?? contract.current_spot);
+    const closedAt = (contract.sell_time || Math.floor(Date.now() / 1000)) * 1000;
+    const closeReason = this.closing.get(position.id) || this.closeReason(contract);
+
+    this.positions.delete(position.id);
+    this.closing.delete(position.id);
+    this.realizedPnl += pnl;
+    if (contract.sell_price !== undefined && this.balance !== null) {
+      // The sale proceeds reach the balance; Deriv's balance stream is not followed
+      this.balance += Number(contract.sell_price);
+    }
+    Object.assign(position, { status: 'closed', closePrice, closeReason, pnl, closedAt });
+    this.remember('positions', position);
+    this.log(`Contract ${position.id} closed at ${closePrice} (${closeReason}): PnL ${pnl.toFixed(2)}`);
+    this.emit('fill', { fill: this.fillFor(position, 'exit', closePrice, closedAt) });
+    this.emit('position', { position: { ...position }, status: 'closed' });
+  }
+
+  // Deriv does not say which limit order closed a contract; the profit tells them apart
+  closeReason(contract) {
+    const profit = Number(contract.profit);
+    const { stop_loss: stopLoss, take_profit: takeProfit } = contract.limit_order || {};
+    if (takeProfit && profit >= Number(takeProfit.order_amount) - 0.01) return 'take_profit';
+    if (stopLoss && profit <= Number(stopLoss.order_amount) + 0.01) return 'stop_loss';
+    if (profit <= -Number(contract.buy_price) + 0.01) return 'stop_out';
+    return 'closed_by_broker';
+  }
+
+  // An open contract placed before this process started: stop and target prices from its limit orders
+  positionFromContract(contract) {
+    const direction = contract.contract_type === CONTRACT_TYPES.BUY ? 'BUY' : 'SELL';
+    const entryPrice = Number(contract.entry_spot);
+    const stake = Number(contract.buy_price);
+    const multiplier = Number(contract.multiplier) || this.multiplier;
+    const quantity = (stake * multiplier) / entryPrice;
+    const sign = direction === 'BUY' ? 1 : -1;
+    const { stop_loss: stopLoss, take_profit: takeProfit } = contract.limit_order || {};
+    return {
+      id: Number(contract.contract_id),
+      orderId: null,
+      symbol: this.normalizeSymbol(contract.underlying),
+      direction,
+      quantity,
+      entryPrice,
+      stopLoss: stopLoss ? entryPrice - (sign * Math.abs(Number(stopLoss.order_amount))) / quantity : null,
+      takeProfit: takeProfit ? entryPrice + (sign * Number(takeProfit.order_amount)) / quantity : null,
+      status: 'open',
+      stake,
+      multiplier,
+      commission: Number(contract.commission) || 0,
+      profit: Number(contract.profit) || 0,
+      metadata: {},
+      openedAt: Number(contract.date_start) * 1000
+    };
+  }
+
+  getOpenOrders() {
+    return [];
+  }
+
+  getOpenPositions() {
+    return Array.from(this.positions.values()).map(position => ({ ...position }));
+  }
+
+  async getOrders(filters = {}) {
+    return this.history.orders
+      .filter(order => !filters.status || order.status === filters.status)
+      .slice(0, filters.limit || 100);
+  }
+
+  async getPositions(filters = {}) {
+    const positions = [...this.getOpenPositions().reverse(), ...this.history.positions];
+    return positions
+      .filter(position => !filters.status || position.status === filters.status)
+      .slice(0, filters.limit || 100);
+  }
+
+  // Balance excludes the stakes of open contracts; equity adds back what they are worth now
+  getAccount() {
+    const open = Array.from(this.positions.values());
+    const unrealized = open.reduce((sum, position) => sum + position.profit, 0);
+    const staked = open.reduce((sum, position) => sum + position.stake, 0);
+    return {
+      broker: this.name,
+      loginid: this.account ? this.account.loginid : null,
+      virtual: this.account ? Boolean(this.account.is_virtual) : null,
+      currency: this.currency,
+      balance: this.balance,
+      equity: this.balance === null ? null : this.balance + staked + unrealized,
+      unrealizedPnl: unrealized,
+      realizedPnl: this.realizedPnl,
+      openOrders: 0,
+      openPositions: open.length
+    };
+  }
+}
+
+module.exports = DerivBroker;
@@ -0,0 +1,139 @@
+const WebSocket = require('ws');
+const EventEmitter = require('events');
+const config = require('../config');
+
+// Thin request/response client for the Deriv websocket API.
+// Every request is tagged with a req_id so concurrent calls can share one socket.
+class DerivConnection extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.appId = options.appId || config.api.deriv.appId;
+    this.token = options.token || '';
+    this.url = options.url || config.api.deriv.websocketUrl;
+    this.requestTimeout = options.requestTimeout || 15000;
+    this.ws = null;
+    this.connecting = null;
+    this.nextReqId = 1;
+    this.pending = new Map();
+    this.authorization = null;
+  }
+
+  getUrl() {
+    const separator = this.url.includes('?') ? '&' : '?';
+    return this.url.includes('app_id=') ? this.url : `${this.url}${separator}app_id=${this.appId}`;
+  }
+
+  isOpen() {
+    return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  async connect() {
+    if (this.isOpen()) return;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.getUrl());
+
+      ws.on('open', async () => {
+        this.ws = ws;
+        this.connecting = null;
+        try {
+          if (this.token) {
+            await this.authorize(this.token);
+          }
+          this.emit('connected');
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      ws.on('message', (data) => this.handleMessage(data));
+
+      ws.on('close', () => {
+        this.ws = null;
+        this.connecting = null;
+        this.rejectPending(new Error('Deriv connection closed'));
+        this.emit('disconnected');
+      });
+
+      ws.on('error', (error) => {
+        this.connecting = null;
+        // The rejection already reports the failure; an unhandled 'error' event would crash the process
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+        reject(error);
+      });
+    });
+
+    return this.connecting;
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.error('Invalid message from Deriv:', error);
+      return;
+    }
+
+    const entry = message.req_id !== undefined ? this.pending.get(message.req_id) : null;
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(message.req_id);
+      if (message.error) {
+        const error = new Error(`Deriv ${message.msg_type || 'request'} failed: ${message.error.message}`);
+        error.code = message.error.code;
+        entry.reject(error);
+      } else {
+        entry.resolve(message);
+      }
+    }
+
+    this.emit('message', message);
+    if (message.msg_type) {
+      this.emit(message.msg_type, message);
+    }
+  }
+
+  async send(request) {
+    await this.connect();
+
+    const reqId = this.nextReqId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(reqId);
+        reject(new Error(`Deriv request timed out: ${Object.keys(request)[0]}`));
+      }, this.requestTimeout);
+
+      this.pending.set(reqId, { resolve, reject, timer });
+      this.ws.send(JSON.stringify({ ...request, req_id: reqId }));
+    });
+  }
+
+  async authorize(token) {
+    const response = await this.send({ authorize: token });
+    this.token = token;
+    this.authorization = response.authorize;
+    return response.authorize;
+  }
+
+  rejectPending(error) {
+    for (const [reqId, entry] of this.pending) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+      this.pending.delete(reqId);
+    }
+  }
+
+  async disconnect() {
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+  }
+}
+
+module.exports = DerivConnection;
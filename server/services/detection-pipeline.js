@@ -0,0 +1,139 @@
+// Event-driven detection
+// Runs registered detectors when a candle closes on one of their timeframes. A cursor per
+// detector/symbol/timeframe records the last candle processed (persisted in detector_cursors),
+// so a setup is evaluated once even across restarts or duplicate close events.
+// Events:
+//   signals        { detector, symbol, timeframe, candle, signals }
+//   detectorError  { detector, symbol, timeframe, error }
+
+const EventEmitter = require('events');
+const { timeframeToMs } = require('./timeframes');
+
+class DetectionPipeline extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.marketDataService = options.marketDataService;
+    this.candleStream = options.candleStream;
+    this.database = options.database || null;
+    this.debug = options.debug || false;
+
+    this.detectors = new Map(); // name -> { timeframes, detect }
+    this.cursors = new Map(); // `${detector}|${symbol}|${timeframe}` -> last processed candle timestamp
+    this.symbols = new Set();
+    this.queue = Promise.resolve();
+    this.running = false;
+    this.onCandleClosed = (event) => this.enqueue(event);
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[DetectionPipeline]', ...args);
+    }
+  }
+
+  // detect({ symbol, timeframe, candle, marketData }) resolves to an array of signals.
+  // marketData is a MarketDataService view that ends at the closed candle.
+  register(name, { timeframes, detect }) {
+    this.detectors.set(name, { timeframes, detect });
+    return this;
+  }
+
+  getTimeframes() {
+    const timeframes = new Set();
+    this.detectors.forEach(detector => detector.timeframes.forEach(tf => timeframes.add(tf)));
+    return Array.from(timeframes);
+  }
+
+  async start(symbols) {
+    if (this.running) return;
+    this.running = true;
+
+    await this.loadCursors();
+    this.candleStream.on('candleClosed', this.onCandleClosed);
+
+    const timeframes = this.getTimeframes();
+    for (const symbol of symbols) {
+      try {
+        this.symbols.add(await this.candleStream.subscribe(symbol, timeframes));
+      } catch (error) {
+        console.error(`Detection pipeline could not stream ${symbol}:`, error.message);
+      }
+    }
+    this.log(`Watching ${this.symbols.size} symbols on ${timeframes.join(', ')}`);
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    this.candleStream.off('candleClosed', this.onCandleClosed);
+    const timeframes = this.getTimeframes();
+    const symbols = Array.from(this.symbols);
+    this.symbols.clear();
+    await Promise.all(symbols.map(symbol => this.candleStream.unsubscribe(symbol, timeframes)));
+    await this.queue;
+  }
+
+  async loadCursors() {
+    if (!this.database || !this.database.isReady()) return;
+    try {
+      const rows = await this.database.getDetectorCursors();
+      rows.forEach(row => {
+        this.cursors.set(`${row.detector}|${row.symbol}|${row.timeframe}`, row.last_candle_timestamp);
+      });
+    } catch (error) {
+      console.error('Could not load detector cursors:', error.message);
+    }
+  }
+
+  // Detection runs one candle at a time so a burst of closes (every symbol's 1m candle
+  // closing together) does not fan out into parallel provider requests
+  enqueue(event) {
+    if (!this.symbols.has(event.symbol)) return this.queue;
+    this.queue = this.queue
+      .then(() => this.process(event))
+      .catch(error => console.error('Detection pipeline error:', error));
+    return this.queue;
+  }
+
+  async process({ symbol, timeframe, candle }) {
+    const marketData = this.marketDataService.at(candle.timestamp + timeframeToMs(timeframe) - 1);
+
+    for (const [name, detector] of this.detectors) {
+      if (!detector.timeframes.includes(timeframe)) continue;
+
+      const key = `${name}|${symbol}|${timeframe}`;
+      const cursor = this.cursors.get(key);
+      if (cursor !== undefined && candle.timestamp <= cursor) {
+        this.log(`Skipping ${key} at ${candle.timestamp}, already processed`);
+        continue;
+      }
+
+      // Advance the cursor before running so a failing detector is not retried on the same candle
+      await this.setCursor(name, symbol, timeframe, candle.timestamp);
+
+      try {
+        const signals = await detector.detect({ symbol, timeframe, candle, marketData });
+        if (signals && signals.length > 0) {
+          this.emit('signals', { detector: name, symbol, timeframe, candle, signals });
+        }
+      } catch (error) {
+        console.error(`Detector ${name} failed on ${symbol} ${timeframe}:`, error.message);
+        this.emit('detectorError', { detector: name, symbol, timeframe, error });
+      }
+    }
+  }
+
+  async setCursor(detector, symbol, timeframe, timestamp) {
+    this.cursors.set(`${detector}|${symbol}|${timeframe}`, timestamp);
+    if (this.database && this.database.isReady()) {
+      try {
+        await this.database.setDetectorCursor(detector, symbol, timeframe, timestamp);
+      } catch (error) {
+        console.error('Could not persist detector cursor:', error.message);
+      }
+    }
+  }
+}
+
+module.exports = DetectionPipeline;
@@ -0,0 +1,128 @@
+// Historical data feed for backtests
+// Holds one symbol's candles on a base timeframe and serves any timeframe built from them
+// (resampled on the symbol's session boundaries, like MarketDataService does live).
+// at(now) returns a MarketDataService-like view that only ever returns candles that had
+// closed by `now`, so a detector replayed at a driver candle's close sees its entry
+// timeframe up to that same moment and nothing after it.
+
+const { getSessionOffset, resample } = require('./candle-resampler');
+const { timeframeToMs } = require('./timeframes');
+
+// Same convention as MarketDataService.normalizeSymbol
+function normalizeSymbol(symbol) {
+  return symbol.replace(/[-_]/g, '/').toUpperCase();
+}
+
+class HistoricalFeed {
+  // candles: base timeframe candles, oldest first. options.start marks where the backtest
+  // begins; earlier candles are only history for the detectors' lookback.
+  constructor(symbol, candles, baseTimeframe, options = {}) {
+    this.symbol = symbol ? normalizeSymbol(symbol) : null;
+    this.baseTimeframe = baseTimeframe;
+    this.sessionOffset = options.sessionOffset ?? (symbol ? getSessionOffset(symbol) : 0);
+    this.start = options.start ?? (candles.length ? candles[0].timestamp : 0);
+    // Close of the last base candle
+    this.end = candles.length ? candles[candles.length - 1].timestamp + timeframeToMs(baseTimeframe) : this.start;
+    this.series = new Map([[baseTimeframe, candles]]); // timeframe -> candles
+  }
+
+  static fromCandles(candles, timeframe, options = {}) {
+    return new HistoricalFeed(options.symbol, candles, timeframe, options);
+  }
+
+  // Loads base candles closed between start - warmup and end (ms). Fails when the provider
+  // fails or has nothing for the period, rather than replaying made-up or missing data.
+  static async load(marketDataService, symbol, { baseTimeframe = '1m', start, end = Date.now(), warmup = 0 } = {}) {
+    const interval = timeframeToMs(baseTimeframe);
+    const from = start - warmup;
+    const count = Math.ceil((end - from) / interval);
+    const candles = await marketDataService.getMarketData(symbol, baseTimeframe, count + 1, { end });
+    const closed = candles.filter(candle => candle.timestamp >= from && candle.timestamp + interval <= end);
+    if (!closed.some(candle => candle.timestamp >= start)) {
+      throw new Error(`No ${baseTimeframe} candles for ${symbol} between ${new Date(start).toISOString()} and ${new Date(end).toISOString()}`);
+    }
+    return new HistoricalFeed(symbol, closed, baseTimeframe, { start });
+  }
+
+  getSeries(timeframe) {
+    if (this.series.has(timeframe)) {
+      return this.series.get(timeframe);
+    }
+
+    const interval = timeframeToMs(timeframe);
+    const baseInterval = timeframeToMs(this.baseTimeframe);
+    if (interval < baseInterval || interval % baseInterval !== 0) {
+      throw new Error(`Feed for ${this.symbol} holds ${this.baseTimeframe} candles and cannot build ${timeframe}`);
+    }
+
+    const base = this.series.get(this.baseTimeframe);
+    const candles = resample(base, timeframe, { sessionOffset: this.sessionOffset });
+    // The first and last buckets are incomplete when the data starts or ends mid-bucket
+    if (candles.length > 0 && candles[0].timestamp < base[0].timestamp) {
+      candles.shift();
+    }
+    const dataEnd = base.length > 0 ? base[base.length - 1].timestamp + baseInterval : 0;
+    if (candles.length > 0 && candles[candles.length - 1].timestamp + interval > dataEnd) {
+      candles.pop();
+    }
+    this.series.set(timeframe, candles);
+    return candles;
+  }
+
+  // Number of candles of a timeframe that had closed by `now`
+  countClosed(timeframe, now) {
+    const candles = this.getSeries(timeframe);
+    const interval = timeframeToMs(timeframe);
+    let low = 0;
+    let high = candles.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (candles[mid].timestamp + interval <= now) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  // The last `limit` candles of a timeframe that had closed by `now`
+  getCandles(timeframe, now, limit = 500) {
+    const end = this.countClosed(timeframe, now);
+    return this.getSeries(timeframe).slice(Math.max(0, end - limit), end);
+  }
+
+  // Base candles that closed after `from` and by `to`, e.g. the path price took between two steps
+  getPath(from, to) {
+    const start = this.countClosed(this.baseTimeframe, from);
+    return this.series.get(this.baseTimeframe).slice(start, this.countClosed(this.baseTimeframe, to));
+  }
+
+  // A feed replaying [start, end): base candles closed by `end`, with the ones before `start`
+  // kept as history, e.g. the in-sample and out-of-sample windows of a walk-forward split
+  slice(start, end) {
+    const base = this.series.get(this.baseTimeframe).slice(0, this.countClosed(this.baseTimeframe, end));
+    return new HistoricalFeed(this.symbol, base, this.baseTimeframe, { start, sessionOffset: this.sessionOffset });
+  }
+
+  // A MarketDataService stand-in frozen at `now`
+  at(now) {
+    const feed = this;
+    return {
+      now,
+      normalizeSymbol,
+      async getMarketData(symbol, timeframe, limit = 500) {
+        if (feed.symbol && symbol && normalizeSymbol(symbol) !== feed.symbol) {
+          throw new Error(`Feed holds ${feed.symbol}, not ${symbol}`);
+        }
+        return feed.getCandles(timeframe, now, limit);
+      },
+      getLatestPrice() {
+        const [last] = feed.getCandles(feed.baseTimeframe, now, 1);
+        return last ? last.close : null;
+      }
+    };
+  }
+}
+
+module.exports = HistoricalFeed;
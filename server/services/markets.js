@@ -0,0 +1,86 @@
+// Symbol catalog grouped by market. The market name is what provider routes
+// (config.marketData.routes) and exposure limits refer to.
+
+const MARKETS = {
+  forex: [
+    'EUR/USD', 'GBP/USD', 'USD/JPY', 'AUD/USD', 'USD/CAD',
+    'EUR/GBP', 'USD/CHF', 'NZD/USD', 'EUR/JPY', 'GBP/JPY'
+  ],
+  crypto: [
+    'BTC/USD', 'ETH/USD', 'XRP/USD', 'LTC/USD', 'BCH/USD',
+    'BNB/USD', 'SOL/USD', 'ADA/USD', 'DOT/USD', 'DOGE/USD'
+  ],
+  indices: ['US30', 'US100', 'US500', 'UK100', 'GER40', 'JPN225'],
+  commodities: ['XAU/USD', 'XAG/USD', 'OIL/USD', 'NATGAS', 'COPPER'],
+  synthetics: [
+    // Volatility Indices (Standard and 1s Fast Versions)
+    'V10', 'V25', 'V50', 'V75', 'V100', 'V150', 'V250',
+    'V10 (1s)', 'V25 (1s)', 'V50 (1s)', 'V75 (1s)', 'V90 (1s)',
+    'V100 (1s)', 'V150 (1s)', 'V200 (1s)', 'V250 (1s)', 'V300 (1s)',
+    // Crash and Boom Indices
+    'CRASH 1000', 'BOOM 1000', 'CRASH 500', 'BOOM 500',
+    'CRASH 300', 'BOOM 300', 'CRASH 200', 'BOOM 200',
+    'CRASH 100', 'BOOM 100',
+    // Jump Indices
+    'JUMP INDEX Volatility 10%', 'JUMP INDEX Volatility 25%',
+    'JUMP INDEX Volatility 50%', 'JUMP INDEX Volatility 75%',
+    'JUMP INDEX Volatility 100%',
+    // Step Indices
+    'STEP INDEX Volatility 10%', 'STEP INDEX Volatility 25%',
+    'STEP INDEX Volatility 50%', 'STEP INDEX Volatility 75%',
+    'STEP INDEX Volatility 100%',
+    // Range Break Indices
+    'RANGE BREAK INDEX Volatility 10%', 'RANGE BREAK INDEX Volatility 25%',
+    'RANGE BREAK INDEX Volatility 50%', 'RANGE BREAK INDEX Volatility 75%',
+    'RANGE BREAK INDEX Volatility 100%',
+    // Daily Reset Indices (Synthetic Indices resetting daily)
+    'DAILY RESET INDEX Volatility 10', 'DAILY RESET INDEX Volatility 25',
+    'DAILY RESET INDEX Volatility 50', 'DAILY RESET INDEX Volatility 100',
+    // Other Special Synthetic Indices
+    'HYBRID INDICES', 'SKEW STEP INDICES', 'TREK INDICES', 'VOLATILITY SWITCH INDICES'
+  ]
+};
+
+const SYMBOL_MARKETS = new Map();
+for (const [market, symbols] of Object.entries(MARKETS)) {
+  symbols.forEach(symbol => SYMBOL_MARKETS.set(symbol.toUpperCase(), market));
+}
+
+// Classify a symbol, including raw Deriv codes (R_75, 1HZ100V, frxEURUSD, ...)
+// and symbols that are not in the catalog.
+function getMarketForSymbol(symbol) {
+  const upper = String(symbol).toUpperCase();
+  if (SYMBOL_MARKETS.has(upper)) return SYMBOL_MARKETS.get(upper);
+
+  if (/^(R[_/]\d+|1HZ\d+V|V\d+|CRASH|BOOM|JD\d+|STPRNG|RDBULL|RDBEAR)/.test(upper)) return 'synthetics';
+  if (/^CRY/.test(upper)) return 'crypto';
+  if (/^FRX(XAU|XAG|XPT|XPD)/.test(upper)) return 'commodities';
+  if (/^FRX/.test(upper)) return 'forex';
+  if (/^OTC[_/]/.test(upper)) return 'indices';
+
+  const pair = upper.match(/^([A-Z]{3,4})\/?([A-Z]{3,4})$/);
+  if (pair) {
+    if (MARKETS.crypto.some(s => s.startsWith(`${pair[1]}/`))) return 'crypto';
+    if (['XAU', 'XAG'].includes(pair[1])) return 'commodities';
+    return 'forex';
+  }
+
+  return 'unknown';
+}
+
+// Compares symbols across formats: R_75, R/75 and r75 are the same instrument, as are EUR/USD
+// and frxEURUSD
+function symbolKey(symbol) {
+  return String(symbol).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^FRX/, '');
+}
+
+function getAllCatalogSymbols() {
+  return Object.values(MARKETS).flat();
+}
+
+module.exports = {
+  MARKETS,
+  getMarketForSymbol,
+  symbolKey,
+  getAllCatalogSymbols
+};
@@ -0,0 +1,155 @@
+// Monte Carlo robustness of a backtest
+// Replays a backtest's trade list in other orders to show how much of its result was the
+// particular sequence it happened in. Each trade is taken as a return on the equity it was
+// opened with, so paths compound like the backtest did.
+//   shuffle    every path holds the same trades in a random order: the final return is the
+//              same on every path, drawdowns and risk of ruin change
+//   bootstrap  paths draw trades with replacement: returns vary too
+// Win rate and expectancy intervals always come from bootstrap resamples; noEdgeProbability
+// is the share of resamples whose expectancy was not positive, i.e. how easily the result
+// could come from a strategy with no edge at all.
+
+const config = require('../config');
+const { createRandom, hashString } = require('./synthetic-market');
+
+const METHODS = ['shuffle', 'bootstrap'];
+
+// Value at fraction p (0..1) of sorted values, interpolated
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+class MonteCarlo {
+  constructor(options = {}) {
+    const settings = config.backtest.monteCarlo;
+    this.iterations = options.iterations || settings.iterations;
+    this.confidence = options.confidence || settings.confidence;
+    this.ruinLevel = options.ruinLevel ?? settings.ruinLevel;
+    this.method = options.method || 'shuffle';
+    this.seed = String(options.seed ?? 'monte-carlo');
+
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown Monte Carlo method ${this.method}, expected ${METHODS.join(' or ')}`);
+    }
+  }
+
+  // Distribution summary: mean and percentiles, plus the confidence interval bounds
+  distribution(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const tail = (1 - this.confidence) / 2;
+    return {
+      mean: mean(sorted),
+      p5: percentile(sorted, 0.05),
+      p25: percentile(sorted, 0.25),
+      median: percentile(sorted, 0.5),
+      p75: percentile(sorted, 0.75),
+      p95: percentile(sorted, 0.95),
+      lower: percentile(sorted, tail),
+      upper: percentile(sorted, 1 - tail)
+    };
+  }
+
+  // Final return and max drawdown (percent) of one path of per-trade returns
+  replay(returns) {
+    let equity = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    let ruined = false;
+    for (const value of returns) {
+      equity *= 1 + value;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+      if (equity <= this.ruinLevel) {
+        ruined = true;
+      }
+    }
+    return { finalReturn: (equity - 1) * 100, maxDrawdown: maxDrawdown * 100, ruined };
+  }
+
+  // trades: Backtester trades in the order they closed
+  analyze(trades, initialCapital) {
+    if (trades.length === 0) {
+      return null;
+    }
+
+    // Each trade's return on the equity before it
+    let capital = initialCapital;
+    const returns = trades.map(trade => {
+      const value = capital > 0 ? trade.pnl / capital : 0;
+      capital += trade.pnl;
+      return value;
+    });
+    const observed = this.replay(returns);
+
+    const random = createRandom(hashString(this.seed));
+    const draw = () => returns[Math.floor(random() * returns.length)];
+    const finalReturns = [];
+    const drawdowns = [];
+    const winRates = [];
+    const expectancies = [];
+    let ruined = 0;
+    let losing = 0;
+    let noEdge = 0;
+
+    for (let iteration = 0; iteration < this.iterations; iteration++) {
+      let path;
+      if (this.method === 'shuffle') {
+        // Fisher-Yates
+        path = [...returns];
+        for (let i = path.length - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          [path[i], path[j]] = [path[j], path[i]];
+        }
+      } else {
+        path = returns.map(draw);
+      }
+
+      const result = this.replay(path);
+      finalReturns.push(result.finalReturn);
+      drawdowns.push(result.maxDrawdown);
+      if (result.ruined) ruined++;
+      if (result.finalReturn < 0) losing++;
+
+      const sample = this.method === 'bootstrap' ? path : returns.map(draw);
+      const expectancy = mean(sample);
+      winRates.push((sample.filter(value => value > 0).length / sample.length) * 100);
+      expectancies.push(expectancy * 100);
+      if (expectancy <= 0) noEdge++;
+    }
+
+    // Share of simulated drawdowns at least as deep as the backtest's own
+    const deeper = drawdowns.filter(value => value >= observed.maxDrawdown).length;
+
+    return {
+      method: this.method,
+      iterations: this.iterations,
+      trades: trades.length,
+      confidence: this.confidence,
+      ruinLevel: this.ruinLevel,
+      observed: {
+        finalReturn: observed.finalReturn,
+        maxDrawdown: observed.maxDrawdown,
+        winRate: (returns.filter(value => value > 0).length / returns.length) * 100,
+        expectancy: mean(returns) * 100 // percent of equity per trade
+      },
+      finalReturn: this.distribution(finalReturns),
+      maxDrawdown: this.distribution(drawdowns),
+      winRate: this.distribution(winRates),
+      expectancy: this.distribution(expectancies),
+      riskOfRuin: ruined / this.iterations,
+      lossProbability: losing / this.iterations,
+      noEdgeProbability: noEdge / this.iterations,
+      deeperDrawdownProbability: deeper / this.iterations
+    };
+  }
+}
+
+module.exports = MonteCarlo;
@@ -0,0 +1,296 @@
+// Parameter optimization
+// Searches a strategy's declared parameter space (adapter.parameters, see strategy-adapters.js)
+// by backtesting each candidate on a HistoricalFeed: every combination ('grid') or `samples`
+// seeded random draws ('random'). Candidates are ranked by `objective`, a Backtester metric
+// ('profitFactor', 'sharpeRatio', 'winRate', ...), 'totalReturn' or 'returnOverDrawdown';
+// candidates with fewer than minTrades trades are not ranked.
+//
+// walkForward splits the feed into folds, optimizes each in-sample window and replays the
+// winner on the out-of-sample window after it. The report shows how much of the in-sample
+// score survived out of sample and how consistently each parameter was chosen, since a best
+// in-sample result on its own is mostly a measure of how well the search fit the noise.
+
+const Backtester = require('./backtester');
+const { createRandom, hashString } = require('./synthetic-market');
+const { resolveAdapter } = require('./strategy-adapters');
+
+const METHODS = ['grid', 'random'];
+const OBJECTIVES = ['profitFactor', 'sharpeRatio', 'winRate', 'totalReturn', 'returnOverDrawdown'];
+
+class Optimizer {
+  // options.backtest: Backtester options shared by every candidate (capital, fills, timeframe)
+  constructor(strategy, options = {}) {
+    this.strategy = strategy;
+    this.backtestOptions = options.backtest || {};
+    const adapter = resolveAdapter(strategy, this.backtestOptions);
+    this.name = adapter.name;
+    this.space = options.parameters || adapter.parameters;
+    this.method = options.method || 'grid';
+    this.samples = options.samples || 50;
+    this.seed = String(options.seed ?? 'optimizer');
+    this.objective = options.objective || 'profitFactor';
+    this.minTrades = options.minTrades ?? 10;
+    this.onProgress = options.onProgress || null; // called with the share of backtests done
+    this.debug = options.debug || false;
+
+    if (!this.space || Object.keys(this.space).length === 0) {
+      throw new Error(`${this.name} declares no parameters to optimize`);
+    }
+    if (!METHODS.includes(this.method)) {
+      throw new Error(`Unknown search method ${this.method}, expected ${METHODS.join(' or ')}`);
+    }
+    if (!OBJECTIVES.includes(this.objective)) {
+      throw new Error(`Unknown objective ${this.objective}, expected one of ${OBJECTIVES.join(', ')}`);
+    }
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[Optimizer]', ...args);
+    }
+  }
+
+  // Grid values of one parameter: its listed values, or min to max by step
+  static expand(range) {
+    if (Array.isArray(range.values)) {
+      return range.values;
+    }
+    const step = range.step || (range.max - range.min) / 4;
+    const values = [];
+    for (let index = 0; range.min + index * step <= range.max + step / 1e6; index++) {
+      values.push(Number((range.min + index * step).toFixed(10)));
+    }
+    return values;
+  }
+
+  // A random value of one parameter, on its step grid when it has one
+  static draw(range, random) {
+    if (Array.isArray(range.values)) {
+      return range.values[Math.floor(random() * range.values.length)];
+    }
+    if (range.step) {
+      const steps = Math.floor((range.max - range.min) / range.step + 1e-6);
+      return Number((range.min + Math.floor(random() * (steps + 1)) * range.step).toFixed(10));
+    }
+    return range.min + random() * (range.max - range.min);
+  }
+
+  candidates() {
+    const names = Object.keys(this.space);
+    if (this.method === 'grid') {
+      return names.reduce(
+        (combos, name) => combos.flatMap(combo => Optimizer.expand(this.space[name]).map(value => ({ ...combo, [name]: value }))),
+        [{}]
+      );
+    }
+
+    // Distinct draws; a small space may run out before `samples`
+    const random = createRandom(hashString(this.seed));
+    const seen = new Set();
+    const candidates = [];
+    for (let attempt = 0; attempt < this.samples * 10 && candidates.length < this.samples; attempt++) {
+      const params = Object.fromEntries(names.map(name => [name, Optimizer.draw(this.space[name], random)]));
+      const key = JSON.stringify(params);
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push(params);
+      }
+    }
+    return candidates;
+  }
+
+  // Objective value of one backtest, null when it traded too little to judge
+  score(result) {
+    const { metrics } = result;
+    if (metrics.totalTrades < this.minTrades) {
+      return null;
+    }
+    if (this.objective === 'totalReturn') {
+      return result.totalReturn;
+    }
+    if (this.objective === 'returnOverDrawdown') {
+      return result.totalReturn / Math.max(metrics.maxDrawdown, 0.01);
+    }
+    return Number.isNaN(metrics[this.objective]) ? null : metrics[this.objective];
+  }
+
+  async evaluate(feed, symbol, params) {
+    const backtester = new Backtester(this.strategy, { ...this.backtestOptions, ...params, debug: false });
+    const result = await backtester.backtest(feed, symbol);
+    return {
+      params,
+      score: this.score(result),
+      totalReturn: result.totalReturn,
+      metrics: result.metrics
+    };
+  }
+
+  // Backtests every candidate on the feed. Resolves to the candidates best first, the best
+  // one and, for a grid, how its neighbours scored: a peak on a plateau of good neighbours
+  // is more likely to hold up than an isolated spike.
+  async optimize(feed, symbol, progress = { done: 0, total: null }) {
+    const candidates = this.candidates();
+    const total = progress.total || candidates.length;
+    const results = [];
+
+    for (const params of candidates) {
+      results.push(await this.evaluate(feed, symbol, params));
+      progress.done++;
+      if (this.onProgress) {
+        this.onProgress(progress.done / total);
+      }
+    }
+
+    const ranked = results.sort((a, b) => {
+      const [scoreA, scoreB] = [a.score ?? -Infinity, b.score ?? -Infinity];
+      return scoreA === scoreB ? 0 : scoreB > scoreA ? 1 : -1;
+    });
+    const best = ranked.length > 0 && ranked[0].score !== null ? ranked[0] : null;
+    this.log(`${this.name}: ${candidates.length} candidates, best ${this.objective} ${best ? best.score : 'n/a'}`);
+
+    return {
+      strategy: this.name,
+      method: this.method,
+      objective: this.objective,
+      best,
+      neighborhood: best && this.method === 'grid' ? this.neighborhood(best, ranked) : null,
+      results: ranked
+    };
+  }
+
+  // Candidates one grid step away from the best in a single parameter
+  neighborhood(best, results) {
+    const names = Object.keys(this.space);
+    const position = params => names.map(name => Optimizer.expand(this.space[name]).indexOf(params[name]));
+    const bestPosition = position(best.params);
+
+    const neighbors = results.filter(result => {
+      const distance = position(result.params).map((index, i) => Math.abs(index - bestPosition[i]));
+      return distance.reduce((sum, step) => sum + step, 0) === 1;
+    });
+    const scores = neighbors.map(result => result.score).filter(Number.isFinite);
+    const meanScore = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+
+    return {
+      neighbors: neighbors.length,
+      ranked: scores.length, // neighbours with enough trades to score
+      meanScore,
+      // Share of the best score the neighbours keep on average
+      ratio: meanScore !== null && Number.isFinite(best.score) && best.score !== 0 ? meanScore / best.score : null
+    };
+  }
+
+  // Rolling windows (anchored: every in-sample window starts at the feed's start). The
+  // out-of-sample windows follow each other without overlap and end at the feed's end.
+  static splitFolds(start, end, { folds = 4, inSampleRatio = 0.75, anchored = false } = {}) {
+    const windowLength = (end - start) / (inSampleRatio + folds * (1 - inSampleRatio));
+    const inSampleLength = windowLength * inSampleRatio;
+    const outOfSampleLength = windowLength - inSampleLength;
+
+    return Array.from({ length: folds }, (_, index) => {
+      const inSampleEnd = Math.round(start + inSampleLength + index * outOfSampleLength);
+      return {
+        index,
+        inSample: { start: anchored ? start : Math.round(start + index * outOfSampleLength), end: inSampleEnd },
+        outOfSample: { start: inSampleEnd, end: Math.round(inSampleEnd + outOfSampleLength) }
+      };
+    });
+  }
+
+  async walkForward(feed, symbol, options = {}) {
+    const splits = Optimizer.splitFolds(feed.start, feed.end, options);
+    const perFold = this.candidates().length + 1;
+    const progress = { done: 0, total: perFold * splits.length };
+    const folds = [];
+
+    for (const split of splits) {
+      const optimization = await this.optimize(feed.slice(split.inSample.start, split.inSample.end), symbol, progress);
+      const { best } = optimization;
+      let outOfSample = null;
+      if (best) {
+        outOfSample = await this.evaluate(feed.slice(split.outOfSample.start, split.outOfSample.end), symbol, best.params);
+      }
+      progress.done = (split.index + 1) * perFold;
+      if (this.onProgress) {
+        this.onProgress(progress.done / progress.total);
+      }
+
+      folds.push({
+        ...split,
+        params: best ? best.params : null,
+        inSampleScore: best ? best.score : null,
+        outOfSampleScore: outOfSample ? outOfSample.score : null,
+        inSampleReturn: best ? best.totalReturn : null,
+        outOfSampleReturn: outOfSample ? outOfSample.totalReturn : null,
+        inSampleMetrics: best ? best.metrics : null,
+        outOfSampleMetrics: outOfSample ? outOfSample.metrics : null,
+        neighborhood: optimization.neighborhood
+      });
+      this.log(`Fold ${split.index + 1}/${splits.length}: ${JSON.stringify(best && best.params)} IS ${folds[folds.length - 1].inSampleScore} OOS ${folds[folds.length - 1].outOfSampleScore}`);
+    }
+
+    return {
+      strategy: this.name,
+      method: this.method,
+      objective: this.objective,
+      folds,
+      summary: this.summarizeWalkForward(folds)
+    };
+  }
+
+  summarizeWalkForward(folds) {
+    const tested = folds.filter(fold => fold.outOfSampleReturn !== null);
+    const mean = values => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+    const inSampleScores = tested.map(fold => fold.inSampleScore).filter(Number.isFinite);
+    const outOfSampleScores = tested.map(fold => fold.outOfSampleScore).filter(Number.isFinite);
+    const meanInSample = mean(inSampleScores);
+    const meanOutOfSample = mean(outOfSampleScores);
+
+    return {
+      folds: folds.length,
+      testedFolds: tested.length,
+      profitableFolds: tested.filter(fold => fold.outOfSampleReturn > 0).length,
+      // Each fold is replayed from the initial capital; chaining their returns gives the growth
+      // of one account carried from each test window into the next
+      outOfSampleReturn: tested.length > 0
+        ? (tested.reduce((growth, fold) => growth * (1 + fold.outOfSampleReturn / 100), 1) - 1) * 100
+        : null,
+      outOfSampleTrades: tested.reduce((sum, fold) => sum + fold.outOfSampleMetrics.totalTrades, 0),
+      meanInSampleScore: meanInSample,
+      meanOutOfSampleScore: meanOutOfSample,
+      // Walk-forward efficiency: out-of-sample over in-sample objective
+      efficiency: meanInSample && meanOutOfSample !== null ? meanOutOfSample / meanInSample : null,
+      stability: this.parameterStability(folds)
+    };
+  }
+
+  // How consistently each parameter was chosen across folds. spread is the standard deviation
+  // as a share of the parameter's range; modeShare the share of folds choosing the usual value.
+  parameterStability(folds) {
+    const chosen = folds.filter(fold => fold.params);
+    return Object.fromEntries(Object.keys(this.space).map(name => {
+      const values = chosen.map(fold => fold.params[name]);
+      const counts = new Map();
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      const [mode, modeCount] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+      const grid = Optimizer.expand(this.space[name]);
+      const range = Math.max(...grid) - Math.min(...grid);
+      const average = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      const stdDev = values.length > 0
+        ? Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length)
+        : null;
+
+      return [name, {
+        values,
+        mode,
+        modeShare: values.length > 0 ? modeCount / values.length : null,
+        mean: average,
+        stdDev,
+        spread: stdDev !== null && range > 0 ? stdDev / range : 0
+      }];
+    }));
+  }
+}
+
+module.exports = Optimizer;
@@ -0,0 +1,599 @@
+// Paper broker
+// Simulates orders against the candle stream's ticks (live or synthetic prices) and keeps
+// orders, positions and fills in the database. Open orders and positions survive a restart:
+// start() restores them and replays the 1m candles they missed while the server was down.
+// Prices are mids; buys fill at the ask and sells at the bid (config.paper.spread).
+//   market  fills when placed, plus slippage
+//   limit   fills at its price once the ask (buy) / bid (sell) trades at or through it
+//   stop    fills at its price plus slippage once the ask (buy) / bid (sell) trades at or through it
+// Limit and stop orders that are already marketable when placed fill like market orders.
+// A filled order opens a position with the order's stop loss and take profit. A stop loss
+// fills with slippage, a take profit at its price; when one update touches both, the stop
+// is assumed to have filled first. Open positions can have their stop and take profit moved
+// and be closed in parts; the P&L of partial closes is booked with the rest when the position
+// closes.
+// Events:
+//   order     { order, previousStatus, status }  open -> filled | cancelled | expired | rejected
+//   position  { position, status }               open | updated | closed
+//   fill      { fill }
+
+const EventEmitter = require('events');
+const config = require('../config');
+const { timeframeToMs } = require('./timeframes');
+
+const SIDES = ['BUY', 'SELL'];
+const ORDER_TYPES = ['market', 'limit', 'stop'];
+const TRACK_TIMEFRAME = '1m';
+
+function parseJson(value) {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+class PaperBroker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.name = 'paper';
+    this.database = options.database;
+    this.marketDataService = options.marketDataService;
+    this.candleStream = options.candleStream || null;
+    this.initialBalance = options.initialBalance ?? config.paper.initialBalance;
+    this.spread = options.spread ?? config.paper.spread;
+    this.slippage = options.slippage ?? config.trading.order.slippage;
+    this.commission = options.commission ?? config.paper.commission;
+    this.debug = options.debug || false;
+    this.now = options.now || Date.now;
+
+    this.orders = new Map(); // id -> open order
+    this.positions = new Map(); // id -> open position
+    this.lastPrices = new Map(); // symbol -> last mid price
+    this.watched = new Set();
+    this.realizedPnl = 0;
+    this.queue = Promise.resolve();
+    this.onTick = ({ symbol, price, timestamp }) => {
+      const previous = this.lastPrices.has(symbol) ? this.lastPrices.get(symbol) : price;
+      this.lastPrices.set(symbol, price);
+      this.serialize(() => this.processPrice(symbol, {
+        high: Math.max(previous, price),
+        low: Math.min(previous, price),
+        close: price,
+        timestamp
+      }));
+    };
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[PaperBroker]', ...args);
+    }
+  }
+
+  // Restore open orders and positions and catch them up on the prices they missed
+  async start() {
+    if (this.candleStream) {
+      this.candleStream.on('tick', this.onTick);
+    }
+
+    this.realizedPnl = await this.database.getPaperRealizedPnl();
+    const [orders, positions] = await Promise.all([
+      this.database.getPaperOrders({ status: 'open', limit: -1 }),
+      this.database.getPaperPositions({ status: 'open', limit: -1 })
+    ]);
+    orders.reverse().forEach(row => this.orders.set(row.id, this.orderFromRow(row)));
+    positions.reverse().forEach(row => this.positions.set(row.id, this.positionFromRow(row)));
+
+    for (const symbol of this.openSymbols()) {
+      await this.serialize(() => this.catchUp(symbol));
+      if (this.hasOpen(symbol)) {
+        await this.watch(symbol);
+      }
+    }
+    this.log(`Restored ${this.orders.size} open orders and ${this.positions.size} open positions`);
+  }
+
+  // Stops listening; open orders and positions stay open and are restored by the next start()
+  async stop() {
+    if (this.candleStream) {
+      this.candleStream.off('tick', this.onTick);
+    }
+    await this.queue;
+    for (const order of this.orders.values()) {
+      await this.database.updatePaperOrder(order.id, 'open', { updatedAt: order.checkedAt });
+    }
+    for (const position of this.positions.values()) {
+      await this.database.touchPaperPosition(position.id, position.checkedAt);
+    }
+    for (const symbol of Array.from(this.watched)) {
+      await this.unwatch(symbol);
+    }
+  }
+
+  // Broker calls run one at a time, in order with price updates
+  serialize(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(error => console.error('Paper broker error:', error));
+    return run;
+  }
+
+  // request: { symbol, side, type, quantity, price (limit/stop), stopLoss, takeProfit,
+  // expiresAt (ms), metadata }. Resolves to the order, already filled for a market order.
+  async placeOrder(request) {
+    const { side, type = 'market', quantity, price } = request;
+    if (!SIDES.includes(side)) {
+      throw new Error(`Unknown order side ${side}, expected ${SIDES.join(' or ')}`);
+    }
+    if (!ORDER_TYPES.includes(type)) {
+      throw new Error(`Unknown order type ${type}, expected ${ORDER_TYPES.join(', ')}`);
+    }
+    if (!(quantity > 0)) {
+      throw new Error(`Order quantity must be positive, got ${quantity}`);
+    }
+    if (type !== 'market' && !(price > 0)) {
+      throw new Error(`A ${type} order needs a price`);
+    }
+
+    return await this.serialize(async () => {
+      const order = {
+        symbol: this.marketDataService.normalizeSymbol(request.symbol),
+        side,
+        type,
+        quantity,
+        price: type === 'market' ? null : price,
+        stopLoss: request.stopLoss ?? null,
+        takeProfit: request.takeProfit ?? null,
+        status: 'open',
+        metadata: request.metadata || {},
+        createdAt: this.now(),
+        expiresAt: request.expiresAt ?? null
+      };
+      order.checkedAt = order.createdAt;
+      order.id = await this.database.createPaperOrder(order);
+      this.orders.set(order.id, order);
+      this.log(`Order ${order.id}: ${side} ${type} ${quantity} ${order.symbol}${order.price ? ` at ${order.price}` : ''}`);
+      this.emit('order', { order: { ...order }, previousStatus: null, status: 'open' });
+
+      const mid = await this.currentPrice(order.symbol);
+      if (mid === null) {
+        if (type === 'market') {
+          await this.finishOrder(order, 'rejected', { reason: 'no_price' });
+          return { ...order };
+        }
+      } else if (type === 'market' || this.isMarketable(order, mid)) {
+        await this.fillOrder(order, this.marketFillPrice(side, mid), order.createdAt);
+        return { ...order };
+      }
+
+      await this.watch(order.symbol);
+      return { ...order };
+    });
+  }
+
+  async cancelOrder(id, reason = 'cancelled') {
+    return await this.serialize(async () => {
+      const order = this.orders.get(Number(id));
+      if (!order) return null;
+      await this.finishOrder(order, 'cancelled', { reason });
+      return { ...order };
+    });
+  }
+
+  // Closes a position at the current bid (long) / ask (short); options.quantity closes that
+  // much of it and leaves the rest open
+  async closePosition(id, reason = 'manual', options = {}) {
+    const { quantity } = options;
+    if (quantity !== undefined && !(quantity > 0)) {
+      throw new Error(`Close quantity must be positive, got ${quantity}`);
+    }
+    return await this.serialize(async () => {
+      const position = this.positions.get(Number(id));
+      if (!position) return null;
+      const mid = await this.currentPrice(position.symbol);
+      if (mid === null) {
+        throw new Error(`No price for ${position.symbol} to close position ${id} at`);
+      }
+      const exitSide = position.direction === 'BUY' ? 'SELL' : 'BUY';
+      if (quantity !== undefined && quantity < position.quantity) {
+        await this.reduceAt(position, quantity, this.marketFillPrice(exitSide, mid), this.now(), reason);
+      } else {
+        await this.closeAt(position, this.marketFillPrice(exitSide, mid), this.now(), reason);
+      }
+      return { ...position };
+    });
+  }
+
+  // changes: { stopLoss, takeProfit, metadata }; metadata is merged into the position's
+  async modifyPosition(id, changes = {}) {
+    return await this.serialize(async () => {
+      const position = this.positions.get(Number(id));
+      if (!position) return null;
+      if (changes.stopLoss !== undefined) position.stopLoss = changes.stopLoss;
+      if (changes.takeProfit !== undefined) position.takeProfit = changes.takeProfit;
+      if (changes.metadata) position.metadata = { ...position.metadata, ...changes.metadata };
+      await this.database.updatePaperPosition(position.id, {
+        stopLoss: changes.stopLoss,
+        takeProfit: changes.takeProfit,
+        metadata: changes.metadata && position.metadata,
+        updatedAt: position.checkedAt
+      });
+      this.emit('position', { position: { ...position }, status: 'updated' });
+      return { ...position };
+    });
+  }
+
+  async currentPrice(symbol) {
+    if (this.lastPrices.has(symbol)) {
+      return this.lastPrices.get(symbol);
+    }
+    try {
+      const price = await this.marketDataService.fetchLatestPrice(symbol);
+      return Number.isFinite(price) ? price : null;
+    } catch (error) {
+      this.log(`No price for ${symbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  halfSpread(price) {
+    return (price * this.spread) / 2;
+  }
+
+  // Ask plus slippage for a buy, bid minus slippage for a sell
+  marketFillPrice(side, mid) {
+    const half = this.halfSpread(mid);
+    return side === 'BUY' ? (mid + half) * (1 + this.slippage) : (mid - half) * (1 - this.slippage);
+  }
+
+  isMarketable(order, mid) {
+    const half = this.halfSpread(mid);
+    const ask = mid + half;
+    const bid = mid - half;
+    if (order.type === 'limit') {
+      return order.side === 'BUY' ? ask <= order.price : bid >= order.price;
+    }
+    return order.side === 'BUY' ? ask >= order.price : bid <= order.price;
+  }
+
+  // price: { high, low, close, timestamp, open?, start? } covering the move since the previous
+  // update; replayed candles also carry their open and start time
+  async processPrice(symbol, price) {
+    const half = this.halfSpread(price.close);
+    const from = price.start ?? price.timestamp;
+
+    for (const order of Array.from(this.orders.values())) {
+      if (order.symbol !== symbol || from < order.checkedAt) continue;
+      order.checkedAt = price.timestamp;
+
+      if (order.expiresAt && price.timestamp >= order.expiresAt) {
+        await this.finishOrder(order, 'expired', { updatedAt: order.expiresAt });
+      } else if (order.type === 'limit') {
+        const touched = order.side === 'BUY' ? price.low + half <= order.price : price.high - half >= order.price;
+        if (touched) await this.fillOrder(order, order.price, price.timestamp);
+      } else if (order.type === 'stop') {
+        const touched = order.side === 'BUY' ? price.high + half >= order.price : price.low - half <= order.price;
+        if (touched) {
+          const fillPrice = order.side === 'BUY' ? order.price * (1 + this.slippage) : order.price * (1 - this.slippage);
+          await this.fillOrder(order, fillPrice, price.timestamp);
+        }
+      }
+    }
+
+    for (const position of Array.from(this.positions.values())) {
+      if (position.symbol !== symbol || from < position.checkedAt) continue;
+      position.checkedAt = price.timestamp;
+
+      const exit = this.checkExit(position, price, half);
+      if (exit) {
+        await this.closeAt(position, exit.price, price.timestamp, exit.reason);
+      }
+    }
+
+    if (!this.hasOpen(symbol)) {
+      await this.unwatch(symbol);
+    }
+  }
+
+  // Longs exit on the bid, shorts on the ask. A candle opening beyond the stop fills at its open.
+  checkExit(position, price, half) {
+    const { direction, stopLoss, takeProfit } = position;
+    if (direction === 'BUY') {
+      if (stopLoss !== null && price.low - half <= stopLoss) {
+        const level = price.open !== undefined ? Math.min(stopLoss, price.open - half) : stopLoss;
+        return { reason: 'stop_loss', price: level * (1 - this.slippage) };
+      }
+      if (takeProfit !== null && price.high - half >= takeProfit) {
+        return { reason: 'take_profit', price: takeProfit };
+      }
+    } else {
+      if (stopLoss !== null && price.high + half >= stopLoss) {
+        const level = price.open !== undefined ? Math.max(stopLoss, price.open + half) : stopLoss;
+        return { reason: 'stop_loss', price: level * (1 + this.slippage) };
+      }
+      if (takeProfit !== null && price.low + half <= takeProfit) {
+        return { reason: 'take_profit', price: takeProfit };
+      }
+    }
+    return null;
+  }
+
+  async finishOrder(order, status, fields = {}) {
+    const updatedAt = fields.updatedAt ?? this.now();
+    await this.database.updatePaperOrder(order.id, status, { ...fields, updatedAt });
+    this.orders.delete(order.id);
+    order.status = status;
+    if (fields.reason) order.reason = fields.reason;
+    this.log(`Order ${order.id} ${status}${fields.reason ? ` (${fields.reason})` : ''}`);
+    this.emit('order', { order: { ...order }, previousStatus: 'open', status });
+  }
+
+  async fillOrder(order, fillPrice, timestamp) {
+    const commission = fillPrice * order.quantity * this.commission;
+    const position = {
+      orderId: order.id,
+      symbol: order.symbol,
+      direction: order.side,
+      quantity: order.quantity,
+      entryPrice: fillPrice,
+      stopLoss: order.stopLoss,
+      takeProfit: order.takeProfit,
+      status: 'open',
+      commission,
+      metadata: order.metadata,
+      initialQuantity: order.quantity,
+      partialPnl: 0,
+      openedAt: timestamp,
+      checkedAt: timestamp
+    };
+    const fill = {
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: order.quantity,
+      price: fillPrice,
+      commission,
+      kind: 'entry',
+      timestamp
+    };
+
+    await this.database.transaction(async () => {
+      position.id = await this.database.createPaperPosition(position);
+      fill.positionId = position.id;
+      fill.id = await this.database.storePaperFill(fill);
+      await this.database.updatePaperOrder(order.id, 'filled', { fillPrice, positionId: position.id, updatedAt: timestamp });
+    });
+
+    this.orders.delete(order.id);
+    this.positions.set(position.id, position);
+    Object.assign(order, { status: 'filled', fillPrice, positionId: position.id });
+    this.log(`Order ${order.id} filled at ${fillPrice}, position ${position.id}`);
+    this.emit('order', { order: { ...order }, previousStatus: 'open', status: 'filled' });
+    this.emit('fill', { fill });
+    this.emit('position', { position: { ...position }, status: 'open' });
+    await this.watch(position.symbol);
+  }
+
+  // Closes part of a position; its P&L waits in partialPnl until the rest closes
+  async reduceAt(position, quantity, exitPrice, timestamp, reason) {
+    const exitCommission = exitPrice * quantity * this.commission;
+    const move = position.direction === 'BUY' ? exitPrice - position.entryPrice : position.entryPrice - exitPrice;
+    const fill = {
+      orderId: position.orderId,
+      positionId: position.id,
+      symbol: position.symbol,
+      side: position.direction === 'BUY' ? 'SELL' : 'BUY',
+      quantity,
+      price: exitPrice,
+      commission: exitCommission,
+      kind: 'partial',
+      timestamp
+    };
+    const changes = {
+      quantity: position.quantity - quantity,
+      partialPnl: position.partialPnl + move * quantity,
+      commission: position.commission + exitCommission
+    };
+
+    await this.database.transaction(async () => {
+      await this.database.updatePaperPosition(position.id, { ...changes, updatedAt: position.checkedAt });
+      fill.id = await this.database.storePaperFill(fill);
+    });
+
+    Object.assign(position, changes);
+    this.log(`Position ${position.id} reduced by ${quantity} at ${exitPrice} (${reason}), ${position.quantity} left`);
+    this.emit('fill', { fill });
+    this.emit('position', { position: { ...position }, status: 'updated' });
+  }
+
+  async closeAt(position, exitPrice, timestamp, reason) {
+    const exitCommission = exitPrice * position.quantity * this.commission;
+    const move = position.direction === 'BUY' ? exitPrice - position.entryPrice : position.entryPrice - exitPrice;
+    const commission = position.commission + exitCommission;
+    const pnl = move * position.quantity + (position.partialPnl || 0) - commission;
+    const fill = {
+      orderId: position.orderId,
+      positionId: position.id,
+      symbol: position.symbol,
+      side: position.direction === 'BUY' ? 'SELL' : 'BUY',
+      quantity: position.quantity,
+      price: exitPrice,
+      commission: exitCommission,
+      kind: 'exit',
+      timestamp
+    };
+
+    await this.database.transaction(async () => {
+      await this.database.closePaperPosition(position.id, {
+        closePrice: exitPrice,
+        closeReason: reason,
+        pnl,
+        commission,
+        closedAt: timestamp
+      });
+      fill.id = await this.database.storePaperFill(fill);
+    });
+
+    this.positions.delete(position.id);
+    this.realizedPnl += pnl;
+    Object.assign(position, { status: 'closed', closePrice: exitPrice, closeReason: reason, pnl, commission, closedAt: timestamp });
+    this.log(`Position ${position.id} closed at ${exitPrice} (${reason}): PnL ${pnl.toFixed(2)}`);
+    this.emit('fill', { fill });
+    this.emit('position', { position: { ...position }, status: 'closed' });
+    if (!this.hasOpen(position.symbol)) {
+      await this.unwatch(position.symbol);
+    }
+  }
+
+  // Replays the 1m candles since the symbol's orders and positions were last checked. The read
+  // is ranged, so a provider failure skips the replay rather than filling on synthetic prices.
+  async catchUp(symbol) {
+    const items = [...this.orders.values(), ...this.positions.values()].filter(item => item.symbol === symbol);
+    const from = Math.min(...items.map(item => item.checkedAt));
+    const interval = timeframeToMs(TRACK_TIMEFRAME);
+    const now = this.now();
+    const minutes = Math.ceil((now - from) / interval);
+    if (!(minutes > 0)) return;
+
+    try {
+      const candles = await this.marketDataService.getMarketData(
+        symbol, TRACK_TIMEFRAME, Math.min(minutes + 1, config.signals.maxCatchUpCandles), { start: from, end: now }
+      );
+      for (const candle of candles) {
+        if (candle.timestamp < from || candle.timestamp + interval > now) continue;
+        if (!this.hasOpen(symbol)) break;
+        await this.processPrice(symbol, { ...candle, start: candle.timestamp, timestamp: candle.timestamp + interval });
+      }
+    } catch (error) {
+      console.error(`Paper broker could not catch up ${symbol}:`, error.message);
+    }
+  }
+
+  hasOpen(symbol) {
+    return [...this.orders.values(), ...this.positions.values()].some(item => item.symbol === symbol);
+  }
+
+  openSymbols() {
+    return Array.from(new Set([...this.orders.values(), ...this.positions.values()].map(item => item.symbol)));
+  }
+
+  // Keep ticks flowing for symbols with open orders or positions
+  async watch(symbol) {
+    if (!this.candleStream || this.watched.has(symbol)) return;
+    this.watched.add(symbol);
+    try {
+      await this.candleStream.subscribe(symbol, [TRACK_TIMEFRAME]);
+    } catch (error) {
+      this.watched.delete(symbol);
+      console.error(`Paper broker could not stream ${symbol}:`, error.message);
+    }
+  }
+
+  async unwatch(symbol) {
+    if (!this.candleStream || !this.watched.has(symbol)) return;
+    this.watched.delete(symbol);
+    await this.candleStream.unsubscribe(symbol, [TRACK_TIMEFRAME]);
+  }
+
+  getOpenOrders() {
+    return Array.from(this.orders.values()).map(order => ({ ...order }));
+  }
+
+  getOpenPositions() {
+    return Array.from(this.positions.values()).map(position => ({ ...position }));
+  }
+
+  // Stored orders/positions, newest first; filters: status, limit
+  async getOrders(filters = {}) {
+    return (await this.database.getPaperOrders(filters)).map(row => this.orderFromRow(row));
+  }
+
+  async getPositions(filters = {}) {
+    return (await this.database.getPaperPositions(filters)).map(row => this.positionFromRow(row));
+  }
+
+  async getFills(limit = 100) {
+    return (await this.database.getPaperFills(limit)).map(row => ({
+      id: row.id,
+      orderId: row.order_id,
+      positionId: row.position_id,
+      symbol: row.symbol,
+      side: row.side,
+      quantity: row.quantity,
+      price: row.price,
+      commission: row.commission,
+      kind: row.kind,
+      timestamp: row.timestamp
+    }));
+  }
+
+  // Balance is the starting balance plus realized P&L; equity marks open positions to the
+  // price they would close at
+  getAccount() {
+    let unrealized = 0;
+    for (const position of this.positions.values()) {
+      const mid = this.lastPrices.get(position.symbol);
+      if (mid === undefined) continue;
+      const exit = this.marketFillPrice(position.direction === 'BUY' ? 'SELL' : 'BUY', mid);
+      const move = position.direction === 'BUY' ? exit - position.entryPrice : position.entryPrice - exit;
+      unrealized += move * position.quantity + (position.partialPnl || 0);
+    }
+    const balance = this.initialBalance + this.realizedPnl;
+    return {
+      broker: this.name,
+      balance,
+      equity: balance + unrealized,
+      unrealizedPnl: unrealized,
+      realizedPnl: this.realizedPnl,
+      openOrders: this.orders.size,
+      openPositions: this.positions.size
+    };
+  }
+
+  orderFromRow(row) {
+    return {
+      id: row.id,
+      symbol: row.symbol,
+      side: row.side,
+      type: row.type,
+      quantity: row.quantity,
+      price: row.price,
+      stopLoss: row.stop_loss,
+      takeProfit: row.take_profit,
+      status: row.status,
+      reason: row.reason,
+      fillPrice: row.fill_price,
+      positionId: row.position_id,
+      metadata: parseJson(row.metadata),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      checkedAt: row.updated_at || row.created_at
+    };
+  }
+
+  positionFromRow(row) {
+    return {
+      id: row.id,
+      orderId: row.order_id,
+      symbol: row.symbol,
+      direction: row.direction,
+      quantity: row.quantity,
+      initialQuantity: row.initial_quantity ?? row.quantity,
+      partialPnl: row.partial_pnl || 0,
+      entryPrice: row.entry_price,
+      stopLoss: row.stop_loss,
+      takeProfit: row.take_profit,
+      status: row.status,
+      closePrice: row.close_price,
+      closeReason: row.close_reason,
+      pnl: row.pnl,
+      commission: row.commission,
+      metadata: parseJson(row.metadata),
+      openedAt: row.opened_at,
+      closedAt: row.closed_at,
+      checkedAt: row.updated_at || row.opened_at
+    };
+  }
+}
+
+module.exports = PaperBroker;
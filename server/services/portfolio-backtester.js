@@ -0,0 +1,317 @@
+// Portfolio backtesting
+// Replays one strategy over many symbols at once against a shared capital pool. Every symbol
+// keeps its own detector, order and position (one at a time, as in Backtester, whose fill
+// simulation is reused), while the portfolio enforces the scanner's risk limits
+// (config/crt-scanner.js):
+//   maxOpenTrades  open positions plus pending orders across all symbols
+//   maxDailyLoss   once the balance is down this share from the UTC day's start, no new
+//                  orders until the next day
+// Positions are sized from the pool's balance. The equity curve marks open positions to
+// the last close, and the results report gross/net exposure and how correlated the
+// symbols' daily P&L was.
+
+const crtScannerConfig = require('../config/crt-scanner');
+const Backtester = require('./backtester');
+const HistoricalFeed = require('./historical-feed');
+const MonteCarlo = require('./monte-carlo');
+const { timeframeToMs } = require('./timeframes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function pearson(a, b) {
+  const n = a.length;
+  if (n < 2) return null;
+  const meanA = a.reduce((sum, value) => sum + value, 0) / n;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / n;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += Math.pow(a[i] - meanA, 2);
+    varianceB += Math.pow(b[i] - meanB, 2);
+  }
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+}
+
+class PortfolioBacktester {
+  // options: Backtester options shared by every symbol, plus maxOpenTrades and maxDailyLoss
+  constructor(strategy, options = {}) {
+    this.strategy = strategy;
+    this.options = options;
+    this.initialCapital = options.initialCapital || 10000;
+    this.maxOpenTrades = options.maxOpenTrades || crtScannerConfig.risk.maxOpenTrades;
+    this.maxDailyLoss = options.maxDailyLoss ?? crtScannerConfig.risk.maxDailyLoss;
+    this.onProgress = options.onProgress || null;
+    this.monteCarlo = options.monteCarlo || null;
+    this.debug = options.debug !== false;
+    // Validates the strategy and options up front; also the fill model the portfolio uses
+    this.template = this.createBacktester();
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log(`[PortfolioBacktester][${new Date().toISOString()}]`, ...args);
+    }
+  }
+
+  createBacktester() {
+    const { onProgress, monteCarlo, ...options } = this.options;
+    return new Backtester(this.strategy, { ...options, initialCapital: this.initialCapital, debug: false });
+  }
+
+  // One feed per symbol over the same period; symbols default to getActiveSymbols()
+  static async loadFeeds(marketDataService, { symbols, start, end, warmup = 0, baseTimeframe = '1m' }) {
+    const names = symbols || (await marketDataService.getActiveSymbols()).map(symbol => symbol.symbol);
+    const feeds = {};
+    for (const symbol of names) {
+      feeds[symbol] = await HistoricalFeed.load(marketDataService, symbol, { baseTimeframe, start, end, warmup });
+    }
+    return feeds;
+  }
+
+  // feeds: { symbol: HistoricalFeed or candles (options.dataTimeframe, default the strategy's) }
+  async backtest(feeds) {
+    const { name, timeframe, lookback } = this.template.adapter;
+    const interval = timeframeToMs(timeframe);
+
+    const books = Object.entries(feeds).map(([symbol, data]) => {
+      const feed = data instanceof HistoricalFeed
+        ? data
+        : HistoricalFeed.fromCandles(data, this.template.dataTimeframe || timeframe, { symbol });
+      const series = feed.getSeries(timeframe);
+      const first = series.findIndex(candle => candle.timestamp >= feed.start);
+      return {
+        symbol,
+        feed,
+        series,
+        backtester: this.createBacktester(), // detectors may keep state per symbol
+        next: first === -1 ? series.length : Math.max(lookback - 1, first, 1), // next series index to step
+        previousStep: null,
+        order: null,
+        position: null,
+        lastCandle: null,
+        trades: []
+      };
+    });
+
+    // Every candle close of any symbol is a step of the portfolio
+    const stepTimes = Array.from(new Set(books.flatMap(book =>
+      book.series.slice(book.next).map(candle => candle.timestamp + interval)))).sort((a, b) => a - b);
+    this.log(`Starting ${name} portfolio backtest over ${books.length} symbols, ${stepTimes.length} steps`);
+
+    let balance = this.initialCapital;
+    let day = null;
+    let dayStartBalance = balance;
+    let cancelledOrders = 0;
+    const blocked = { maxOpenTrades: 0, dailyLoss: 0 };
+    const haltedDays = new Set();
+    const trades = [];
+    const equityCurve = [balance];
+    const equityTimestamps = [stepTimes.length ? stepTimes[0] - interval : null];
+    const exposure = { samples: 0, gross: 0, net: 0, maxGross: 0, maxPositions: 0, timeInMarket: {} };
+    books.forEach(book => { exposure.timeInMarket[book.symbol] = 0; });
+    const openCount = () => books.filter(book => book.order || book.position).length;
+    const progressEvery = Math.max(1, Math.floor(stepTimes.length / 100));
+    const pause = Backtester.createYielder();
+
+    for (let step = 0; step < stepTimes.length; step++) {
+      const now = stepTimes[step];
+      if (this.onProgress && step % progressEvery === 0) this.onProgress(step / stepTimes.length);
+      await pause();
+
+      // Base candles of every symbol since its last step, in time order
+      const path = books.flatMap(book => {
+        const candles = book.previousStep === null ? [] : book.feed.getPath(book.previousStep, now);
+        book.previousStep = now;
+        return candles.map(candle => ({ book, candle }));
+      }).sort((a, b) => a.candle.timestamp - b.candle.timestamp);
+
+      for (const { book, candle } of path) {
+        book.lastCandle = candle;
+        const { backtester } = book;
+
+        if (book.order) {
+          const fill = backtester.fillEntry(book.order, candle);
+          if (fill.status === 'filled') {
+            book.position = fill.position;
+            book.order = null;
+          } else if (fill.status === 'cancelled') {
+            cancelledOrders++;
+            book.order = null;
+          }
+        }
+
+        if (book.position) {
+          const closed = backtester.managePosition(book.position, candle);
+          if (closed) {
+            const trade = { symbol: book.symbol, ...closed };
+            balance += trade.pnl;
+            trades.push(trade);
+            book.trades.push(trade);
+            book.position = null;
+            this.log(`${book.symbol} ${trade.direction} closed (${trade.exitReason}): PnL ${trade.pnl.toFixed(2)}, balance ${balance.toFixed(2)}`);
+          }
+        }
+      }
+
+      // Daily loss limit on the realized balance, reset at UTC midnight
+      const today = Math.floor(now / DAY);
+      if (today !== day) {
+        day = today;
+        dayStartBalance = balance;
+      }
+      const halted = this.maxDailyLoss > 0 && balance <= dayStartBalance * (1 - this.maxDailyLoss);
+      if (halted) {
+        haltedDays.add(today);
+      }
+
+      // Detect on the symbols whose candle closed now
+      for (const book of books) {
+        const candle = book.series[book.next];
+        if (!candle || candle.timestamp + interval !== now) continue;
+        const index = book.next++;
+        if (book.position) {
+          book.backtester.updateVolatility(book.position, book.series, index);
+        }
+
+        try {
+          const candles = book.series.slice(index - Math.min(index, lookback - 1), index + 1);
+          const signals = await book.backtester.adapter.detect({
+            symbol: book.symbol,
+            timeframe,
+            candles,
+            marketData: book.feed.at(now)
+          });
+          const signal = signals.length > 0 ? signals[0] : null;
+          if (!signal || book.order || book.position) continue;
+
+          if (halted) {
+            blocked.dailyLoss++;
+          } else if (openCount() >= this.maxOpenTrades) {
+            blocked.maxOpenTrades++;
+          } else {
+            book.order = book.backtester.placeOrder(signal, balance, now, { symbol: book.symbol, candles, trades });
+          }
+        } catch (error) {
+          this.log(`Error detecting ${book.symbol} at ${new Date(now).toISOString()}:`, error.message);
+        }
+      }
+
+      // Mark to market
+      let unrealized = 0;
+      let gross = 0;
+      let net = 0;
+      let positions = 0;
+      for (const book of books) {
+        if (!book.position || !book.lastCandle) continue;
+        const price = book.lastCandle.close;
+        const notional = price * book.position.size;
+        unrealized += book.backtester.unrealizedPnl(book.position, price);
+        gross += notional;
+        net += book.position.direction === 'BUY' ? notional : -notional;
+        positions++;
+        exposure.timeInMarket[book.symbol]++;
+      }
+      const equity = balance + unrealized;
+      equityCurve.push(equity);
+      equityTimestamps.push(now);
+
+      exposure.samples++;
+      exposure.gross += equity > 0 ? gross / equity : 0;
+      exposure.net += equity > 0 ? net / equity : 0;
+      exposure.maxGross = Math.max(exposure.maxGross, equity > 0 ? gross / equity : 0);
+      exposure.maxPositions = Math.max(exposure.maxPositions, positions);
+    }
+
+    // Close what is still open at each symbol's last close
+    for (const book of books) {
+      if (!book.position || !book.lastCandle) continue;
+      const half = book.backtester.halfSpread(book.lastCandle.close);
+      const exitPrice = book.position.direction === 'BUY' ? book.lastCandle.close - half : book.lastCandle.close + half;
+      const trade = { symbol: book.symbol, ...book.backtester.closeTrade(book.position, exitPrice, book.lastCandle.timestamp, 'end_of_data') };
+      balance += trade.pnl;
+      trades.push(trade);
+      book.trades.push(trade);
+      book.position = null;
+    }
+    equityCurve[equityCurve.length - 1] = balance;
+    trades.sort((a, b) => a.exitTime - b.exitTime);
+
+    this.log(`Portfolio backtest completed. Final capital: ${balance.toFixed(2)}`);
+
+    return {
+      symbol: 'Portfolio',
+      symbols: books.map(book => book.symbol),
+      settings: { ...this.template.describe(), maxOpenTrades: this.maxOpenTrades, maxDailyLoss: this.maxDailyLoss },
+      finalCapital: balance,
+      totalReturn: ((balance - this.initialCapital) / this.initialCapital) * 100,
+      trades,
+      cancelledOrders,
+      equityCurve,
+      equityTimestamps,
+      metrics: this.template.calculatePerformanceMetrics(trades, equityCurve),
+      perSymbol: this.symbolBreakdown(books),
+      exposure: {
+        averageGross: exposure.samples ? exposure.gross / exposure.samples : 0, // notional over equity
+        averageNet: exposure.samples ? exposure.net / exposure.samples : 0,
+        maxGross: exposure.maxGross,
+        maxConcurrentPositions: exposure.maxPositions,
+        // Share of steps each symbol had a position open
+        timeInMarket: Object.fromEntries(Object.entries(exposure.timeInMarket)
+          .map(([symbol, count]) => [symbol, exposure.samples ? count / exposure.samples : 0]))
+      },
+      correlation: this.correlation(books),
+      limits: {
+        maxOpenTrades: this.maxOpenTrades,
+        maxDailyLoss: this.maxDailyLoss,
+        blockedByMaxOpenTrades: blocked.maxOpenTrades,
+        blockedByDailyLoss: blocked.dailyLoss,
+        haltedDays: haltedDays.size
+      },
+      monteCarlo: this.monteCarlo
+        ? new MonteCarlo(this.monteCarlo === true ? {} : this.monteCarlo).analyze(trades, this.initialCapital)
+        : null
+    };
+  }
+
+  symbolBreakdown(books) {
+    return Object.fromEntries(books.map(book => {
+      // Each symbol's own cumulative P&L on top of the starting capital
+      let capital = this.initialCapital;
+      const curve = [capital, ...book.trades.map(trade => (capital += trade.pnl))];
+      const pnl = book.trades.reduce((sum, trade) => sum + trade.pnl, 0);
+      return [book.symbol, { pnl, ...this.template.calculatePerformanceMetrics(book.trades, curve) }];
+    }));
+  }
+
+  // Pearson correlation of the symbols' daily realized P&L, over the days any symbol traded
+  correlation(books) {
+    const days = Array.from(new Set(books.flatMap(book => book.trades.map(trade => Math.floor(trade.exitTime / DAY))))).sort((a, b) => a - b);
+    const daily = books.map(book => {
+      const byDay = new Map();
+      book.trades.forEach(trade => {
+        const key = Math.floor(trade.exitTime / DAY);
+        byDay.set(key, (byDay.get(key) || 0) + trade.pnl);
+      });
+      return days.map(key => byDay.get(key) || 0);
+    });
+
+    const matrix = books.map((_, i) => books.map((__, j) => (i === j ? 1 : pearson(daily[i], daily[j]))));
+    const pairs = [];
+    for (let i = 0; i < books.length; i++) {
+      for (let j = i + 1; j < books.length; j++) {
+        if (matrix[i][j] !== null) pairs.push(matrix[i][j]);
+      }
+    }
+
+    return {
+      symbols: books.map(book => book.symbol),
+      days: days.length,
+      matrix,
+      averagePairwise: pairs.length ? pairs.reduce((sum, value) => sum + value, 0) / pairs.length : null
+    };
+  }
+}
+
+module.exports = PortfolioBacktester;
@@ -0,0 +1,102 @@
+// Position policy
+// Decides what a new live signal does given the trades already open (config.positions):
+//   - caps: at most maxPerSymbol trades on the signal's symbol and maxPerDetector trades from
+//     its detector, counting pending orders
+//   - opposite signals: 'ignore' skips the signal, 'close' closes the trades it points against
+//     and opens nothing, 'reverse' closes them and opens the new trade
+//   - pyramiding: a signal in the direction of open trades adds to them only while pyramiding
+//     is enabled, price has moved minDistanceR past the latest entry, and (requireBreakeven)
+//     every earlier entry's stop is at entry or better. The nth add is sized sizeScale^n x a
+//     normal entry.
+// Every setting can be overridden per detector under positions.detectors.
+//
+// evaluate() returns one of:
+//   { action: 'open', sizeScale, close: [trades] }  close is empty unless reversing
+//   { action: 'close', reason, close: [trades] }
+//   { action: 'skip', reason }
+
+const config = require('../config');
+
+const OPPOSITE_RULES = ['reverse', 'close', 'ignore'];
+
+class PositionPolicy {
+  constructor(options = {}) {
+    this.settings = options.settings || config.positions;
+  }
+
+  // Settings for one detector: the defaults with its overrides on top
+  settingsFor(detector) {
+    const { detectors = {}, ...defaults } = this.settings;
+    const overrides = detectors[detector] || {};
+    const settings = {
+      ...defaults,
+      ...overrides,
+      pyramiding: { ...defaults.pyramiding, ...(overrides.pyramiding || {}) }
+    };
+    if (!OPPOSITE_RULES.includes(settings.oppositeSignal)) {
+      throw new Error(`Unknown opposite signal rule ${settings.oppositeSignal}, expected ${OPPOSITE_RULES.join(', ')}`);
+    }
+    return settings;
+  }
+
+  // signal: { symbol, direction, detector }; trades: every active trade, as LiveTrading keeps
+  // them ({ symbol, direction, detector, entry, stopLoss, initialStop, status, openTime })
+  evaluate(signal, trades, currentPrice) {
+    const settings = this.settingsFor(signal.detector);
+    const onSymbol = trades.filter(trade => trade.symbol === signal.symbol);
+    const opposite = onSymbol.filter(trade => trade.direction !== signal.direction);
+    const same = onSymbol.filter(trade => trade.direction === signal.direction);
+
+    if (opposite.length > 0) {
+      if (settings.oppositeSignal === 'ignore') {
+        return { action: 'skip', reason: 'opposite_position' };
+      }
+      if (settings.oppositeSignal === 'close') {
+        return { action: 'close', reason: 'opposite_signal', close: opposite };
+      }
+    }
+
+    // Closing what a reversal points against frees its slots
+    const remaining = trades.filter(trade => !opposite.includes(trade));
+    if (remaining.filter(trade => trade.symbol === signal.symbol).length >= settings.maxPerSymbol) {
+      return { action: 'skip', reason: 'max_per_symbol' };
+    }
+    if (remaining.filter(trade => trade.detector === signal.detector).length >= settings.maxPerDetector) {
+      return { action: 'skip', reason: 'max_per_detector' };
+    }
+
+    let sizeScale = 1;
+    if (same.length > 0) {
+      const pyramid = this.checkPyramid(signal, same, currentPrice, settings.pyramiding);
+      if (pyramid.reason) {
+        return { action: 'skip', reason: pyramid.reason };
+      }
+      sizeScale = pyramid.sizeScale;
+    }
+    return { action: 'open', sizeScale, close: opposite };
+  }
+
+  checkPyramid(signal, same, currentPrice, rules) {
+    if (!rules.enabled) {
+      return { reason: 'position_open' };
+    }
+    if (same.some(trade => trade.status !== 'open')) {
+      return { reason: 'entry_pending' };
+    }
+
+    const isBuy = signal.direction === 'BUY';
+    const latest = same.reduce((last, trade) => (trade.openTime > last.openTime ? trade : last));
+    const risk = Math.abs(latest.entry - (latest.initialStop ?? latest.stopLoss));
+    const moved = isBuy ? currentPrice - latest.entry : latest.entry - currentPrice;
+    if (!Number.isFinite(currentPrice) || !(risk > 0) || moved < rules.minDistanceR * risk) {
+      return { reason: 'pyramid_distance' };
+    }
+    const protectedStop = trade => (isBuy ? trade.stopLoss >= trade.entry : trade.stopLoss <= trade.entry);
+    if (rules.requireBreakeven && !same.every(protectedStop)) {
+      return { reason: 'pyramid_unprotected' };
+    }
+    return { sizeScale: Math.pow(rules.sizeScale, same.length) };
+  }
+}
+
+module.exports = PositionPolicy;
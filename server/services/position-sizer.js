@@ -0,0 +1,155 @@
+// Position sizing
+// Turns a trade into a quantity with one of the models below (config.trading.risk.positionSizing,
+// settings in config.trading.risk.sizing). RiskManager sizes live trades through it and
+// Backtester sizes simulated ones, so a model behaves the same in both.
+//   fixed_amount      lose fixedAmount at the stop
+//   fixed_fractional  lose riskPerTrade of the balance at the stop
+//   volatility        lose riskPerTrade of the balance on a move of multiplier x ATR, wherever
+//                     the stop is (fixed_fractional without an ATR)
+//   kelly             risk kelly.fraction x the Kelly share W - (1 - W) / R of the balance, with
+//                     W the win rate and R the average win over the average loss in R multiples
+//                     of the recorded trades; nothing without an edge
+//   confidence        riskPerTrade scaled by the signal's confidence
+// Quantities are rounded down to the instrument's contract size and come back 0 when they fall
+// below its minimum quantity, or for stake-based brokers below the minimum stake.
+//
+// size(trade, account):
+//   trade    { symbol, entry, stopLoss, confidence, atr, performance, scale }; scale multiplies
+//            the model's quantity (pyramid adds)
+//   account  { balance, riskPerTrade }
+// Models that work from more than the signal list the inputs they need (atr, performance);
+// callers fill in the ones needs() asks for.
+
+const config = require('../config');
+const { getMarketForSymbol, symbolKey } = require('./markets');
+
+const models = new Map(); // name -> { inputs, size(trade, account, settings) -> quantity }
+
+// Quantity that loses amount at the trade's stop
+function riskQuantity(amount, trade) {
+  const riskPerUnit = Math.abs(trade.entry - trade.stopLoss);
+  return riskPerUnit > 0 && amount > 0 ? amount / riskPerUnit : 0;
+}
+
+function registerModel(name, model) {
+  models.set(name, { inputs: [], ...model });
+}
+
+registerModel('fixed_amount', {
+  size: (trade, account, settings) => riskQuantity(settings.fixedAmount, trade)
+});
+
+registerModel('fixed_fractional', {
+  size: (trade, account) => riskQuantity(account.balance * account.riskPerTrade, trade)
+});
+
+registerModel('volatility', {
+  inputs: ['atr'],
+  size: (trade, account, settings) => {
+    const amount = account.balance * account.riskPerTrade;
+    if (!(trade.atr > 0)) return riskQuantity(amount, trade);
+    return amount / (settings.volatility.multiplier * trade.atr);
+  }
+});
+
+registerModel('kelly', {
+  inputs: ['performance'],
+  size: (trade, account, settings) => {
+    const { fraction, minTrades, maxRisk } = settings.kelly;
+    const performance = trade.performance;
+    if (!performance || !performance.trades || performance.trades < minTrades) {
+      return riskQuantity(account.balance * account.riskPerTrade, trade);
+    }
+    const winRate = performance.winRate;
+    const payoff = performance.avgWinR / Math.abs(performance.avgLossR);
+    // Without recorded losses the edge is the win rate alone
+    const kelly = payoff > 0 && Number.isFinite(payoff) ? winRate - (1 - winRate) / payoff : winRate;
+    const share = Math.min(maxRisk, Math.max(0, kelly * fraction));
+    return riskQuantity(account.balance * share, trade);
+  }
+});
+
+registerModel('confidence', {
+  size: (trade, account, settings) => {
+    const { minConfidence, minScale, maxScale } = settings.confidence;
+    const position = ((trade.confidence ?? minConfidence) - minConfidence) / (1 - minConfidence);
+    const scale = minScale + (maxScale - minScale) * Math.min(1, Math.max(0, position));
+    return riskQuantity(account.balance * account.riskPerTrade * scale, trade);
+  }
+});
+
+// Win rate and average win and loss of trades' R multiples, the performance kelly works from
+function summarizePerformance(rMultiples) {
+  const results = rMultiples.filter(Number.isFinite);
+  const wins = results.filter(r => r > 0);
+  const losses = results.filter(r => r <= 0);
+  const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  return {
+    trades: results.length,
+    winRate: results.length ? wins.length / results.length : null,
+    avgWinR: average(wins),
+    avgLossR: average(losses)
+  };
+}
+
+class PositionSizer {
+  // options: model (default config.trading.risk.positionSizing), settings overriding
+  // config.trading.risk.sizing, stake { minStake, multiplier } for brokers that trade stakes
+  constructor(options = {}) {
+    this.model = options.model || config.trading.risk.positionSizing;
+    if (!models.has(this.model)) {
+      throw new Error(`Unknown position sizing model ${this.model}, expected ${Array.from(models.keys()).join(', ')}`);
+    }
+    const defaults = config.trading.risk.sizing;
+    const settings = options.settings || {};
+    this.settings = {
+      ...defaults,
+      ...settings,
+      volatility: { ...defaults.volatility, ...(settings.volatility || {}) },
+      kelly: { ...defaults.kelly, ...(settings.kelly || {}) },
+      confidence: { ...defaults.confidence, ...(settings.confidence || {}) },
+      instruments: { ...defaults.instruments, ...(settings.instruments || {}) }
+    };
+    this.stake = options.stake || null;
+  }
+
+  // Whether the model works from an input (atr, performance)
+  needs(input) {
+    return models.get(this.model).inputs.includes(input);
+  }
+
+  size(trade, account) {
+    const quantity = models.get(this.model).size(trade, account, this.settings) * (trade.scale ?? 1);
+    return this.round(trade.symbol, quantity, trade.entry);
+  }
+
+  // Contract size and minimum quantity of a symbol: its own entry, then its market's, then the
+  // default
+  instrument(symbol) {
+    const { instruments } = this.settings;
+    const key = symbolKey(symbol);
+    const own = Object.keys(instruments).find(name => symbolKey(name) === key && name !== 'default');
+    return {
+      ...instruments.default,
+      ...(instruments[getMarketForSymbol(symbol)] || {}),
+      ...(own ? instruments[own] : {})
+    };
+  }
+
+  round(symbol, quantity, price) {
+    if (!Number.isFinite(quantity) || quantity <= 0) return 0;
+    const { contractSize, minQuantity } = this.instrument(symbol);
+    const decimals = Math.max(0, -Math.floor(Math.log10(contractSize)));
+    // The tolerance keeps float error from dropping a whole contract
+    const rounded = parseFloat((Math.floor(quantity / contractSize + 1e-9) * contractSize).toFixed(decimals));
+    if (rounded < minQuantity) return 0;
+    if (this.stake && (rounded * price) / this.stake.multiplier < this.stake.minStake) return 0;
+    return rounded;
+  }
+}
+
+PositionSizer.registerModel = registerModel;
+PositionSizer.models = () => Array.from(models.keys());
+PositionSizer.summarizePerformance = summarizePerformance;
+
+module.exports = PositionSizer;
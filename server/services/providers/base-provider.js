@@ -0,0 +1,42 @@
+// Market data provider interface
+// Every provider returns candles shaped as { timestamp (ms), open, high, low, close, volume },
+// sorted oldest first. Subclasses override the methods they can serve.
+
+class MarketDataProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    // Timeframes served natively; null means any timeframe
+    this.timeframes = options.timeframes || null;
+    // Remote providers cost a network round trip per call, so their symbol
+    // catalog is not enumerated when listing symbols
+    this.remote = Boolean(options.remote);
+  }
+
+  // symbol is optional; providers whose coverage varies per symbol can use it
+  supportsTimeframe(timeframe, symbol) {
+    return !this.timeframes || this.timeframes.includes(timeframe);
+  }
+
+  // options.start / options.end are millisecond timestamps bounding the window
+  async getHistory(symbol, timeframe, limit, options = {}) {
+    throw new Error(`${this.name} provider does not implement getHistory`);
+  }
+
+  async getLatestPrice(symbol) {
+    throw new Error(`${this.name} provider does not implement getLatestPrice`);
+  }
+
+  async getSymbols() {
+    return [];
+  }
+
+  // Calls onTick({ symbol, price, timestamp }) for each price update and
+  // resolves to a function that cancels the subscription.
+  async subscribe(symbol, onTick) {
+    throw new Error(`${this.name} provider does not support streaming`);
+  }
+
+  async disconnect() {}
+}
+
+module.exports = MarketDataProvider;
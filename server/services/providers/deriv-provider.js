@@ -0,0 +1,189 @@
+// Deriv candle history provider
+// Fetches OHLC history through the ticks_history call (style: candles) and
+// pages backwards when more candles are requested than one call can return.
+
+const config = require('../../config');
+const DerivConnection = require('../deriv-connection');
+const MarketDataProvider = require('./base-provider');
+
+const GRANULARITIES = {
+  '1m': 60,
+  '2m': 120,
+  '3m': 180,
+  '5m': 300,
+  '10m': 600,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '2h': 7200,
+  '4h': 14400,
+  '8h': 28800,
+  '1d': 86400
+};
+
+const CRYPTO_BASES = ['BTC', 'ETH', 'XRP', 'LTC', 'BCH', 'BNB', 'SOL', 'ADA', 'DOT', 'DOGE'];
+
+const INDEX_SYMBOLS = {
+  'US30': 'OTC_DJI',
+  'US100': 'OTC_NDX',
+  'US500': 'OTC_SPC',
+  'UK100': 'OTC_FTSE',
+  'GER40': 'OTC_GDAXI',
+  'JPN225': 'OTC_N225'
+};
+
+class DerivProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('deriv', { timeframes: Object.keys(GRANULARITIES), remote: true });
+    this.connection = options.connection || new DerivConnection({
+      appId: options.appId,
+      token: options.token,
+      url: options.url
+    });
+    this.pageSize = options.pageSize || config.api.deriv.maxCandlesPerRequest;
+  }
+
+  getGranularity(timeframe) {
+    const granularity = GRANULARITIES[timeframe];
+    if (!granularity) {
+      throw new Error(`Timeframe ${timeframe} is not supported by Deriv`);
+    }
+    return granularity;
+  }
+
+  // Map our normalized symbols (EUR/USD, V75, CRASH 1000, ...) to Deriv's
+  // underlying codes. Symbols that already look like Deriv codes pass through.
+  toDerivSymbol(symbol) {
+    const upper = symbol.toUpperCase();
+
+    if (INDEX_SYMBOLS[upper]) return INDEX_SYMBOLS[upper];
+
+    let match = upper.match(/^([A-Z]{3})\/([A-Z]{3})$/);
+    if (match) {
+      return CRYPTO_BASES.includes(match[1]) ? `cry${match[1]}${match[2]}` : `frx${match[1]}${match[2]}`;
+    }
+
+    match = upper.match(/^V(\d+) \(1S\)$/);
+    if (match) return `1HZ${match[1]}V`;
+
+    match = upper.match(/^V(\d+)$/) || upper.match(/^R[/_](\d+)$/);
+    if (match) return `R_${match[1]}`;
+
+    match = upper.match(/^(CRASH|BOOM) ?(\d+)$/);
+    if (match) return `${match[1]}${match[2]}`;
+
+    match = upper.match(/^JUMP INDEX VOLATILITY (\d+)%$/);
+    if (match) return `JD${match[1]}`;
+
+    match = upper.match(/^(FRX|CRY)([A-Z]{6})$/);
+    if (match) return `${match[1].toLowerCase()}${match[2]}`;
+
+    match = upper.match(/^OTC\/(\w+)$/);
+    if (match) return `OTC_${match[1]}`;
+
+    return symbol;
+  }
+
+  async getHistory(symbol, timeframe, limit = 500, options = {}) {
+    const granularity = this.getGranularity(timeframe);
+    const derivSymbol = this.toDerivSymbol(symbol);
+    const start = options.start ? Math.floor(options.start / 1000) : null;
+    let end = options.end ? Math.floor(options.end / 1000) : 'latest';
+
+    const pages = [];
+    let remaining = limit;
+
+    while (remaining > 0) {
+      const count = Math.min(remaining, this.pageSize);
+      const request = {
+        ticks_history: derivSymbol,
+        style: 'candles',
+        granularity,
+        count,
+        end,
+        adjust_start_time: 1
+      };
+      if (start) request.start = start;
+
+      const response = await this.connection.send(request);
+      const candles = response.candles || [];
+      if (candles.length === 0) break;
+
+      pages.unshift(candles);
+      remaining -= candles.length;
+
+      // A short page means the provider has no older candles in range
+      if (candles.length < count) break;
+
+      end = candles[0].epoch - 1;
+      if (start && end < start) break;
+    }
+
+    return pages.flat().slice(-limit).map(candle => this.mapCandle(candle));
+  }
+
+  async getLatestPrice(symbol) {
+    const response = await this.connection.send({
+      ticks_history: this.toDerivSymbol(symbol),
+      style: 'ticks',
+      count: 1,
+      end: 'latest'
+    });
+    const prices = response.history?.prices || [];
+    return prices.length > 0 ? parseFloat(prices[prices.length - 1]) : null;
+  }
+
+  async getSymbols() {
+    const response = await this.connection.send({ active_symbols: 'brief' });
+    return (response.active_symbols || []).map(s => s.symbol);
+  }
+
+  async subscribe(symbol, onTick) {
+    const derivSymbol = this.toDerivSymbol(symbol);
+    const listener = (message) => {
+      if (message.tick?.symbol !== derivSymbol) return;
+      onTick({
+        symbol,
+        price: parseFloat(message.tick.quote),
+        timestamp: message.tick.epoch * 1000
+      });
+    };
+
+    this.connection.on('tick', listener);
+    // The first tick arrives as the response and is also delivered to the listener
+    let response;
+    try {
+      response = await this.connection.send({ ticks: derivSymbol, subscribe: 1 });
+    } catch (error) {
+      this.connection.removeListener('tick', listener);
+      throw error;
+    }
+
+    const subscriptionId = response.subscription?.id;
+    return async () => {
+      this.connection.removeListener('tick', listener);
+      if (subscriptionId && this.connection.isOpen()) {
+        await this.connection.send({ forget: subscriptionId }).catch(() => {});
+      }
+    };
+  }
+
+  mapCandle(candle) {
+    return {
+      timestamp: candle.epoch * 1000,
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: 0 // Deriv does not report volume for synthetic or OTC markets
+    };
+  }
+
+  async disconnect() {
+    await this.connection.disconnect();
+  }
+}
+
+DerivProvider.GRANULARITIES = GRANULARITIES;
+
+module.exports = DerivProvider;
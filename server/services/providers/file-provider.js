@@ -0,0 +1,147 @@
+// File-backed market data provider
+// Reads candles from <directory>/<SYMBOL>_<timeframe>.csv|.json|.parquet, where SYMBOL is the
+// normalized symbol with separators removed (EUR/USD -> EURUSD_1m.csv, CRASH 1000 -> CRASH1000_5m.csv).
+// CSV files need a header row with timestamp (or time/date/epoch), open, high, low, close and
+// optionally volume; timestamps may be epoch seconds, epoch milliseconds or ISO dates.
+
+const fs = require('fs');
+const path = require('path');
+const MarketDataProvider = require('./base-provider');
+const { getAllCatalogSymbols } = require('../markets');
+
+const EXTENSIONS = ['.csv', '.json', '.parquet'];
+const TIME_COLUMNS = ['timestamp', 'time', 'date', 'datetime', 'epoch'];
+
+class FileProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('file');
+    this.directory = options.directory;
+    this.cache = new Map(); // file path -> { mtimeMs, candles }
+  }
+
+  toFileSymbol(symbol) {
+    return symbol.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  findFile(symbol, timeframe) {
+    const base = path.join(this.directory, `${this.toFileSymbol(symbol)}_${timeframe}`);
+    for (const extension of EXTENSIONS) {
+      if (fs.existsSync(base + extension)) return base + extension;
+    }
+    return null;
+  }
+
+  supportsTimeframe(timeframe, symbol) {
+    return symbol ? Boolean(this.findFile(symbol, timeframe)) : true;
+  }
+
+  async getHistory(symbol, timeframe, limit = 500, options = {}) {
+    const file = this.findFile(symbol, timeframe);
+    if (!file) {
+      throw new Error(`No ${timeframe} data file for ${symbol} in ${this.directory}`);
+    }
+
+    const candles = await this.load(file);
+    const start = options.start || -Infinity;
+    const end = options.end || Infinity;
+    return candles.filter(c => c.timestamp >= start && c.timestamp <= end).slice(-limit);
+  }
+
+  // Close of the newest candle in any of the symbol's files
+  async getLatestPrice(symbol) {
+    if (!this.directory || !fs.existsSync(this.directory)) return null;
+    const pattern = new RegExp(`^${this.toFileSymbol(symbol)}_\\d+[mhdw]\\.(csv|json|parquet)$`);
+    let latest = null;
+    for (const name of fs.readdirSync(this.directory).filter(file => pattern.test(file))) {
+      const candles = await this.load(path.join(this.directory, name));
+      const last = candles[candles.length - 1];
+      if (last && (!latest || last.timestamp > latest.timestamp)) latest = last;
+    }
+    return latest ? latest.close : null;
+  }
+
+  async getSymbols() {
+    if (!this.directory || !fs.existsSync(this.directory)) return [];
+
+    // Report catalog names (EUR/USD rather than EURUSD) where a file matches one
+    const catalog = new Map(getAllCatalogSymbols().map(symbol => [this.toFileSymbol(symbol), symbol]));
+    const symbols = new Set();
+    for (const name of fs.readdirSync(this.directory)) {
+      const match = name.match(/^(.+)_\d+[mhdw]\.(csv|json|parquet)$/);
+      if (match) symbols.add(catalog.get(match[1]) || match[1]);
+    }
+    return Array.from(symbols);
+  }
+
+  async load(file) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.candles;
+
+    let rows;
+    switch (path.extname(file)) {
+      case '.csv': rows = this.parseCSV(fs.readFileSync(file, 'utf8')); break;
+      case '.json': rows = JSON.parse(fs.readFileSync(file, 'utf8')); break;
+      case '.parquet': rows = await this.readParquet(file); break;
+      default: throw new Error(`Unsupported market data file: ${file}`);
+    }
+
+    const candles = rows
+      .map(row => this.toCandle(row))
+      .filter(c => Number.isFinite(c.timestamp) && Number.isFinite(c.close))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    this.cache.set(file, { mtimeMs, candles });
+    return candles;
+  }
+
+  parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+    return lines.map(line => {
+      const values = line.split(',');
+      return Object.fromEntries(header.map((h, i) => [h, values[i]?.trim()]));
+    });
+  }
+
+  async readParquet(file) {
+    const parquet = require('parquetjs-lite');
+    const reader = await parquet.ParquetReader.openFile(file);
+    const rows = [];
+    try {
+      const cursor = reader.getCursor();
+      let record;
+      while ((record = await cursor.next())) {
+        rows.push(record);
+      }
+    } finally {
+      await reader.close();
+    }
+    return rows;
+  }
+
+  toCandle(row) {
+    const normalized = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+    const rawTime = normalized[TIME_COLUMNS.find(column => normalized[column] !== undefined)];
+    return {
+      timestamp: this.parseTimestamp(rawTime),
+      open: parseFloat(normalized.open),
+      high: parseFloat(normalized.high),
+      low: parseFloat(normalized.low),
+      close: parseFloat(normalized.close),
+      volume: parseFloat(normalized.volume) || 0
+    };
+  }
+
+  parseTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+      // Epoch seconds are ten digits until the year 2286
+      return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    return Date.parse(value);
+  }
+}
+
+module.exports = FileProvider;
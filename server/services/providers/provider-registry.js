@@ -0,0 +1,88 @@
+// Maps symbols and markets to market data providers.
+// Resolution order: exact symbol route, then market route, then the default provider.
+
+const { getMarketForSymbol } = require('../markets');
+
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.symbolRoutes = new Map();
+    this.marketRoutes = new Map();
+    this.defaultProvider = null;
+  }
+
+  // Registering a provider under an existing name replaces it; routes refer to
+  // providers by name so they keep pointing at the replacement.
+  register(provider, options = {}) {
+    this.providers.set(provider.name, provider);
+    (options.symbols || []).forEach(symbol => this.route(symbol, provider.name));
+    (options.markets || []).forEach(market => this.routeMarket(market, provider.name));
+    if (options.default || !this.defaultProvider) {
+      this.defaultProvider = provider.name;
+    }
+    return this;
+  }
+
+  route(symbol, providerName) {
+    this.symbolRoutes.set(symbol.toUpperCase(), providerName);
+    return this;
+  }
+
+  routeMarket(market, providerName) {
+    this.marketRoutes.set(market, providerName);
+    return this;
+  }
+
+  setDefault(providerName) {
+    this.defaultProvider = providerName;
+    return this;
+  }
+
+  // Apply a { 'EUR/USD': 'file', synthetics: 'deriv' } style route table
+  applyRoutes(routes = {}) {
+    const markets = new Set(['forex', 'crypto', 'indices', 'commodities', 'synthetics']);
+    for (const [target, providerName] of Object.entries(routes)) {
+      if (markets.has(target)) {
+        this.routeMarket(target, providerName);
+      } else {
+        this.route(target, providerName);
+      }
+    }
+    return this;
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  // Whether any symbol can resolve to the provider: it is the default or a route points at it
+  isUsed(name) {
+    return this.defaultProvider === name ||
+      [...this.symbolRoutes.values(), ...this.marketRoutes.values()].includes(name);
+  }
+
+  resolveName(symbol) {
+    const upper = symbol.toUpperCase();
+    if (this.symbolRoutes.has(upper)) return this.symbolRoutes.get(upper);
+
+    const market = getMarketForSymbol(symbol);
+    if (this.marketRoutes.has(market)) return this.marketRoutes.get(market);
+
+    return this.defaultProvider;
+  }
+
+  resolve(symbol) {
+    const name = this.resolveName(symbol);
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`No market data provider registered as "${name}" for ${symbol}`);
+    }
+    return provider;
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,45 @@
+// Synthetic market data provider - reproducible candles for symbols without a real feed
+
+const MarketDataProvider = require('./base-provider');
+const SyntheticMarketGenerator = require('../synthetic-market');
+const { getAllCatalogSymbols } = require('../markets');
+
+class SyntheticProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    // Intraday timeframes line up with UTC; 4h and above are resampled by
+    // MarketDataService so they follow each market's session boundaries
+    super('synthetic', { timeframes: ['1m', '2m', '3m', '5m', '10m', '15m', '30m', '1h'] });
+    this.tickInterval = options.tickInterval || 1000;
+    this.generator = options.generator || new SyntheticMarketGenerator(options);
+  }
+
+  async getHistory(symbol, timeframe, limit = 500, options = {}) {
+    return this.generator.getCandles(symbol, timeframe, limit, options);
+  }
+
+  generate(symbol, timeframe, limit, end = Date.now()) {
+    return this.generator.getCandles(symbol, timeframe, limit, { end });
+  }
+
+  async getLatestPrice(symbol) {
+    return this.getPrice(symbol);
+  }
+
+  getPrice(symbol, timestamp = Date.now()) {
+    return this.generator.getPrice(symbol, timestamp);
+  }
+
+  async getSymbols() {
+    return getAllCatalogSymbols();
+  }
+
+  async subscribe(symbol, onTick) {
+    const timer = setInterval(() => {
+      const timestamp = Date.now();
+      onTick({ symbol, price: this.getPrice(symbol, timestamp), timestamp });
+    }, this.tickInterval);
+    return () => clearInterval(timer);
+  }
+}
+
+module.exports = SyntheticProvider;
@@ -6,6 +6,7 @@ class PureCRTDetector {
   constructor(options = {}) {
     this.driverTimeframe = options.driverTimeframe || '5m';
     this.entryTimeframe = options.entryTimeframe || '1m';
+    this.minSweepMagnitude = options.minSweepMagnitude ?? 0.0002; // Sweep beyond the range, as a fraction of price
     this.debug = options.debug !== false; // Enable debug logging by default
   }
 
@@ -110,7 +111,7 @@ class PureCRTDetector {
       
       this.log(`Sweep magnitude: ${(sweepMagnitude * 100).toFixed(4)}%`);
       
-      if (sweepMagnitude < 0.0002) { // Minimum 0.02% sweep
+      if (sweepMagnitude < this.minSweepMagnitude) {
         this.log('Sweep magnitude too small');
         continue;
       }
@@ -299,6 +300,7 @@ class PureCRTDetector {
       setupQuality: setup.sweepMagnitude > 0.0005 ? 'high' : 'medium',
       refinement: refinedEntry ? refinedEntry.type : 'none',
       marketFeatures: marketFeatures,
+      setupTimestamp: setup.timestamp, // trigger candle that completed the setup
       timestamp: Date.now()
     }];
   }
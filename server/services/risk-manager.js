@@ -1,81 +1,386 @@
+// Risk manager
+// Sizes trades (position-sizer.js) and gates them on risk/reward, confidence and daily limits. The daily counters
+// (realized P&L, its best level so far, closed trades) belong to a trading session that starts
+// at config.trading.risk.session.reset in its timeZone. With a database they are saved per
+// account (scope) after every change, so a restart picks them up again; a session that ended
+// while the process was down starts fresh.
+//
+// Trades are also checked against the portfolio already open (config.trading.risk.portfolio and
+// the scanner's risk settings): concurrent trades, each trade's size and leverage, the total
+// open risk, the risk per asset class and the risk correlated symbols share. Trades without a
+// stop loss are refused. evaluateTrade() reports every limit a trade breaks as { code, message, limit, value },
+// with limit and value as shares of the balance where they are amounts; codes:
+//   invalid_signal, risk_reward, daily_loss, daily_trades, confidence, missing_stop,
+//   max_open_trades, position_size, leverage, open_risk, asset_class_exposure, correlated_exposure
+
 const config = require('../config');
+const crtScannerConfig = require('../config/crt-scanner');
+const { getMarketForSymbol, symbolKey } = require('./markets');
+const PositionSizer = require('./position-sizer');
+
+const DAY = 24 * 60 * 60 * 1000;
+const LIMIT_TOLERANCE = 1e-9; // shares this close to a limit are at it, not over it
+
+// Offset of a time zone from UTC at an instant, in ms
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).map(part => [part.type, Number(part.value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Start of the session containing timestamp, for sessions that open at reset ('HH:MM') local time
+function sessionStart(timestamp, reset = '00:00', timeZone = 'UTC') {
+  const [hours, minutes] = reset.split(':').map(Number);
+  const resetMs = (hours * 60 + minutes) * 60 * 1000;
+  const local = timestamp + timeZoneOffset(timestamp, timeZone);
+  const localStart = Math.floor((local - resetMs) / DAY) * DAY + resetMs;
+  // Convert back with the offset in force at the boundary, which differs across DST changes
+  const start = localStart - timeZoneOffset(localStart - timeZoneOffset(timestamp, timeZone), timeZone);
+  return start > timestamp ? start - DAY : start;
+}
+
+// What a trade { direction, entry, stopLoss, size } loses at its stop; a stop moved past entry
+// risks nothing and a missing one risks everything
+function tradeRisk(trade) {
+  const entry = trade.entry ?? trade.entryPrice;
+  if (!Number.isFinite(trade.stopLoss) || !Number.isFinite(entry)) return Infinity;
+  const distance = trade.direction === 'BUY' ? entry - trade.stopLoss : trade.stopLoss - entry;
+  return Math.max(0, distance) * Math.abs(trade.size || 0);
+}
 
 class RiskManager {
-  constructor() {
+  constructor(options = {}) {
     this.riskPerTrade = config.trading.risk.maxRiskPerTrade; // Default 1% risk per trade
-    this.maxDailyLoss = config.trading.risk.maxDailyLoss; // Default 5% max daily loss
+    // Max daily drawdown: the tighter of the trading (5%) and scanner (2%) settings
+    this.maxDailyLoss = Math.min(config.trading.risk.maxDailyLoss, crtScannerConfig.risk.maxDailyLoss);
     this.minRiskReward = config.trading.risk.minRiskReward; // Minimum risk/reward ratio
+    this.session = { ...config.trading.risk.session, ...(options.session || {}) };
+    this.database = options.database || null;
+    this.scope = options.scope || 'default'; // account the daily state belongs to
+    this.now = options.now || (() => Date.now());
     this.accountBalance = 10000; // Default account balance
-    this.dailyPnL = 0;
-    this.todayTrades = 0;
     this.maxDailyTrades = 5; // Maximum number of trades per day
+    this.limits = {
+      maxOpenTrades: crtScannerConfig.risk.maxOpenTrades,
+      maxPositionSize: crtScannerConfig.risk.maxPositionSize,
+      ...config.trading.risk.portfolio,
+      ...(options.limits || {})
+    };
+    // Sizing model and rounding; stake { minStake, multiplier } for brokers that trade stakes
+    this.sizer = new PositionSizer({ model: options.positionSizing, settings: options.sizing, stake: options.stake });
+    this.saving = Promise.resolve();
+    this.resetTimer = null;
+    this.startSession(sessionStart(this.now(), this.session.reset, this.session.timeZone));
   }
 
   setAccountBalance(balance) {
     this.accountBalance = parseFloat(balance) || 10000;
+    // A session that began before the balance was known starts from it
+    if (this.startBalance === null) {
+      this.startBalance = this.accountBalance - this.dailyPnL;
+      this.saveState();
+    }
+  }
+
+  startSession(start, startBalance = null) {
+    this.sessionStart = start;
+    this.startBalance = startBalance;
+    this.dailyPnL = 0;
+    this.peakPnL = 0; // best realized P&L of the session so far
+    this.todayTrades = 0;
   }
 
-  calculatePositionSize(entryPrice, stopLoss, riskPercent = null) {
+  // Starts a new session once the current one has ended
+  checkSession() {
+    const start = sessionStart(this.now(), this.session.reset, this.session.timeZone);
+    if (start > this.sessionStart) {
+      this.startSession(start, this.accountBalance);
+      this.saveState();
+    }
+  }
+
+  // Restores the current session's counters
+  async loadState() {
+    if (!this.database) return this.getState();
+    const saved = await this.savedSession();
+    if (saved) {
+      Object.assign(this, saved);
+    } else {
+      this.startSession(sessionStart(this.now(), this.session.reset, this.session.timeZone));
+      await this.saveState();
+    }
+    return this.getState();
+  }
+
+  // The current session's counters as saved, without restoring or saving anything; a session
+  // nothing was saved for yet reads as a fresh one
+  async readState() {
+    if (!this.database) return this.getState();
+    const view = Object.create(this);
+    view.startSession(sessionStart(this.now(), this.session.reset, this.session.timeZone));
+    Object.assign(view, await this.savedSession());
+    return view.getState();
+  }
+
+  // Saved counters of the session in progress, null when the saved one has ended
+  async savedSession() {
+    const row = await this.database.getRiskState(this.scope);
+    const start = sessionStart(this.now(), this.session.reset, this.session.timeZone);
+    if (!row || row.session_start !== start) return null;
+    return {
+      sessionStart: row.session_start,
+      startBalance: row.start_balance,
+      dailyPnL: row.daily_pnl || 0,
+      peakPnL: row.peak_pnl || 0,
+      todayTrades: row.trades || 0
+    };
+  }
+
+  // Writes run one at a time, in order
+  saveState() {
+    if (!this.database) return Promise.resolve();
+    const state = {
+      sessionStart: this.sessionStart,
+      startBalance: this.startBalance,
+      dailyPnL: this.dailyPnL,
+      peakPnL: this.peakPnL,
+      trades: this.todayTrades,
+      updatedAt: this.now()
+    };
+    this.saving = this.saving
+      .then(() => this.database.saveRiskState(this.scope, state))
+      .catch(error => console.error('Error saving risk state:', error.message));
+    return this.saving;
+  }
+
+  // Resets the daily counters at every session boundary while the process runs
+  scheduleReset() {
+    clearTimeout(this.resetTimer);
+    const next = this.nextSessionStart();
+    this.resetTimer = setTimeout(() => {
+      this.checkSession();
+      this.scheduleReset();
+    }, Math.max(0, next - this.now()) + 1000);
+    this.resetTimer.unref();
+  }
+
+  stop() {
+    clearTimeout(this.resetTimer);
+    this.resetTimer = null;
+    return this.saving;
+  }
+
+  nextSessionStart() {
+    // Days are 23 to 25 hours long across DST changes
+    return sessionStart(this.sessionStart + DAY + 2 * 60 * 60 * 1000, this.session.reset, this.session.timeZone);
+  }
+
+  // Realized loss from the session's best P&L, the figure maxDailyLoss limits
+  getDailyDrawdown() {
+    return this.peakPnL - this.dailyPnL;
+  }
+
+  getDailyLossLimit() {
+    const startBalance = this.startBalance ?? this.accountBalance - this.dailyPnL;
+    return startBalance * this.maxDailyLoss;
+  }
+
+  isDailyLossReached() {
+    return this.maxDailyLoss > 0 && this.getDailyDrawdown() >= this.getDailyLossLimit();
+  }
+
+  getState() {
+    return {
+      scope: this.scope,
+      sessionStart: this.sessionStart,
+      nextReset: this.nextSessionStart(),
+      reset: this.session.reset,
+      timeZone: this.session.timeZone,
+      startBalance: this.startBalance,
+      accountBalance: this.accountBalance,
+      dailyPnL: this.dailyPnL,
+      peakPnL: this.peakPnL,
+      drawdown: this.getDailyDrawdown(),
+      dailyLossLimit: this.getDailyLossLimit(),
+      todayTrades: this.todayTrades,
+      maxDailyTrades: this.maxDailyTrades,
+      dailyLossReached: this.isDailyLossReached(),
+      maxDailyTradesReached: this.todayTrades >= this.maxDailyTrades
+    };
+  }
+
+  // Quantity for a trade under the configured sizing model, 0 when it is too small to trade.
+  // context: { symbol, confidence, atr, performance, scale }, see position-sizer.js
+  calculatePositionSize(entryPrice, stopLoss, riskPercent = null, context = {}) {
     try {
-      const risk = riskPercent !== null ? riskPercent : this.riskPerTrade;
-      const riskAmount = this.accountBalance * risk;
-      const riskPerUnit = Math.abs(entryPrice - stopLoss);
-      
-      if (riskPerUnit <= 0) {
+      if (Math.abs(entryPrice - stopLoss) <= 0) {
         console.warn('Invalid stop loss or entry price');
         return 0;
       }
-      
-      const positionSize = riskAmount / riskPerUnit;
-      return Math.max(0.01, parseFloat(positionSize.toFixed(8)));
+      return this.sizer.size({ ...context, entry: entryPrice, stopLoss }, {
+        balance: this.accountBalance,
+        riskPerTrade: riskPercent !== null ? riskPercent : this.riskPerTrade
+      });
     } catch (error) {
       console.error('Error calculating position size:', error);
       return 0;
     }
   }
 
-  validateTrade(signal, currentPrice) {
-    if (!signal) return false;
+  // Recorded signal outcomes (performance_logs) of a detector, for the kelly model
+  async getPerformance(detector) {
+    if (!this.database) return null;
+    const [summary] = await this.database.getPerformanceSummary(detector ? { detector } : {}, []);
+    if (!summary) return null;
+    return {
+      trades: summary.trades,
+      winRate: summary.win_rate,
+      avgWinR: summary.avg_win_r,
+      avgLossR: summary.avg_loss_r
+    };
+  }
+
+  // Approves a trade or lists every limit it breaks. signal: { symbol, direction, entry (or
+  // entryPrice), stopLoss, takeProfit, confidence, size }, size defaulting to
+  // calculatePositionSize(); openTrades: the trades and pending orders already open, in the
+  // same shape
+  evaluateTrade(signal, currentPrice, openTrades = []) {
+    const rejections = [];
+    const reject = (code, message, limit = null, value = null) => rejections.push({ code, message, limit, value });
+    if (!signal) {
+      reject('invalid_signal', 'No signal to trade');
+      return { approved: false, rejections };
+    }
 
     // Check risk/reward ratio
     const risk = Math.abs(currentPrice - signal.stopLoss);
     const reward = Math.abs(signal.takeProfit - currentPrice);
     const riskReward = reward / (risk || 1);
-    
     if (riskReward < this.minRiskReward) {
-      console.log(`Trade rejected: Risk/Reward (${riskReward.toFixed(2)}) below minimum (${this.minRiskReward})`);
-      return false;
+      reject('risk_reward', `Risk/Reward (${riskReward.toFixed(2)}) below minimum (${this.minRiskReward})`, this.minRiskReward, riskReward);
     }
 
-    // Check daily loss limit
-    if (Math.abs(this.dailyPnL) >= this.accountBalance * this.maxDailyLoss) {
-      console.log('Trade rejected: Daily loss limit reached');
-      return false;
+    // Check the daily drawdown limit; winning days never trip it
+    this.checkSession();
+    if (this.isDailyLossReached()) {
+      reject('daily_loss', `Daily drawdown (${this.getDailyDrawdown().toFixed(2)}) reached the limit (${this.getDailyLossLimit().toFixed(2)})`,
+        this.getDailyLossLimit(), this.getDailyDrawdown());
     }
 
     // Check max daily trades
     if (this.todayTrades >= this.maxDailyTrades) {
-      console.log('Trade rejected: Maximum daily trades reached');
-      return false;
+      reject('daily_trades', 'Maximum daily trades reached', this.maxDailyTrades, this.todayTrades);
     }
 
     // Check signal confidence
     if (signal.confidence < 0.6) {
-      console.log(`Trade rejected: Low confidence (${signal.confidence})`);
-      return false;
+      reject('confidence', `Low confidence (${signal.confidence})`, 0.6, signal.confidence);
+    }
+
+    this.checkPortfolio(signal, currentPrice, openTrades, reject);
+    return { approved: rejections.length === 0, rejections };
+  }
+
+  checkPortfolio(signal, currentPrice, openTrades, reject) {
+    const limits = this.limits;
+    const balance = this.accountBalance;
+    const share = amount => amount / balance;
+    const percent = value => (Number.isFinite(value) ? `${(value * 100).toFixed(2)}%` : 'unlimited');
+    const over = (value, limit) => value > limit + LIMIT_TOLERANCE;
+    const entry = signal.entry ?? signal.entryPrice ?? currentPrice;
+    const trade = {
+      ...signal,
+      entry,
+      size: signal.size ?? this.calculatePositionSize(entry, signal.stopLoss, null, { symbol: signal.symbol, confidence: signal.confidence })
+    };
+    const tradeShare = share(tradeRisk(trade));
+    if (!Number.isFinite(tradeShare)) {
+      reject('missing_stop', 'Trade has no stop loss to bound its risk');
+      return;
+    }
+
+    if (openTrades.length >= limits.maxOpenTrades) {
+      reject('max_open_trades', `${openTrades.length} trades already open (max ${limits.maxOpenTrades})`, limits.maxOpenTrades, openTrades.length);
+    }
+
+    // The capital the trade ties up: its notional, or its stake on brokers that trade stakes
+    const notional = share(Math.abs(trade.size || 0) * entry);
+    const position = this.sizer.stake ? notional / this.sizer.stake.multiplier : notional;
+    if (over(position, limits.maxPositionSize)) {
+      reject('position_size', `Position of ${percent(position)} of the balance (max ${percent(limits.maxPositionSize)})`, limits.maxPositionSize, position);
+    }
+    if (over(notional, limits.maxLeverage)) {
+      reject('leverage', `Notional of ${notional.toFixed(2)}x the balance (max ${limits.maxLeverage}x)`, limits.maxLeverage, notional);
+    }
+
+    const openRisk = share(openTrades.reduce((sum, open) => sum + tradeRisk(open), 0)) + tradeShare;
+    if (over(openRisk, limits.maxOpenRisk)) {
+      reject('open_risk', `Open risk would be ${percent(openRisk)} of the balance (max ${percent(limits.maxOpenRisk)})`, limits.maxOpenRisk, openRisk);
+    }
+
+    const assetClass = getMarketForSymbol(signal.symbol);
+    const classLimit = (limits.assetClasses || {})[assetClass];
+    if (classLimit !== undefined) {
+      const classRisk = share(openTrades
+        .filter(open => getMarketForSymbol(open.symbol) === assetClass)
+        .reduce((sum, open) => sum + tradeRisk(open), 0)) + tradeShare;
+      if (over(classRisk, classLimit)) {
+        reject('asset_class_exposure', `${assetClass} risk would be ${percent(classRisk)} of the balance (max ${percent(classLimit)})`, classLimit, classRisk);
+      }
     }
 
-    return true;
+    // Risk moving with this trade's symbol, before and after it: correlated trades in the same
+    // direction add to it, opposite ones offset it
+    const sign = direction => (direction === 'BUY' ? 1 : -1);
+    const before = openTrades.reduce((sum, open) =>
+      sum + this.getCorrelation(signal.symbol, open.symbol) * sign(open.direction) * share(tradeRisk(open)), 0);
+    const after = before + sign(signal.direction) * tradeShare;
+    if (over(Math.abs(after), limits.maxCorrelatedRisk) && Math.abs(after) > Math.abs(before)) {
+      reject('correlated_exposure', `Correlated risk on ${signal.symbol} would be ${percent(Math.abs(after))} of the balance (max ${percent(limits.maxCorrelatedRisk)})`,
+        limits.maxCorrelatedRisk, Math.abs(after));
+    }
+  }
+
+  // Correlation coefficient of two symbols: 1 for the same instrument, the configured
+  // coefficient for a group holding both, otherwise 0
+  getCorrelation(a, b) {
+    const keyA = symbolKey(a);
+    const keyB = symbolKey(b);
+    if (keyA === keyB) return 1;
+    const group = (this.limits.correlations || []).find(({ symbols }) => {
+      const keys = symbols.map(symbolKey);
+      return keys.includes(keyA) && keys.includes(keyB);
+    });
+    return group ? group.coefficient : 0;
+  }
+
+  validateTrade(signal, currentPrice, openTrades = []) {
+    const { approved, rejections } = this.evaluateTrade(signal, currentPrice, openTrades);
+    rejections.forEach(rejection => console.log(`Trade rejected: ${rejection.message}`));
+    return approved;
   }
 
   updateTradeResult(pnl) {
+    this.checkSession();
+    this.accountBalance += pnl;
     this.dailyPnL += pnl;
+    this.peakPnL = Math.max(this.peakPnL, this.dailyPnL);
     this.todayTrades++;
+    return this.saveState();
   }
 
   resetDailyStats() {
-    this.dailyPnL = 0;
-    this.todayTrades = 0;
+    this.startSession(sessionStart(this.now(), this.session.reset, this.session.timeZone), this.accountBalance);
+    return this.saveState();
   }
 
   calculateStopLoss(entryPrice, direction, atr, multiplier = 2) {
@@ -97,11 +402,14 @@ class RiskManager {
     return {
       accountBalance: this.accountBalance,
       riskPerTrade: this.riskPerTrade,
+      positionSizing: this.sizer.model,
       maxDailyLoss: this.maxDailyLoss,
       minRiskReward: this.minRiskReward,
       dailyPnL: this.dailyPnL,
+      dailyDrawdown: this.getDailyDrawdown(),
       todayTrades: this.todayTrades,
-      maxDailyTrades: this.maxDailyTrades
+      maxDailyTrades: this.maxDailyTrades,
+      limits: this.limits
     };
   }
 
@@ -199,4 +507,6 @@ class RiskManager {
   }
 }
 
+RiskManager.sessionStart = sessionStart;
+
 module.exports = RiskManager;
@@ -0,0 +1,222 @@
+// Signal outcome evaluation
+// Replays 1m price after each stored signal and writes one performance_logs row per signal:
+// whether the target or the stop was hit first (stop first when one candle spans both),
+// the R multiple, MAE/MFE in R and the time from the signal to its outcome.
+// Outcomes: hit_tp, hit_sl, timeout (still open after maxCandles, settled at the last close),
+// expired, invalidated, no_data. A signal whose history cannot be loaded is retried on later
+// passes, and settled as no_data after maxAttempts so it does not hold up the ones behind it.
+// Events:
+//   evaluated  { log }
+
+const EventEmitter = require('events');
+const config = require('../config');
+const { STATUS, isFinal, stepSignal } = require('./signal-outcome');
+const { timeframeToMs } = require('./timeframes');
+
+const REPLAY_TIMEFRAME = '1m';
+
+class SignalEvaluator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = config.signals.evaluation;
+    this.database = options.database;
+    this.marketDataService = options.marketDataService;
+    this.interval = options.interval || settings.interval;
+    this.batchSize = options.batchSize || settings.batchSize;
+    this.maxCandles = options.maxCandles || settings.maxCandles;
+    this.maxAttempts = options.maxAttempts || settings.maxAttempts;
+    this.debug = options.debug || false;
+    this.now = options.now || Date.now;
+
+    this.timer = null;
+    this.running = null;
+    this.attempts = new Map(); // signal id -> failed evaluations
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[SignalEvaluator]', ...args);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.run(), this.interval);
+    this.timer.unref();
+    this.run();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.running;
+  }
+
+  // One pass over the signals that can be settled; overlapping calls share the pass
+  run() {
+    if (!this.running) {
+      this.running = this.evaluatePending()
+        .catch(error => console.error('Signal evaluation error:', error.message))
+        .finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async evaluatePending() {
+    const horizon = this.maxCandles * timeframeToMs(REPLAY_TIMEFRAME);
+    let evaluated = 0;
+
+    // Keep going while full batches come back, so a backlog clears in one pass
+    for (;;) {
+      const rows = await this.database.getUnevaluatedSignals(this.now() - horizon, this.batchSize);
+      let failed = 0;
+      for (const row of rows) {
+        let log;
+        try {
+          log = await this.evaluate(row);
+        } catch (error) {
+          const attempts = (this.attempts.get(row.id) || 0) + 1;
+          if (attempts < this.maxAttempts) {
+            // Without its price history the signal stays unevaluated and is retried next pass
+            console.error(`Could not evaluate signal ${row.id} (${row.symbol}), retrying later:`, error.message);
+            this.attempts.set(row.id, attempts);
+            failed++;
+            continue;
+          }
+          console.error(`Could not evaluate signal ${row.id} (${row.symbol}) in ${attempts} attempts, settling it as no_data:`, error.message);
+          log = this.noDataLog(row);
+        }
+        this.attempts.delete(row.id);
+        await this.database.storePerformanceLog(log);
+        this.emit('evaluated', { log });
+        evaluated++;
+      }
+      if (rows.length < this.batchSize || failed > 0) break;
+    }
+
+    if (evaluated > 0) {
+      this.log(`Evaluated ${evaluated} signals`);
+    }
+    return evaluated;
+  }
+
+  async evaluate(row) {
+    const signal = {
+      direction: row.direction,
+      entryPrice: row.entry_price,
+      stopLoss: row.stop_loss,
+      takeProfit: row.take_profit,
+      expiresAt: row.expires_at,
+      status: STATUS.PENDING
+    };
+    const issuedAt = row.setup_timestamp + timeframeToMs(row.timeframe);
+    const candles = await this.loadCandles(row.symbol, issuedAt);
+    const result = this.replay(signal, candles);
+
+    // Price history can have gaps; fall back to what the live tracker saw
+    if (!isFinal(result.status) && isFinal(row.status)) {
+      Object.assign(result, {
+        status: row.status,
+        triggeredAt: row.triggered_at,
+        closedAt: row.closed_at,
+        closePrice: row.close_price
+      });
+    }
+
+    return this.toLog(row, result, issuedAt);
+  }
+
+  noDataLog(row) {
+    const issuedAt = row.setup_timestamp + timeframeToMs(row.timeframe);
+    return this.toLog(row, { status: STATUS.PENDING, lastClose: null, mae: null, mfe: null }, issuedAt);
+  }
+
+  async loadCandles(symbol, from) {
+    const interval = timeframeToMs(REPLAY_TIMEFRAME);
+    const end = Math.min(this.now(), from + this.maxCandles * interval);
+    const count = Math.ceil((end - from) / interval);
+    if (count <= 0) return [];
+
+    const candles = await this.marketDataService.getMarketData(symbol, REPLAY_TIMEFRAME, count + 1, { end });
+    return candles.filter(candle => candle.timestamp >= from && candle.timestamp + interval <= end);
+  }
+
+  // Walks the candles through the signal lifecycle, tracking excursions once the entry is hit
+  replay(signal, candles) {
+    const interval = timeframeToMs(REPLAY_TIMEFRAME);
+    const state = { ...signal, mae: null, mfe: null, lastClose: null };
+    const isBuy = signal.direction === 'BUY';
+    const risk = Math.abs(signal.entryPrice - signal.stopLoss);
+    const reward = Math.abs(signal.takeProfit - signal.entryPrice);
+
+    for (const candle of candles) {
+      const price = { ...candle, timestamp: candle.timestamp + interval };
+      for (const { status, fields } of stepSignal(state, price)) {
+        state.status = status;
+        Object.assign(state, fields);
+      }
+      state.lastClose = candle.close;
+
+      if (state.triggeredAt && risk > 0) {
+        // Price past the stop or target was never held, the trade was closed there
+        const adverse = isBuy ? signal.entryPrice - candle.low : candle.high - signal.entryPrice;
+        const favourable = isBuy ? candle.high - signal.entryPrice : signal.entryPrice - candle.low;
+        state.mae = Math.max(state.mae || 0, Math.min(Math.max(adverse, 0), risk) / risk);
+        state.mfe = Math.max(state.mfe || 0, Math.min(Math.max(favourable, 0), reward || Infinity) / risk);
+      }
+
+      if (isFinal(state.status)) break;
+    }
+    return state;
+  }
+
+  toLog(row, result, issuedAt) {
+    const lastCandleAt = issuedAt + this.maxCandles * timeframeToMs(REPLAY_TIMEFRAME);
+    let outcome = result.status;
+    let exitPrice = null;
+    let resolvedAt = result.closedAt || null;
+
+    if (result.status === STATUS.HIT_TP || result.status === STATUS.HIT_SL) {
+      exitPrice = result.closePrice;
+    } else if (result.status === STATUS.TRIGGERED) {
+      outcome = result.lastClose === null ? 'no_data' : 'timeout';
+      exitPrice = result.lastClose;
+      resolvedAt = lastCandleAt;
+    } else if (result.status === STATUS.PENDING) {
+      outcome = result.lastClose === null ? 'no_data' : STATUS.EXPIRED;
+      resolvedAt = lastCandleAt;
+    }
+
+    const direction = row.direction === 'BUY' ? 1 : -1;
+    const risk = Math.abs(row.entry_price - row.stop_loss);
+    const traded = exitPrice !== null && exitPrice !== undefined;
+    const pipsGained = traded ? (exitPrice - row.entry_price) * direction : null;
+    const rMultiple = traded && risk > 0 ? pipsGained / risk : null;
+
+    return {
+      signalId: row.id,
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      detector: row.detector,
+      strategy: row.strategy,
+      direction: row.direction,
+      outcome,
+      entryPrice: row.entry_price,
+      exitPrice,
+      pipsGained,
+      rMultiple,
+      accuracyScore: rMultiple === null ? null : (rMultiple > 0 ? 1 : 0),
+      mae: result.mae,
+      mfe: result.mfe,
+      triggeredAt: result.triggeredAt || null,
+      resolvedAt,
+      resolutionMs: resolvedAt ? resolvedAt - issuedAt : null
+    };
+  }
+
+  async getSummary(filters = {}) {
+    return this.database.getPerformanceSummary(filters);
+  }
+}
+
+module.exports = SignalEvaluator;
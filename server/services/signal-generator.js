@@ -8,7 +8,8 @@ const BOSStrategy = require('./strategies/bos-strategy');
 const EventEmitter = require('events');
 
 class SignalGenerator extends EventEmitter {
-  constructor() {
+  // options.scan: false skips the background CRT scanner (backtests build their own generator)
+  constructor(options = {}) {
     super();
     this.model = null;
     this.features = ['returns', 'volatility', 'swing_features'];
@@ -58,7 +59,9 @@ class SignalGenerator extends EventEmitter {
     };
 
     // Initialize CRT scanner
-    this.initializeCRTScanner();
+    if (options.scan !== false) {
+      this.initializeCRTScanner();
+    }
   }
 
   // Initialize CRT scanner with event listeners
@@ -172,7 +175,9 @@ class SignalGenerator extends EventEmitter {
     return 'swingtrading';
   }
 
-  async generateSignals({ symbol, timeframe, marketData, strategy = 'scalping' }) {
+  // marketDataService serves the detectors that load their own timeframes (CRT, Pure CRT);
+  // pass a view that ends at the current candle when replaying history
+  async generateSignals({ symbol, timeframe, marketData, strategy = 'scalping', marketDataService = this.marketData }) {
     try {
       if (!marketData || marketData.length < 20) {
         console.error('Insufficient market data for signal generation');
@@ -222,7 +227,7 @@ class SignalGenerator extends EventEmitter {
               break;
               
             case 'pure_crt':
-              const crtSetups = await this.pureCrt.detect(symbol, this.marketData);
+              const crtSetups = await this.pureCrt.detect(symbol, marketDataService);
               detectorSignals = crtSetups.map(setup => ({
                 ...setup,
                 detector: 'pure_crt',
@@ -234,7 +239,7 @@ class SignalGenerator extends EventEmitter {
               
             case 'crt':
               if (detector.allSymbols && detector.allTimeframes) {
-                const crtSetups = await this.crt.detect(symbol, this.marketData);
+                const crtSetups = await this.crt.detect(symbol, marketDataService);
                 detectorSignals = crtSetups.map(setup => ({
                   ...setup,
                   detector: 'crt',
@@ -245,7 +250,7 @@ class SignalGenerator extends EventEmitter {
               } else if (detector.allSymbols) {
                 // Apply CRT to all symbols for specific timeframes
                 if (strategyConfig.timeframes.includes(timeframe)) {
-                  const crtSetups = await this.crt.detect(symbol, this.marketData);
+                  const crtSetups = await this.crt.detect(symbol, marketDataService);
                   detectorSignals = crtSetups.map(setup => ({
                     ...setup,
                     detector: 'crt',
@@ -257,7 +262,7 @@ class SignalGenerator extends EventEmitter {
               } else if (detector.allTimeframes) {
                 // Apply CRT to all timeframes for specific symbols
                 if (symbol === 'specific-symbol') {
-                  const crtSetups = await this.crt.detect(symbol, this.marketData);
+                  const crtSetups = await this.crt.detect(symbol, marketDataService);
                   detectorSignals = crtSetups.map(setup => ({
                     ...setup,
                     detector: 'crt',
@@ -269,7 +274,7 @@ class SignalGenerator extends EventEmitter {
               } else {
                 // Apply CRT to specific symbols and timeframes
                 if (symbol === 'specific-symbol' && strategyConfig.timeframes.includes(timeframe)) {
-                  const crtSetups = await this.crt.detect(symbol, this.marketData);
+                  const crtSetups = await this.crt.detect(symbol, marketDataService);
                   detectorSignals = crtSetups.map(setup => ({
                     ...setup,
                     detector: 'crt',
@@ -337,7 +342,9 @@ class SignalGenerator extends EventEmitter {
         timeframe: 'current',
         chochPattern: 'bullish_reversal',
         riskReward: 2.0,
-        marketCondition: 'reversal'
+        marketCondition: 'reversal',
+        detector: 'choch',
+        setupTimestamp: analysis.marketStructure.changeOfCharacter.timestamp
       });
     }
 
@@ -352,7 +359,9 @@ class SignalGenerator extends EventEmitter {
         timeframe: 'current',
         chochPattern: 'bearish_reversal',
         riskReward: 2.0,
-        marketCondition: 'reversal'
+        marketCondition: 'reversal',
+        detector: 'choch',
+        setupTimestamp: analysis.marketStructure.changeOfCharacter.timestamp
       });
     }
 
@@ -372,7 +381,9 @@ class SignalGenerator extends EventEmitter {
             timeframe: 'current',
             chochPattern: ob.type,
             riskReward: 2.0,
-            marketCondition: 'order_block'
+            marketCondition: 'order_block',
+            detector: 'choch',
+            setupTimestamp: ob.timestamp
           });
         }
       });
@@ -0,0 +1,67 @@
+// Signal lifecycle rules shared by live tracking (signal-tracker.js) and outcome replay
+// (signal-evaluator.js), so both agree on when a signal triggers, resolves or lapses.
+
+const STATUS = {
+  PENDING: 'pending',
+  TRIGGERED: 'triggered',
+  HIT_TP: 'hit_tp',
+  HIT_SL: 'hit_sl',
+  EXPIRED: 'expired',
+  INVALIDATED: 'invalidated'
+};
+
+function isFinal(status) {
+  return status !== STATUS.PENDING && status !== STATUS.TRIGGERED;
+}
+
+// BUY or SELL. Detectors name it direction or type; BOS signals only carry levels.
+function resolveDirection(signal) {
+  for (const value of [signal.direction, signal.type]) {
+    if (value === 'BUY' || value === 'SELL') return value;
+  }
+  const entry = signal.entryPrice ?? signal.entry ?? signal.price;
+  if (Number.isFinite(signal.takeProfit) && Number.isFinite(entry)) {
+    return signal.takeProfit > entry ? 'BUY' : 'SELL';
+  }
+  return signal.direction || signal.type;
+}
+
+// Status changes caused by a price move. price is { high, low, close, timestamp } covering
+// the move since the previous step. Returns [{ status, fields }] in the order they happened.
+function stepSignal(signal, price) {
+  const isBuy = signal.direction === 'BUY';
+  const reached = level => Number.isFinite(level) && price.low <= level && price.high >= level;
+  const beyond = (level, side) => Number.isFinite(level) &&
+    (side === 'below' ? price.low <= level : price.high >= level);
+  const stopHit = beyond(signal.stopLoss, isBuy ? 'below' : 'above');
+  const targetHit = beyond(signal.takeProfit, isBuy ? 'above' : 'below');
+  const hitStop = { status: STATUS.HIT_SL, fields: { closedAt: price.timestamp, closePrice: signal.stopLoss } };
+
+  if (signal.status === STATUS.PENDING) {
+    if (reached(signal.entryPrice)) {
+      const triggered = { status: STATUS.TRIGGERED, fields: { triggeredAt: price.timestamp } };
+      // Within the same move only the stop can be assumed to follow the entry
+      return stopHit ? [triggered, hitStop] : [triggered];
+    }
+    if (stopHit || targetHit) {
+      return [{ status: STATUS.INVALIDATED, fields: { closedAt: price.timestamp, closePrice: price.close } }];
+    }
+    if (signal.expiresAt && price.timestamp >= signal.expiresAt) {
+      return [{ status: STATUS.EXPIRED, fields: { closedAt: price.timestamp, closePrice: price.close } }];
+    }
+  } else if (signal.status === STATUS.TRIGGERED) {
+    // When one candle spans both levels the stop is assumed to have been hit first
+    if (stopHit) return [hitStop];
+    if (targetHit) {
+      return [{ status: STATUS.HIT_TP, fields: { closedAt: price.timestamp, closePrice: signal.takeProfit } }];
+    }
+  }
+  return [];
+}
+
+module.exports = {
+  STATUS,
+  isFinal,
+  resolveDirection,
+  stepSignal
+};
@@ -0,0 +1,249 @@
+// Signal identity and lifecycle
+// A signal is identified by detector|symbol|timeframe|setupTimestamp, so re-detecting the
+// same setup does not store or broadcast it again. Stored signals then move through
+//   pending -> triggered -> hit_tp | hit_sl
+//   pending -> expired (entry not reached before expires_at) | invalidated (SL or TP reached first)
+// driven by the candle stream's ticks and closed candles.
+// Events:
+//   signalUpdate  { signal, previousStatus, status }
+
+const EventEmitter = require('events');
+const config = require('../config');
+const { STATUS, isFinal, resolveDirection, stepSignal } = require('./signal-outcome');
+const { timeframeToMs } = require('./timeframes');
+
+const TRACK_TIMEFRAME = '1m';
+
+class SignalTracker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.database = options.database;
+    this.marketDataService = options.marketDataService;
+    this.candleStream = options.candleStream || null;
+    this.expiryCandles = options.expiryCandles || config.signals.expiryCandles;
+    this.debug = options.debug || false;
+
+    this.active = new Map(); // signal key -> signal
+    this.lastPrices = new Map(); // symbol -> last tick price
+    this.queue = Promise.resolve();
+    this.onTick = ({ symbol, price, timestamp }) => {
+      const previous = this.lastPrices.has(symbol) ? this.lastPrices.get(symbol) : price;
+      this.lastPrices.set(symbol, price);
+      this.enqueue(symbol, {
+        high: Math.max(previous, price),
+        low: Math.min(previous, price),
+        close: price,
+        timestamp
+      });
+    };
+    this.onCandleClosed = ({ symbol, timeframe, candle }) => {
+      if (timeframe !== TRACK_TIMEFRAME) return;
+      this.enqueue(symbol, { ...candle, timestamp: candle.timestamp + timeframeToMs(timeframe) });
+    };
+  }
+
+  log(...args) {
+    if (this.debug) {
+      console.log('[SignalTracker]', ...args);
+    }
+  }
+
+  static key({ detector, symbol, timeframe, setupTimestamp }) {
+    return `${detector}|${symbol}|${timeframe}|${setupTimestamp}`;
+  }
+
+  // Load signals still in play and catch up on the candles they missed while offline
+  async start() {
+    if (this.candleStream) {
+      this.candleStream.on('tick', this.onTick);
+      this.candleStream.on('candleClosed', this.onCandleClosed);
+    }
+
+    const rows = await this.database.getActiveSignals();
+    for (const row of rows) {
+      const signal = this.fromRow(row);
+      this.active.set(signal.signalKey, signal);
+      await this.catchUp(signal);
+    }
+
+    const symbols = new Set(Array.from(this.active.values()).map(signal => signal.symbol));
+    for (const symbol of symbols) {
+      await this.watch(symbol);
+    }
+    this.log(`Tracking ${this.active.size} active signals`);
+  }
+
+  async stop() {
+    if (this.candleStream) {
+      this.candleStream.off('tick', this.onTick);
+      this.candleStream.off('candleClosed', this.onCandleClosed);
+    }
+    await this.queue;
+    const symbols = new Set(Array.from(this.active.values()).map(signal => signal.symbol));
+    for (const symbol of symbols) {
+      await this.unwatch(symbol);
+    }
+  }
+
+  // Store new signals and start tracking them. context supplies the detector, symbol,
+  // timeframe and closed candle the signals came from. Resolves to the signals that
+  // were not seen before; duplicates of a stored setup are dropped.
+  async register(signals, context = {}) {
+    const prepared = signals.map(signal => this.prepare(signal, context));
+    const stored = await this.database.storeSignals(prepared);
+
+    for (const signal of stored) {
+      const firstForSymbol = !this.hasActive(signal.symbol);
+      this.active.set(signal.signalKey, signal);
+      if (firstForSymbol) {
+        await this.watch(signal.symbol);
+      }
+      this.emit('signalUpdate', { signal, previousStatus: null, status: signal.status });
+    }
+
+    if (stored.length < prepared.length) {
+      this.log(`Dropped ${prepared.length - stored.length} duplicate signals for ${context.symbol}`);
+    }
+    return stored;
+  }
+
+  prepare(signal, context) {
+    const symbol = this.marketDataService.normalizeSymbol(context.symbol || signal.symbol);
+    const timeframe = context.timeframe || signal.timeframe;
+    const detector = signal.detector || context.detector || 'unknown';
+    const setupTimestamp = Number(signal.setupTimestamp ?? (context.candle && context.candle.timestamp));
+    const direction = resolveDirection(signal);
+
+    const prepared = {
+      ...signal,
+      symbol,
+      timeframe,
+      detector,
+      strategy: signal.strategy || context.strategy,
+      type: signal.type || direction,
+      direction,
+      entryPrice: signal.entryPrice ?? signal.entry ?? signal.price,
+      setupTimestamp,
+      status: STATUS.PENDING,
+      expiresAt: signal.expiresAt || setupTimestamp + (this.expiryCandles + 1) * timeframeToMs(timeframe)
+    };
+    prepared.signalKey = SignalTracker.key(prepared);
+    return prepared;
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      signalKey: row.signal_key,
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      detector: row.detector,
+      strategy: row.strategy,
+      type: row.signal_type,
+      direction: row.direction,
+      entryPrice: row.entry_price,
+      stopLoss: row.stop_loss,
+      takeProfit: row.take_profit,
+      confidence: row.confidence_score,
+      riskReward: row.risk_reward_ratio,
+      setupTimestamp: row.setup_timestamp,
+      expiresAt: row.expires_at,
+      triggeredAt: row.triggered_at,
+      status: row.status
+    };
+  }
+
+  hasActive(symbol) {
+    for (const signal of this.active.values()) {
+      if (signal.symbol === symbol) return true;
+    }
+    return false;
+  }
+
+  // Keep ticks flowing for symbols with signals in play
+  async watch(symbol) {
+    if (!this.candleStream) return;
+    try {
+      await this.candleStream.subscribe(symbol, [TRACK_TIMEFRAME]);
+    } catch (error) {
+      console.error(`Signal tracker could not stream ${symbol}:`, error.message);
+    }
+  }
+
+  async unwatch(symbol) {
+    if (!this.candleStream) return;
+    await this.candleStream.unsubscribe(symbol, [TRACK_TIMEFRAME]);
+  }
+
+  async catchUp(signal) {
+    // Price before the setup candle closed happened before the signal existed
+    const from = signal.triggeredAt || signal.setupTimestamp + timeframeToMs(signal.timeframe);
+    const minutes = Math.ceil((Date.now() - from) / timeframeToMs(TRACK_TIMEFRAME));
+    if (!(minutes > 0)) return;
+
+    try {
+      const candles = await this.marketDataService.getMarketData(
+        signal.symbol, TRACK_TIMEFRAME, Math.min(minutes, config.signals.maxCatchUpCandles)
+      );
+      const interval = timeframeToMs(TRACK_TIMEFRAME);
+      for (const candle of candles) {
+        // Only closed candles that started after the signal's last known state
+        if (candle.timestamp < from || candle.timestamp + interval > Date.now()) continue;
+        if (!this.active.has(signal.signalKey)) break;
+        await this.evaluate(signal, { ...candle, timestamp: candle.timestamp + interval });
+      }
+    } catch (error) {
+      console.error(`Could not catch up signal ${signal.signalKey}:`, error.message);
+    }
+  }
+
+  // Updates are applied one at a time so a burst of ticks cannot move a signal twice
+  enqueue(symbol, price) {
+    this.queue = this.queue
+      .then(() => this.update(symbol, price))
+      .catch(error => console.error('Signal tracker error:', error));
+    return this.queue;
+  }
+
+  // price is { high, low, close, timestamp } covering the move since the previous update
+  async update(symbol, price) {
+    for (const signal of Array.from(this.active.values())) {
+      if (signal.symbol !== symbol) continue;
+      try {
+        await this.evaluate(signal, price);
+      } catch (error) {
+        console.error(`Error updating signal ${signal.signalKey}:`, error.message);
+      }
+    }
+  }
+
+  async evaluate(signal, price) {
+    for (const { status, fields } of stepSignal(signal, price)) {
+      await this.transition(signal, status, fields);
+    }
+  }
+
+  async transition(signal, status, fields = {}) {
+    const previousStatus = signal.status;
+    signal.status = status;
+    if (fields.triggeredAt) signal.triggeredAt = fields.triggeredAt;
+    if (fields.closedAt) signal.closedAt = fields.closedAt;
+    if (fields.closePrice !== undefined) signal.closePrice = fields.closePrice;
+
+    await this.database.updateSignalStatus(signal.id, status, fields);
+
+    if (isFinal(status)) {
+      this.active.delete(signal.signalKey);
+      if (!this.hasActive(signal.symbol)) {
+        await this.unwatch(signal.symbol);
+      }
+    }
+
+    this.log(`${signal.signalKey}: ${previousStatus} -> ${status}`);
+    this.emit('signalUpdate', { signal: { ...signal }, previousStatus, status });
+  }
+}
+
+SignalTracker.STATUS = STATUS;
+
+module.exports = SignalTracker;
@@ -1,9 +1,12 @@
 // Smart Money Concepts (SMC) CHOCH multi-timeframe strategy (price-action only)
 // H4 → M15 → M1 top-down confirmation, liquidity sweep + FVG confluence, continuation model
 
+const config = require('../config');
+
 class SMCStrategy {
   constructor() {
-    this.maxContinuationTrades = 3;
+    // Entries per symbol, see config.positions.detectors.smc
+    this.maxContinuationTrades = (config.positions.detectors.smc || {}).maxPerSymbol || 3;
   }
 
   async generateSMCSignals({ symbol, marketDataService }) {
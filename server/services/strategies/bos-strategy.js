@@ -1,10 +1,10 @@
 class BOSStrategy {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'bos_strategy';
     this.minBars = 50; // Minimum number of candles needed for analysis
-    this.structureLookback = 20; // Number of candles to analyze for structure
-    this.confirmationCandles = 2; // Number of candles to confirm break
-    this.minVolatility = 0.0005; // Minimum ATR percentage for valid break
+    this.structureLookback = options.structureLookback || 20; // Number of candles to analyze for structure
+    this.confirmationCandles = options.confirmationCandles || 2; // Number of candles to confirm break
+    this.minVolatility = options.minVolatility ?? 0.0005; // Minimum ATR percentage for valid break
     this.debug = true;
   }
 
@@ -126,6 +126,7 @@ class BOSStrategy {
               stopLoss: recentSwingLow.price + (atr * 0.5), // SL above recent swing low
               takeProfit: currentPrice - (moveSize * 1.5), // 1.5R target
               confidence: Math.min(0.9, moveSize / atr), // Higher confidence for stronger moves
+              setupTimestamp: breakCandle.timestamp,
               timestamp: new Date().toISOString()
             };
           }
@@ -154,6 +155,7 @@ class BOSStrategy {
               stopLoss: recentSwingHigh.price - (atr * 0.5), // SL below recent swing high
               takeProfit: currentPrice + (moveSize * 1.5), // 1.5R target
               confidence: Math.min(0.9, moveSize / atr), // Higher confidence for stronger moves
+              setupTimestamp: breakCandle.timestamp,
               timestamp: new Date().toISOString()
             };
           }
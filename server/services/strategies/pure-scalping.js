@@ -25,8 +25,8 @@ class PureScalpingStrategy {
     }
   }
 
-  isTradingSession() {
-    const now = new Date();
+  isTradingSession(timestamp = Date.now()) {
+    const now = new Date(timestamp);
     const hours = now.getUTCHours();
     return (hours >= this.session.london.start && hours < this.session.london.end) ||
            (hours >= this.session.newyork.start && hours < this.session.newyork.end);
@@ -119,7 +119,8 @@ class PureScalpingStrategy {
 
   generateSignals(candles, symbol = '') {
     try {
-      if (!this.isTradingSession() || candles.length < this.minBars) {
+      // Session of the latest candle, so replayed history is filtered the same way
+      if (candles.length < this.minBars || !this.isTradingSession(candles[candles.length - 1].timestamp)) {
         this.log(`Not enough bars (${candles.length}/${this.minBars})`);
         return [];
       }
@@ -158,6 +159,7 @@ class PureScalpingStrategy {
                 level: 'support',
                 trend,
                 symbol,
+                setupTimestamp: current.timestamp,
                 timestamp: new Date().toISOString()
               });
               this.log(`Generated BUY signal at ${current.close}, SL: ${stopLoss}, TP: ${takeProfit}`);
@@ -177,6 +179,7 @@ class PureScalpingStrategy {
                 level: 'support',
                 trend,
                 symbol,
+                setupTimestamp: current.timestamp,
                 timestamp: new Date().toISOString()
               });
               this.log(`Generated BUY signal at ${current.close}, SL: ${stopLoss}, TP: ${takeProfit}`);
@@ -206,6 +209,7 @@ class PureScalpingStrategy {
                 level: 'resistance',
                 trend,
                 symbol,
+                setupTimestamp: current.timestamp,
                 timestamp: new Date().toISOString()
               });
               this.log(`Generated SELL signal at ${current.close}, SL: ${stopLoss}, TP: ${takeProfit}`);
@@ -225,6 +229,7 @@ class PureScalpingStrategy {
                 level: 'resistance',
                 trend,
                 symbol,
+                setupTimestamp: current.timestamp,
                 timestamp: new Date().toISOString()
               });
               this.log(`Generated SELL signal at ${current.close}, SL: ${stopLoss}, TP: ${takeProfit}`);
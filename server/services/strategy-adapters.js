@@ -0,0 +1,200 @@
+// Strategy adapters
+// Every detector exposes signals through a different call (detect(symbol, marketDataService),
+// generateSignals(candles, symbol), generateSMCSignals({ ... }), analyze(...)). An adapter wraps
+// one behind a common shape so the backtester can replay any of them:
+//
+//   {
+//     name,       // registry name, also the signal's detector
+//     timeframe,  // candles the backtest steps through
+//     lookback,   // candles of that timeframe passed to each detect call
+//     parameters, // tunable detector options: { name: { values: [...] } or { min, max, step } }
+//     detect({ symbol, timeframe, candles, marketData }) -> Promise<signals>
+//   }
+//
+// candles end at the candle that just closed; marketData is a MarketDataService-like view
+// (getMarketData(symbol, timeframe, limit)) for detectors that load their own history.
+// Signals come back normalized: direction BUY/SELL, entryPrice, detector.
+// Parameter values are passed to the factory with the other options (see optimizer.js).
+
+const PureCRTDetector = require('./pure-crt-detector');
+const CHOCHDetector = require('./choch-detector');
+const SMCStrategy = require('./smc-strategy');
+const BOSStrategy = require('./strategies/bos-strategy');
+const PureScalpingStrategy = require('./strategies/pure-scalping');
+const { resolveDirection } = require('./signal-outcome');
+
+const PROFILES = ['scalping', 'daytrading', 'swingtrading'];
+
+const adapters = new Map(); // name -> factory(options)
+
+function normalizeSignal(signal, detector) {
+  return {
+    ...signal,
+    detector: signal.detector || detector,
+    direction: resolveDirection(signal),
+    entryPrice: signal.entryPrice ?? signal.entry ?? signal.price
+  };
+}
+
+// Wraps detect so every adapter returns normalized signals
+function createAdapter({ name, timeframe, lookback, parameters = {}, detect }) {
+  return {
+    name,
+    timeframe,
+    lookback,
+    parameters,
+    async detect(context) {
+      const signals = await detect(context);
+      return (signals || []).map(signal => normalizeSignal(signal, name));
+    }
+  };
+}
+
+function registerAdapter(name, factory) {
+  adapters.set(name, factory);
+}
+
+// The shared SignalGenerator is built without its background CRT scanner
+let signalGenerator = null;
+function getSignalGenerator() {
+  if (!signalGenerator) {
+    const SignalGenerator = require('./signal-generator');
+    signalGenerator = new SignalGenerator({ scan: false });
+  }
+  return signalGenerator;
+}
+
+// Detectors with the detect(symbol, marketDataService) shape (PureCRTDetector, CRTDetector)
+function fromDetector(name, detector, options = {}, parameters = {}) {
+  return createAdapter({
+    name,
+    timeframe: options.timeframe || detector.driverTimeframe || '1m',
+    lookback: options.lookback || 100,
+    parameters,
+    detect: ({ symbol, marketData }) => detector.detect(symbol, marketData)
+  });
+}
+
+registerAdapter('pure_crt', (options = {}) =>
+  fromDetector('pure_crt', new PureCRTDetector({ debug: false, ...options }), options, {
+    minSweepMagnitude: { values: [0.0001, 0.0002, 0.0003, 0.0005, 0.001] }
+  }));
+
+registerAdapter('crt', (options = {}) => {
+  const detector = require('./crt-detector');
+  // The module exports a shared instance; only its timeframes are per backtest
+  return fromDetector('crt', Object.assign(Object.create(detector), {
+    driverTimeframe: options.driverTimeframe || detector.driverTimeframe,
+    entryTimeframe: options.entryTimeframe || detector.entryTimeframe
+  }), options);
+});
+
+registerAdapter('bos', (options = {}) => {
+  const strategy = new BOSStrategy(options);
+  strategy.debug = false;
+  return createAdapter({
+    name: 'bos',
+    timeframe: options.timeframe || '1m',
+    lookback: options.lookback || Math.max(strategy.minBars, 100),
+    parameters: {
+      structureLookback: { min: 10, max: 40, step: 5 },
+      confirmationCandles: { values: [1, 2, 3] },
+      minVolatility: { values: [0.0002, 0.0005, 0.001, 0.002] }
+    },
+    detect: async ({ symbol, candles }) => strategy.generateSignals(candles, symbol)
+  });
+});
+
+registerAdapter('pure_scalping', (options = {}) => {
+  const strategy = new PureScalpingStrategy();
+  strategy.debug = false;
+  return createAdapter({
+    name: 'pure_scalping',
+    timeframe: options.timeframe || '1m',
+    lookback: options.lookback || 50,
+    detect: async ({ symbol, candles }) => strategy.generateSignals(candles, symbol)
+  });
+});
+
+registerAdapter('smc', (options = {}) => {
+  const strategy = new SMCStrategy();
+  return createAdapter({
+    name: 'smc',
+    timeframe: options.timeframe || '1m',
+    lookback: options.lookback || 500,
+    detect: ({ symbol, marketData }) => strategy.generateSMCSignals({ symbol, marketDataService: marketData })
+  });
+});
+
+registerAdapter('choch', (options = {}) => {
+  const detector = new CHOCHDetector(options);
+  return createAdapter({
+    name: 'choch',
+    timeframe: options.timeframe || '1h',
+    lookback: options.lookback || 200,
+    parameters: {
+      swingWindow: { min: 3, max: 9, step: 1 }
+    },
+    detect: async ({ symbol, timeframe, candles }) => {
+      const analysis = await detector.analyze(symbol, timeframe, candles);
+      return getSignalGenerator().processCHOCHAnalysis(analysis, candles[candles.length - 1].close);
+    }
+  });
+});
+
+// A full SignalGenerator profile: every detector of scalping/daytrading/swingtrading,
+// with its confidence and risk/reward filters
+PROFILES.forEach(profile => {
+  registerAdapter(profile, (options = {}) => {
+    const generator = options.signalGenerator || getSignalGenerator();
+    return createAdapter({
+      name: profile,
+      timeframe: options.timeframe || generator.strategies[profile].timeframes[0],
+      lookback: options.lookback || 200,
+      detect: ({ symbol, timeframe, candles, marketData }) => generator.generateSignals({
+        symbol,
+        timeframe,
+        marketData: candles,
+        strategy: profile,
+        marketDataService: marketData
+      })
+    });
+  });
+});
+
+// strategy: a registered name, an adapter, or any object with detect(symbol, marketDataService)
+function resolveAdapter(strategy, options = {}) {
+  if (typeof strategy === 'string') {
+    const factory = adapters.get(strategy);
+    if (!factory) {
+      throw new Error(`Unknown strategy ${strategy}. Available: ${listAdapters().join(', ')}`);
+    }
+    return factory(options);
+  }
+  if (strategy && strategy.timeframe && strategy.lookback && typeof strategy.detect === 'function') {
+    return createAdapter({
+      name: strategy.name || 'custom',
+      timeframe: strategy.timeframe,
+      lookback: strategy.lookback,
+      parameters: strategy.parameters,
+      detect: context => strategy.detect(context)
+    });
+  }
+  if (strategy && typeof strategy.detect === 'function') {
+    return fromDetector(options.name || strategy.constructor.name, strategy, options);
+  }
+  throw new Error('Strategy must be a registered name, an adapter or a detector with detect(symbol, marketDataService)');
+}
+
+function listAdapters() {
+  return Array.from(adapters.keys());
+}
+
+module.exports = {
+  PROFILES,
+  createAdapter,
+  listAdapters,
+  normalizeSignal,
+  registerAdapter,
+  resolveAdapter
+};
@@ -0,0 +1,312 @@
+// Deterministic synthetic market generator
+//
+// Prices are a pure function of (seed, symbol, time), so any window can be regenerated
+// and every timeframe agrees with the others. The path is built in two layers:
+//   1. a daily anchor log-price per UTC day, walked forward from GENESIS with a
+//      per-day regime (trend, range) chosen from the seeded random stream;
+//   2. one-minute candles inside the day, drawn as a Brownian bridge between the
+//      day's anchor and the next one, with hourly volatility spikes and optional
+//      crash/boom or jump-index style jumps.
+// Higher timeframes are aggregates of the one-minute candles.
+
+const config = require('../config');
+const { timeframeToMs } = require('./timeframes');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const MINUTES_PER_DAY = 1440;
+const GENESIS = Date.UTC(2000, 0, 1);
+
+// FNV-1a string hash, used to derive independent seeds per symbol/day
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Mulberry32 PRNG - small, fast and good enough for price simulation
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.gaussian = () => {
+    const u = Math.max(next(), 1e-12);
+    const v = next();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+  return next;
+}
+
+const BASE_PRICES = {
+  // Forex
+  'EUR/USD': 1.08, 'GBP/USD': 1.26, 'USD/JPY': 149.5,
+  'AUD/USD': 0.65, 'USD/CAD': 1.35, 'EUR/GBP': 0.86,
+  // Crypto
+  'BTC/USD': 65000, 'ETH/USD': 3500, 'XRP/USD': 0.52,
+  // Indices
+  'US30': 39000, 'US100': 18000, 'US500': 5200,
+  // Commodities
+  'XAU/USD': 2300, 'XAG/USD': 27.5, 'OIL/USD': 78.5
+};
+
+// Typical one-day move as a fraction of price
+const DAILY_VOLATILITY = {
+  // Forex
+  'EUR/USD': 0.004, 'GBP/USD': 0.005, 'USD/JPY': 0.005,
+  // Crypto
+  'BTC/USD': 0.02, 'ETH/USD': 0.025, 'XRP/USD': 0.03,
+  // Indices
+  'US30': 0.008, 'US100': 0.01, 'US500': 0.007,
+  // Commodities
+  'XAU/USD': 0.009, 'XAG/USD': 0.015, 'OIL/USD': 0.018
+};
+
+class SyntheticMarketGenerator {
+  constructor(options = {}) {
+    const settings = { ...config.syntheticData, ...options };
+    this.seed = String(settings.seed);
+    this.regimes = settings.regimes;
+    this.overrides = settings.overrides || {};
+    this.maxCachedDays = options.maxCachedDays || 256;
+    this.profiles = new Map();
+    this.anchors = new Map(); // symbol -> daily anchor log prices, indexed by day since GENESIS
+    this.days = new Map(); // `${symbol}|${day}` -> minute arrays, in insertion (LRU) order
+  }
+
+  random(...parts) {
+    return createRandom(hashString([this.seed, ...parts].join('|')));
+  }
+
+  getProfile(symbol) {
+    if (this.profiles.has(symbol)) return this.profiles.get(symbol);
+
+    const upper = symbol.toUpperCase();
+    const symbolHash = hashString(`${this.seed}|${upper}|profile`);
+    const profile = {
+      basePrice: BASE_PRICES[upper] || 100 + (symbolHash % 5000) / 100,
+      dailyVolatility: DAILY_VOLATILITY[upper] || 0.01,
+      baseVolume: (upper.includes('/USD') || upper.endsWith('USD') ? 1000 : 100) * (1 + (symbolHash % 1000) / 1000),
+      regime: 'mixed',
+      jumps: null
+    };
+
+    // Volatility indices quote their annualised volatility in the name (V75, R_75, 1HZ75V)
+    const volIndex = upper.match(/^(?:V|R[_/]|1HZ)(\d+)/) || upper.match(/VOLATILITY (\d+)/);
+    if (volIndex) {
+      profile.dailyVolatility = Number(volIndex[1]) / 100 / Math.sqrt(365);
+    }
+
+    // CRASH N / BOOM N: one jump every N ticks on average, ticks arriving each second
+    const crashBoom = upper.match(/^(CRASH|BOOM) ?(\d+)/);
+    if (crashBoom) {
+      profile.dailyVolatility = this.regimes.jumps.crashBoomVolatility;
+      profile.jumps = {
+        direction: crashBoom[1] === 'CRASH' ? -1 : 1,
+        probability: Math.min(1, 60 / Number(crashBoom[2])),
+        size: this.regimes.jumps.size
+      };
+    } else if (/^JUMP|^JD\d+/.test(upper)) {
+      profile.jumps = {
+        direction: 0,
+        probability: this.regimes.jumps.jumpIndexProbability,
+        size: this.regimes.jumps.size
+      };
+    }
+
+    Object.assign(profile, this.overrides[upper] || {});
+    this.profiles.set(symbol, profile);
+    return profile;
+  }
+
+  // Regime for one UTC day: 'trend' (with direction) or 'range'
+  getDayRegime(symbol, day) {
+    const profile = this.getProfile(symbol);
+    const rng = this.random(symbol, 'regime', day);
+    const draw = rng();
+    const direction = rng() < 0.5 ? -1 : 1;
+
+    if (profile.regime === 'trend') return { type: 'trend', direction: profile.trendDirection || direction };
+    if (profile.regime === 'range') return { type: 'range', direction: 0 };
+
+    const trendWeight = this.regimes.trend.weight;
+    const rangeWeight = this.regimes.range.weight;
+    return draw < trendWeight / (trendWeight + rangeWeight)
+      ? { type: 'trend', direction }
+      : { type: 'range', direction: 0 };
+  }
+
+  // Daily anchor log-prices are walked forward from GENESIS once per symbol and memoised
+  getAnchor(symbol, day) {
+    if (day < 0) {
+      throw new Error(`Synthetic data starts at ${new Date(GENESIS).toISOString()}`);
+    }
+
+    let anchors = this.anchors.get(symbol);
+    if (!anchors) {
+      anchors = [Math.log(this.getProfile(symbol).basePrice)];
+      this.anchors.set(symbol, anchors);
+    }
+
+    const profile = this.getProfile(symbol);
+    const logBase = Math.log(profile.basePrice);
+    const sigma = profile.dailyVolatility;
+
+    while (anchors.length <= day) {
+      const d = anchors.length - 1;
+      const current = anchors[d];
+      const regime = this.getDayRegime(symbol, d);
+      const noise = this.random(symbol, 'anchor', d).gaussian();
+
+      let change = this.regimes.meanReversion * (logBase - current);
+      if (regime.type === 'trend') {
+        change += regime.direction * this.regimes.trend.drift * sigma + noise * sigma * 0.7;
+      } else {
+        change += this.regimes.range.reversion * (logBase - current) + noise * sigma * 0.4;
+      }
+      anchors.push(current + change);
+    }
+
+    return anchors[day];
+  }
+
+  // One-minute open/high/low/close/volume arrays for a UTC day
+  getDay(symbol, day) {
+    const key = `${symbol}|${day}`;
+    const cached = this.days.get(key);
+    if (cached) {
+      // Refresh LRU position
+      this.days.delete(key);
+      this.days.set(key, cached);
+      return cached;
+    }
+
+    const profile = this.getProfile(symbol);
+    const rng = this.random(symbol, 'day', day);
+    const sigma = profile.dailyVolatility / Math.sqrt(MINUTES_PER_DAY);
+    const spikes = this.regimes.volatilitySpikes;
+
+    const hourlyMultiplier = [];
+    for (let h = 0; h < 24; h++) {
+      hourlyMultiplier.push(rng() < spikes.probability ? spikes.multiplier * (0.75 + rng() * 0.5) : 1);
+    }
+
+    // Random walk for the day, then bridged so it ends on the next day's anchor
+    const walk = new Float64Array(MINUTES_PER_DAY + 1);
+    const wickNoise = new Float64Array(MINUTES_PER_DAY * 2);
+    const volumeNoise = new Float64Array(MINUTES_PER_DAY);
+    for (let i = 0; i < MINUTES_PER_DAY; i++) {
+      const multiplier = hourlyMultiplier[Math.floor(i / 60)];
+      let step = rng.gaussian() * sigma * multiplier;
+      if (profile.jumps && rng() < profile.jumps.probability) {
+        const direction = profile.jumps.direction || (rng() < 0.5 ? -1 : 1);
+        step += direction * profile.jumps.size * (0.5 + rng());
+      }
+      walk[i + 1] = walk[i] + step;
+      wickNoise[i * 2] = Math.abs(rng.gaussian()) * sigma * multiplier * 0.5;
+      wickNoise[i * 2 + 1] = Math.abs(rng.gaussian()) * sigma * multiplier * 0.5;
+      volumeNoise[i] = (0.5 + rng()) * multiplier;
+    }
+
+    const startAnchor = this.getAnchor(symbol, day);
+    const endAnchor = this.getAnchor(symbol, day + 1);
+    const correction = walk[MINUTES_PER_DAY] - (endAnchor - startAnchor);
+    const path = new Float64Array(MINUTES_PER_DAY + 1);
+    for (let i = 0; i <= MINUTES_PER_DAY; i++) {
+      path[i] = startAnchor + walk[i] - (i / MINUTES_PER_DAY) * correction;
+    }
+
+    const block = {
+      open: new Float64Array(MINUTES_PER_DAY),
+      high: new Float64Array(MINUTES_PER_DAY),
+      low: new Float64Array(MINUTES_PER_DAY),
+      close: new Float64Array(MINUTES_PER_DAY),
+      volume: new Float64Array(MINUTES_PER_DAY)
+    };
+    for (let i = 0; i < MINUTES_PER_DAY; i++) {
+      const open = Math.exp(path[i]);
+      const close = Math.exp(path[i + 1]);
+      block.open[i] = open;
+      block.close[i] = close;
+      block.high[i] = Math.max(open, close) * Math.exp(wickNoise[i * 2]);
+      block.low[i] = Math.min(open, close) * Math.exp(-wickNoise[i * 2 + 1]);
+      block.volume[i] = profile.baseVolume * volumeNoise[i];
+    }
+
+    this.days.set(key, block);
+    if (this.days.size > this.maxCachedDays) {
+      this.days.delete(this.days.keys().next().value);
+    }
+    return block;
+  }
+
+  getMinute(symbol, timestamp) {
+    const offset = timestamp - GENESIS;
+    const day = Math.floor(offset / DAY);
+    const index = Math.floor((offset - day * DAY) / MINUTE);
+    const block = this.getDay(symbol, day);
+    return {
+      timestamp: GENESIS + day * DAY + index * MINUTE,
+      open: block.open[index],
+      high: block.high[index],
+      low: block.low[index],
+      close: block.close[index],
+      volume: block.volume[index]
+    };
+  }
+
+  // Candles for `timeframe` whose open time is at or before `end`. The last candle
+  // only aggregates the minutes that have started by `end`, like a live feed.
+  getCandles(symbol, timeframe, limit, options = {}) {
+    const interval = timeframeToMs(timeframe);
+    if (interval % MINUTE !== 0) {
+      throw new Error(`Synthetic timeframe must be a whole number of minutes: ${timeframe}`);
+    }
+
+    const end = options.end || Date.now();
+    const lastMinute = Math.floor(end / MINUTE) * MINUTE;
+    const lastOpen = Math.floor(end / interval) * interval;
+    let firstOpen = lastOpen - (limit - 1) * interval;
+    if (options.start) {
+      firstOpen = Math.max(firstOpen, Math.ceil(options.start / interval) * interval);
+    }
+
+    const candles = [];
+    for (let open = firstOpen; open <= lastOpen; open += interval) {
+      const bucketEnd = Math.min(open + interval - MINUTE, lastMinute);
+      let candle = null;
+      for (let t = open; t <= bucketEnd; t += MINUTE) {
+        const minute = this.getMinute(symbol, t);
+        if (!candle) {
+          candle = { ...minute, timestamp: open };
+        } else {
+          candle.high = Math.max(candle.high, minute.high);
+          candle.low = Math.min(candle.low, minute.low);
+          candle.close = minute.close;
+          candle.volume += minute.volume;
+        }
+      }
+      if (candle) candles.push(candle);
+    }
+    return candles;
+  }
+
+  // Price at an instant, interpolated inside the current minute
+  getPrice(symbol, timestamp = Date.now()) {
+    const minute = this.getMinute(symbol, timestamp);
+    const progress = (timestamp - minute.timestamp) / MINUTE;
+    return minute.open + (minute.close - minute.open) * progress;
+  }
+}
+
+SyntheticMarketGenerator.hashString = hashString;
+SyntheticMarketGenerator.createRandom = createRandom;
+
+module.exports = SyntheticMarketGenerator;
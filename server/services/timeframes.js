@@ -0,0 +1,18 @@
+// Timeframe helpers shared by providers, resampling and backtesting
+
+function timeframeToMs(timeframe) {
+  const unit = timeframe.slice(-1);
+  const value = parseInt(timeframe);
+
+  switch(unit) {
+    case 'm': return value * 60 * 1000; // minutes
+    case 'h': return value * 60 * 60 * 1000; // hours
+    case 'd': return value * 24 * 60 * 60 * 1000; // days
+    case 'w': return value * 7 * 24 * 60 * 60 * 1000; // weeks
+    default: return 60 * 1000; // default to 1 minute
+  }
+}
+
+module.exports = {
+  timeframeToMs
+};
@@ -0,0 +1,157 @@
+// Trade management
+// Rules that work an open position as price moves. LiveTrading and Backtester both run them
+// through this module, so a plan behaves the same live and in a backtest. A plan is
+// config.management.default, overridden by config.management.detectors[detector] and then by
+// the signal's own `management`:
+//   breakeven    { atR, offsetR }  once price has gone atR x the initial risk in the trade's
+//                favour, move the stop to entry (plus offsetR x risk)
+//   trailing     { multiplier, activateR, period }  once price has gone activateR x risk, trail
+//                the stop multiplier x ATR(period) behind the best price since entry
+//                (RiskManager.calculateStopLoss)
+//   targets      [{ atR, fraction }]  scale out: close fraction of the opening quantity at
+//                each R multiple; what the fractions leave runs on to the position's own
+//                stop and take profit
+//   maxDuration  ms after entry at which the rest is closed at market
+// Stops only ever move in the trade's favour. The position's own stop and take profit are
+// checked by whoever holds it, before the plan sees the same price move.
+//
+// update() returns the actions a price move calls for, in order:
+//   { type: 'modify', stopLoss, reason }         reason: breakeven | trailing
+//   { type: 'partial', quantity, price, reason }  reason: target_1, target_2, ...
+//   { type: 'close', price, reason }             price: the target level, or null for market
+
+const config = require('../config');
+const RiskManager = require('./risk-manager');
+
+const RULES = ['breakeven', 'trailing', 'targets', 'maxDuration'];
+const MIN_QUANTITY_SHARE = 1e-9; // remainders below this share of the opening quantity count as closed
+
+// Average true range of the last `period` candles (simple average, like BOSStrategy)
+function averageTrueRange(candles, period = 14) {
+  if (candles.length <= period) return null;
+  let sum = 0;
+  for (let i = candles.length - period; i < candles.length; i++) {
+    const previousClose = candles[i - 1].close;
+    sum += Math.max(
+      candles[i].high - candles[i].low,
+      Math.abs(candles[i].high - previousClose),
+      Math.abs(candles[i].low - previousClose)
+    );
+  }
+  return sum / period;
+}
+
+class TradeManager {
+  constructor(options = {}) {
+    this.plans = options.plans || config.management;
+    this.riskManager = options.riskManager || new RiskManager();
+  }
+
+  // The plan for a signal, or null when it has no rules turned on
+  resolvePlan(signal = {}) {
+    const detectorPlan = (this.plans.detectors || {})[signal.detector] || {};
+    const plan = { ...this.plans.default, ...detectorPlan, ...(signal.management || {}) };
+    const active = RULES.filter(rule => (rule === 'targets' ? (plan.targets || []).length > 0 : Boolean(plan[rule])));
+    if (active.length === 0) {
+      return null;
+    }
+    return {
+      ...plan,
+      targets: [...(plan.targets || [])].sort((a, b) => a.atR - b.atR)
+    };
+  }
+
+  // Management state of a position that just opened:
+  // position { direction, entryPrice, stopLoss, quantity, openedAt }
+  start(position, plan) {
+    return {
+      plan,
+      direction: position.direction,
+      entryPrice: position.entryPrice,
+      initialStop: position.stopLoss,
+      stopLoss: position.stopLoss,
+      risk: Math.abs(position.entryPrice - position.stopLoss),
+      initialQuantity: position.quantity,
+      remaining: position.quantity,
+      openedAt: position.openedAt,
+      bestPrice: position.entryPrice,
+      atr: null,
+      breakevenDone: false,
+      targetsHit: 0
+    };
+  }
+
+  // Feeds the ATR the trailing stop works from; candles of the trade's timeframe that have
+  // closed, oldest first
+  updateVolatility(state, candles) {
+    if (!state.plan.trailing) return;
+    const atr = averageTrueRange(candles, state.plan.trailing.period || 14);
+    if (atr !== null) {
+      state.atr = atr;
+    }
+  }
+
+  // price: { high, low, close, timestamp } of the move since the previous update, on the side
+  // the position exits at (bid for longs, ask for shorts)
+  update(state, price) {
+    const { plan, direction, entryPrice, risk } = state;
+    const isBuy = direction === 'BUY';
+    const sign = isBuy ? 1 : -1;
+    const levelAt = r => entryPrice + sign * r * risk;
+    const beyond = level => (isBuy ? price.high >= level : price.low <= level);
+    const improves = stop => (isBuy ? stop > state.stopLoss : stop < state.stopLoss);
+    const actions = [];
+
+    state.bestPrice = isBuy ? Math.max(state.bestPrice, price.high) : Math.min(state.bestPrice, price.low);
+    const bestR = risk > 0 ? ((state.bestPrice - entryPrice) * sign) / risk : 0;
+
+    // Scale out at each target reached
+    if (risk > 0) {
+      while (state.targetsHit < plan.targets.length && beyond(levelAt(plan.targets[state.targetsHit].atR))) {
+        const target = plan.targets[state.targetsHit];
+        state.targetsHit++;
+        const reason = `target_${state.targetsHit}`;
+        const quantity = Math.min(state.initialQuantity * target.fraction, state.remaining);
+        if (state.remaining - quantity <= state.initialQuantity * MIN_QUANTITY_SHARE) {
+          state.remaining = 0;
+          return [...actions, { type: 'close', price: levelAt(target.atR), reason }];
+        }
+        state.remaining -= quantity;
+        actions.push({ type: 'partial', quantity, price: levelAt(target.atR), reason });
+      }
+    }
+
+    // Move the stop: breakeven first, then the trailing stop if it is tighter still
+    let stop = null;
+    let reason = null;
+    if (plan.breakeven && !state.breakevenDone && risk > 0 && bestR >= plan.breakeven.atR) {
+      state.breakevenDone = true;
+      const breakeven = levelAt(plan.breakeven.offsetR || 0);
+      if (improves(breakeven)) {
+        stop = breakeven;
+        reason = 'breakeven';
+      }
+    }
+    if (plan.trailing && state.atr && bestR >= (plan.trailing.activateR || 0)) {
+      const trailing = this.riskManager.calculateStopLoss(state.bestPrice, direction, state.atr, plan.trailing.multiplier || 2);
+      if (improves(trailing) && (stop === null || (isBuy ? trailing > stop : trailing < stop))) {
+        stop = trailing;
+        reason = 'trailing';
+      }
+    }
+    if (stop !== null) {
+      state.stopLoss = stop;
+      actions.push({ type: 'modify', stopLoss: stop, reason });
+    }
+
+    if (plan.maxDuration && price.timestamp - state.openedAt >= plan.maxDuration) {
+      state.remaining = 0;
+      actions.push({ type: 'close', price: null, reason: 'time_exit' });
+    }
+    return actions;
+  }
+}
+
+TradeManager.averageTrueRange = averageTrueRange;
+
+module.exports = TradeManager;
@@ -2,10 +2,13 @@ const WebSocket = require('ws');
 const config = require('../config');
 
 class WebSocketService {
-  constructor() {
+  constructor(options = {}) {
+    this.url = options.url || config.api.deriv.websocketUrl;
+    this.appId = options.appId || config.api.deriv.appId;
     this.ws = null;
     this.connected = false;
     this.subscriptions = new Set();
+    this.tickSubscriptions = new Map(); // Deriv symbol -> subscription id (null until acknowledged)
     this.messageQueue = [];
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
@@ -15,15 +18,17 @@ class WebSocketService {
 
   async connect() {
     if (this.connected) return Promise.resolve();
+    this.closing = false;
 
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(config.api.websocketUrl);
+        this.ws = new WebSocket(this.getUrl());
 
         this.ws.on('open', () => {
           console.log('WebSocket connected');
           this.connected = true;
           this.reconnectAttempts = 0;
+          this.resubscribeTicks();
           this.processMessageQueue();
           this.emit('connected');
           resolve();
@@ -36,7 +41,21 @@ class WebSocketService {
             
             // Handle different message types
             if (message.msg_type === 'tick') {
+              if (message.error) {
+                console.error(`Tick subscription error for ${message.echo_req?.ticks}:`, message.error.message);
+                return;
+              }
+              const symbol = message.tick.symbol;
+              if (message.subscription) {
+                if (!this.tickSubscriptions.has(symbol)) {
+                  // Unsubscribed before the stream was acknowledged
+                  this.sendRequest({ forget: message.subscription.id });
+                  return;
+                }
+                this.tickSubscriptions.set(symbol, message.subscription.id);
+              }
               this.emit('tick', message);
+              this.emit(`tick:${symbol}`, message.tick);
             } else if (message.msg_type === 'ohlc') {
               this.emit('candle', message);
             } else if (message.msg_type === 'active_symbols') {
@@ -50,7 +69,9 @@ class WebSocketService {
         this.ws.on('close', () => {
           console.log('WebSocket disconnected');
           this.connected = false;
-          this.attemptReconnect();
+          if (!this.closing) {
+            this.attemptReconnect();
+          }
           this.emit('disconnected');
         });
 
@@ -66,6 +87,11 @@ class WebSocketService {
     });
   }
 
+  getUrl() {
+    const separator = this.url.includes('?') ? '&' : '?';
+    return `${this.url}${separator}app_id=${this.appId}`;
+  }
+
   on(event, callback) {
     if (!this.eventListeners[event]) {
       this.eventListeners[event] = [];
@@ -73,6 +99,13 @@ class WebSocketService {
     this.eventListeners[event].push(callback);
   }
 
+  off(event, callback) {
+    const listeners = this.eventListeners[event];
+    if (listeners) {
+      this.eventListeners[event] = listeners.filter(listener => listener !== callback);
+    }
+  }
+
   emit(event, ...args) {
     const listeners = this.eventListeners[event];
     if (listeners) {
@@ -114,6 +147,37 @@ class WebSocketService {
     this.sendRequest(request);
   }
 
+  // Ticks arrive as `tick:${symbol}` events carrying Deriv's { symbol, quote, bid, ask, epoch }
+  async subscribeToTicks(symbol) {
+    if (this.tickSubscriptions.has(symbol)) {
+      return; // Already subscribed
+    }
+
+    this.tickSubscriptions.set(symbol, null);
+    this.sendRequest({ ticks: symbol, subscribe: 1 });
+  }
+
+  async unsubscribeFromTicks(symbol) {
+    if (!this.tickSubscriptions.has(symbol)) {
+      return; // Not subscribed
+    }
+
+    const subscriptionId = this.tickSubscriptions.get(symbol);
+    this.tickSubscriptions.delete(symbol);
+    if (subscriptionId) {
+      this.sendRequest({ forget: subscriptionId });
+    }
+  }
+
+  // Subscriptions die with the socket, so ask for them again after a reconnect
+  resubscribeTicks() {
+    for (const symbol of this.tickSubscriptions.keys()) {
+      this.tickSubscriptions.set(symbol, null);
+      this.messageQueue = this.messageQueue.filter(request => request.ticks !== symbol);
+      this.messageQueue.push({ ticks: symbol, subscribe: 1 });
+    }
+  }
+
   getGranularity(timeframe) {
     const granularityMap = {
       '1m': 60,
@@ -159,6 +223,7 @@ class WebSocketService {
 
   async disconnect() {
     if (this.ws) {
+      this.closing = true;
       this.ws.close();
       this.connected = false;
       this.ws = null;
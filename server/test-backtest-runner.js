@@ -0,0 +1,96 @@
+const Database = require('./database');
+const Backtester = require('./services/backtester');
+const BacktestRunner = require('./services/backtest-runner');
+const MarketDataService = require('./services/market-data');
+const ProviderRegistry = require('./services/providers/provider-registry');
+const SyntheticProvider = require('./services/providers/synthetic-provider');
+
+async function testBacktestRunner() {
+  console.log('🚀 Testing backtest runs against stub providers...\n');
+
+  const database = new Database({ filename: ':memory:' });
+  await database.initialize();
+  let failures = 0;
+
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Submits a run against one provider and waits for it to finish either way
+  const run = async (provider, params = {}) => {
+    const registry = new ProviderRegistry();
+    registry.register(provider);
+    registry.setDefault(provider.name);
+    const runner = new BacktestRunner({ database, marketDataService: new MarketDataService({ registry }) });
+    const finished = new Promise(resolve => {
+      runner.once('completed', ({ run }) => resolve({ run }));
+      runner.once('failed', ({ run, error }) => resolve({ run, error }));
+    });
+    const to = Date.UTC(2026, 0, 6);
+    await runner.submit({ strategy: 'pure_crt', symbols: ['R_75'], from: to - 24 * 60 * 60 * 1000, to, initialCapital: 10000, riskPerTrade: 0.01, ...params });
+    const { run: finishedRun, error } = await finished;
+    return { run: await runner.getRun(finishedRun.id), runner, error };
+  };
+
+  try {
+    console.log('1. Provider failures fail the run...');
+    const offline = {
+      name: 'deriv',
+      remote: true,
+      supportsTimeframe: () => true,
+      getHistory: async () => { throw new Error('provider offline'); }
+    };
+    const failed = await run(offline);
+    check('run marked failed', failed.run.status === 'failed', failed.run.error);
+    check('provider error recorded', /provider offline/.test(failed.run.error || ''));
+    check('no results stored', failed.run.results.length === 0);
+
+    const empty = await run({ ...offline, getHistory: async () => [] });
+    check('run without candles marked failed', empty.run.status === 'failed', empty.run.error);
+    check('no results stored without candles', empty.run.results.length === 0);
+
+    console.log('\n2. Runs complete on provider candles and leave the event loop free...');
+    const completed = await run(new SyntheticProvider());
+    check('run completed on provider candles', completed.run.status === 'completed', completed.run.error || '');
+    check('result stored', completed.run.results.length === 1, `${completed.run.results.length} results`);
+    const report = JSON.parse(await completed.runner.getReport(completed.run.id, 'json'));
+    const html = await completed.runner.getReport(completed.run.id, 'html');
+    check('report carries a Monte Carlo analysis', report.monteCarlo && report.monteCarlo.trades === completed.run.trades.length,
+      report.monteCarlo ? `${report.monteCarlo.trades} trades` : 'none');
+    check('html report has the Monte Carlo section', /<h2>Monte Carlo/.test(html));
+
+    // A detector that holds the loop for 4ms a step: yielding every 1% of 2000 steps held it 80ms
+    const slow = {
+      name: 'slow',
+      timeframe: '1m',
+      lookback: 2,
+      detect: () => {
+        const until = Date.now() + 4;
+        while (Date.now() < until);
+        return [];
+      }
+    };
+    const start = Date.UTC(2026, 0, 5);
+    const candles = Array.from({ length: 2000 }, (_, i) => ({ timestamp: start + i * 60000, open: 100, high: 101, low: 99, close: 100, volume: 0 }));
+    let last = Date.now();
+    let longestGap = 0;
+    const timer = setInterval(() => {
+      longestGap = Math.max(longestGap, Date.now() - last);
+      last = Date.now();
+    }, 1);
+    await new Backtester(slow).backtest(candles, 'R_75');
+    clearInterval(timer);
+    check('event loop never held for long', longestGap < 50, `longest gap ${longestGap}ms`);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  } finally {
+    await database.close();
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testBacktestRunner();
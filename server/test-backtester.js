@@ -0,0 +1,90 @@
+const Backtester = require('./services/backtester');
+const SyntheticProvider = require('./services/providers/synthetic-provider');
+
+async function testBacktester() {
+  console.log('🚀 Testing backtest fills, sizing and P&L...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // A detector that signals once, on the second candle, replayed over 1m candles
+  // given as [open, high, low, close]
+  const start = Date.UTC(2026, 0, 5);
+  const replay = async (prices, signal, options = {}) => {
+    const candles = prices.map(([open, high, low, close], i) => ({ timestamp: start + i * 60000, open, high, low, close, volume: 0 }));
+    const strategy = {
+      name: 'scripted',
+      timeframe: '1m',
+      lookback: 2,
+      detect: ({ candles: window }) => (window[window.length - 1].timestamp === start + 60000 ? [signal] : [])
+    };
+    return new Backtester(strategy, { debug: false, spread: 0, ...options }).backtest(candles, 'R_75');
+  };
+  const flat = [100, 100.2, 99.8, 100];
+  const buy = { direction: 'BUY', entryPrice: 100, stopLoss: 99, takeProfit: 102, confidence: 0.8 };
+
+  try {
+    console.log('1. Known trades...');
+    const win = await replay([flat, flat, [100, 102.5, 99.9, 102.2], flat], buy, { slippage: 0 });
+    const [winner] = win.trades;
+    check('target hit', winner && winner.exitReason === 'take_profit', winner && winner.exitReason);
+    check('1% risked for 2R', winner && Math.abs(winner.pnl - 200) < 1e-6 && Math.abs(winner.rMultiple - 2) < 1e-6, winner && `${winner.pnl}, ${winner.rMultiple}R`);
+    check('capital follows the trade', Math.abs(win.finalCapital - 10200) < 1e-6, `${win.finalCapital}`);
+
+    const loss = await replay([flat, flat, [100, 100.1, 98.5, 98.8], flat], buy, { slippage: 0 });
+    const [loser] = loss.trades;
+    check('stop hit', loser && loser.exitReason === 'stop_loss', loser && loser.exitReason);
+    check('stop loses 1R', loser && Math.abs(loser.rMultiple + 1) < 1e-6 && loser.pnl < 0, loser && `${loser.pnl}, ${loser.rMultiple}R`);
+
+    console.log('\n2. Fills away from the planned entry...');
+    // The market fill lands just above the stop, then the stop slips
+    const nearStop = await replay([flat, flat, [99.05, 99.1, 98, 98.2], flat], buy);
+    const [near] = nearStop.trades;
+    check('fill next to the stop keeps the planned size', near && Math.abs(near.pnl) < 100,
+      near && `entry ${near.entry.toFixed(3)}, P&L ${near.pnl.toFixed(2)}`);
+    check('its loss stays within the planned risk', near && near.rMultiple >= -1, near && `${near.rMultiple.toFixed(2)}R`);
+
+    const pastEntry = await replay([flat, flat, [101, 101.1, 98.5, 98.8], flat], buy);
+    const [past] = pastEntry.trades;
+    check('fill past the planned entry shrinks the size', past && Math.abs(past.pnl) < 105, past && `entry ${past.entry.toFixed(3)}, P&L ${past.pnl.toFixed(2)}`);
+    check('its loss is about 1R', past && past.rMultiple > -1.1 && past.rMultiple < -0.9, past && `${past.rMultiple.toFixed(2)}R`);
+
+    console.log('\n3. Leverage and capital...');
+    const tight = { ...buy, stopLoss: 99.99, takeProfit: 100.5 };
+    const capped = await replay([flat, flat, [100, 100.6, 99.995, 100.4], flat], tight, { slippage: 0 });
+    const [leveraged] = capped.trades;
+    // 1% at a 0.01 stop is 10000 units, 100x the capital; the cap allows 10x
+    check('notional capped at maxLeverage', leveraged && Math.abs(leveraged.pnl - 500) < 1e-6, leveraged && `P&L ${leveraged.pnl}`);
+    const backtester = new Backtester('pure_crt', { debug: false });
+    check('no orders without capital', backtester.placeOrder({ ...buy, detector: 'test' }, 0, start) === null);
+    check('no orders after losing everything', backtester.placeOrder({ ...buy, detector: 'test' }, -50, start) === null);
+
+    console.log('\n4. Seeded synthetic run...');
+    const candles = await new SyntheticProvider().getHistory('R_75', '1m', 3000, { end: Date.UTC(2026, 0, 10) });
+    const run = () => new Backtester('pure_crt', { dataTimeframe: '1m', debug: false }).backtest(candles, 'R_75');
+    const results = await run();
+    const again = await run();
+    const rMultiples = results.trades.map(trade => trade.rMultiple);
+    const total = results.trades.reduce((sum, trade) => sum + trade.pnl, 0);
+    check('trades taken', results.trades.length > 0, `${results.trades.length} trades`);
+    check('same candles, same result', again.finalCapital === results.finalCapital && again.trades.length === results.trades.length);
+    check('capital stays positive', results.finalCapital > 0, results.finalCapital.toFixed(2));
+    check('final capital is the sum of trade P&L', Math.abs(results.finalCapital - 10000 - total) < 1e-6);
+    // Slippage and gaps can push a stop past 1R, never far past it
+    check('no trade loses much more than its planned risk', Math.min(...rMultiples) > -2, `worst ${Math.min(...rMultiples).toFixed(2)}R`);
+    check('targets win and stops lose', results.trades.every(trade =>
+      (trade.exitReason !== 'take_profit' || trade.pnl > 0) && (trade.exitReason !== 'stop_loss' || trade.pnl < 0)));
+    check('R multiples carry the P&L sign', results.trades.every(trade => Math.sign(trade.rMultiple) === Math.sign(trade.pnl)));
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testBacktester();
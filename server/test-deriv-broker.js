@@ -0,0 +1,116 @@
+const DerivMockServer = require('./mocks/deriv-mock-server');
+const DerivBroker = require('./services/deriv-broker');
+
+async function testDerivBroker() {
+  console.log('🚀 Testing the Deriv broker against the local mock server...\n');
+
+  let clock = 1767600000; // epoch seconds, moved by hand so prices move on demand
+  const mock = new DerivMockServer({ tickInterval: 50, realTokens: ['real-token'], now: () => clock });
+  const url = await mock.start();
+  const options = { url, appId: 1089, token: 'mock-token', maxStake: 100, maxOpenContracts: 2 };
+  let broker = new DerivBroker(options);
+  let failures = 0;
+
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+  const rejects = async (label, work, pattern) => {
+    try {
+      await work();
+      check(label, false);
+    } catch (error) {
+      check(label, pattern.test(error.message), error.message);
+    }
+  };
+  const closed = (target) => new Promise(resolve => {
+    const listener = ({ position, status }) => {
+      if (status === 'closed' && position.id === target) {
+        broker.off('position', listener);
+        resolve(position);
+      }
+    };
+    broker.on('position', listener);
+  });
+
+  try {
+    console.log('1. Live-mode safety checks...');
+    await rejects('start without a token is refused', () => new DerivBroker({ ...options, token: '' }).start(), /token/);
+    await rejects('real money account is refused', () => new DerivBroker({ ...options, token: 'real-token' }).start(), /real money/);
+    const real = new DerivBroker({ ...options, token: 'real-token', allowRealAccount: true });
+    await real.start();
+    check('real money account allowed when opted in', real.getAccount().virtual === false);
+    await real.stop();
+
+    console.log('\n2. Account and order validation...');
+    await broker.start();
+    const account = broker.getAccount();
+    check('demo account authorized', account.virtual === true && account.balance === 10000, `${account.loginid}`);
+    await rejects('limit orders refused', () => broker.placeOrder({ symbol: 'R_100', side: 'BUY', type: 'limit', price: 990, quantity: 1, stopLoss: 980 }), /market only/);
+    await rejects('orders without a stop loss refused', () => broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1 }), /stop loss/);
+    const spot = mock.priceAt(clock);
+    const tooLarge = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 20, stopLoss: spot - 5 });
+    check('stake above maxStake rejected', tooLarge.status === 'rejected', tooLarge.reason);
+    const wideStop = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: spot - 20 });
+    check('stop loss beyond the stake rejected', wideStop.status === 'rejected', wideStop.reason);
+
+    console.log('\n3. Open a contract and let its limit orders close it...');
+    const order = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: spot - 3, takeProfit: spot + 3, metadata: { detector: 'test' } });
+    check('market order filled', order.status === 'filled', `contract ${order.positionId}`);
+    const [position] = broker.getOpenPositions();
+    const stake = Math.round(spot) / 100; // quantity x spot / multiplier
+    check('position staked quantity x spot / multiplier', position && Math.abs(position.stake - stake) < 0.011, position && `${position.stake}`);
+    const buy = mock.requests.find(request => request.proposal);
+    check('proposal carried MULTUP and limit orders', buy.contract_type === 'MULTUP' && buy.limit_order.stop_loss === 3 && buy.limit_order.take_profit === 3);
+    check('balance reduced by the stake', broker.getAccount().balance === 10000 - position.stake, `${broker.getAccount().balance}`);
+    const firstClose = closed(order.positionId);
+    while (Math.abs(mock.priceAt(clock) - position.entryPrice) < 3.5) clock += 60;
+    const result = await firstClose;
+    const expected = mock.priceAt(clock) > position.entryPrice ? 'take_profit' : 'stop_loss';
+    check('contract closed by its limit order', result.closeReason === expected, `${result.closeReason}, PnL ${result.pnl}`);
+
+    console.log('\n4. Close a contract by hand...');
+    const short = await broker.placeOrder({ symbol: 'R_100', side: 'SELL', quantity: 1, stopLoss: mock.priceAt(clock) + 5 });
+    clock += 30;
+    const sold = await broker.closePosition(short.positionId);
+    check('sold contract reported closed', sold && sold.status === 'closed' && sold.closeReason === 'manual', sold && `PnL ${sold.pnl}`);
+    check('no positions left open', broker.getOpenPositions().length === 0);
+
+    console.log('\n5. Move the stop of an open contract...');
+    const managed = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: mock.priceAt(clock) - 5 });
+    const [open] = broker.getOpenPositions();
+    await rejects('partial close refused', () => broker.closePosition(managed.positionId, 'target_1', { quantity: 0.5 }), /in part/);
+    await broker.modifyPosition(managed.positionId, { stopLoss: open.entryPrice - 2 });
+    const update = mock.requests.filter(request => request.contract_update).pop();
+    check('losing stop sent as a contract_update', update && update.limit_order.stop_loss === 2, update && JSON.stringify(update.limit_order));
+    const moved = await broker.modifyPosition(managed.positionId, { stopLoss: open.entryPrice + 1 });
+    check('stop past entry watched locally', moved.localStop === true && mock.requests.filter(request => request.contract_update).length === 1);
+    const stopped = closed(managed.positionId);
+    while (mock.priceAt(clock) > open.entryPrice + 1 && mock.priceAt(clock) > open.entryPrice - 1.5) clock += 60;
+    const stoppedOut = await stopped;
+    check('contract sold at its stop', stoppedOut.closeReason === 'stop_loss', `PnL ${stoppedOut.pnl}`);
+
+    console.log('\n6. Restart and position caps...');
+    const kept = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: mock.priceAt(clock) - 5 });
+    await broker.stop();
+    broker = new DerivBroker(options);
+    await broker.start();
+    const restored = broker.getOpenPositions();
+    check('open contract followed after restart', restored.length === 1 && restored[0].id === kept.positionId);
+    check('stop loss price recovered from the limit order', Math.abs(restored[0].stopLoss - (mock.priceAt(clock) - 5)) < 0.05, `${restored[0].stopLoss}`);
+    await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: mock.priceAt(clock) - 5 });
+    const capped = await broker.placeOrder({ symbol: 'R_100', side: 'BUY', quantity: 1, stopLoss: mock.priceAt(clock) - 5 });
+    check('maxOpenContracts enforced', capped.status === 'rejected' && capped.reason === 'max_open_contracts');
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  } finally {
+    await broker.stop();
+    await mock.stop();
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testDerivBroker();
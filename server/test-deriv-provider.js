@@ -0,0 +1,80 @@
+const DerivMockServer = require('./mocks/deriv-mock-server');
+const DerivProvider = require('./services/providers/deriv-provider');
+
+async function testDerivProvider() {
+  console.log('🚀 Testing Deriv candle provider against the local mock server...\n');
+
+  const mock = new DerivMockServer();
+  const url = await mock.start();
+  const provider = new DerivProvider({ url, appId: 1089 });
+  let failures = 0;
+
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  try {
+    console.log('1. Symbol mapping...');
+    check('EUR/USD -> frxEURUSD', provider.toDerivSymbol('EUR/USD') === 'frxEURUSD');
+    check('V75 -> R_75', provider.toDerivSymbol('V75') === 'R_75');
+    check('R/100 -> R_100', provider.toDerivSymbol('R/100') === 'R_100');
+    check('V100 (1s) -> 1HZ100V', provider.toDerivSymbol('V100 (1S)') === '1HZ100V');
+    check('CRASH 1000 -> CRASH1000', provider.toDerivSymbol('CRASH 1000') === 'CRASH1000');
+
+    console.log('\n2. Single page of 1m candles...');
+    const candles = await provider.getHistory('V75', '1m', 100);
+    check('returns 100 candles', candles.length === 100, `${candles.length}`);
+    check('candles are ascending', candles.every((c, i) => i === 0 || c.timestamp - candles[i - 1].timestamp === 60000));
+    check('timestamps are in milliseconds', candles[0].timestamp > 1e12);
+    check('request used granularity 60', mock.requests.some(r => r.style === 'candles' && r.granularity === 60));
+
+    console.log('\n3. Paginated 5m history (12000 candles)...');
+    mock.requests = [];
+    const large = await provider.getHistory('V75', '5m', 12000);
+    const pages = mock.requests.filter(r => r.ticks_history).length;
+    check('returns 12000 candles', large.length === 12000, `${large.length}`);
+    check('needed 3 pages', pages === 3, `${pages}`);
+    check('no gaps or duplicates across pages',
+      large.every((c, i) => i === 0 || c.timestamp - large[i - 1].timestamp === 300000));
+
+    console.log('\n4. History ending at a fixed time...');
+    const end = large[large.length - 50].timestamp;
+    const windowed = await provider.getHistory('V75', '5m', 10, { end });
+    check('last candle opens at the requested end', windowed[windowed.length - 1].timestamp === end);
+
+    console.log('\n5. Latest price and error handling...');
+    const price = await provider.getLatestPrice('V75');
+    check('latest price is a number', Number.isFinite(price), `${price}`);
+    try {
+      await provider.getHistory('V75', '7m', 10);
+      check('unsupported timeframe rejected', false);
+    } catch (error) {
+      check('unsupported timeframe rejected', /not supported/.test(error.message));
+    }
+    const listeners = provider.connection.listenerCount('tick');
+    const send = provider.connection.send;
+    provider.connection.send = () => Promise.reject(new Error('subscription refused'));
+    try {
+      await provider.subscribe('V75', () => {});
+      check('failed subscribe rejected', false);
+    } catch (error) {
+      check('failed subscribe rejected', /refused/.test(error.message));
+    } finally {
+      provider.connection.send = send;
+    }
+    check('failed subscribe leaves no tick listener', provider.connection.listenerCount('tick') === listeners,
+      `${provider.connection.listenerCount('tick')} listeners`);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  } finally {
+    await provider.disconnect();
+    await mock.stop();
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testDerivProvider();
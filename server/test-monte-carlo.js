@@ -0,0 +1,64 @@
+const MonteCarlo = require('./services/monte-carlo');
+
+function testMonteCarlo() {
+  console.log('🚀 Testing Monte Carlo trade resampling...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+  const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+  // +20% on 1000 overall; the worst stretch falls from 1250 to 1150, an 8% drawdown
+  const trades = [100, -50, 200, -100, 50].map(pnl => ({ pnl }));
+  const analyze = (options = {}, list = trades) => new MonteCarlo({ iterations: 500, ...options }).analyze(list, 1000);
+
+  try {
+    console.log('1. Observed result...');
+    const shuffled = analyze();
+    check('no trades, no analysis', new MonteCarlo().analyze([], 1000) === null);
+    check('observed final return', close(shuffled.observed.finalReturn, 20), `${shuffled.observed.finalReturn}`);
+    check('observed max drawdown', close(shuffled.observed.maxDrawdown, 8), `${shuffled.observed.maxDrawdown}`);
+    check('observed win rate', shuffled.observed.winRate === 60 && shuffled.trades === 5);
+
+    console.log('\n2. Shuffle and bootstrap...');
+    check('shuffle keeps the final return fixed', close(shuffled.finalReturn.lower, 20) && close(shuffled.finalReturn.upper, 20),
+      `${shuffled.finalReturn.lower} to ${shuffled.finalReturn.upper}`);
+    check('shuffle varies the drawdown', shuffled.maxDrawdown.upper > shuffled.maxDrawdown.lower,
+      `${shuffled.maxDrawdown.lower.toFixed(2)} to ${shuffled.maxDrawdown.upper.toFixed(2)}`);
+    check('shuffled paths never lose', shuffled.lossProbability === 0);
+    const bootstrap = analyze({ method: 'bootstrap' });
+    check('bootstrap varies the final return', bootstrap.finalReturn.upper - bootstrap.finalReturn.lower > 10,
+      `${bootstrap.finalReturn.lower.toFixed(2)} to ${bootstrap.finalReturn.upper.toFixed(2)}`);
+    check('bootstrap intervals hold the observed result', bootstrap.finalReturn.lower < 20 && bootstrap.finalReturn.upper > 20);
+    check('same seed, same analysis', JSON.stringify(analyze({ method: 'bootstrap' })) === JSON.stringify(bootstrap));
+    check('another seed, other paths', JSON.stringify(analyze({ method: 'bootstrap', seed: 7 })) !== JSON.stringify(bootstrap));
+    let unknown = null;
+    try {
+      new MonteCarlo({ method: 'jackknife' });
+    } catch (error) {
+      unknown = error;
+    }
+    check('unknown method refused', unknown && /Unknown Monte Carlo method/.test(unknown.message));
+
+    console.log('\n3. Edge and ruin...');
+    const winners = analyze({}, [{ pnl: 10 }, { pnl: 20 }, { pnl: 5 }]);
+    check('only winners always show an edge', winners.noEdgeProbability === 0 && winners.winRate.lower === 100);
+    const losers = analyze({}, [{ pnl: -200 }, { pnl: -100 }, { pnl: -150 }]);
+    check('only losers never show an edge', losers.noEdgeProbability === 1 && losers.lossProbability === 1);
+    // Every order ends at 550 of 1000, above the 0.5 ruin level
+    check('above the ruin level no path is ruined', losers.riskOfRuin === 0);
+    check('at or below it every path is', analyze({ ruinLevel: 0.6 }, [{ pnl: -200 }, { pnl: -100 }, { pnl: -150 }]).riskOfRuin === 1);
+    check('noEdgeProbability between 0 and 1 for a mixed record', shuffled.noEdgeProbability > 0 && shuffled.noEdgeProbability < 1,
+      `${shuffled.noEdgeProbability}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testMonteCarlo();
@@ -0,0 +1,125 @@
+const Backtester = require('./services/backtester');
+const HistoricalFeed = require('./services/historical-feed');
+const Optimizer = require('./services/optimizer');
+
+async function testOptimizer() {
+  console.log('🚀 Testing parameter search and walk-forward windows...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const start = Date.UTC(2026, 0, 5);
+  const minute = 60000;
+  // A detector that records the close of every candle it is shown and never signals
+  const seen = [];
+  const strategy = {
+    name: 'recorder',
+    timeframe: '1m',
+    lookback: 2,
+    detect: ({ candles }) => {
+      seen.push(candles[candles.length - 1].timestamp + minute);
+      return [];
+    }
+  };
+  const parameters = { x: { min: 1, max: 3, step: 1 }, y: { values: [0, 1] } };
+  const optimizer = (options = {}) => new Optimizer(strategy, { parameters, ...options });
+  const refused = create => {
+    try {
+      create();
+      return null;
+    } catch (error) {
+      return error;
+    }
+  };
+
+  try {
+    console.log('1. Search space...');
+    check('range expanded by step', JSON.stringify(Optimizer.expand({ min: 1, max: 2, step: 0.25 })) === '[1,1.25,1.5,1.75,2]');
+    check('listed values kept', JSON.stringify(Optimizer.expand({ values: ['a', 'b'] })) === '["a","b"]');
+    const grid = optimizer().candidates();
+    check('grid covers every combination', grid.length === 6 && new Set(grid.map(params => JSON.stringify(params))).size === 6);
+    const random = optimizer({ method: 'random', samples: 4 }).candidates();
+    check('random draws distinct samples', random.length === 4 && new Set(random.map(params => JSON.stringify(params))).size === 4);
+    check('random draws stay on the grid', random.every(params => [1, 2, 3].includes(params.x) && [0, 1].includes(params.y)));
+    check('same seed, same draws', JSON.stringify(optimizer({ method: 'random', samples: 4 }).candidates()) === JSON.stringify(random));
+    check('a small space runs out before samples', optimizer({ method: 'random', samples: 20 }).candidates().length === 6);
+    check('unknown method refused', /Unknown search method/.test((refused(() => optimizer({ method: 'genetic' })) || {}).message));
+    check('unknown objective refused', /Unknown objective/.test((refused(() => optimizer({ objective: 'luck' })) || {}).message));
+    check('no parameters refused', /declares no parameters/.test((refused(() => new Optimizer(strategy)) || {}).message));
+
+    console.log('\n2. Scoring and ranking...');
+    const scorer = optimizer({ objective: 'returnOverDrawdown' });
+    check('too few trades not scored', scorer.score({ totalReturn: 5, metrics: { totalTrades: 9, maxDrawdown: 2 } }) === null);
+    check('return over drawdown', scorer.score({ totalReturn: 5, metrics: { totalTrades: 10, maxDrawdown: 2 } }) === 2.5);
+    // Peaks at x 2, y 0 and loses a point a step away in either parameter
+    const ranked = optimizer();
+    const shares = [];
+    ranked.onProgress = share => shares.push(share);
+    ranked.evaluate = async (feed, symbol, params) => ({ params, score: 10 - Math.abs(params.x - 2) - params.y, totalReturn: 0, metrics: { totalTrades: 10 } });
+    const result = await ranked.optimize(null, 'R_75');
+    check('best candidate first', result.best.params.x === 2 && result.best.params.y === 0 && result.results[0] === result.best);
+    check('neighbours one step away', result.neighborhood.neighbors === 3 && result.neighborhood.meanScore === 9 && result.neighborhood.ratio === 0.9,
+      JSON.stringify(result.neighborhood));
+    check('progress reported per candidate', shares.length === 6 && shares[5] === 1);
+
+    console.log('\n3. Walk-forward windows...');
+    const end = start + 7 * 24 * 60 * minute;
+    const folds = Optimizer.splitFolds(start, end, { folds: 4, inSampleRatio: 0.75 });
+    const length = window => window.end - window.start;
+    check('in-sample ends where its out-of-sample starts', folds.every(fold => fold.inSample.end === fold.outOfSample.start));
+    check('out-of-sample windows follow each other', folds.slice(1).every((fold, i) => fold.outOfSample.start === folds[i].outOfSample.end));
+    check('the windows span the whole period', folds[0].inSample.start === start && folds[3].outOfSample.end === end);
+    check('in-sample is three times out-of-sample', folds.every(fold => Math.abs(length(fold.inSample) - 3 * length(fold.outOfSample)) <= 2));
+    check('rolling in-sample windows move by one out-of-sample window',
+      folds.slice(1).every((fold, i) => Math.abs(fold.inSample.start - folds[i].inSample.start - length(folds[i].outOfSample)) <= 1));
+    const anchored = Optimizer.splitFolds(start, end, { folds: 3, anchored: true });
+    check('anchored in-sample windows start at the start', anchored.every(fold => fold.inSample.start === start) && anchored[2].outOfSample.end === end);
+
+    // 1m candles over one day, split in two folds
+    const candles = Array.from({ length: 1440 }, (_, i) => ({ timestamp: start + i * minute, open: 100, high: 100.5, low: 99.5, close: 100, volume: 0 }));
+    const feed = HistoricalFeed.fromCandles(candles, '1m', { symbol: 'R_75' });
+    const windows = [];
+    const walker = optimizer({ parameters: { x: { values: [1, 2] } }, objective: 'totalReturn', minTrades: 0 });
+    const evaluate = walker.evaluate.bind(walker);
+    walker.evaluate = (window, symbol, params) => {
+      windows.push({ start: window.start, end: window.end });
+      return evaluate(window, symbol, params);
+    };
+    const walk = await walker.walkForward(feed, 'R_75', { folds: 2, inSampleRatio: 0.5 });
+    const splits = Optimizer.splitFolds(feed.start, feed.end, { folds: 2, inSampleRatio: 0.5 });
+    // Two candidates in-sample, then the winner out of sample, per fold
+    const expected = splits.flatMap(split => [split.inSample, split.inSample, split.outOfSample]);
+    check('every backtest replays its own window', windows.length === 6 && windows.every((window, i) =>
+      window.start === expected[i].start && window.end <= expected[i].end && window.end > expected[i].end - minute), JSON.stringify(windows));
+    check('winner replayed out of sample', walk.folds.every(fold => fold.params && fold.outOfSampleReturn === 0));
+
+    seen.length = 0;
+    const [split] = splits;
+    await new Backtester(strategy, { debug: false }).backtest(feed.slice(split.outOfSample.start, split.outOfSample.end), 'R_75');
+    check('a window replays only its own candles', seen.length > 0 && seen[0] > split.outOfSample.start && seen[seen.length - 1] <= split.outOfSample.end,
+      `${new Date(seen[0]).toISOString()} to ${new Date(seen[seen.length - 1]).toISOString()}`);
+
+    console.log('\n4. Walk-forward summary...');
+    const fold = (x, outOfSampleReturn, trades = 5) => ({
+      params: { x, y: 0 }, inSampleScore: 2, outOfSampleScore: 1, outOfSampleReturn, outOfSampleMetrics: { totalTrades: trades }
+    });
+    const summary = optimizer().summarizeWalkForward([fold(1, 10), fold(1, -10), { ...fold(3, null), outOfSampleScore: null }]);
+    check('untested folds left out', summary.folds === 3 && summary.testedFolds === 2 && summary.profitableFolds === 1);
+    // +10% then -10% on the carried account
+    check('fold returns chained', Math.abs(summary.outOfSampleReturn + 1) < 1e-9, `${summary.outOfSampleReturn}`);
+    check('efficiency is out-of-sample over in-sample', summary.efficiency === 0.5 && summary.outOfSampleTrades === 10);
+    check('stability counts the usual value', summary.stability.x.mode === 1 && Math.abs(summary.stability.x.modeShare - 2 / 3) < 1e-9
+      && summary.stability.y.spread === 0, JSON.stringify(summary.stability.x));
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testOptimizer();
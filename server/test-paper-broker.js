@@ -0,0 +1,156 @@
+const EventEmitter = require('events');
+const Database = require('./database');
+const PaperBroker = require('./services/paper-broker');
+
+async function testPaperBroker() {
+  console.log('🚀 Testing paper broker fills, exits and restarts...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const start = Date.UTC(2026, 0, 5);
+  const minute = 60000;
+  const databases = [];
+  // A broker on its own database, pricing R_75 at 100 until ticks say otherwise; candles
+  // (or an error) answer its catch-up reads
+  const setup = async (options = {}, database = null) => {
+    if (!database) {
+      database = new Database({ filename: ':memory:' });
+      await database.initialize();
+      databases.push(database);
+    }
+    const reads = [];
+    const marketDataService = {
+      normalizeSymbol: symbol => symbol,
+      fetchLatestPrice: async () => 100,
+      getMarketData: async (symbol, timeframe, limit, range) => {
+        reads.push({ symbol, timeframe, limit, range });
+        if (options.candles instanceof Error) throw options.candles;
+        return options.candles || [];
+      }
+    };
+    const candleStream = new EventEmitter();
+    candleStream.subscribe = async () => {};
+    candleStream.unsubscribe = async () => {};
+    const broker = new PaperBroker({
+      database, marketDataService, candleStream, spread: 0, slippage: 0, commission: 0, now: () => start, ...options
+    });
+    await broker.start();
+    // Ticks go through the broker's queue like the candle stream's
+    const tick = async (price, timestamp = start + minute) => {
+      candleStream.emit('tick', { symbol: 'R_75', price, timestamp });
+      await broker.queue;
+    };
+    return { broker, database, reads, tick };
+  };
+  const long = { symbol: 'R_75', side: 'BUY', quantity: 10, stopLoss: 99, takeProfit: 101 };
+
+  try {
+    console.log('1. Order fills...');
+    const { broker, tick } = await setup();
+    const market = await broker.placeOrder({ ...long, type: 'market' });
+    check('market order fills at the price', market.status === 'filled' && market.fillPrice === 100, `${market.status} at ${market.fillPrice}`);
+    await broker.closePosition(market.positionId);
+
+    const limit = await broker.placeOrder({ ...long, type: 'limit', price: 99, stopLoss: 98, takeProfit: 102 });
+    check('limit above the ask waits', limit.status === 'open');
+    await tick(99.5);
+    check('not filled short of its price', broker.getOpenOrders().length === 1);
+    await tick(98.9);
+    const [limitPosition] = broker.getOpenPositions();
+    check('limit fills at its price once traded through', limitPosition && limitPosition.entryPrice === 99, limitPosition && `${limitPosition.entryPrice}`);
+    await broker.closePosition(limitPosition.id);
+
+    const marketable = await broker.placeOrder({ ...long, type: 'limit', price: 101 });
+    check('marketable limit fills like a market order', marketable.status === 'filled' && marketable.fillPrice === 98.9, `${marketable.fillPrice}`);
+    await broker.closePosition(marketable.positionId);
+
+    const stops = await setup({ slippage: 0.001 });
+    const stop = await stops.broker.placeOrder({ ...long, type: 'stop', price: 101, stopLoss: 100, takeProfit: 103 });
+    check('stop below the ask waits', stop.status === 'open');
+    await stops.tick(100.5);
+    await stops.tick(101.2);
+    const [stopPosition] = stops.broker.getOpenPositions();
+    check('stop fills at its price plus slippage', stopPosition && Math.abs(stopPosition.entryPrice - 101.101) < 1e-9, stopPosition && `${stopPosition.entryPrice}`);
+
+    const spread = await setup({ spread: 0.002 });
+    const ask = await spread.broker.placeOrder({ ...long, type: 'market' });
+    check('buys fill at the ask', Math.abs(ask.fillPrice - 100.1) < 1e-9, `${ask.fillPrice}`);
+
+    console.log('\n2. Stops and targets...');
+    const exits = await setup();
+    const bar = fields => exits.broker.serialize(() => exits.broker.processPrice('R_75', { open: 100, close: 100, timestamp: start + minute, start, ...fields }));
+    const both = await exits.broker.placeOrder({ ...long, type: 'market' });
+    await bar({ high: 101.5, low: 98.5 });
+    const [bothClosed] = await exits.broker.getPositions({ limit: 1 });
+    check('stop assumed first when a bar touches both', bothClosed.id === both.positionId && bothClosed.closeReason === 'stop_loss'
+      && bothClosed.closePrice === 99 && bothClosed.pnl === -10, `${bothClosed.closeReason} at ${bothClosed.closePrice}`);
+
+    await exits.broker.placeOrder({ ...long, type: 'market' });
+    await bar({ high: 101.5, low: 99.5 });
+    const [target] = await exits.broker.getPositions({ limit: 1 });
+    check('target fills at its price', target.closeReason === 'take_profit' && target.closePrice === 101 && target.pnl === 10,
+      `${target.closeReason} at ${target.closePrice}`);
+
+    await exits.broker.placeOrder({ ...long, type: 'market' });
+    await bar({ open: 98, high: 98.5, low: 97.5, close: 98 });
+    const [gap] = await exits.broker.getPositions({ limit: 1 });
+    check('a bar opening through the stop fills at its open', gap.closeReason === 'stop_loss' && gap.closePrice === 98, `${gap.closePrice}`);
+
+    console.log('\n3. Partial closes...');
+    const partial = await setup();
+    const order = await partial.broker.placeOrder({ ...long, type: 'market', stopLoss: 90, takeProfit: 110 });
+    await partial.tick(102);
+    const reduced = await partial.broker.closePosition(order.positionId, 'manual', { quantity: 4 });
+    check('partial close leaves the rest open', reduced.status === 'open' && reduced.quantity === 6 && reduced.partialPnl === 8,
+      `${reduced.quantity} left, ${reduced.partialPnl} booked`);
+    check('equity marks the rest plus the partial P&L', partial.broker.getAccount().equity === 10020, `${partial.broker.getAccount().equity}`);
+    await partial.tick(103);
+    const closed = await partial.broker.closePosition(order.positionId);
+    check('closing books the partial P&L with the rest', closed.status === 'closed' && closed.pnl === 26, `${closed.pnl}`);
+    check('balance follows the position', partial.broker.getAccount().balance === 10026, `${partial.broker.getAccount().balance}`);
+    const kinds = (await partial.broker.getFills()).map(fill => fill.kind).reverse().join();
+    check('fills recorded for each part', kinds === 'entry,partial,exit', kinds);
+
+    console.log('\n4. Restart catch-up...');
+    const before = await setup();
+    const held = await before.broker.placeOrder({ ...long, type: 'market', takeProfit: 103 });
+    await before.broker.stop();
+    // Down for 10.5 minutes: a candle from before the fill would have stopped it, the one at
+    // 3 minutes reaches the target, and the last one is still forming
+    const candle = (i, high = 100.5, low = 99.5) => ({ timestamp: start + i * minute, open: 100, high, low, close: 100, volume: 0 });
+    const candles = [candle(-1, 100.5, 90), candle(0), candle(1), candle(2), candle(3, 103.5), candle(4), candle(10, 104, 90)];
+    const now = start + 10.5 * minute;
+    const after = await setup({ candles, now: () => now }, before.database);
+    const [read] = after.reads;
+    check('missed candles read as a ranged request', read && read.timeframe === '1m' && read.range.start === start && read.range.end === now,
+      read && JSON.stringify(read.range));
+    const [replayed] = await after.broker.getPositions({ limit: 1 });
+    check('restored position closed on the replayed candles', replayed.id === held.positionId && replayed.closeReason === 'take_profit'
+      && replayed.closePrice === 103 && replayed.closedAt === start + 4 * minute, `${replayed.closeReason} at ${replayed.closedAt}`);
+    await after.broker.stop();
+
+    const offline = await setup();
+    const kept = await offline.broker.placeOrder({ ...long, type: 'market' });
+    await offline.broker.stop();
+    const restarted = await setup({ candles: new Error('provider offline'), now: () => now }, offline.database);
+    const [open] = restarted.broker.getOpenPositions();
+    check('provider failure skips the replay', restarted.reads.length === 1 && open && open.id === kept.positionId && open.stopLoss === 99);
+    await restarted.broker.stop();
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  } finally {
+    for (const database of databases) {
+      await database.close();
+    }
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPaperBroker();
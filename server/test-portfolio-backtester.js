@@ -0,0 +1,87 @@
+const PortfolioBacktester = require('./services/portfolio-backtester');
+
+async function testPortfolioBacktester() {
+  console.log('🚀 Testing portfolio backtests on a shared balance...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const minute = 60000;
+  const flat = [100, 100.2, 99.8, 100];
+  const up = [100, 102.5, 99.9, 102.2]; // reaches a long's 2R target
+  const down = [100, 100.1, 98.5, 98.8]; // stops a long out for 1R
+  const buy = { direction: 'BUY', entryPrice: 100, stopLoss: 99, takeProfit: 102, confidence: 0.8 };
+  // Replays 1m candles per symbol, given as [open, high, low, close] from start; each symbol
+  // signals a long on the candles listed in signals[symbol]
+  const replay = (start, prices, signals, options = {}) => {
+    const strategy = {
+      name: 'scripted',
+      timeframe: '1m',
+      lookback: 2,
+      detect: ({ symbol, candles }) => {
+        const index = (candles[candles.length - 1].timestamp - start) / minute;
+        return (signals[symbol] || []).includes(index) ? [buy] : [];
+      }
+    };
+    const feeds = Object.fromEntries(Object.entries(prices).map(([symbol, bars]) => [symbol,
+      bars.map(([open, high, low, close], i) => ({ timestamp: start + i * minute, open, high, low, close, volume: 0 }))]));
+    return new PortfolioBacktester(strategy, {
+      debug: false, spread: 0, slippage: 0, commission: 0, riskPerTrade: 0.01, maxOpenTrades: 5, maxDailyLoss: 0.05, ...options
+    }).backtest(feeds);
+  };
+  const sum = trades => trades.reduce((total, trade) => total + trade.pnl, 0);
+
+  try {
+    console.log('1. Shared balance...');
+    const start = Date.UTC(2026, 0, 5);
+    const shared = await replay(start, {
+      R_75: [flat, flat, up, flat, flat, flat, flat],
+      R_50: [flat, flat, flat, flat, up, flat, flat]
+    }, { R_75: [1], R_50: [3] });
+    const [first, second] = shared.trades;
+    check('first trade risks 1% of the pool', first && first.symbol === 'R_75' && Math.abs(first.pnl - 200) < 1e-9, first && `${first.pnl}`);
+    check('later trade sized from the grown pool', second && second.symbol === 'R_50' && Math.abs(second.pnl - 204) < 1e-9, second && `${second.pnl}`);
+    check('final capital is the sum of trade P&L', Math.abs(shared.finalCapital - 10000 - sum(shared.trades)) < 1e-9, `${shared.finalCapital}`);
+    check('per-symbol P&L', Math.abs(shared.perSymbol.R_75.pnl - 200) < 1e-9 && Math.abs(shared.perSymbol.R_50.pnl - 204) < 1e-9);
+    check('equity curve ends at the final capital', shared.equityCurve[shared.equityCurve.length - 1] === shared.finalCapital
+      && shared.equityCurve.length === shared.equityTimestamps.length);
+
+    console.log('\n2. Open trade limit...');
+    const crowded = await replay(start, {
+      R_75: [flat, flat, flat, flat],
+      R_50: [flat, flat, flat, flat],
+      R_25: [flat, flat, flat, flat]
+    }, { R_75: [1], R_50: [1], R_25: [1] }, { maxOpenTrades: 2 });
+    check('signals past maxOpenTrades blocked', crowded.limits.blockedByMaxOpenTrades === 1 && crowded.trades.length === 2,
+      `${crowded.limits.blockedByMaxOpenTrades} blocked, ${crowded.trades.length} trades`);
+    check('never more positions than the limit', crowded.exposure.maxConcurrentPositions === 2);
+    check('open positions closed at the end of data', crowded.trades.every(trade => trade.exitReason === 'end_of_data'));
+
+    console.log('\n3. Daily loss limit...');
+    // Two 1% losses before midnight halt the day at a 1.5% limit; the next day trades again
+    const evening = Date.UTC(2026, 0, 5, 23, 54);
+    const halted = await replay(evening, {
+      R_75: [flat, flat, down, flat, flat, flat, flat, flat, flat],
+      R_50: [flat, flat, down, flat, flat, flat, flat, flat, flat],
+      R_25: [flat, flat, flat, flat, flat, flat, flat, up, flat]
+    }, { R_75: [1], R_50: [1], R_25: [3, 6] }, { maxDailyLoss: 0.015 });
+    check('signal after the limit blocked', halted.limits.blockedByDailyLoss === 1 && halted.limits.haltedDays === 1,
+      `${halted.limits.blockedByDailyLoss} blocked over ${halted.limits.haltedDays} days`);
+    const next = halted.trades.find(trade => trade.symbol === 'R_25');
+    check('trading resumes the next UTC day', next && next.entryTime >= Date.UTC(2026, 0, 6) && Math.abs(next.pnl - 196) < 1e-9,
+      next && `${new Date(next.entryTime).toISOString()}, ${next.pnl}`);
+    check('final capital is the sum of trade P&L after the halt', Math.abs(halted.finalCapital - 10000 - sum(halted.trades)) < 1e-9
+      && Math.abs(halted.finalCapital - 9996) < 1e-9, `${halted.finalCapital}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPortfolioBacktester();
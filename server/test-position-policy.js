@@ -0,0 +1,82 @@
+const PositionPolicy = require('./services/position-policy');
+
+function testPositionPolicy() {
+  console.log('🚀 Testing position caps, opposite signals and pyramiding...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const settings = {
+    maxPerSymbol: 3,
+    maxPerDetector: 4,
+    oppositeSignal: 'reverse',
+    pyramiding: { enabled: true, minDistanceR: 1, requireBreakeven: true, sizeScale: 0.5 },
+    detectors: {}
+  };
+  const policy = (overrides = {}) => new PositionPolicy({ settings: { ...settings, ...overrides } });
+  const signal = { symbol: 'R_75', direction: 'BUY', detector: 'pure_crt' };
+  // An open long from entry with a 1 point initial stop, its stop now at stopLoss
+  const trade = (entry, stopLoss = entry - 1, fields = {}) => ({
+    symbol: 'R_75', direction: 'BUY', detector: 'pure_crt', entry, stopLoss, initialStop: entry - 1, status: 'open', openTime: entry, ...fields
+  });
+  const describe = decision => `${decision.action}${decision.reason ? ` ${decision.reason}` : ''}`;
+
+  try {
+    console.log('1. Caps...');
+    check('first trade opens at full size', JSON.stringify(policy().evaluate(signal, [], 100)) === JSON.stringify({ action: 'open', sizeScale: 1, close: [] }));
+    const elsewhere = [trade(100, 100, { symbol: 'R_50' }), trade(100, 100, { symbol: 'R_100' })];
+    check('symbol cap', describe(policy({ maxPerSymbol: 1 }).evaluate(signal, [trade(100, 100)], 105)) === 'skip max_per_symbol');
+    check('detector cap counts every symbol', describe(policy({ maxPerDetector: 2 }).evaluate(signal, elsewhere, 100)) === 'skip max_per_detector');
+    check('other detectors do not count', policy({ maxPerDetector: 2 }).evaluate({ ...signal, detector: 'bos' }, elsewhere, 100).action === 'open');
+    const overridden = policy({ detectors: { pure_crt: { maxPerSymbol: 1 } } });
+    check('detector override applies', describe(overridden.evaluate(signal, [trade(100, 100)], 105)) === 'skip max_per_symbol');
+    check('other detectors keep the default', overridden.evaluate({ ...signal, detector: 'bos' }, [trade(100, 100)], 105).action === 'open');
+    let unknown = null;
+    try {
+      policy({ oppositeSignal: 'hedge' }).evaluate(signal, [], 100);
+    } catch (error) {
+      unknown = error;
+    }
+    check('unknown opposite rule refused', unknown && /Unknown opposite signal rule/.test(unknown.message));
+
+    console.log('\n2. Opposite signals...');
+    const short = trade(100, 101, { direction: 'SELL', initialStop: 101 });
+    const reversed = policy().evaluate(signal, [short], 100);
+    check('reverse closes and opens', reversed.action === 'open' && reversed.sizeScale === 1 && reversed.close.length === 1 && reversed.close[0] === short);
+    const closed = policy({ oppositeSignal: 'close' }).evaluate(signal, [short], 100);
+    check('close closes without opening', closed.action === 'close' && closed.reason === 'opposite_signal' && closed.close[0] === short);
+    check('ignore skips', describe(policy({ oppositeSignal: 'ignore' }).evaluate(signal, [short], 100)) === 'skip opposite_position');
+    check('a reversal frees its slots', policy({ maxPerSymbol: 1 }).evaluate(signal, [short], 100).action === 'open');
+
+    console.log('\n3. Pyramiding...');
+    check('adding needs pyramiding enabled', describe(policy({ pyramiding: { ...settings.pyramiding, enabled: false } }).evaluate(signal, [trade(100, 100)], 105))
+      === 'skip position_open');
+    check('no adds while an entry is pending', describe(policy().evaluate(signal, [trade(100, 100, { status: 'pending' })], 105)) === 'skip entry_pending');
+    // minDistanceR 1 of the latest entry's 1 point initial risk
+    check('short of minDistanceR skipped', describe(policy().evaluate(signal, [trade(100, 100)], 100.9)) === 'skip pyramid_distance');
+    check('a move against the trades skipped', describe(policy().evaluate(signal, [trade(100, 100)], 99)) === 'skip pyramid_distance');
+    const first = policy().evaluate(signal, [trade(100, 100)], 101);
+    check('first add at sizeScale', first.action === 'open' && first.sizeScale === 0.5, describe(first));
+    check('distance measured from the latest entry', describe(policy().evaluate(signal, [trade(100, 100), trade(101, 101)], 101.5)) === 'skip pyramid_distance');
+    const second = policy().evaluate(signal, [trade(100, 100), trade(101, 101)], 102);
+    check('second add at sizeScale squared', second.action === 'open' && second.sizeScale === 0.25, describe(second));
+    check('unprotected entries block adds', describe(policy().evaluate(signal, [trade(100, 99.5), trade(101, 101)], 102)) === 'skip pyramid_unprotected');
+    const unguarded = policy({ pyramiding: { ...settings.pyramiding, requireBreakeven: false } });
+    check('requireBreakeven off allows them', unguarded.evaluate(signal, [trade(100, 99.5)], 101).action === 'open');
+    const sell = { ...signal, direction: 'SELL' };
+    const shorts = [trade(100, 100, { direction: 'SELL', initialStop: 101 })];
+    check('short adds need price below the entry', describe(policy().evaluate(sell, shorts, 101)) === 'skip pyramid_distance'
+      && policy().evaluate(sell, shorts, 99).sizeScale === 0.5);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPositionPolicy();
@@ -0,0 +1,81 @@
+const PositionSizer = require('./services/position-sizer');
+
+function testPositionSizer() {
+  console.log('🚀 Testing position sizing models...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // 1% of 10000 at a 1 point stop is 100 units
+  const account = { balance: 10000, riskPerTrade: 0.01 };
+  const trade = { symbol: 'R_75', entry: 100, stopLoss: 99, confidence: 0.8 };
+  const size = (model, overrides = {}, settings = {}, options = {}) =>
+    new PositionSizer({ model, settings, ...options }).size({ ...trade, ...overrides }, account);
+
+  try {
+    console.log('1. Models...');
+    check('fixed_fractional risks 1% at the stop', size('fixed_fractional') === 100, `${size('fixed_fractional')}`);
+    check('fixed_amount risks fixedAmount at the stop', size('fixed_amount', { stopLoss: 98 }, { fixedAmount: 100 }) === 50);
+    check('volatility sizes on multiplier x ATR', size('volatility', { atr: 0.25, stopLoss: 90 }) === 200, `${size('volatility', { atr: 0.25, stopLoss: 90 })}`);
+    check('volatility without an ATR sizes on the stop', size('volatility') === 100);
+    check('confidence at 1 risks maxScale', size('confidence', { confidence: 1 }) === 150);
+    check('confidence at minConfidence risks minScale', size('confidence', { confidence: 0.6 }) === 50);
+    check('confidence in between scales linearly', size('confidence', { confidence: 0.8 }) === 100);
+    check('scale multiplies the quantity', size('fixed_fractional', { scale: 0.5 }) === 50);
+
+    console.log('\n2. Kelly...');
+    const performance = (winRate, avgWinR, avgLossR, trades = 50) => ({ trades, winRate, avgWinR, avgLossR });
+    check('no edge trades nothing', size('kelly', { performance: performance(0.3, 1, -1) }) === 0);
+    check('break-even edge trades nothing', size('kelly', { performance: performance(0.5, 1, -1) }) === 0);
+    // 0.6 - 0.4 / 2 = 0.4, a quarter of it is 10%, capped at maxRisk 2%
+    check('edge capped at maxRisk', size('kelly', { performance: performance(0.6, 2, -1) }) === 200);
+    // 0.55 - 0.45 / 1 = 0.1, a quarter of it is 2.5%, under a 5% maxRisk
+    check('fraction of the Kelly share', size('kelly', { performance: performance(0.55, 1, -1) }, { kelly: { maxRisk: 0.05 } }) === 250);
+    check('too few trades sizes like fixed_fractional', size('kelly', { performance: performance(0.3, 1, -1, 10) }) === 100);
+    check('no performance sizes like fixed_fractional', size('kelly') === 100);
+    const summary = PositionSizer.summarizePerformance([2, -1, 1, -1, null]);
+    check('performance summary from R multiples', summary.trades === 4 && summary.winRate === 0.5 && summary.avgWinR === 1.5 && summary.avgLossR === -1,
+      JSON.stringify(summary));
+
+    console.log('\n3. Rounding...');
+    // 100 / 0.0013 is 76923 units, 76 micro lots
+    const forex = size('fixed_fractional', { symbol: 'EUR/USD', entry: 1.1, stopLoss: 1.0987 });
+    check('forex rounds down to micro lots', forex === 76000, `${forex}`);
+    check('below the minimum quantity trades nothing', size('fixed_fractional', { symbol: 'EUR/USD', entry: 1.1, stopLoss: 0.9 }) === 0);
+    const crypto = size('fixed_fractional', { symbol: 'BTC/USD', entry: 60000, stopLoss: 58500 });
+    check('crypto rounds to 0.0001', crypto === 0.0666, `${crypto}`);
+    const synthetic = size('fixed_fractional', { stopLoss: 97 });
+    check('synthetics round to 0.01', synthetic === 33.33, `${synthetic}`);
+    const symbolOverride = size('fixed_fractional', { stopLoss: 97 }, { instruments: { R_75: { contractSize: 1, minQuantity: 1 } } });
+    check('a symbol entry overrides its market', symbolOverride === 33, `${symbolOverride}`);
+
+    const stake = { stake: { minStake: 1, multiplier: 100 } };
+    // 0.5 units at 100 is a 50 notional, a 0.50 stake at 100x; 2 units stake 2.00
+    check('below the minimum stake trades nothing', size('fixed_amount', { stopLoss: 98 }, { fixedAmount: 1 }, stake) === 0);
+    check('at the minimum stake trades', size('fixed_amount', { stopLoss: 98 }, { fixedAmount: 4 }, stake) === 2);
+
+    console.log('\n4. Models registry...');
+    PositionSizer.registerModel('one_unit', { size: () => 1 });
+    check('registered model sizes trades', size('one_unit') === 1);
+    check('registered model listed', PositionSizer.models().includes('one_unit'));
+    check('needs() reports model inputs', new PositionSizer({ model: 'volatility' }).needs('atr') && !new PositionSizer({ model: 'fixed_fractional' }).needs('atr'));
+    let unknown = null;
+    try {
+      new PositionSizer({ model: 'martingale' });
+    } catch (error) {
+      unknown = error;
+    }
+    check('unknown model refused', unknown && /Unknown position sizing model/.test(unknown.message));
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPositionSizer();
@@ -0,0 +1,123 @@
+const Database = require('./database');
+const RiskManager = require('./services/risk-manager');
+
+async function testRiskManager() {
+  console.log('🚀 Testing risk manager sessions and limits...\n');
+
+  const database = new Database({ filename: ':memory:' });
+  await database.initialize();
+  let failures = 0;
+
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+  const iso = timestamp => new Date(timestamp).toISOString();
+  const codes = result => result.rejections.map(rejection => rejection.code);
+
+  // Risk is 1% of the 10000 balance at a 1 point stop
+  const signal = { symbol: 'R_75', direction: 'BUY', entry: 100, stopLoss: 99, takeProfit: 102, confidence: 0.8 };
+  // Deriv-like: a trade ties up its notional / 100 as stake
+  const stake = { minStake: 1, multiplier: 100 };
+  // An open trade risking share of the balance at its stop
+  const open = (symbol, direction, share) => ({ symbol, direction, entry: 100, stopLoss: direction === 'BUY' ? 99 : 101, size: share * 10000 });
+
+  try {
+    console.log('1. Session boundaries...');
+    const { sessionStart } = RiskManager;
+    check('UTC midnight', iso(sessionStart(Date.UTC(2026, 2, 6, 12), '00:00', 'UTC')) === '2026-03-06T00:00:00.000Z');
+    check('before the reset time belongs to the previous session',
+      iso(sessionStart(Date.UTC(2026, 2, 6, 12), '17:00', 'UTC')) === '2026-03-05T17:00:00.000Z');
+    // 17:00 New York is 22:00 UTC in winter and 21:00 UTC once DST starts on March 8
+    check('New York close in winter', iso(sessionStart(Date.UTC(2026, 2, 6, 23), '17:00', 'America/New_York')) === '2026-03-06T22:00:00.000Z');
+    check('New York close after the DST change', iso(sessionStart(Date.UTC(2026, 2, 9, 12), '17:00', 'America/New_York')) === '2026-03-08T21:00:00.000Z');
+
+    console.log('\n2. Daily limits and session reset...');
+    let clock = Date.UTC(2026, 2, 6, 12);
+    const risk = new RiskManager({ now: () => clock, database, scope: 'test', stake });
+    risk.setAccountBalance(10000);
+    await risk.updateTradeResult(300);
+    await risk.updateTradeResult(-150);
+    check('winning day within the limit', !risk.isDailyLossReached(), `drawdown ${risk.getDailyDrawdown()}`);
+    // 2% of the session's 10000 start, measured from the day's best P&L
+    await risk.updateTradeResult(-100);
+    check('drawdown from the best P&L trips the limit', risk.isDailyLossReached(), `drawdown ${risk.getDailyDrawdown()}, limit ${risk.getDailyLossLimit()}`);
+    check('trades refused at the limit', codes(risk.evaluateTrade(signal, 100)).includes('daily_loss'));
+
+    const restarted = new RiskManager({ now: () => clock, database, scope: 'test', stake });
+    await restarted.loadState();
+    const current = await new RiskManager({ now: () => clock, database, scope: 'test', stake }).readState();
+    check('reading the state returns the saved session', current.dailyPnL === 50 && current.todayTrades === 3);
+    check('restart restores the session', restarted.dailyPnL === 50 && restarted.peakPnL === 300 && restarted.todayTrades === 3,
+      `P&L ${restarted.dailyPnL}, peak ${restarted.peakPnL}, ${restarted.todayTrades} trades`);
+
+    clock = Date.UTC(2026, 2, 7, 0, 0, 1);
+    const reader = new RiskManager({ now: () => clock, database, scope: 'test', stake });
+    const read = await reader.readState();
+    const stored = await database.getRiskState('test');
+    check('reading the state of a new session writes nothing', read.todayTrades === 0 && read.sessionStart === Date.UTC(2026, 2, 7)
+      && stored.session_start === Date.UTC(2026, 2, 6) && stored.trades === 3, `saved session ${iso(stored.session_start)}`);
+
+    const later = new RiskManager({ now: () => clock, database, scope: 'test', stake });
+    await later.loadState();
+    check('state saved before the session ended is dropped', later.todayTrades === 0 && later.dailyPnL === 0 && later.sessionStart === Date.UTC(2026, 2, 7));
+
+    const next = risk.evaluateTrade(signal, 100);
+    check('new session clears the counters', risk.dailyPnL === 0 && risk.todayTrades === 0 && risk.sessionStart === Date.UTC(2026, 2, 7));
+    check('new session starts from the balance', risk.startBalance === 10050, `${risk.startBalance}`);
+    check('trading resumes', next.approved, codes(next).join(', '));
+
+    for (let i = 0; i < 5; i++) await risk.updateTradeResult(1);
+    check('daily trade count enforced', codes(risk.evaluateTrade(signal, 100)).includes('daily_trades'));
+    await risk.stop();
+
+    console.log('\n3. Trade and portfolio limits...');
+    const limits = new RiskManager({ now: () => clock, stake });
+    limits.setAccountBalance(10000);
+    const approved = limits.evaluateTrade(signal, 100);
+    check('trade within every limit approved', approved.approved, codes(approved).join(', '));
+    check('size risks 1% at the stop', limits.calculatePositionSize(100, 99) === 100, `${limits.calculatePositionSize(100, 99)}`);
+    check('poor risk/reward refused', codes(limits.evaluateTrade({ ...signal, takeProfit: 101 }, 100)).includes('risk_reward'));
+    check('low confidence refused', codes(limits.evaluateTrade({ ...signal, confidence: 0.5 }, 100)).includes('confidence'));
+
+    const noStop = limits.evaluateTrade({ ...signal, stopLoss: undefined }, 100);
+    check('missing stop has its own code', codes(noStop).includes('missing_stop') && !codes(noStop).includes('position_size'), codes(noStop).join(', '));
+
+    // 1% at a 1 point stop is 100 units: a notional of the whole balance, a stake of 1% of it
+    const unleveraged = new RiskManager({ now: () => clock });
+    unleveraged.setAccountBalance(10000);
+    const whole = unleveraged.evaluateTrade(signal, 100).rejections.find(rejection => rejection.code === 'position_size');
+    check('position beyond maxPositionSize refused', whole && whole.value === 1 && whole.limit === 0.1, whole && whole.message);
+
+    // 1% at a 0.05 stop is 2000 units, 20x the balance
+    const large = limits.evaluateTrade({ ...signal, stopLoss: 99.95, takeProfit: 100.1 }, 100);
+    const leverage = large.rejections.find(rejection => rejection.code === 'leverage');
+    check('notional beyond maxLeverage refused', leverage && leverage.value === 20 && leverage.limit === 10, leverage && leverage.message);
+
+    // Stops past entry risk nothing, so only the count binds
+    const safe = Array.from({ length: 5 }, (_, i) => ({ ...open(`R_${i}`, 'BUY', 0.01), stopLoss: 101 }));
+    check('concurrent trade cap', codes(limits.evaluateTrade(signal, 100, safe)).join() === 'max_open_trades');
+
+    const openRisk = limits.evaluateTrade(signal, 100, [open('EUR/USD', 'BUY', 0.025), open('BTC/USD', 'BUY', 0.02)]);
+    check('total open risk cap', codes(openRisk).join() === 'open_risk', codes(openRisk).join(', '));
+
+    const assetClass = limits.evaluateTrade({ ...signal, symbol: 'R_25' }, 100, [open('R_50', 'BUY', 0.035)]);
+    check('asset class cap', codes(assetClass).join() === 'asset_class_exposure', codes(assetClass).join(', '));
+
+    // R_75 and R_100 move together at 0.8
+    const correlated = limits.evaluateTrade(signal, 100, [open('R_100', 'BUY', 0.02)]);
+    check('correlated risk cap', codes(correlated).join() === 'correlated_exposure', codes(correlated).join(', '));
+    const hedge = limits.evaluateTrade(signal, 100, [open('R_100', 'SELL', 0.02)]);
+    check('opposite correlated trade offsets', hedge.approved, codes(hedge).join(', '));
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  } finally {
+    await database.close();
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testRiskManager();
@@ -0,0 +1,117 @@
+const Backtester = require('./services/backtester');
+const TradeManager = require('./services/trade-manager');
+
+async function testTradeManager() {
+  console.log('🚀 Testing trade management plans...\n');
+
+  let failures = 0;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const start = Date.UTC(2026, 0, 5);
+  const off = { breakeven: null, trailing: null, targets: [], maxDuration: null };
+  const manager = new TradeManager({ plans: { default: off, detectors: {} } });
+  // 100 units long from 100 with a 1 point stop, under the given rules
+  const open = (rules, position = {}) => manager.start(
+    { direction: 'BUY', entryPrice: 100, stopLoss: 99, quantity: 100, openedAt: start, ...position },
+    manager.resolvePlan({ management: rules })
+  );
+  const move = (high, low = 99.5, timestamp = start + 60000) => ({ high, low, close: (high + low) / 2, timestamp });
+  const describe = actions => JSON.stringify(actions);
+
+  try {
+    console.log('1. Plans...');
+    check('no rules, no plan', manager.resolvePlan({ detector: 'pure_crt' }) === null);
+    const plans = new TradeManager({
+      plans: { default: { ...off, maxDuration: 60000 }, detectors: { pure_crt: { maxDuration: 120000 } } }
+    });
+    check('detector plan overrides the default', plans.resolvePlan({ detector: 'pure_crt' }).maxDuration === 120000);
+    check('signal plan overrides the detector', plans.resolvePlan({ detector: 'pure_crt', management: { maxDuration: 30000 } }).maxDuration === 30000);
+    const targets = manager.resolvePlan({ management: { targets: [{ atR: 2, fraction: 0.5 }, { atR: 1, fraction: 0.5 }] } }).targets;
+    check('targets sorted by R', targets[0].atR === 1 && targets[1].atR === 2);
+
+    console.log('\n2. Breakeven...');
+    const breakeven = open({ breakeven: { atR: 1, offsetR: 0.1 } });
+    check('short of atR nothing moves', manager.update(breakeven, move(100.9)).length === 0);
+    const moved = manager.update(breakeven, move(101));
+    check('stop moves to entry plus offsetR', moved.length === 1 && moved[0].reason === 'breakeven' && Math.abs(moved[0].stopLoss - 100.1) < 1e-9,
+      describe(moved));
+    check('breakeven moves the stop once', manager.update(breakeven, move(102)).length === 0);
+    const looser = open({ breakeven: { atR: 1, offsetR: -2 } });
+    check('a breakeven behind the stop is skipped', manager.update(looser, move(101)).length === 0 && looser.stopLoss === 99);
+    const short = open({ breakeven: { atR: 1 } }, { direction: 'SELL', stopLoss: 101 });
+    const shortMoved = manager.update(short, move(100.5, 99));
+    check('short breakeven moves the stop down to entry', shortMoved.length === 1 && shortMoved[0].stopLoss === 100, describe(shortMoved));
+
+    console.log('\n3. Trailing stop...');
+    // Every candle ranges 0.5 around 100, so ATR(14) is 0.5
+    const candles = Array.from({ length: 15 }, (_, i) => ({ timestamp: start + i * 60000, open: 100, high: 100.25, low: 99.75, close: 100 }));
+    check('ATR over the period', TradeManager.averageTrueRange(candles, 14) === 0.5);
+    check('no ATR without period + 1 candles', TradeManager.averageTrueRange(candles.slice(1), 14) === null);
+    const trailing = open({ trailing: { multiplier: 2, activateR: 1, period: 14 } });
+    manager.updateVolatility(trailing, candles);
+    check('inactive below activateR', manager.update(trailing, move(100.5)).length === 0);
+    const trailed = manager.update(trailing, move(102));
+    check('trails multiplier x ATR behind the best price', trailed.length === 1 && trailed[0].reason === 'trailing' && trailed[0].stopLoss === 101,
+      describe(trailed));
+    check('a pullback leaves the stop', manager.update(trailing, move(101.5, 101.2)).length === 0 && trailing.stopLoss === 101);
+
+    console.log('\n4. Targets and time exit...');
+    const scaled = open({ targets: [{ atR: 1, fraction: 0.5 }, { atR: 2, fraction: 0.5 }] });
+    const first = manager.update(scaled, move(101.2));
+    check('first target closes its fraction at its level', first.length === 1 && first[0].type === 'partial' && first[0].quantity === 50
+      && first[0].price === 101 && first[0].reason === 'target_1', describe(first));
+    const last = manager.update(scaled, move(102.5));
+    check('last target closes the rest', last.length === 1 && last[0].type === 'close' && last[0].price === 102 && last[0].reason === 'target_2'
+      && scaled.remaining === 0, describe(last));
+    const gap = open({ targets: [{ atR: 1, fraction: 0.5 }, { atR: 2, fraction: 0.5 }] });
+    const both = manager.update(gap, move(102.5));
+    check('a move through both targets scales out then closes', both.map(action => action.type).join() === 'partial,close', describe(both));
+
+    const timed = open({ maxDuration: 120000 });
+    check('open before maxDuration', manager.update(timed, move(100.5, 99.5, start + 60000)).length === 0);
+    const expired = manager.update(timed, move(100.5, 99.5, start + 120000));
+    check('closed at market after maxDuration', expired.length === 1 && expired[0].type === 'close' && expired[0].price === null
+      && expired[0].reason === 'time_exit', describe(expired));
+
+    console.log('\n5. Partial close P&L in a backtest...');
+    // 100 units from 100; half scales out at 1R, the stop goes to entry on the same candle
+    const replay = prices => {
+      const series = prices.map(([o, h, l, c], i) => ({ timestamp: start + i * 60000, open: o, high: h, low: l, close: c, volume: 0 }));
+      const signal = {
+        direction: 'BUY', entryPrice: 100, stopLoss: 99, takeProfit: 102, confidence: 0.8,
+        management: { targets: [{ atR: 1, fraction: 0.5 }], breakeven: { atR: 1 } }
+      };
+      const strategy = {
+        name: 'scripted',
+        timeframe: '1m',
+        lookback: 2,
+        detect: ({ candles: window }) => (window[window.length - 1].timestamp === start + 60000 ? [signal] : [])
+      };
+      return new Backtester(strategy, { debug: false, spread: 0, slippage: 0, commission: 0 }).backtest(series, 'R_75');
+    };
+    const flat = [100, 100.2, 99.8, 100];
+    const target = await replay([flat, flat, [100, 101.2, 99.9, 101], [101, 102.5, 100.9, 102.2], flat]);
+    const [runner] = target.trades;
+    check('scale-out recorded with its P&L', runner && runner.partialExits.length === 1 && runner.partialExits[0].pnl === 50,
+      runner && JSON.stringify(runner.partialExits));
+    check('trade P&L adds the scale-out to the rest', runner && runner.exitReason === 'take_profit' && Math.abs(runner.pnl - 150) < 1e-9
+      && Math.abs(runner.rMultiple - 1.5) < 1e-9, runner && `${runner.pnl}, ${runner.rMultiple}R`);
+    check('capital follows the whole trade', Math.abs(target.finalCapital - 10150) < 1e-9, `${target.finalCapital}`);
+
+    const stopped = await replay([flat, flat, [100, 101.2, 99.9, 101], [101, 101.1, 99.5, 99.8], flat]);
+    const [protectedTrade] = stopped.trades;
+    check('rest stopped at breakeven keeps the scale-out', protectedTrade && protectedTrade.exitReason === 'stop_loss'
+      && protectedTrade.exit === 100 && Math.abs(protectedTrade.pnl - 50) < 1e-9, protectedTrade && `${protectedTrade.exit}, ${protectedTrade.pnl}`);
+  } catch (error) {
+    console.error('❌ Test failed:', error);
+    failures++;
+  }
+
+  console.log(`\n${failures === 0 ? '🎉 All checks passed' : `⚠️ ${failures} check(s) failed`}`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testTradeManager();
@@ -0,0 +1,20 @@
+// Minimal leveled logger honouring config.logging.level
+const config = require('../config');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+function log(level, message, ...args) {
+  const threshold = LEVELS[config.logging.level] ?? LEVELS.info;
+  if ((LEVELS[level] ?? LEVELS.info) > threshold) return;
+
+  const line = `[${new Date().toISOString()}] ${level.toUpperCase()}: ${message}`;
+  if (level === 'error') {
+    console.error(line, ...args);
+  } else if (level === 'warn') {
+    console.warn(line, ...args);
+  } else {
+    console.log(line, ...args);
+  }
+}
+
+module.exports = { log };
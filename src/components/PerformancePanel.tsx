@@ -0,0 +1,227 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Activity, AlertTriangle, Trophy } from "lucide-react";
+import { tradingAPI, PerformanceFilters, PerformanceReport } from "@/services/api";
+
+interface PerformancePanelProps {
+  symbol: string;
+  strategy: string;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIODS: Record<string, number | null> = {
+  "7d": 7 * DAY,
+  "30d": 30 * DAY,
+  "90d": 90 * DAY,
+  all: null
+};
+
+const OUTCOME_LABELS: Record<string, string> = {
+  hit_tp: "Target hit",
+  hit_sl: "Stop hit",
+  timeout: "Timed out",
+  expired: "Expired",
+  invalidated: "Invalidated",
+  no_data: "No data"
+};
+
+const OUTCOME_COLORS: Record<string, string> = {
+  hit_tp: "bg-green-500",
+  hit_sl: "bg-red-500",
+  timeout: "bg-yellow-500",
+  expired: "bg-gray-400",
+  invalidated: "bg-gray-300",
+  no_data: "bg-gray-200"
+};
+
+const formatNumber = (value: number | null | undefined, digits = 2) =>
+  value !== null && value !== undefined ? value.toFixed(digits) : "N/A";
+
+const formatPercent = (value: number | null | undefined) =>
+  value !== null && value !== undefined ? `${(value * 100).toFixed(0)}%` : "N/A";
+
+const formatR = (value: number | null | undefined) =>
+  value !== null && value !== undefined ? `${value >= 0 ? "+" : ""}${value.toFixed(2)}R` : "N/A";
+
+// Track record of evaluated signals: how the detectors' past signals actually played out
+export const PerformancePanel = ({ symbol, strategy }: PerformancePanelProps) => {
+  const [scope, setScope] = useState<"symbol" | "all">("symbol");
+  const [strategyScope, setStrategyScope] = useState<"strategy" | "all">("all");
+  const [period, setPeriod] = useState("30d");
+  const [report, setReport] = useState<PerformanceReport | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadPerformance = useCallback(async () => {
+    const filters: PerformanceFilters = {};
+    if (scope === "symbol") filters.symbol = symbol;
+    // The selector uses "day-trading", the server "daytrading"
+    if (strategyScope === "strategy") filters.strategy = strategy.replace(/-/g, "");
+    if (PERIODS[period]) filters.from = Date.now() - PERIODS[period]!;
+
+    setIsLoading(true);
+    try {
+      setReport(await tradingAPI.getPerformance(filters));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load performance");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [symbol, strategy, scope, strategyScope, period]);
+
+  useEffect(() => {
+    loadPerformance();
+    const interval = setInterval(loadPerformance, 60000); // Outcomes settle every few minutes
+    return () => clearInterval(interval);
+  }, [loadPerformance]);
+
+  const overall = report?.overall;
+  const outcomeTotal = report ? Object.values(report.outcomes).reduce((sum, count) => sum + count, 0) : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Trophy className="w-5 h-5" />
+            Signal Track Record
+          </CardTitle>
+          {isLoading && <Activity className="w-4 h-4 animate-spin text-muted-foreground" />}
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <Select value={scope} onValueChange={(value) => setScope(value as "symbol" | "all")}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="symbol">{symbol}</SelectItem>
+              <SelectItem value="all">All symbols</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={strategyScope} onValueChange={(value) => setStrategyScope(value as "strategy" | "all")}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="strategy">{strategy}</SelectItem>
+              <SelectItem value="all">All strategies</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={period} onValueChange={setPeriod}>
+            <SelectTrigger className="h-8 text-xs">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="7d">Last 7 days</SelectItem>
+              <SelectItem value="30d">Last 30 days</SelectItem>
+              <SelectItem value="90d">Last 90 days</SelectItem>
+              <SelectItem value="all">All time</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error ? (
+          <div className="flex items-center gap-2 text-sm text-red-600">
+            <AlertTriangle className="w-4 h-4" />
+            {error}
+          </div>
+        ) : !overall || overall.signals === 0 ? (
+          <div className="text-center py-6 text-muted-foreground">
+            <Trophy className="w-8 h-8 mx-auto mb-2 opacity-50" />
+            <p className="text-sm">No evaluated signals yet</p>
+            <p className="text-xs">Outcomes appear once signals hit their target, stop or expiry</p>
+          </div>
+        ) : (
+          <>
+            {/* Headline numbers */}
+            <div className="grid grid-cols-2 gap-3">
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className="text-xl font-bold">{formatPercent(overall.win_rate)}</div>
+                <div className="text-xs text-muted-foreground">Win rate ({overall.wins}/{overall.trades})</div>
+              </div>
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className={`text-xl font-bold ${(overall.expectancy ?? 0) >= 0 ? "text-green-600" : "text-red-600"}`}>
+                  {formatR(overall.expectancy)}
+                </div>
+                <div className="text-xs text-muted-foreground">Expectancy per trade</div>
+              </div>
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className="text-xl font-bold">{formatNumber(overall.profit_factor)}</div>
+                <div className="text-xs text-muted-foreground">Profit factor</div>
+              </div>
+              <div className="text-center p-3 bg-muted/50 rounded-lg">
+                <div className={`text-xl font-bold ${overall.total_r >= 0 ? "text-green-600" : "text-red-600"}`}>
+                  {formatR(overall.total_r)}
+                </div>
+                <div className="text-xs text-muted-foreground">Total ({overall.signals} signals)</div>
+              </div>
+            </div>
+
+            {/* Outcome distribution */}
+            <div className="space-y-2">
+              <h4 className="font-medium text-sm">Outcomes</h4>
+              <div className="flex h-3 w-full overflow-hidden rounded-full bg-muted">
+                {Object.entries(report!.outcomes).map(([outcome, count]) => (
+                  <div
+                    key={outcome}
+                    className={OUTCOME_COLORS[outcome] || "bg-gray-400"}
+                    style={{ width: `${(count / outcomeTotal) * 100}%` }}
+                    title={`${OUTCOME_LABELS[outcome] || outcome}: ${count}`}
+                  />
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(report!.outcomes).map(([outcome, count]) => (
+                  <Badge key={outcome} variant="outline" className="text-xs">
+                    {OUTCOME_LABELS[outcome] || outcome}: {count}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+
+            {/* Per detector / symbol / timeframe */}
+            <div className="space-y-2">
+              <h4 className="font-medium text-sm">By detector</h4>
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-muted-foreground text-left">
+                      <th className="py-1 pr-2 font-medium">Detector</th>
+                      <th className="py-1 pr-2 font-medium">Symbol</th>
+                      <th className="py-1 pr-2 font-medium">TF</th>
+                      <th className="py-1 pr-2 font-medium text-right">Trades</th>
+                      <th className="py-1 pr-2 font-medium text-right">Win</th>
+                      <th className="py-1 pr-2 font-medium text-right">Avg R</th>
+                      <th className="py-1 font-medium text-right">PF</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report!.groups.map((group) => (
+                      <tr key={`${group.detector}-${group.symbol}-${group.timeframe}`} className="border-t">
+                        <td className="py-1 pr-2">{group.detector}</td>
+                        <td className="py-1 pr-2">{group.symbol}</td>
+                        <td className="py-1 pr-2">{group.timeframe}</td>
+                        <td className="py-1 pr-2 text-right">{group.trades}</td>
+                        <td className="py-1 pr-2 text-right">{formatPercent(group.win_rate)}</td>
+                        <td className={`py-1 pr-2 text-right ${(group.avg_r ?? 0) >= 0 ? "text-green-600" : "text-red-600"}`}>
+                          {formatR(group.avg_r)}
+                        </td>
+                        <td className="py-1 text-right">{formatNumber(group.profit_factor)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
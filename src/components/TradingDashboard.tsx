@@ -6,6 +6,7 @@ import { TrendingUp, TrendingDown, BarChart3, Activity, Brain, Zap } from "lucid
 import { SymbolSelector } from "./SymbolSelector";
 import { TradingChart } from "./TradingChart";
 import { SignalPanel } from "./SignalPanel";
+import { PerformancePanel } from "./PerformancePanel";
 import { StrategySelector } from "./StrategySelector";
 import { MLAnalysisDashboard } from "./MLAnalysisDashboard";
 import { useTradingData } from "@/hooks/useTradingData";
@@ -97,8 +98,9 @@ export const TradingDashboard = () => {
             </div>
 
             {/* Signal Panel */}
-            <div className="lg:col-span-1">
+            <div className="lg:col-span-1 space-y-6">
               <SignalPanel symbol={selectedSymbol} strategy={selectedStrategy} />
+              <PerformancePanel symbol={selectedSymbol} strategy={selectedStrategy} />
             </div>
           </div>
         ) : (
@@ -3,6 +3,44 @@ import axios from 'axios';
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api';
 const WS_URL = import.meta.env.VITE_WS_URL || 'wss://ws.binaryws.com/websockets/v3';
 
+export interface PerformanceFilters {
+  detector?: string;
+  strategy?: string;
+  symbol?: string;
+  timeframe?: string;
+  from?: number; // epoch ms, on the time the signal's outcome was known
+  to?: number;
+}
+
+export interface PerformanceStats {
+  detector?: string;
+  symbol?: string;
+  timeframe?: string;
+  signals: number;
+  trades: number;
+  wins: number;
+  losses: number;
+  expired: number;
+  invalidated: number;
+  win_rate: number | null;
+  avg_win_r: number | null;
+  avg_loss_r: number | null;
+  profit_factor: number | null;
+  avg_r: number | null;
+  total_r: number;
+  expectancy: number | null;
+  avg_mae: number | null;
+  avg_mfe: number | null;
+  avg_resolution_ms: number | null;
+}
+
+export interface PerformanceReport {
+  filters: PerformanceFilters;
+  overall: PerformanceStats;
+  groups: PerformanceStats[];
+  outcomes: Record<string, number>;
+}
+
 class TradingAPI {
   private ws: WebSocket | null = null;
   private _isConnected = false;
@@ -262,6 +300,17 @@ class TradingAPI {
     }
   }
 
+  // Get the track record of evaluated signals
+  async getPerformance(filters: PerformanceFilters = {}): Promise<PerformanceReport> {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/performance`, { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching performance:', error);
+      throw error;
+    }
+  }
+
   // Get CHOCH analysis for a symbol and timeframe
   async getCHOCHAnalysis(symbol: string, timeframe: string) {
     try {